@@ -0,0 +1,50 @@
+jest.mock('../db/pool', () => ({ pool: { query: jest.fn() } }));
+
+import { pool } from '../db/pool';
+import { runBatch } from '../services/batchService';
+
+const query = pool.query as unknown as jest.Mock;
+
+describe('runBatch', () => {
+  const watched = {
+    id: 'q1', login_id: 'u1', name_first: 'James', name_last: 'Smith',
+    last_searched_at: new Date('2026-03-01T06:00:00Z'), last_full_sweep_at: new Date('2026-02-28T06:00:00Z')
+  };
+  const realFetch = global.fetch;
+
+  beforeEach(() => {
+    query.mockReset();
+    query.mockImplementation(async (sql: string) => (sql.includes('FROM user_query') ? { rows: [watched] } : { rows: [] }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    jest.restoreAllMocks();
+  });
+
+  it('keeps the last search dates when the search service answers with an error', async () => {
+    global.fetch = jest.fn().mockResolvedValue(
+      new Response(JSON.stringify({ error: 'connection refused' }), { status: 500 })
+    ) as unknown as typeof fetch;
+
+    const summary = await runBatch();
+
+    expect(summary.degradedQueries).toBe(1);
+    expect(summary.newResults).toBe(0);
+    // Only the query list was read: no results, usage or last_searched_at written
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+
+  it('advances the last search date after a clean pass', async () => {
+    global.fetch = jest.fn().mockResolvedValue(
+      new Response(JSON.stringify({ results: [], monitoring: { fullSweep: false, since: '2026-02-27' } }), { status: 200 })
+    ) as unknown as typeof fetch;
+
+    const summary = await runBatch();
+
+    expect(summary.degradedQueries).toBe(0);
+    expect(query.mock.calls.some(([sql]) => sql.includes('SET last_searched_at'))).toBe(true);
+  });
+});
@@ -0,0 +1,4 @@
+-- Track when each query was last searched by a batch run.
+-- Queries deferred by the per-run call budget keep their older timestamp and run first next time.
+ALTER TABLE user_query ADD COLUMN IF NOT EXISTS last_searched_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_user_query_last_searched_at ON user_query(last_searched_at NULLS FIRST);
@@ -0,0 +1,16 @@
+-- Billed search provider usage per query per run, for cost-per-person reporting.
+-- cost is USD, computed by the search engine from its per-call provider costs.
+CREATE TABLE IF NOT EXISTS search_usage (
+  id SERIAL PRIMARY KEY,
+  user_query_id UUID NOT NULL REFERENCES user_query(id) ON DELETE CASCADE,
+  ran_dt TIMESTAMPTZ NOT NULL,
+  api_calls INTEGER NOT NULL DEFAULT 0,
+  pages_fetched INTEGER NOT NULL DEFAULT 0,
+  retries INTEGER NOT NULL DEFAULT 0,
+  cost NUMERIC(12,6) NOT NULL DEFAULT 0,
+  by_provider JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_usage_query_ran_dt ON search_usage(user_query_id, ran_dt);
+CREATE INDEX IF NOT EXISTS idx_search_usage_ran_dt ON search_usage(ran_dt);
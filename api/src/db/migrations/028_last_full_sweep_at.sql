@@ -0,0 +1,3 @@
+-- Batch runs search incrementally (only results since last_searched_at) and give each
+-- query an all-time full sweep every SEARCH_FULL_SWEEP_DAYS; this records the last one.
+ALTER TABLE user_query ADD COLUMN IF NOT EXISTS last_full_sweep_at TIMESTAMPTZ;
@@ -0,0 +1,3 @@
+-- Per-field extraction confidence and provenance of a result (source text, pattern, span),
+-- keyed by candidate field: {"dod": {"confidence": 0.95, "source": "snippet", "pattern": "death-phrase", ...}}
+ALTER TABLE user_result ADD COLUMN IF NOT EXISTS field_provenance JSONB;
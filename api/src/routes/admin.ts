@@ -191,6 +191,45 @@ router.get('/errors', async (req: Request, res: Response) => {
   }
 });
 
+// Search provider cost per monitored person for one month (?month=YYYY-MM, default current month)
+router.get('/search-usage', async (req: Request, res: Response) => {
+  try {
+    const month = (req.query.month as string) || new Date().toISOString().slice(0, 7);
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      res.status(400).json({ error: 'month must be YYYY-MM' });
+      return;
+    }
+
+    const { rows } = await pool.query(
+      `SELECT uq.id, uq.name_first, uq.name_last, u.email,
+              COUNT(su.id) AS runs,
+              SUM(su.api_calls) AS api_calls,
+              SUM(su.cost) AS cost
+       FROM search_usage su
+       JOIN user_query uq ON uq.id = su.user_query_id
+       LEFT JOIN dw_user u ON u.login_id = uq.login_id
+       WHERE su.ran_dt >= $1::date AND su.ran_dt < ($1::date + interval '1 month')
+       GROUP BY uq.id, uq.name_first, uq.name_last, u.email
+       ORDER BY SUM(su.cost) DESC`,
+      [`${month}-01`]
+    );
+
+    const usage = rows.map(row => ({
+      userQueryId: row.id,
+      name: `${row.name_first || ''} ${row.name_last || ''}`.trim(),
+      email: row.email || '',
+      runs: Number(row.runs),
+      apiCalls: Number(row.api_calls),
+      cost: Number(row.cost),
+    }));
+    const totalCost = usage.reduce((sum, u) => sum + u.cost, 0);
+
+    res.json({ month, usage, totalCost: Math.round(totalCost * 1e6) / 1e6 });
+  } catch (err: any) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 router.get('/errors/count', async (_req: Request, res: Response) => {
   try {
     const today = new Date();
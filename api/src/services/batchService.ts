@@ -2,6 +2,8 @@ import { v4 as uuidv4 } from 'uuid';
 import { pool } from '../db/pool';
 
 const SEARCH_ENGINE_URL = process.env.SEARCH_ENGINE_URL || 'http://localhost:3000';
+// Hard cap on billed search provider calls per batch run (0 = unlimited)
+const SEARCH_CALL_BUDGET = parseInt(process.env.SEARCH_CALL_BUDGET || '0', 10);
 
 function extractDomain(url: string): string {
   try { return new URL(url).hostname.replace(/^www\./, ''); } catch { return url || ''; }
@@ -11,9 +13,11 @@ export async function runBatch() {
   const ranDt = new Date();
   console.log(`[Batch] Starting batch run at ${ranDt.toISOString()}`);
 
-  // Load active queries that have no pending (unreviewed) results
+  // Load active queries that have no pending (unreviewed) results.
+  // Least recently searched first, so queries deferred by the call budget run first next time.
   const { rows: queries } = await pool.query(
-    `SELECT id, login_id, name_first, name_middle, name_last, name_nickname, age_apx, city, state, key_words, key_search
+    `SELECT id, login_id, name_first, name_middle, name_last, name_nickname, age_apx, city, state, key_words, key_search,
+            last_searched_at, last_full_sweep_at
      FROM user_query uq
      WHERE uq.disabled = false
        AND uq.confirmed = false
@@ -21,14 +25,26 @@ export async function runBatch() {
          SELECT 1 FROM user_result ur
          WHERE ur.user_query_id = uq.id AND ur.status = 'pending'
        )
-     ORDER BY uq.name_last, uq.name_first`
+     ORDER BY uq.last_searched_at ASC NULLS FIRST, uq.name_last, uq.name_first`
   );
 
   console.log(`[Batch] Found ${queries.length} active queries`);
   let totalNewResults = 0;
+  let degradedQueries = 0;
+  let apiCallsUsed = 0;
+  let apiCost = 0;
+  let deferredQueries = 0;
+  let fullSweeps = 0;
 
   for (let i = 0; i < queries.length; i++) {
     const q = queries[i];
+
+    if (SEARCH_CALL_BUDGET > 0 && apiCallsUsed >= SEARCH_CALL_BUDGET) {
+      deferredQueries = queries.length - i;
+      console.warn(`[Batch] Call budget of ${SEARCH_CALL_BUDGET} reached, deferring ${deferredQueries} queries to the next run`);
+      break;
+    }
+
     const label = `${q.name_first || q.name_nickname || ''} ${q.name_last || q.name_maiden || ''}`.trim();
 
     try {
@@ -44,9 +60,48 @@ export async function runBatch() {
       if (q.state) params.set('state', q.state);
       if (q.key_words) params.set('keyWords', q.key_words);
 
+      // The search service plans the pass: incremental since the last search, or a full sweep when due
+      params.set('monitor', '1');
+      if (q.last_searched_at) params.set('lastSearchedAt', new Date(q.last_searched_at).toISOString());
+      if (q.last_full_sweep_at) params.set('lastFullSweepAt', new Date(q.last_full_sweep_at).toISOString());
+
       const resp = await fetch(`${SEARCH_ENGINE_URL}/search?${params.toString()}`);
+      // Search service error (500) or rejected request (400): the pass did not run, so the
+      // query keeps its last search dates and is searched over the same window next run
+      if (!resp.ok) {
+        degradedQueries++;
+        const body = await resp.text().catch(() => '');
+        console.warn(`  [${i + 1}/${queries.length}] ${label}: search failed (HTTP ${resp.status}) ${body}, will retry next run`);
+        continue;
+      }
       const json = await resp.json() as any;
       const results = json.results || [];
+      const usage = json.usage;
+      const fullSweep = Boolean(json.monitoring?.fullSweep);
+      const since: string | null = json.monitoring?.since || null;
+      apiCallsUsed += usage?.apiCalls || 0;
+      apiCost += usage?.cost || 0;
+
+      // Record billed provider usage even when the search failed — the calls were still paid for
+      if (usage?.apiCalls > 0) {
+        await pool.query(
+          `INSERT INTO search_usage (user_query_id, ran_dt, api_calls, pages_fetched, retries, cost, by_provider)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [q.id, ranDt, usage.apiCalls, usage.pagesFetched || 0, usage.retries || 0, usage.cost || 0, JSON.stringify(usage.byProvider || {})]
+        );
+      }
+
+      // No provider answered: "0 results" means "provider down", not "nobody died"
+      if (json.providersUnavailable) {
+        degradedQueries++;
+        console.warn(`  [${i + 1}/${queries.length}] ${label}: search providers unavailable, will retry next run`);
+        continue;
+      }
+      if (json.degraded) {
+        degradedQueries++;
+        const failed = (json.providerFailures || []).map((f: any) => f.provider).join(', ');
+        console.warn(`  [${i + 1}/${queries.length}] ${label}: degraded search (failed: ${failed})`);
+      }
 
       // Update key_search if returned
       if (json.keySearch && json.keySearch !== q.key_search) {
@@ -78,10 +133,10 @@ export async function runBatch() {
             dob, dod, date_visitation, date_funeral, city, state,
             pob_city, pob_state, source, url, snippet,
             score, reasons, fingerprint, type_provider, also_found_at,
-            scores_criteria, score_final, score_max, criteria_cnt, rank, url_image,
+            scores_criteria, score_final, score_max, criteria_cnt, rank, url_image, field_provenance,
             is_read, status, source_type
           ) VALUES (
-            $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29,$30,$31,$32,$33
+            $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29,$30,$31,$32,$33,$34
           )`,
           [
             resultId, q.id, ranDt,
@@ -96,21 +151,47 @@ export async function runBatch() {
             r.scoresCriteria ? JSON.stringify(r.scoresCriteria) : null,
             r.scoreFinal || null, r.scoreMax || null, r.criteriaCnt || null, r.rank || null,
             r.urlImage || null,
+            r.provenance ? JSON.stringify(r.provenance) : null,
             false, 'pending', 'batch'
           ]
         );
         newCount++;
       }
 
+      // A degraded pass may have missed results from the failed providers: keep the last
+      // search date, so the next incremental pass covers this window again
+      if (!json.degraded) {
+        await pool.query(
+          `UPDATE user_query SET last_searched_at = $1,
+             last_full_sweep_at = CASE WHEN $3 THEN $1 ELSE last_full_sweep_at END
+           WHERE id = $2`,
+          [ranDt, q.id, fullSweep]
+        );
+        if (fullSweep) fullSweeps++;
+      }
+
       totalNewResults += newCount;
-      console.log(`  [${i + 1}/${queries.length}] ${label}: ${results.length} results, ${newCount} new`);
+      const pass = fullSweep ? 'full sweep' : `since ${since}`;
+      console.log(`  [${i + 1}/${queries.length}] ${label} (${pass}): ${results.length} results, ${newCount} new`);
     } catch (err) {
       console.error(`  [${i + 1}/${queries.length}] ${label}: ERROR -`, err);
     }
   }
 
-  console.log(`[Batch] Complete. ${totalNewResults} new results across ${queries.length} queries.`);
-  return { queriesRun: queries.length, newResults: totalNewResults };
+  console.log(`[Batch] Complete. ${totalNewResults} new results across ${queries.length} queries (${fullSweeps} full sweeps).`);
+  if (degradedQueries > 0) {
+    console.warn(`[Batch] ${degradedQueries} queries ran degraded (provider errors or outage).`);
+  }
+  console.log(`[Batch] Provider API calls: ${apiCallsUsed}${SEARCH_CALL_BUDGET > 0 ? ` of ${SEARCH_CALL_BUDGET} budget` : ''}, cost $${apiCost.toFixed(4)}`);
+  return {
+    queriesRun: queries.length - deferredQueries,
+    newResults: totalNewResults,
+    degradedQueries,
+    deferredQueries,
+    fullSweeps,
+    apiCalls: apiCallsUsed,
+    apiCost: Math.round(apiCost * 1e6) / 1e6
+  };
 }
 
 /**
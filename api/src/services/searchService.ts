@@ -141,10 +141,10 @@ export async function createSearch(userId: string, data: SearchQueryCreate) {
           dob, dod, date_visitation, date_funeral, city, state,
           pob_city, pob_state, source, url, snippet,
           score, reasons, fingerprint, type_provider, also_found_at,
-          scores_criteria, score_final, score_max, criteria_cnt, rank, url_image,
+          scores_criteria, score_final, score_max, criteria_cnt, rank, url_image, field_provenance,
           is_read, status
         ) VALUES (
-          $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29,$30,$31,$32
+          $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29,$30,$31,$32,$33
         )`,
         [
           resultId, id, ranDt,
@@ -159,6 +159,7 @@ export async function createSearch(userId: string, data: SearchQueryCreate) {
           r.scoresCriteria ? JSON.stringify(r.scoresCriteria) : null,
           r.scoreFinal || null, r.scoreMax || null, r.criteriaCnt || null, r.rank || null,
           r.urlImage || null,
+          r.provenance ? JSON.stringify(r.provenance) : null,
           false, 'pending'
         ]
       );
@@ -268,10 +269,10 @@ export async function updateSearch(userId: string, searchId: string, data: Parti
           dob, dod, date_visitation, date_funeral, city, state,
           pob_city, pob_state, source, url, snippet,
           score, reasons, fingerprint, type_provider, also_found_at,
-          scores_criteria, score_final, score_max, criteria_cnt, rank, url_image,
+          scores_criteria, score_final, score_max, criteria_cnt, rank, url_image, field_provenance,
           is_read, status
         ) VALUES (
-          $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29,$30,$31,$32
+          $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29,$30,$31,$32,$33
         )`,
         [
           resultId, searchId, ranDt,
@@ -286,6 +287,7 @@ export async function updateSearch(userId: string, searchId: string, data: Parti
           r.scoresCriteria ? JSON.stringify(r.scoresCriteria) : null,
           r.scoreFinal || null, r.scoreMax || null, r.criteriaCnt || null, r.rank || null,
           r.urlImage || null,
+          r.provenance ? JSON.stringify(r.provenance) : null,
           false, 'pending'
         ]
       );
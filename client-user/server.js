@@ -124,7 +124,8 @@ app.get('/api/results', async (req, res) => {
           maxPossible: r.max_possible,
           criteriaCount: r.criteria_count,
           rank: r.rank,
-          imageUrl: r.image_url
+          imageUrl: r.image_url,
+          provenance: r.field_provenance
         }))
       });
     }
@@ -22,7 +22,10 @@ const path = require('path');
 const fs = require('fs');
 require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
 const { extractDodFromText } = require('../src/normalize/dod');
+const { domainRegistry } = require('../src/domains/DomainRegistry');
 const { logger, LogLevel } = require('../src/utils/logger');
+const SOURCES = require('../src/providers/funeralHome/sources');
+const { extractListingEntries } = require('../src/providers/funeralHome/listingExtractors');
 
 // ============================================================
 // Configuration
@@ -68,209 +71,6 @@ function findChrome() {
   return null;
 }
 
-// ============================================================
-// Funeral Home Sources (Tukios-powered)
-// ============================================================
-
-const SOURCES = [
-  // Ohio — confirmed Tukios
-  {
-    name: 'Newcomer Funeral Homes',
-    city: 'Dayton', state: 'OH',
-    url: 'https://www.newcomerdayton.com/obituaries',
-  },
-  {
-    name: 'Newcomer Albany',
-    city: 'Albany', state: 'NY',
-    url: 'https://www.newcomeralbany.com/obituaries',
-  },
-  {
-    name: 'Hodapp Funeral Homes',
-    city: 'Cincinnati', state: 'OH',
-    url: 'https://www.hodappfuneralhome.com/obituaries',
-  },
-  {
-    name: 'Routsong Funeral Home',
-    city: 'Kettering', state: 'OH',
-    url: 'https://www.routsong.com/obituaries',
-  },
-
-  // Ohio — more Newcomer locations
-  {
-    name: 'Newcomer Columbus',
-    city: 'Columbus', state: 'OH',
-    url: 'https://www.newcomercolumbus.com/obituaries',
-  },
-  {
-    name: 'Newcomer Toledo',
-    city: 'Toledo', state: 'OH',
-    url: 'https://www.newcomertoledo.com/obituaries',
-  },
-
-  // Kentucky
-  {
-    name: 'Newcomer Louisville',
-    city: 'Louisville', state: 'KY',
-    url: 'https://www.newcomerkentuckiana.com/obituaries',
-  },
-
-  // Florida
-  {
-    name: 'Newcomer Orlando',
-    city: 'Orlando', state: 'FL',
-    url: 'https://www.newcomerorlando.com/obituaries',
-  },
-  // Georgia
-  {
-    name: 'Wages & Sons Funeral Home',
-    city: 'Lawrenceville', state: 'GA',
-    url: 'https://www.wagesandsons.com/obituaries',
-  },
-  // Texas
-  {
-    name: 'Lucas Funeral Home',
-    city: 'Hurst', state: 'TX',
-    url: 'https://www.lucasfuneralhomes.com/obituaries',
-  },
-
-  // New York — Rochester
-  {
-    name: 'Newcomer Rochester',
-    city: 'Rochester', state: 'NY',
-    url: 'https://www.newcomerrochester.com/obituaries',
-  },
-
-  // Colorado
-  {
-    name: 'Newcomer Denver',
-    city: 'Denver', state: 'CO',
-    url: 'https://www.newcomerdenver.com/obituaries',
-  },
-
-  // Ohio — Akron area
-  {
-    name: 'Newcomer Akron',
-    city: 'Akron', state: 'OH',
-    url: 'https://www.newcomerakron.com/obituaries',
-  },
-
-  // === New diverse sources (all verified Tukios) ===
-
-  // West Coast
-  {
-    name: 'Forest Lawn Funeral Homes',
-    city: 'Covina', state: 'CA',
-    url: 'https://obituaries.forestlawn.com/obituaries',
-  },
-  {
-    name: 'Riplinger Funeral Home',
-    city: 'Spokane', state: 'WA',
-    url: 'https://www.riplingerfuneralhome.com/obituaries',
-  },
-
-  // Midwest
-  {
-    name: 'McGuire & Davies Funeral Home',
-    city: 'Monmouth', state: 'IL',
-    url: 'https://www.mcguireanddaviesfuneralhome.com/obituaries',
-  },
-  {
-    name: 'Stateline Cremations',
-    city: 'Loves Park', state: 'IL',
-    url: 'https://www.statelinecremations.com/obituaries',
-  },
-  {
-    name: 'Michigan Cremation & Funeral Care',
-    city: 'Grand Rapids', state: 'MI',
-    url: 'https://www.michigancremation.com/obituaries',
-  },
-  {
-    name: 'Mahn Family Funeral Chapel',
-    city: 'Red Wing', state: 'MN',
-    url: 'https://www.mahnfamilyfuneralhome.com/obituaries',
-  },
-
-  // Northeast
-  {
-    name: 'Cusick Funeral Home',
-    city: 'Somerville', state: 'NJ',
-    url: 'https://www.cusickfuneralhome.com/obituaries',
-  },
-  {
-    name: 'Delaney & Son Funeral Home',
-    city: 'Walpole', state: 'MA',
-    url: 'https://www.delaneyfuneral.com/obituaries',
-  },
-  {
-    name: 'Cognetta Funeral Home',
-    city: 'Stamford', state: 'CT',
-    url: 'https://www.cognetta.com/obituaries',
-  },
-  {
-    name: 'Newcomer Syracuse',
-    city: 'Syracuse', state: 'NY',
-    url: 'https://www.newcomersyracuse.com/obituaries',
-  },
-
-  // Southeast
-  {
-    name: 'McClure Funeral Service',
-    city: 'Graham', state: 'NC',
-    url: 'https://www.mcclurefuneralservice.net/obituaries',
-  },
-  {
-    name: "Murray's Mortuary",
-    city: 'Charleston', state: 'SC',
-    url: 'https://www.murraysmortuary.com/obituaries',
-  },
-  {
-    name: 'Community Funeral Home',
-    city: 'Norfolk', state: 'VA',
-    url: 'https://www.communityfh.com/obituaries',
-  },
-  {
-    name: 'Shackelford Funeral Directors',
-    city: 'Waynesboro', state: 'TN',
-    url: 'https://www.shackelfordfuneraldirectors.com/obituaries',
-  },
-  {
-    name: 'Terrell Broady Funeral Home',
-    city: 'Nashville', state: 'TN',
-    url: 'https://www.terrellbroadyfuneralhome.com/obituaries',
-  },
-  {
-    name: 'Cherokee Memorial Funeral Home',
-    city: 'Centre', state: 'AL',
-    url: 'https://www.cherokeememorialfuneralhome.com/obituaries',
-  },
-
-  // Southwest
-  {
-    name: 'Martinez Funeral Chapels',
-    city: 'Tucson', state: 'AZ',
-    url: 'https://www.martinezfuneralchapels.com/obituaries',
-  },
-
-  // Deep South
-  {
-    name: 'Seale Funeral Service',
-    city: 'Denham Springs', state: 'LA',
-    url: 'https://www.sealefuneral.com/obituaries',
-  },
-  {
-    name: 'Rose-Neath Funeral Homes',
-    city: 'Shreveport', state: 'LA',
-    url: 'https://www.rose-neath.com/obituaries',
-  },
-
-  // Mountain West
-  {
-    name: 'Newcomer Casper',
-    city: 'Casper', state: 'WY',
-    url: 'https://www.newcomercasper.com/obituaries',
-  },
-];
-
 // ============================================================
 // Name Parsing
 // ============================================================
@@ -427,153 +227,6 @@ function isWithinDays(dateStr, days) {
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-// ============================================================
-// Tukios DOM Extraction (runs inside page.evaluate)
-// ============================================================
-
-async function extractTukiosEntries(page) {
-  return page.evaluate(() => {
-    const entries = [];
-
-    // Tukios listing cards
-    const nameEls = document.querySelectorAll('.tukios--obituary-listing-name');
-
-    if (nameEls.length === 0) return entries;
-
-    // Each listing card is typically a parent container with name, dates, snippet, link
-    const cards = document.querySelectorAll(
-      '.tukios--obituary-listing-card, ' +
-      '.tukios--obituary-listing-container, ' +
-      '[class*="obituary-listing"]'
-    );
-
-    if (cards.length > 0) {
-      // Extract from card containers
-      for (const card of cards) {
-        const nameEl = card.querySelector('.tukios--obituary-listing-name, [class*="listing-name"]');
-        const dateEl = card.querySelector('.tukios--obituary-listing-date, [class*="listing-date"]');
-        const snippetEl = card.querySelector('.tukios--obituary-listing-snippet, [class*="listing-snippet"]');
-        const linkEl = card.querySelector('a[href*="obituar"]') || card.querySelector('a');
-
-        entries.push({
-          nameRaw: nameEl ? nameEl.textContent.trim() : null,
-          dateText: dateEl ? dateEl.textContent.trim() : null,
-          snippetText: snippetEl ? snippetEl.textContent.trim() : null,
-          detailUrl: linkEl ? linkEl.href : null,
-        });
-      }
-    } else {
-      // Fallback: just grab the name elements and look for siblings
-      for (const nameEl of nameEls) {
-        const parent = nameEl.closest('div') || nameEl.parentElement;
-        const dateEl = parent ? parent.querySelector('.tukios--obituary-listing-date, [class*="listing-date"]') : null;
-        const snippetEl = parent ? parent.querySelector('.tukios--obituary-listing-snippet, [class*="listing-snippet"]') : null;
-        const linkEl = parent ? (parent.querySelector('a[href*="obituar"]') || parent.querySelector('a')) : null;
-
-        entries.push({
-          nameRaw: nameEl.textContent.trim(),
-          dateText: dateEl ? dateEl.textContent.trim() : null,
-          snippetText: snippetEl ? snippetEl.textContent.trim() : null,
-          detailUrl: linkEl ? linkEl.href : null,
-        });
-      }
-    }
-
-    return entries;
-  });
-}
-
-// ============================================================
-// Generic (non-Tukios) DOM Extraction
-// ============================================================
-
-async function extractGenericEntries(page) {
-  return page.evaluate(() => {
-    const entries = [];
-
-    // Common obituary listing selectors across various providers
-    const selectors = [
-      // Tribute-based sites
-      '.obituary-listing .obit-name',
-      '.obituary-entry .name',
-      // Generic patterns
-      '[class*="obituary"] [class*="name"]',
-      '[class*="obit"] [class*="name"]',
-      '.obit-list .name a',
-      // JSON-LD fallback — not accessible in evaluate, handled separately
-    ];
-
-    for (const selector of selectors) {
-      const nameEls = document.querySelectorAll(selector);
-      if (nameEls.length > 0) {
-        for (const nameEl of nameEls) {
-          const card = nameEl.closest('[class*="obituary"], [class*="obit"], .listing-item, article');
-          const dateEl = card ? card.querySelector('[class*="date"]') : null;
-          const snippetEl = card ? card.querySelector('[class*="snippet"], [class*="excerpt"], p') : null;
-          const linkEl = nameEl.tagName === 'A' ? nameEl : (card ? card.querySelector('a') : null);
-
-          entries.push({
-            nameRaw: nameEl.textContent.trim(),
-            dateText: dateEl ? dateEl.textContent.trim() : null,
-            snippetText: snippetEl ? snippetEl.textContent.trim() : null,
-            detailUrl: linkEl ? linkEl.href : null,
-          });
-        }
-        break; // Use first matching selector set
-      }
-    }
-
-    return entries;
-  });
-}
-
-// ============================================================
-// JSON-LD Extraction (works for sites that embed structured data)
-// ============================================================
-
-async function extractJsonLdEntries(page) {
-  return page.evaluate(() => {
-    const entries = [];
-    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-
-    for (const script of scripts) {
-      try {
-        const data = JSON.parse(script.textContent);
-
-        // ItemList
-        if (data.mainEntity && data.mainEntity.itemListElement) {
-          for (const item of data.mainEntity.itemListElement) {
-            if (item.name && item.url) {
-              entries.push({
-                nameRaw: item.name,
-                dateText: null,
-                snippetText: null,
-                detailUrl: item.url,
-              });
-            }
-          }
-        }
-
-        if (data['@type'] === 'ItemList' && data.itemListElement) {
-          for (const item of data.itemListElement) {
-            const thing = item.item || item;
-            if (thing.name && thing.url) {
-              entries.push({
-                nameRaw: thing.name,
-                dateText: null,
-                snippetText: null,
-                detailUrl: thing.url,
-              });
-            }
-          }
-        }
-      } catch {}
-    }
-
-    return entries;
-  });
-}
-
 // ============================================================
 // Detail Page Extraction
 // ============================================================
@@ -654,28 +307,7 @@ async function scrapeSource(browser, source) {
     logger.info(`[${source.name}] Navigating: ${source.url}`);
     await page.goto(source.url, { waitUntil: 'networkidle2', timeout: NAV_TIMEOUT_MS });
 
-    // Try Tukios selectors first
-    let entries = [];
-    let detectionMethod = 'none';
-
-    try {
-      await page.waitForSelector('.tukios--obituary-listing-name', { timeout: SELECTOR_TIMEOUT_MS });
-      entries = await extractTukiosEntries(page);
-      detectionMethod = 'tukios';
-    } catch {
-      // Not Tukios — try generic
-      logger.debug(`[${source.name}] No Tukios widget, trying generic selectors`);
-      entries = await extractGenericEntries(page);
-      if (entries.length > 0) {
-        detectionMethod = 'generic';
-      } else {
-        // Try JSON-LD
-        entries = await extractJsonLdEntries(page);
-        if (entries.length > 0) {
-          detectionMethod = 'json-ld';
-        }
-      }
-    }
+    const { entries, method: detectionMethod } = await extractListingEntries(page, { selectorTimeoutMs: SELECTOR_TIMEOUT_MS });
 
     logger.info(`[${source.name}] Found ${entries.length} entries (${detectionMethod})`);
 
@@ -789,8 +421,8 @@ async function searchEdgeCaseName(browser, nameSpec) {
   const monthName = now.toLocaleString('en-US', { month: 'long' });
   const year = now.getFullYear();
 
-  // Skip aggregators and social media
-  const SKIP_DOMAINS = /legacy\.com|echovita\.com|dignitymemorial\.com|tributes\.com|obituaries\.com|everhere\.com|facebook\.com|instagram\.com/i;
+  // Skip aggregators and social media (see src/domains/domainList.js)
+  const SKIP_CATEGORIES = ['aggregator', 'social'];
 
   // Try multiple query strategies (first names are easier; last names need inurl to avoid content noise)
   const queries = nameSpec.firstName
@@ -814,7 +446,7 @@ async function searchEdgeCaseName(browser, nameSpec) {
       const results = data.organic || [];
 
       for (const r of results) {
-        if (!r.link || SKIP_DOMAINS.test(r.link)) continue;
+        if (!r.link || domainRegistry.isCategory(r.link, SKIP_CATEGORIES)) continue;
 
         // Must look like an individual obituary page
         if (!/obituar|tribute|memorial/i.test(r.link)) continue;
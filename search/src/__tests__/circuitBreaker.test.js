@@ -0,0 +1,135 @@
+const { CircuitBreaker, circuitBreaker } = require('../providers/CircuitBreaker');
+const { runProviderWithFallback } = require('../index');
+const config = require('../config');
+const { ProviderError } = require('../providers/ProviderError');
+const { googleProvider } = require('../providers/google/GoogleProvider');
+
+describe('CircuitBreaker', () => {
+  let now;
+  const makeBreaker = () => new CircuitBreaker({
+    failureThreshold: 3,
+    coolDownMs: 60000,
+    now: () => now
+  });
+
+  beforeEach(() => {
+    now = 1000000;
+  });
+
+  it('allows calls while closed', () => {
+    const breaker = makeBreaker();
+    expect(breaker.canRequest('serper')).toBe(true);
+    expect(breaker.getState('serper')).toBe('closed');
+  });
+
+  it('opens after consecutive failures reach the threshold', () => {
+    const breaker = makeBreaker();
+    breaker.recordFailure('serper', new Error('500'));
+    breaker.recordFailure('serper', new Error('500'));
+    expect(breaker.canRequest('serper')).toBe(true);
+
+    breaker.recordFailure('serper', new Error('500'));
+    expect(breaker.getState('serper')).toBe('open');
+    expect(breaker.canRequest('serper')).toBe(false);
+  });
+
+  it('opens immediately on a quota error', () => {
+    const breaker = makeBreaker();
+    breaker.recordFailure('serper', new ProviderError('out of credits', { provider: 'serper', status: 429, isQuota: true }));
+    expect(breaker.canRequest('serper')).toBe(false);
+  });
+
+  it('resets the failure count on success', () => {
+    const breaker = makeBreaker();
+    breaker.recordFailure('serper', new Error('500'));
+    breaker.recordFailure('serper', new Error('500'));
+    breaker.recordSuccess('serper');
+    breaker.recordFailure('serper', new Error('500'));
+    expect(breaker.getState('serper')).toBe('closed');
+  });
+
+  it('allows a single trial call after the cool-down', () => {
+    const breaker = makeBreaker();
+    breaker.recordFailure('serper', { isQuota: true });
+
+    now += 60000;
+    expect(breaker.canRequest('serper')).toBe(true);
+    expect(breaker.getState('serper')).toBe('half-open');
+    expect(breaker.canRequest('serper')).toBe(false);
+  });
+
+  it('closes after a successful trial call and re-opens after a failed one', () => {
+    const breaker = makeBreaker();
+    breaker.recordFailure('serper', { isQuota: true });
+    now += 60000;
+    breaker.canRequest('serper');
+    breaker.recordSuccess('serper');
+    expect(breaker.getState('serper')).toBe('closed');
+
+    breaker.recordFailure('serpapi', { isQuota: true });
+    now += 60000;
+    breaker.canRequest('serpapi');
+    breaker.recordFailure('serpapi', new Error('timeout'));
+    expect(breaker.getState('serpapi')).toBe('open');
+    expect(breaker.canRequest('serpapi')).toBe(false);
+  });
+
+  it('tracks providers independently', () => {
+    const breaker = makeBreaker();
+    breaker.recordFailure('serper', { isQuota: true });
+    expect(breaker.canRequest('serper')).toBe(false);
+    expect(breaker.canRequest('serpapi')).toBe(true);
+  });
+});
+
+describe('runProviderWithFallback', () => {
+  const fallback = config.providerFallback;
+  const now = circuitBreaker.now;
+
+  beforeEach(() => {
+    config.providerFallback = [];
+    circuitBreaker.reset();
+  });
+
+  afterEach(() => {
+    config.providerFallback = fallback;
+    circuitBreaker.now = now;
+    circuitBreaker.reset();
+  });
+
+  it('hands back a half-open trial skipped by the call budget', async () => {
+    const results = [{ nameFull: 'John Smith' }];
+    const budgetError = new ProviderError('Call budget of 1 exhausted', { provider: 'fake', isBudget: true });
+    const provider = {
+      type: 'fake',
+      name: 'Fake',
+      search: jest.fn().mockRejectedValueOnce(budgetError).mockResolvedValueOnce(results)
+    };
+
+    circuitBreaker.recordFailure('fake', { isQuota: true });
+    circuitBreaker.now = () => now() + circuitBreaker.coolDownMs;
+
+    const skipped = await runProviderWithFallback(provider, {}, [provider], null);
+    expect(skipped.provider).toBeNull();
+    expect(circuitBreaker.getState('fake')).toBe('open');
+
+    const run = await runProviderWithFallback(provider, {}, [provider], null);
+    expect(run.results).toBe(results);
+    expect(circuitBreaker.getState('fake')).toBe('closed');
+  });
+
+  it('reports Google CSE without keys or sample data as failed, not as an empty search', async () => {
+    const { apiKey, cseId } = config.google;
+    const cacheDir = config.cacheDir;
+    config.google.apiKey = config.google.cseId = '';
+    config.cacheDir = 'no-such-cache-dir';
+    try {
+      const run = await runProviderWithFallback(googleProvider, {}, [googleProvider], null);
+      expect(run.provider).toBeNull();
+      expect(run.failures).toEqual([expect.objectContaining({ provider: 'google' })]);
+    } finally {
+      Object.assign(config.google, { apiKey, cseId });
+      config.cacheDir = cacheDir;
+    }
+  });
+});
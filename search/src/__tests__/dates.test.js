@@ -0,0 +1,168 @@
+const { extractDates, pickMention } = require('../normalize/dates');
+
+const roles = (text, options) => extractDates(text, options).map(m => [m.role, m.date, m.rule]);
+
+describe('extractDates', () => {
+  test('returns every date with its role, span and rule', () => {
+    const text = 'Mary Jones, born June 2, 1940, passed away on Monday, March 3, 2025. Visitation will be held March 8, 2025.';
+    const mentions = extractDates(text);
+
+    expect(mentions.map(m => [m.role, m.date, m.rule])).toEqual([
+      ['birth', '1940-06-02', 'birth-phrase'],
+      ['death', '2025-03-03', 'death-phrase'],
+      ['visitation', '2025-03-08', 'visitation']
+    ]);
+    for (const m of mentions) {
+      expect(text.slice(m.start, m.end)).toBe(m.text);
+    }
+  });
+
+  test('reads both ends of a birth-death range', () => {
+    expect(roles('(March 1, 1950 – December 29, 2025)')).toEqual([
+      ['birth', '1950-03-01', 'range'],
+      ['death', '2025-12-29', 'range']
+    ]);
+    expect(roles('John Smith (1939 - 2025)')).toEqual([
+      ['birth', '1939', 'year-range'],
+      ['death', '2025', 'year-range']
+    ]);
+  });
+
+  test('never reads a range date as a service date', () => {
+    const text = 'Funeral Services for John Smith (March 3, 1940 - May 5, 2025) will be held May 10, 2025.';
+
+    expect(pickMention(extractDates(text), 'funeral').date).toBe('2025-05-10');
+    expect(extractDates(text).filter(m => m.date === '1940-03-03').map(m => m.role)).toEqual(['birth']);
+  });
+
+  test('gives one date several service roles', () => {
+    expect(roles('Visitation and funeral services will be held Saturday, Jan. 4, 2026 at the church.')).toEqual([
+      ['visitation', '2026-01-04', 'visitation'],
+      ['funeral', '2026-01-04', 'funeral-service']
+    ]);
+  });
+
+  test('infers year-less service dates from the death date in the text', () => {
+    expect(roles('John Smith passed away Dec. 29th, 2025. Friends may call Friday, January 2 from 4-7.')).toEqual([
+      ['death', '2025-12-29', 'death-phrase'],
+      ['visitation', '2026-01-02', 'friends-received']
+    ]);
+    expect(roles('Burial will follow on January 5', { dod: '2026-01-02' })).toEqual([
+      ['burial', '2026-01-05', 'burial']
+    ]);
+    expect(roles('Burial will follow on January 5', { dod: null })).toEqual([]);
+  });
+
+  test('keeps keyword dates in their own sentence', () => {
+    expect(roles('Visitation details to follow. Obituary updated March 8, 2025')).toEqual([
+      ['unknown', '2025-03-08', 'standalone-month-day']
+    ]);
+  });
+
+  test('reads publication dates', () => {
+    expect(roles('Published by Dayton Daily News on Mar. 5, 2024.')).toEqual([
+      ['publication', '2024-03-05', 'published']
+    ]);
+  });
+
+  test('drops impossible and future birth/death dates', () => {
+    expect(roles('died February 30, 2024')).toEqual([]);
+    expect(roles('born January 5, 2999')).toEqual([['unknown', '2999-01-05', 'standalone-month-day']]);
+  });
+
+  test('returns nothing for no text', () => {
+    expect(extractDates('')).toEqual([]);
+    expect(extractDates(null)).toEqual([]);
+  });
+});
+
+describe('extractDates relative and weekday dates', () => {
+  // Thursday
+  const referenceDate = '2026-01-08';
+
+  test('resolves death dates against the reference date', () => {
+    expect(roles('John Smith passed away Tuesday at home.', { referenceDate })).toEqual([
+      ['death', '2026-01-06', 'death-phrase']
+    ]);
+    expect(roles('Mary Jones died yesterday.', { referenceDate })).toEqual([['death', '2026-01-07', 'death-phrase']]);
+    expect(roles('He passed away 3 days ago', { referenceDate })).toEqual([['death', '2026-01-05', 'death-phrase']]);
+    expect(roles('She passed away last Thursday', { referenceDate })).toEqual([['death', '2026-01-01', 'death-phrase']]);
+    expect(roles('passed away on December 29.', { referenceDate })).toEqual([['death', '2025-12-29', 'death-phrase']]);
+  });
+
+  test('flags resolved dates as inferred', () => {
+    const [death, visitation] = extractDates('Mary died yesterday. Visitation Friday 4-7 pm.', { referenceDate });
+
+    expect(death).toMatchObject({ role: 'death', text: 'yesterday', inferred: true });
+    expect(visitation).toMatchObject({ role: 'visitation', date: '2026-01-09', text: 'Friday', inferred: true });
+    expect(extractDates('died January 5, 2026', { referenceDate })[0].inferred).toBe(false);
+  });
+
+  test('puts weekday service dates on or after the death date', () => {
+    expect(roles('He passed away on Monday, January 5, 2026. Visitation will be Friday. Funeral services Saturday, Jan. 10.', { referenceDate: '2026-01-20' })).toEqual([
+      ['death', '2026-01-05', 'death-phrase'],
+      ['visitation', '2026-01-09', 'visitation'],
+      ['funeral', '2026-01-10', 'funeral-service']
+    ]);
+  });
+
+  test('reads a weekday leading a date as part of it', () => {
+    expect(extractDates('passed away on Monday, January 5, 2026', { referenceDate })).toHaveLength(1);
+  });
+
+  test('ignores relative dates without a reference date or a role', () => {
+    expect(roles('John Smith passed away Tuesday')).toEqual([]);
+    expect(roles('Obituary for John Smith, updated Tuesday', { referenceDate })).toEqual([]);
+    expect(roles('born Tuesday', { referenceDate })).toEqual([]);
+  });
+});
+
+describe('extractDates in Spanish and French', () => {
+  test('reads Spanish death, birth and service dates', () => {
+    expect(roles('María García, nacida el 3 de marzo de 1940, falleció el lunes 5 de enero de 2026. Velorio el 8 de enero. Misa de cuerpo presente el viernes 9 de enero. Sepelio el 10 de enero.')).toEqual([
+      ['birth', '1940-03-03', 'birth-phrase'],
+      ['death', '2026-01-05', 'death-phrase'],
+      ['visitation', '2026-01-08', 'visitation'],
+      ['funeral', '2026-01-09', 'funeral-service'],
+      ['burial', '2026-01-10', 'burial']
+    ]);
+    expect(roles('murió en 2019')).toEqual([['death', '2019', 'death-phrase-year']]);
+  });
+
+  test('reads French death, birth and service dates', () => {
+    expect(roles('Hélène Tremblay, née le 1er février 1942, décédée le 4 janvier 2026. Les funérailles auront lieu le samedi 17 janvier 2026.')).toEqual([
+      ['birth', '1942-02-01', 'birth-phrase'],
+      ['death', '2026-01-04', 'death-phrase'],
+      ['funeral', '2026-01-17', 'funeral-service']
+    ]);
+  });
+
+  test('reads a death phrase after the date', () => {
+    expect(roles("Au CHUM, le 5 janvier 2026, à l'âge de 84 ans, est décédée Mme Hélène Tremblay.")).toEqual([
+      ['death', '2026-01-05', 'death-phrase-after']
+    ]);
+    expect(roles('El 5 de enero de 2026 falleció en Houston.')).toEqual([['death', '2026-01-05', 'death-phrase-after']]);
+    expect(roles('married June 2, 1960, she passed away in 2020')).toEqual([
+      ['unknown', '1960-06-02', 'standalone-month-day'],
+      ['death', '2020', 'death-phrase-year']
+    ]);
+  });
+
+  test('reads numeric dates day first for es/fr', () => {
+    expect(roles('Q.E.P.D. 05/01/2026', { locale: 'es' })).toEqual([['death', '2026-01-05', 'death-phrase']]);
+    expect(roles('died 05/01/2026', { locale: 'en' })).toEqual([['death', '2026-05-01', 'death-phrase']]);
+  });
+
+  test('resolves Spanish and French relative days', () => {
+    const referenceDate = '2026-01-08';
+    expect(roles('Il est décédé hier.', { referenceDate })).toEqual([['death', '2026-01-07', 'death-phrase']]);
+    expect(roles('Falleció ayer. El velorio será el sábado.', { referenceDate })).toEqual([
+      ['death', '2026-01-07', 'death-phrase'],
+      ['visitation', '2026-01-10', 'visitation']
+    ]);
+  });
+
+  test('does not match phrases inside accented words', () => {
+    expect(roles('Le frère aîné 5 janvier 2026')).toEqual([['unknown', '2026-01-05', 'standalone-day-month']]);
+  });
+});
@@ -0,0 +1,117 @@
+const path = require('path');
+const { parseCsvLine } = require('../utils/csv');
+const { mapColumns, parseRecordDate, toDeathRecord, importDeathIndex } = require('../providers/native/deathIndexImport');
+const { NativeProvider } = require('../providers/native/NativeProvider');
+const { ProviderError } = require('../providers/ProviderError');
+const { normalizeQuery } = require('../index');
+
+const csvFile = path.join(__dirname, 'fixtures', 'death-index.csv');
+
+// In-memory stand-in for DeathRecordStore (same interface, no database)
+function memoryStore() {
+  const records = new Map();
+  return {
+    records,
+    async upsertRecords(list) {
+      for (const r of list) records.set(`${r.source}|${r.recordKey}`, r);
+      return list.length;
+    },
+    async findByName(lastNames, firstNames, { since = null } = {}) {
+      const last = lastNames.map(n => n.toLowerCase());
+      const first = firstNames.map(n => n.toLowerCase());
+      return [...records.values()].filter(r =>
+        last.includes(r.nameLast.toLowerCase()) &&
+        first.includes(r.nameFirst.toLowerCase()) &&
+        (!since || r.dod >= since)
+      );
+    }
+  };
+}
+
+describe('Death index import', () => {
+  it('splits quoted CSV fields', () => {
+    expect(parseCsvLine('a,"b, c","say ""hi""",')).toEqual(['a', 'b, c', 'say "hi"', '']);
+  });
+
+  it('maps common header names', () => {
+    expect(mapColumns(['Last Name', 'FIRST_NAME', 'DOD', 'SSN'])).toEqual({
+      nameLast: 'Last Name',
+      nameFirst: 'FIRST_NAME',
+      dod: 'DOD'
+    });
+  });
+
+  it('parses full record dates only', () => {
+    expect(parseRecordDate('2026-02-18')).toBe('2026-02-18');
+    expect(parseRecordDate('3/3/2026')).toBe('2026-03-03');
+    expect(parseRecordDate('20260301')).toBe('2026-03-01');
+    expect(parseRecordDate('202603')).toBeNull();
+    expect(parseRecordDate('20260200')).toBeNull();
+    expect(parseRecordDate('02/30/2026')).toBeNull();
+  });
+
+  it('imports rows with a name and full date of death', async () => {
+    const store = memoryStore();
+    const summary = await importDeathIndex(csvFile, { source: 'Ohio Death Index', store });
+
+    expect(summary).toEqual({ read: 5, imported: 3, skipped: 1 });
+    expect(store.records.size).toBe(3);
+
+    const james = store.records.get('Ohio Death Index|2026-001');
+    expect(james).toMatchObject({
+      nameFirst: 'James',
+      nameMiddle: 'Robert',
+      nameLast: 'Smith',
+      dob: '1958-06-02',
+      dod: '2026-02-18',
+      city: 'Hamilton',
+      state: 'OH',
+      fingerprint: 'smith-j-hamilton-oh-2026-02-18'
+    });
+    expect(store.records.get("Ohio Death Index|2026-002")).toMatchObject({ nameLast: "O'Neil", dob: '1940-04-11', state: 'OH' });
+    // Quoted field spanning two lines
+    expect(store.records.get('Ohio Death Index|2026-004').nameMiddle).toBe('Ann\nMarie');
+  });
+
+  it('splits a single full-name column', () => {
+    const columns = mapColumns(['Decedent Name', 'Date of Death']);
+    expect(columns).toEqual({ nameFull: 'Decedent Name', dod: 'Date of Death' });
+
+    const record = (name) => toDeathRecord({ 'Decedent Name': name, 'Date of Death': '2026-03-01' }, columns, { source: 'Test' });
+    expect(record('SMITH, JAMES ROBERT')).toMatchObject({ nameFirst: 'James', nameMiddle: 'Robert', nameLast: 'Smith' });
+    expect(record('GARCIA LOPEZ, JOSE')).toMatchObject({ nameFirst: 'Jose', nameLast: 'Garcia Lopez' });
+    expect(record('Maria de la Cruz')).toMatchObject({ nameFirst: 'Maria', nameLast: 'De La Cruz' });
+    expect(record('SMITH')).toBeNull();
+  });
+
+  it('rejects files without the required columns', async () => {
+    const badFile = path.join(__dirname, 'fixtures', 'obituaries.atom');
+    await expect(importDeathIndex(badFile, { source: 'Bad', store: memoryStore() })).rejects.toThrow(/date of death/);
+  });
+});
+
+describe('NativeProvider', () => {
+  it('finds records by last name and first-name variants', async () => {
+    const store = memoryStore();
+    await importDeathIndex(csvFile, { source: 'Ohio Death Index', store });
+    const provider = new NativeProvider({ store });
+
+    const [candidate] = await provider.search(normalizeQuery({ firstName: 'Jim', lastName: 'Smith', state: 'OH' }));
+    expect(candidate.nameFull).toBe('James Robert Smith');
+    expect(candidate.dob).toBe('1958-06-02');
+    expect(candidate.dod).toBe('2026-02-18');
+    expect(candidate.ageYears).toBe(67);
+    expect(candidate.typeProvider).toBe('native');
+    expect(candidate.url).toBeNull();
+    expect(candidate.source).toBe('Ohio Death Index');
+
+    expect(await provider.search(normalizeQuery({ firstName: 'Jim', lastName: 'Smith', since: '2026-03-01' }))).toEqual([]);
+  });
+
+  it('turns store errors into provider errors', async () => {
+    const provider = new NativeProvider({
+      store: { findByName: async () => { throw new Error('connection refused'); } }
+    });
+    await expect(provider.search(normalizeQuery({ firstName: 'A', lastName: 'B' }))).rejects.toBeInstanceOf(ProviderError);
+  });
+});
@@ -1,4 +1,9 @@
-const { generateFingerprint, parseFingerprint, fingerprintsMatch } = require('../dedupe/fingerprint');
+const {
+  generateFingerprint,
+  generateLegacyFingerprint,
+  parseFingerprint,
+  fingerprintsMatch
+} = require('../dedupe/fingerprint');
 const { deduplicateCandidates } = require('../dedupe/dedupe');
 
 describe('Fingerprint Generation', () => {
@@ -62,6 +67,23 @@ describe('Fingerprint Generation', () => {
       });
       expect(fp1).toBe(fp2);  // Should match due to same initial
     });
+
+    it('should fold accents so spellings with and without them match', () => {
+      const accented = { nameLast: 'Peña', nameFirst: 'José', city: 'Lévis', state: 'QC', dod: '2026-01-02' };
+      const plain = { nameLast: 'Pena', nameFirst: 'Jose', city: 'Levis', state: 'QC', dod: '2026-01-02' };
+      expect(generateFingerprint(accented)).toBe('pena-j-levis-qc-2026-01-02');
+      expect(generateFingerprint(plain)).toBe(generateFingerprint(accented));
+      expect(generateFingerprint({ ...plain, nameLast: 'O’Brien' })).toBe(generateFingerprint({ ...plain, nameLast: "O'Brien" }));
+    });
+  });
+
+  describe('generateLegacyFingerprint', () => {
+    it('should drop letters outside ASCII like fingerprints saved before folding', () => {
+      const accented = { nameLast: 'Peña', nameFirst: 'José', city: 'Lévis', state: 'QC', dod: '2026-01-02' };
+      expect(generateLegacyFingerprint(accented)).toBe('pea-j-lvis-qc-2026-01-02');
+      const plain = { nameLast: 'Smith', nameFirst: 'James', city: 'Hamilton', state: 'OH' };
+      expect(generateLegacyFingerprint(plain)).toBe(generateFingerprint(plain));
+    });
   });
 
   describe('fingerprintsMatch', () => {
@@ -152,5 +174,112 @@ describe('Deduplication', () => {
       expect(result[0].score).toBe(90);  // Highest score
       expect(result[0].nameFull).toBe('James William Smith');  // Native data
     });
+
+    it('should record every provider that returned a merged candidate', () => {
+      const candidates = [
+        makeCandidate({ id: '1', typeProvider: 'serper', url: 'https://a.com/1' }),
+        makeCandidate({ id: '2', typeProvider: 'serpapi', url: 'https://b.com/1' }),
+        makeCandidate({ id: '3', typeProvider: 'serper', url: 'https://c.com/1' })
+      ];
+      const result = deduplicateCandidates(candidates);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].providers).toEqual(['serper', 'serpapi']);
+    });
+
+    it('should record the single provider for unmerged candidates', () => {
+      const result = deduplicateCandidates([makeCandidate({ typeProvider: 'google' })]);
+      expect(result[0].providers).toEqual(['google']);
+    });
+
+    it('should attach a death index record to the web result with the same name and dod', () => {
+      const candidates = [
+        makeCandidate({ id: '1', score: 90, typeProvider: 'serper', url: 'https://legacy.com/1', dod: '2024-01-15', dob: null }),
+        makeCandidate({
+          id: '2',
+          typeProvider: 'native',
+          url: null,
+          dob: '1958-06-02',
+          dod: '2024-01-15',
+          city: 'Fairfield',
+          fingerprint: 'smith-j-fairfield-oh-2024-01-15'
+        })
+      ];
+      const result = deduplicateCandidates(candidates);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].providers).toEqual(['serper', 'native']);
+      expect(result[0].dob).toBe('1958-06-02');  // Authoritative record date
+      expect(result[0].url).toBe('https://legacy.com/1');  // Record has no link
+      expect(result[0].alsoFoundAt).toBeUndefined();
+    });
+
+    it('should keep the web result\'s identity and place when a death index record is attached', () => {
+      const candidates = [
+        makeCandidate({ id: 'web', score: 60, typeProvider: 'serper', url: 'https://legacy.com/1', dod: '2024-01-15',
+          provenance: { dod: { confidence: 0.95, pattern: 'death-phrase' } } }),
+        makeCandidate({
+          id: 'record',
+          score: 70,
+          typeProvider: 'native',
+          url: null,
+          dob: '1958-06-02',
+          dod: '2024-01-15',
+          city: 'Fairfield',
+          fingerprint: 'smith-j-fairfield-oh-2024-01-15',
+          provenance: { dob: { confidence: 1, pattern: 'death-index' }, city: { confidence: 1, pattern: 'death-index' } }
+        })
+      ];
+      const [merged] = deduplicateCandidates(candidates);
+
+      expect(merged).toMatchObject({
+        id: 'web',
+        fingerprint: 'smith-j-hamilton-oh-2024-01-15',
+        typeProvider: 'serper',
+        city: 'Hamilton',
+        dob: '1958-06-02',
+        score: 70
+      });
+      expect(merged.provenance.dob.pattern).toBe('death-index');
+      expect(merged.provenance.city).toBeUndefined();
+      expect(merged.alsoFoundAt).toBeUndefined();
+    });
+
+    it('should attach a death index record whose last name is spelled differently but sounds the same', () => {
+      const candidates = [
+        makeCandidate({ typeProvider: 'serper', url: 'https://legacy.com/1', nameLast: 'Schmidt', dod: '2024-01-15',
+          fingerprint: 'schmidt-j-hamilton-oh-2024-01-15' }),
+        makeCandidate({ typeProvider: 'native', url: null, nameLast: 'Schmitt', dod: '2024-01-15',
+          fingerprint: 'schmitt-j-fairfield-oh-2024-01-15' })
+      ];
+      const result = deduplicateCandidates(candidates);
+      expect(result).toHaveLength(1);
+      expect(result[0].providers).toEqual(['serper', 'native']);
+    });
+
+    it('should keep a death index record with a different dod separate', () => {
+      const candidates = [
+        makeCandidate({ typeProvider: 'serper', dod: '2024-01-15' }),
+        makeCandidate({ typeProvider: 'native', url: null, dod: '2024-02-01', fingerprint: 'smith-j-fairfield-oh-2024-02-01' })
+      ];
+      expect(deduplicateCandidates(candidates)).toHaveLength(2);
+    });
+  });
+});
+
+describe('Search key', () => {
+  const { normalizeQuery } = require('../index');
+
+  it('should be the same with and without accents', () => {
+    const accented = normalizeQuery({ firstName: 'José', lastName: 'Peña', city: 'San Antonio', state: 'TX' });
+    const plain = normalizeQuery({ firstName: 'Jose', lastName: 'Pena', city: 'San Antonio', state: 'TX' });
+    expect(accented.keySearch).toBe(plain.keySearch);
+  });
+
+  it('should keep the pre-folding key only when it differs', () => {
+    const accented = normalizeQuery({ firstName: 'José', lastName: 'Peña', state: 'TX' });
+    expect(accented.keySearchLegacy).toMatch(/^[0-9a-f]{16}$/);
+    expect(accented.keySearchLegacy).not.toBe(accented.keySearch);
+    expect(normalizeQuery({ firstName: 'John', lastName: 'Smith' }).keySearchLegacy).toBeNull();
   });
 });
@@ -0,0 +1,42 @@
+const { DomainRegistry, domainRegistry } = require('../domains/DomainRegistry');
+
+describe('DomainRegistry', () => {
+  it('classifies known domains and their subdomains', () => {
+    expect(domainRegistry.getCategory('https://www.legacy.com/us/obituaries/name/x')).toBe('aggregator');
+    expect(domainRegistry.getCategory('https://obits.dispatch.com/obituary/x')).toBe('newspaper');
+    expect(domainRegistry.getCategory('https://m.facebook.com/post/1')).toBe('social');
+    expect(domainRegistry.getCategory('https://www.smithfuneralhome.com/obituaries/x')).toBeNull();
+  });
+
+  it('does not match a domain that only ends with the same letters', () => {
+    expect(domainRegistry.getCategory('https://www.box.com/x')).toBeNull();
+  });
+
+  it('weights by entry, then category, then 1', () => {
+    const registry = new DomainRegistry([
+      { domain: 'a.com', category: 'aggregator' },
+      { domain: 'b.com', category: 'genealogy', weight: 0.95 }
+    ], { categoryWeights: { aggregator: 1.05, genealogy: 0.7 } });
+
+    expect(registry.getWeight('https://a.com/x')).toBe(1.05);
+    expect(registry.getWeight('https://b.com/x')).toBe(0.95);
+    expect(registry.getWeight('https://c.com/x')).toBe(1);
+    expect(registry.getWeight(null)).toBe(1);
+  });
+
+  it('lists trusted domains and rejects unknown categories', () => {
+    const registry = new DomainRegistry([
+      { domain: 'a.com', category: 'aggregator', trusted: true },
+      { domain: 'b.com', category: 'newspaper' }
+    ]);
+    expect(registry.getTrustedDomains()).toEqual(['a.com']);
+    expect(() => registry.add({ domain: 'c.com', category: 'blog' })).toThrow('Unknown domain category');
+  });
+
+  it('treats aggregators and social media as the scrape skip list', () => {
+    const skip = ['aggregator', 'social'];
+    expect(domainRegistry.isCategory('https://www.dignitymemorial.com/obituaries/x', skip)).toBe(true);
+    expect(domainRegistry.isCategory('https://www.instagram.com/p/1', skip)).toBe(true);
+    expect(domainRegistry.isCategory('https://www.smithfuneralhome.com/obituaries/x', skip)).toBe(false);
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFeed } = require('../providers/feed/feedParser');
+const { pollFeeds, toFeedEntry } = require('../providers/feed/feedPoller');
+const { FeedProvider } = require('../providers/feed/FeedProvider');
+const { ProviderError } = require('../providers/ProviderError');
+const { normalizeQuery } = require('../index');
+
+const rssFile = path.join(__dirname, 'fixtures', 'obituaries.rss');
+const atomFile = path.join(__dirname, 'fixtures', 'obituaries.atom');
+
+// In-memory stand-in for FeedStore (same interface, no database)
+function memoryStore() {
+  const entries = new Map();
+  return {
+    entries,
+    async upsertEntries(list) {
+      for (const e of list) entries.set(`${e.feedUrl}|${e.guid}`, e);
+      return list.length;
+    },
+    async findBySurnames(surnames, { state = null, since = null } = {}) {
+      const names = surnames.map(s => s.toLowerCase());
+      return [...entries.values()].filter(e =>
+        names.includes(e.nameLast.toLowerCase()) &&
+        (!state || !e.state || e.state === state) &&
+        (!since || (e.dod || e.publishedAt.split('T')[0]) >= since)
+      );
+    }
+  };
+}
+
+describe('parseFeed', () => {
+  it('reads RSS items, unwrapping CDATA and escaped HTML', () => {
+    const items = parseFeed(fs.readFileSync(rssFile, 'utf-8'));
+
+    expect(items).toHaveLength(3);
+    expect(items[0]).toEqual({
+      guid: 'obit-1001',
+      title: 'Mary Ann Jones',
+      link: 'https://www.newcomerdayton.com/obituaries/mary-jones',
+      summary: 'Mary Ann Jones, 84, passed away on March 3, 2026. Visitation will be held March 8, 2026.',
+      publishedAt: '2026-03-05T14:00:00.000Z'
+    });
+    expect(items[1].title).toBe('Robert "Bob" Smith');
+    expect(items[1].summary).toBe('Robert Smith, 71, of Kettering, OH died March 1, 2026.');
+    // No guid: falls back to the link
+    expect(items[2].guid).toBe('https://www.newcomerdayton.com/obituaries');
+  });
+
+  it('decodes entities once per layer of escaping', () => {
+    const [item] = parseFeed(`<rss><channel><item>
+      <guid>obit-2001</guid>
+      <title>Ann Lee &amp;lt;Smith&amp;gt; &amp;amp; family</title>
+      <description>&lt;p&gt;Ann Lee, 90 &amp;amp; 5 &amp;lt; 6&lt;/p&gt;</description>
+    </item></channel></rss>`);
+
+    expect(item.title).toBe('Ann Lee &lt;Smith&gt; &amp; family');
+    expect(item.summary).toBe('Ann Lee, 90 & 5 < 6');
+  });
+
+  it('reads Atom entries with the alternate link', () => {
+    const [entry] = parseFeed(fs.readFileSync(atomFile, 'utf-8'));
+
+    expect(entry.guid).toBe('tag:journal-news.com,2026:obit-77');
+    expect(entry.link).toBe('https://www.journal-news.com/obituaries/james-smith?id=77&src=rss');
+    expect(entry.publishedAt).toBe('2026-02-20T09:30:00.000Z');
+  });
+});
+
+describe('pollFeeds', () => {
+  const feeds = [
+    { name: 'Newcomer Dayton', url: rssFile, city: 'Dayton', state: 'OH' },
+    { name: 'Journal-News', url: atomFile },
+    { name: 'Missing', url: path.join(__dirname, 'fixtures', 'missing.rss') }
+  ];
+
+  it('stores named entries from local feed files and reports failed feeds', async () => {
+    const store = memoryStore();
+    const summary = await pollFeeds(feeds, { store });
+
+    expect(summary.entries).toBe(3);
+    expect(summary.failed).toEqual([feeds[2].url]);
+
+    const mary = store.entries.get(`${rssFile}|obit-1001`);
+    expect(mary.nameFirst).toBe('Mary Ann');
+    expect(mary.nameLast).toBe('Jones');
+    expect(mary.ageYears).toBe(84);
+    expect(mary.dod).toBe('2026-03-03');
+    expect(mary.dateVisitation).toBe('2026-03-08');
+    // No place in the entry: the feed's location
+    expect(mary.city).toBe('Dayton');
+    expect(mary.fingerprint).toBe('jones-m-dayton-oh-2026-03-03');
+    expect(mary.provenance.dod).toMatchObject({ source: 'snippet', pattern: 'death-phrase' });
+    expect(mary.provenance.city).toMatchObject({ source: 'provider', pattern: 'provider-location' });
+  });
+
+  it('keeps the location named in the entry over the feed default', () => {
+    const [, robert] = parseFeed(fs.readFileSync(rssFile, 'utf-8'));
+    const entry = toFeedEntry(robert, feeds[0]);
+
+    expect(entry.city).toBe('Kettering');
+    expect(entry.dod).toBe('2026-03-01');
+    expect(entry.ageYears).toBe(71);
+  });
+});
+
+describe('FeedProvider', () => {
+  it('returns stored entries matching the query as candidates', async () => {
+    const store = memoryStore();
+    await pollFeeds([{ name: 'Journal-News', url: atomFile }, { name: 'Newcomer Dayton', url: rssFile, state: 'OH' }], { store });
+    const provider = new FeedProvider({ store });
+
+    const candidates = await provider.search(normalizeQuery({ firstName: 'James', lastName: 'Smith', state: 'OH' }));
+    expect(candidates.map(c => c.url).sort()).toEqual([
+      'https://www.journal-news.com/obituaries/james-smith?id=77&src=rss',
+      'https://www.newcomerdayton.com/obituaries/robert-smith'
+    ]);
+    const james = candidates.find(c => c.source === 'Journal-News');
+    expect(james.city).toBe('Hamilton');
+    expect(james.dod).toBe('2026-02-18');
+    expect(james.typeProvider).toBe('feed');
+    expect(james.provenance.dod.confidence).toBeLessThan(1);
+
+    const recent = await provider.search(normalizeQuery({ firstName: 'James', lastName: 'Smith', since: '2026-02-25' }));
+    expect(recent.map(c => c.source)).toEqual(['Newcomer Dayton']);
+  });
+
+  it('turns store errors into provider errors', async () => {
+    const provider = new FeedProvider({
+      store: { findBySurnames: async () => { throw new Error('connection refused'); } }
+    });
+    await expect(provider.search(normalizeQuery({ firstName: 'A', lastName: 'B' }))).rejects.toBeInstanceOf(ProviderError);
+  });
+});
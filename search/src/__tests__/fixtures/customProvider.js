@@ -0,0 +1,12 @@
+// Custom provider module used by providerRegistry.test.js (loaded via PROVIDER_MODULES)
+module.exports = {
+  name: 'Custom Index',
+  type: 'custom',
+  costPerCall: 0.002,
+  async search(query) {
+    return [{ nameFirst: query.nameFirst, nameLast: query.nameLast, typeProvider: 'custom' }];
+  },
+  async healthCheck() {
+    return { ok: true, message: 'ready' };
+  }
+};
@@ -0,0 +1,108 @@
+const { FuneralHomeProvider } = require('../providers/funeralHome/FuneralHomeProvider');
+const { ProviderError } = require('../providers/ProviderError');
+const { createUsage } = require('../providers/providerCall');
+const { normalizeQuery } = require('../index');
+const config = require('../config');
+
+describe('FuneralHomeProvider', () => {
+  const { funeralhome: rate } = config.rateLimit;
+  const { maxSources } = config.funeralHomes;
+
+  // Unthrottled so tests never wait on the shared rate limiter
+  beforeAll(() => {
+    config.rateLimit.funeralhome = 0;
+    config.funeralHomes.maxSources = 3;
+  });
+
+  afterAll(() => {
+    config.rateLimit.funeralhome = rate;
+    config.funeralHomes.maxSources = maxSources;
+  });
+
+  const sources = [
+    { name: 'Hodapp', city: 'Cincinnati', state: 'OH', url: 'https://hodapp.example/obituaries' },
+    { name: 'Newcomer Dayton', city: 'Dayton', state: 'OH', url: 'https://newcomer.example/obituaries' },
+    { name: 'Routsong', city: 'Kettering', state: 'OH', url: 'https://routsong.example/obituaries' },
+    { name: 'Rose-Neath', city: 'Shreveport', state: 'LA', url: 'https://roseneath.example/obituaries' }
+  ];
+
+  const listings = {
+    'https://newcomer.example/obituaries': [
+      {
+        nameRaw: 'Mary Ann Jones',
+        dateText: 'March 3, 2026',
+        snippetText: 'Mary Ann Jones, 84, passed away peacefully surrounded by family.',
+        detailUrl: 'https://newcomer.example/obituaries/mary-jones'
+      },
+      { nameRaw: 'Robert Smith', dateText: 'March 2, 2026', snippetText: null, detailUrl: null }
+    ],
+    'https://hodapp.example/obituaries': [
+      {
+        nameRaw: 'Mary Jones',
+        dateText: 'January 5, 2026',
+        snippetText: 'Mary Jones of Cincinnati, OH died January 5, 2026.',
+        detailUrl: 'https://hodapp.example/obituaries/mary-jones'
+      }
+    ],
+    'https://routsong.example/obituaries': []
+  };
+
+  const makeProvider = (fetchListing) => new FuneralHomeProvider({
+    sources,
+    fetchListing: jest.fn(fetchListing || (async (source) => listings[source.url]))
+  });
+
+  const query = normalizeQuery({ firstName: 'Mary', lastName: 'Jones', city: 'Dayton', state: 'Ohio' });
+
+  it('selects sources in the query state, same city first', () => {
+    const provider = makeProvider();
+    expect(provider.selectSources(query).map(s => s.name)).toEqual(['Newcomer Dayton', 'Hodapp', 'Routsong']);
+    expect(provider.selectSources(normalizeQuery({ firstName: 'A', lastName: 'B', state: 'TX' }))).toEqual([]);
+    expect(provider.selectSources(normalizeQuery({ firstName: 'A', lastName: 'B' }))).toEqual([]);
+  });
+
+  it('returns listing entries matching the surname as candidates', async () => {
+    const provider = makeProvider();
+    const usage = createUsage();
+    const candidates = await provider.search(query, usage);
+
+    expect(candidates).toHaveLength(2);
+    const [dayton, cincinnati] = candidates;
+    expect(dayton.nameFirst).toBe('Mary Ann');
+    expect(dayton.nameLast).toBe('Jones');
+    expect(dayton.ageYears).toBe(84);
+    expect(dayton.dod).toBe('2026-03-03');
+    expect(dayton.city).toBe('Dayton');
+    expect(dayton.state).toBe('OH');
+    expect(dayton.source).toBe('Newcomer Dayton');
+    expect(dayton.typeProvider).toBe('funeralhome');
+    expect(dayton.url).toBe('https://newcomer.example/obituaries/mary-jones');
+    expect(cincinnati.city).toBe('Cincinnati');
+    expect(usage.byProvider.funeralhome.pagesFetched).toBe(3);
+    expect(usage.apiCalls).toBe(0);
+  });
+
+  it('skips deaths before the since date', async () => {
+    const provider = makeProvider();
+    const candidates = await provider.search({ ...query, since: '2026-03-01' });
+    expect(candidates.map(c => c.source)).toEqual(['Newcomer Dayton']);
+  });
+
+  it('caches listings between searches', async () => {
+    const provider = makeProvider();
+    await provider.search(query);
+    await provider.search(query);
+    expect(provider.fetchListing).toHaveBeenCalledTimes(3);
+  });
+
+  it('tolerates a failing listing but fails when all do', async () => {
+    const partial = makeProvider(async (source) => {
+      if (source.name === 'Hodapp') throw new Error('Navigation timeout');
+      return listings[source.url];
+    });
+    expect(await partial.search(query)).toHaveLength(1);
+
+    const broken = makeProvider(async () => { throw new Error('Navigation timeout'); });
+    await expect(broken.search(query)).rejects.toBeInstanceOf(ProviderError);
+  });
+});
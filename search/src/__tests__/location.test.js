@@ -27,6 +27,10 @@ describe('Location Normalization', () => {
     it('should handle extra whitespace', () => {
       expect(normalizeState('  OH  ')).toBe('OH');
     });
+
+    it('should fold accents in state names', () => {
+      expect(normalizeState('Québec')).toBe('QC');
+    });
   });
 
   describe('normalizeCity', () => {
@@ -43,6 +47,12 @@ describe('Location Normalization', () => {
     it('should keep Saint as is', () => {
       expect(normalizeCity('Saint Louis')).toBe('saint louis');
     });
+
+    it('should fold accents', () => {
+      expect(normalizeCity('Montréal')).toBe('montreal');
+      expect(normalizeCity('St. Jérôme')).toBe('saint jerome');
+      expect(normalizeCity('Española')).toBe(normalizeCity('Espanola'));
+    });
   });
 
   describe('citiesMatch', () => {
@@ -5,6 +5,7 @@ const {
   namesMatch,
   firstInitialsMatch
 } = require('../normalize/name');
+const { foldText } = require('../normalize/fold');
 
 describe('Name Normalization', () => {
   describe('normalizeName', () => {
@@ -22,6 +23,32 @@ describe('Name Normalization', () => {
     it('should collapse multiple spaces', () => {
       expect(normalizeName('Mary  Ann')).toBe('mary ann');
     });
+
+    it('should fold accents instead of dropping the letter', () => {
+      expect(normalizeName('José Peña')).toBe('jose pena');
+      expect(normalizeName('Hélène Côté-Gagné')).toBe('helene cote-gagne');
+      expect(normalizeName('O’Brien')).toBe(normalizeName("O'Brien"));
+    });
+  });
+
+  describe('foldText', () => {
+    it('should strip combining marks and keep case', () => {
+      expect(foldText('José Peña Müller')).toBe('Jose Pena Muller');
+    });
+
+    it('should transliterate letters without a decomposition and expand ligatures', () => {
+      expect(foldText('Cœur Ærø Straße Łukasz Ðorđe')).toBe('Coeur AEro Strasse Lukasz Dorde');
+      expect(foldText('ﬁnn')).toBe('finn');
+    });
+
+    it('should unify curly quotes and dashes', () => {
+      expect(foldText('O’Brien “Bud” Smith–Jones')).toBe('O\'Brien "Bud" Smith-Jones');
+    });
+
+    it('should pass empty values through', () => {
+      expect(foldText('')).toBe('');
+      expect(foldText(null)).toBeNull();
+    });
   });
 
   describe('getFirstInitial', () => {
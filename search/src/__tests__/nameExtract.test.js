@@ -128,6 +128,19 @@ describe('Name Extraction', () => {
         expect(result.nameLast).toBe('Smith');
       });
 
+      it('should not leave a dash on the last name when the site name follows', () => {
+        const result = extractNameFromTitle('Mary Ann Jones Obituary - Dayton, OH');
+        expect(result.nameFirst).toBe('Mary Ann');
+        expect(result.nameLast).toBe('Jones');
+      });
+
+      it('should keep particles and suffixes from the name parser', () => {
+        expect(extractNameFromTitle('Maria de la Cruz Obituary')).toMatchObject({ nameFirst: 'Maria', nameLast: 'de la Cruz' });
+        expect(extractNameFromTitle('Robert "Bob" Smith Jr. Obituary')).toMatchObject({
+          nameFirst: 'Robert', nameLast: 'Smith', nameNickname: 'Bob', nameSuffix: 'Jr.'
+        });
+      });
+
       it('should still strip pipe delimiters', () => {
         const result = extractNameFromTitle('John Smith | Obituary | Legacy.com');
         expect(result.nameFirst).toBe('John');
@@ -258,6 +271,23 @@ describe('Name Extraction', () => {
         expect(result.nameFull).toBeNull();
       });
     });
+
+    describe('Spanish and French titles', () => {
+      it('should strip obituario/esquela prefixes and suffixes', () => {
+        expect(extractNameFromTitle('Obituario de José Luis Pérez')).toMatchObject({
+          nameFirst: 'José Luis', nameMiddle: null, nameLast: 'Pérez'
+        });
+        expect(extractNameFromTitle('Juan Pérez Esquela').nameLast).toBe('Pérez');
+        expect(extractNameFromTitle('Sra. María García (Q.E.P.D.)')).toMatchObject({ nameFirst: 'María', nameLast: 'García' });
+      });
+
+      it('should strip avis de décès and nécrologie', () => {
+        expect(extractNameFromTitle('Avis de décès de Hélène Tremblay - Résidence Funéraire')).toMatchObject({
+          nameFirst: 'Hélène', nameLast: 'Tremblay'
+        });
+        expect(extractNameFromTitle('Hélène Tremblay | Nécrologie').nameLast).toBe('Tremblay');
+      });
+    });
   });
 
   describe('extractNameFromSnippet', () => {
@@ -393,7 +423,22 @@ describe('Name Extraction', () => {
     });
   });
 
+  describe('extractNameFromSnippet in Spanish and French', () => {
+    it('should read the name before falleció / est décédée', () => {
+      expect(extractNameFromSnippet('José Luis Pérez falleció el 5 de enero de 2026', {}).nameLast).toBe('Pérez');
+      expect(extractNameFromSnippet('Au CHUM, Hélène Tremblay est décédée le 5 janvier', {})).toMatchObject({
+        nameFirst: 'Hélène', nameLast: 'Tremblay'
+      });
+    });
+  });
+
   describe('isGenericTitle', () => {
+    it('should flag Spanish and French listing pages', () => {
+      expect(isGenericTitle('Avis de décès à Québec')).toBe(true);
+      expect(isGenericTitle('Obituarios recientes')).toBe(true);
+      expect(isGenericTitle('Avis de décès de Hélène Tremblay')).toBe(false);
+    });
+
     it('should identify "Obituaries for..." as generic', () => {
       expect(isGenericTitle('Obituaries for Springfield')).toBe(true);
     });
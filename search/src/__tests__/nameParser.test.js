@@ -0,0 +1,74 @@
+const { parseFullName, surnameParts, surnameKeys } = require('../normalize/nameParser');
+
+describe('Name parser', () => {
+  describe('parseFullName', () => {
+    it('should split first, middle and last name', () => {
+      expect(parseFullName('John Robert Smith')).toMatchObject({
+        nameFull: 'John Robert Smith', nameFirst: 'John', nameMiddle: 'Robert', nameLast: 'Smith'
+      });
+      expect(parseFullName('John Smith A.')).toMatchObject({ nameFirst: 'John', nameMiddle: 'A.', nameLast: 'Smith' });
+    });
+
+    it('should keep surname particles with the last name', () => {
+      expect(parseFullName('Maria de la Cruz')).toMatchObject({ nameFirst: 'Maria', nameMiddle: null, nameLast: 'de la Cruz' });
+      expect(parseFullName('Vincent Van Der Berg')).toMatchObject({ nameFirst: 'Vincent', nameLast: 'Van Der Berg' });
+      expect(parseFullName('Thomas A. St. John')).toMatchObject({ nameMiddle: 'A.', nameLast: 'St. John' });
+    });
+
+    it('should keep hyphenated and Hispanic compound surnames together', () => {
+      expect(parseFullName('Ann Smith-Jones').nameLast).toBe('Smith-Jones');
+      expect(parseFullName('José Luis García López')).toMatchObject({ nameFirst: 'José Luis', nameLast: 'García López' });
+      expect(parseFullName('Rosa Torres y Ramos')).toMatchObject({ nameFirst: 'Rosa', nameLast: 'Torres y Ramos' });
+      expect(parseFullName('Robert Lee Cruz').nameLast).toBe('Cruz');
+    });
+
+    it('should read common double first names', () => {
+      expect(parseFullName('Mary Ann Jones')).toMatchObject({ nameFirst: 'Mary Ann', nameMiddle: null, nameLast: 'Jones' });
+      expect(parseFullName('Mary Ellen O\'Brien Smith')).toMatchObject({
+        nameFirst: 'Mary Ellen', nameMiddle: "O'Brien", nameLast: 'Smith'
+      });
+      expect(parseFullName('Jean Guy').nameFirst).toBe('Jean');
+    });
+
+    it('should read nicknames, maiden names and suffixes', () => {
+      expect(parseFullName('Robert "Bob" Smith Jr.')).toMatchObject({
+        nameFirst: 'Robert', nameLast: 'Smith', nameNickname: 'Bob', nameSuffix: 'Jr.'
+      });
+      expect(parseFullName('William (Bill) Jones')).toMatchObject({ nameNickname: 'Bill', nameMaiden: null });
+      expect(parseFullName('Mary (Smith) Jones')).toMatchObject({ nameFirst: 'Mary', nameLast: 'Jones', nameMaiden: 'Smith' });
+      expect(parseFullName('Helen Jones née Miller')).toMatchObject({ nameLast: 'Jones', nameMaiden: 'Miller' });
+      expect(parseFullName('Robert Lee Smith, Jr.')).toMatchObject({ nameMiddle: 'Lee', nameLast: 'Smith', nameSuffix: 'Jr.' });
+      expect(parseFullName('Henry Ford III').nameSuffix).toBe('III');
+    });
+
+    it('should read "Last, First Middle"', () => {
+      expect(parseFullName('Smith, John A.')).toMatchObject({ nameFirst: 'John', nameMiddle: 'A.', nameLast: 'Smith' });
+      expect(parseFullName('John Smith, Beloved Father').nameFirst).toBe('John');
+    });
+
+    it('should strip honorifics', () => {
+      expect(parseFullName('Mrs. Helen Miller')).toMatchObject({ nameFirst: 'Helen', nameLast: 'Miller' });
+      expect(parseFullName('Mme Hélène Tremblay')).toMatchObject({ nameFirst: 'Hélène', nameLast: 'Tremblay' });
+    });
+
+    it('should leave single words unparsed', () => {
+      expect(parseFullName('Smith')).toMatchObject({ nameFull: 'Smith', nameFirst: null, nameLast: null });
+      expect(parseFullName('')).toMatchObject({ nameFull: null, nameFirst: null });
+    });
+  });
+
+  describe('surnameParts', () => {
+    it('should split compound surnames and drop particles', () => {
+      expect(surnameParts('García-López')).toEqual(['García', 'López']);
+      expect(surnameParts('Torres y Ramos')).toEqual(['Torres', 'Ramos']);
+      expect(surnameParts('de la Cruz')).toEqual(['Cruz']);
+      expect(surnameParts(null)).toEqual([]);
+    });
+  });
+
+  describe('surnameKeys', () => {
+    it('should normalize whole surnames and their parts', () => {
+      expect(surnameKeys(['Smith-Jones', null, 'de la Cruz'])).toEqual(['smith-jones', 'smith', 'jones', 'de la cruz', 'cruz']);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// name_first_variant in an in-memory Postgres
+jest.mock('../db/pool', () => {
+  const { newDb } = require('pg-mem');
+  const db = newDb();
+  const { Pool } = db.adapters.createPg();
+  return { pool: new Pool(), db };
+});
+
+const { pool, db } = require('../db/pool');
+const { NicknameStore } = require('../db/NicknameStore');
+const { NicknameService } = require('../normalize/nicknames');
+
+const migrationsDir = path.join(__dirname, '..', 'db', 'migrations');
+
+function runMigration(file) {
+  db.public.none(fs.readFileSync(path.join(migrationsDir, file), 'utf-8'));
+}
+
+describe('010_nickname_edits migration', () => {
+  beforeAll(() => {
+    // The table as 002 and 003 left it, with rows the old load-name-variants.js copied from the CSV
+    db.public.none(`
+      CREATE TABLE name_first_variant (
+        id            SERIAL PRIMARY KEY,
+        name_formal   VARCHAR(50) NOT NULL,
+        name_variant  VARCHAR(50) NOT NULL,
+        UNIQUE(name_formal, name_variant)
+      );
+      INSERT INTO name_first_variant (name_formal, name_variant) VALUES
+        ('alexander', 'sandy'), ('sandra', 'sandy'), ('abraham', 'abe');
+    `);
+    runMigration('010_nickname_edits.sql');
+    // migrate.js reruns every file
+    runMigration('010_nickname_edits.sql');
+  });
+
+  afterAll(() => pool.end());
+
+  it('keeps the copied CSV rows, marked as dataset rows', () => {
+    const rows = db.public.many("SELECT name_formal, direction, source FROM name_first_variant ORDER BY id");
+    expect(rows).toEqual([
+      { name_formal: 'alexander', direction: 'to-formal', source: 'dataset' },
+      { name_formal: 'sandra', direction: 'to-formal', source: 'dataset' },
+      { name_formal: 'abraham', direction: 'to-formal', source: 'dataset' }
+    ]);
+  });
+
+  it('does not load the copied rows as edits over the dataset and curated genders', async () => {
+    const store = new NicknameStore();
+    expect(await store.list()).toEqual([]);
+
+    const service = new NicknameService({ store });
+    await service.load();
+    expect(service.getVariants('Sandy', { gender: 'F' })).not.toContain('alexander');
+    expect(service.isVariant('Abraham', 'Abe')).toBe(false);
+  });
+
+  it('turns a copied row into an edit once an admin saves it', async () => {
+    const store = new NicknameStore();
+    await store.save({ formal: 'abraham', nickname: 'abe', direction: 'both' });
+
+    expect(await store.list()).toEqual([expect.objectContaining({ formal: 'abraham', nickname: 'abe', direction: 'both' })]);
+  });
+});
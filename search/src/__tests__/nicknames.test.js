@@ -0,0 +1,71 @@
+const path = require('path');
+const { NicknameService, nicknameService, areNicknameVariants } = require('../normalize/nicknames');
+
+const fixture = path.join(__dirname, 'fixtures', 'nicknames.csv');
+
+describe('Nickname service', () => {
+  it('links curated group members both ways', () => {
+    expect(nicknameService.getVariants('Jim')).toEqual(expect.arrayContaining(['jim', 'james', 'jimmy', 'jamie']));
+    expect(nicknameService.isVariant('James', 'Jim')).toBe(true);
+    expect(nicknameService.isVariant('Jim', 'James')).toBe(true);
+    expect(nicknameService.isVariant('Jim', 'Jim')).toBe(false);
+  });
+
+  it('keeps one-way nicknames one way', () => {
+    expect(nicknameService.isVariant('Liam', 'William')).toBe(true);
+    expect(nicknameService.isVariant('William', 'Liam')).toBe(false);
+    expect(areNicknameVariants('William', 'Liam')).toBe(true);
+  });
+
+  it('reads the bundled dataset, nickname to formal name', () => {
+    expect(nicknameService.isVariant('Abe', 'Abraham')).toBe(true);
+    expect(nicknameService.isVariant('Abraham', 'Abe')).toBe(false);
+  });
+
+  it('skips the other gender\'s variants', () => {
+    expect(nicknameService.getVariants('Sandy')).toEqual(expect.arrayContaining(['sandra', 'alexander']));
+    expect(nicknameService.getVariants('Sandy', { gender: 'female' })).not.toContain('alexander');
+    expect(nicknameService.getVariants('Sandy', { gender: 'M' })).not.toContain('sandra');
+  });
+
+  it('reads direction and gender columns from a CSV file', () => {
+    const service = new NicknameService({ datasetFile: fixture });
+    expect(service.isVariant('Zach', 'Zachariah')).toBe(true);
+    expect(service.isVariant('Zachariah', 'Zach')).toBe(false);
+    expect(service.isVariant('Zachary', 'Zach')).toBe(true);
+    expect(service.getVariants('Abby', { gender: 'M' })).toEqual(['abby']);
+  });
+
+  it('saves and removes entries through the store and reloads them', async () => {
+    const rows = [];
+    const store = {
+      list: async () => rows,
+      save: async (edit) => { rows.push(edit); return edit; }
+    };
+    const service = new NicknameService({ datasetFile: null, store });
+
+    await service.save({ formal: 'William', nickname: 'Liam', direction: 'both' });
+    expect(service.isVariant('William', 'Liam')).toBe(true);
+    await service.remove('james', 'jim');
+    expect(service.isVariant('James', 'Jim')).toBe(false);
+    expect(service.isVariant('James', 'Jimmy')).toBe(true);
+
+    const restarted = new NicknameService({ datasetFile: null, store });
+    await restarted.load();
+    expect(restarted.isVariant('William', 'Liam')).toBe(true);
+    expect(restarted.isVariant('James', 'Jim')).toBe(false);
+  });
+
+  it('keeps the file dictionary when the store is unavailable', async () => {
+    const service = new NicknameService({
+      datasetFile: null,
+      store: { list: async () => { throw new Error('connection refused'); } }
+    });
+    await service.load();
+    expect(service.isVariant('Bob', 'Robert')).toBe(true);
+  });
+
+  it('rejects an entry without two different names', () => {
+    expect(() => nicknameService.set({ formal: 'Ann', nickname: 'ann' })).toThrow();
+  });
+});
@@ -0,0 +1,57 @@
+const { parseOrganicResult, extractLocation } = require('../providers/organicResult');
+const { googleProvider } = require('../providers/google/GoogleProvider');
+const { serperProvider } = require('../providers/serper/SerperProvider');
+
+describe('parseOrganicResult', () => {
+  const query = { nameFirst: 'Mary', nameLast: 'Jones' };
+
+  const result = {
+    title: 'Mary Ann Jones Obituary (1940 - 2024) - Dayton, OH',
+    snippet: 'Mary Ann Jones, 84, of Dayton, OH passed away on March 3, 2024. Born in Lima, Ohio. Visitation will be held March 8, 2024.',
+    link: 'https://www.legacy.com/us/obituaries/name/mary-jones-obituary?id=1'
+  };
+
+  it('extracts name, dates and places with the shared extractors', () => {
+    const candidate = parseOrganicResult(result, query, { source: 'Test', typeProvider: 'test' });
+
+    expect(candidate.nameFirst).toBe('Mary Ann');
+    expect(candidate.nameLast).toBe('Jones');
+    expect(candidate.ageYears).toBe(84);
+    expect(candidate.dod).toBe('2024-03-03');
+    expect(candidate.city).toBe('Dayton');
+    expect(candidate.state).toBe('OH');
+    expect(candidate.source).toBe('Test');
+    expect(candidate.typeProvider).toBe('test');
+    expect(candidate.fingerprint).toBeTruthy();
+    expect(candidate.relatives).toBeNull();
+  });
+
+  it('extracts relatives from the snippet', () => {
+    const candidate = parseOrganicResult({
+      ...result,
+      snippet: 'Mary Ann Jones, 84, of Dayton, OH passed away March 3, 2024. She is survived by her husband, Tom; daughters Sue and Beth...'
+    }, query, { source: 'Test', typeProvider: 'test' });
+
+    expect(candidate.relatives).toMatchObject({ spouse: ['Tom'], children: ['Sue', 'Beth'] });
+    expect(candidate.provenance.relatives).toMatchObject({ pattern: 'survived-by', source: 'snippet' });
+  });
+
+  it('gives Google CSE and Serper candidates the same fields', () => {
+    const { id: googleId, source: googleSource, typeProvider: googleType, ...google } =
+      googleProvider._parseResults([result], query)[0];
+    const { id: serperId, source: serperSource, typeProvider: serperType, ...serper } =
+      serperProvider._parseResults([result], query)[0];
+
+    expect(googleType).toBe('google');
+    expect(serperType).toBe('serper');
+    expect(google).toEqual(serper);
+  });
+});
+
+describe('extractLocation', () => {
+  it('reads "City, ST" and "City, State"', () => {
+    expect(extractLocation('of Hamilton, OH')).toEqual({ city: 'Hamilton', state: 'OH' });
+    expect(extractLocation('of St. Marys, Ohio')).toEqual({ city: 'St. Marys', state: 'OH' });
+    expect(extractLocation('no place here')).toEqual({});
+  });
+});
@@ -0,0 +1,79 @@
+const { getPageDepth, collectPages } = require('../providers/pagination');
+const { searchMetrics } = require('../index');
+const { createUsage } = require('../providers/providerCall');
+const config = require('../config');
+
+describe('Result paging', () => {
+  const query = {
+    nameFirst: 'James',
+    nameLast: 'Smith',
+    city: 'Hamilton',
+    state: 'OH',
+    age: 71
+  };
+
+  const weakCandidate = { nameFirst: 'James', nameLast: 'Smyth', city: 'Dayton', state: 'KY' };
+  const strongCandidate = { nameFirst: 'James', nameLast: 'Smith', city: 'Hamilton', state: 'OH', ageYears: 71 };
+
+  const provider = { name: 'Test', type: 'test' };
+
+  const fullPage = (candidate) => ({
+    candidates: [candidate],
+    resultCnt: config.paging.resultsPerPage
+  });
+
+  beforeEach(() => {
+    searchMetrics.reset();
+  });
+
+  describe('getPageDepth', () => {
+    it('uses the config default when the query has no depth', () => {
+      expect(getPageDepth(query)).toBe(config.paging.maxPages);
+    });
+
+    it('uses the per-query depth, capped at the limit', () => {
+      expect(getPageDepth({ ...query, maxPages: 3 })).toBe(3);
+      expect(getPageDepth({ ...query, maxPages: 99 })).toBe(config.paging.maxPagesLimit);
+    });
+  });
+
+  describe('collectPages', () => {
+    it('fetches up to the page depth and counts each page', async () => {
+      const fetchPage = jest.fn(async () => fullPage(weakCandidate));
+      const usage = createUsage();
+      const candidates = await collectPages({ ...query, maxPages: 3 }, provider, fetchPage, usage);
+
+      expect(fetchPage).toHaveBeenCalledTimes(3);
+      expect(fetchPage).toHaveBeenLastCalledWith(3);
+      expect(candidates).toHaveLength(3);
+      expect(searchMetrics.pagesFetched).toBe(3);
+      expect(usage.byProvider.test.pagesFetched).toBe(3);
+    });
+
+    it('stops early once a high-scoring candidate is found', async () => {
+      const fetchPage = jest.fn(async () => fullPage(strongCandidate));
+      await collectPages({ ...query, maxPages: 3 }, provider, fetchPage);
+      expect(fetchPage).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops when a page comes back short', async () => {
+      const fetchPage = jest.fn(async () => ({ candidates: [weakCandidate], resultCnt: 4 }));
+      await collectPages({ ...query, maxPages: 3 }, provider, fetchPage);
+      expect(fetchPage).toHaveBeenCalledTimes(1);
+    });
+
+    it('throws when the first page fails', async () => {
+      const fetchPage = jest.fn(async () => { throw new Error('500'); });
+      await expect(collectPages({ ...query, maxPages: 3 }, provider, fetchPage)).rejects.toThrow('500');
+    });
+
+    it('keeps earlier pages when a later page fails', async () => {
+      const fetchPage = jest.fn(async (page) => {
+        if (page === 2) throw new Error('timeout');
+        return fullPage(weakCandidate);
+      });
+      const candidates = await collectPages({ ...query, maxPages: 3 }, provider, fetchPage);
+      expect(candidates).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { doubleMetaphone, phoneticKeys, phoneticSimilarity } = require('../normalize/phonetic');
+
+describe('Phonetic encoding', () => {
+  describe('doubleMetaphone', () => {
+    it('should encode primary and alternate codes', () => {
+      expect(doubleMetaphone('Smith')).toEqual(['SM0', 'XMT']);
+      expect(doubleMetaphone('Schmidt')).toEqual(['XMT', 'SMT']);
+      expect(doubleMetaphone('Katherine')).toEqual(['K0RN', 'KTRN']);
+      expect(doubleMetaphone('Xavier')).toEqual(['SF', 'SFR']);
+    });
+
+    it('should give spellings of the same sound the same code', () => {
+      expect(doubleMetaphone('Meyer')).toEqual(doubleMetaphone('Maier'));
+      expect(doubleMetaphone('Knight')).toEqual(doubleMetaphone('Night'));
+      expect(doubleMetaphone('Phillips')).toEqual(doubleMetaphone('Filips'));
+      expect(doubleMetaphone('Gonzales')).toEqual(doubleMetaphone('Gonzalez'));
+    });
+
+    it('should fold accents and ignore punctuation', () => {
+      expect(doubleMetaphone('Peña')).toEqual(doubleMetaphone('Pena'));
+      expect(doubleMetaphone("O'Brien")).toEqual(doubleMetaphone('OBrien'));
+    });
+
+    it('should cut codes to four characters and handle empty input', () => {
+      expect(doubleMetaphone('Villanueva-Rodriguez')[0]).toHaveLength(4);
+      expect(doubleMetaphone('')).toEqual(['', '']);
+      expect(doubleMetaphone(null)).toEqual(['', '']);
+    });
+  });
+
+  describe('phoneticKeys', () => {
+    it('should collect the codes of each surname', () => {
+      expect(phoneticKeys('Smith')).toEqual(['SM0', 'XMT']);
+      expect(phoneticKeys('García-López')).toEqual(['KRS', 'KRX', 'LPS']);
+      expect(phoneticKeys('de la Cruz')).toEqual(['KRS']);
+      expect(phoneticKeys(null)).toEqual([]);
+    });
+  });
+
+  describe('phoneticSimilarity', () => {
+    it('should rate primary, alternate and no agreement', () => {
+      expect(phoneticSimilarity('Meyer', 'Maier')).toBe(1);
+      expect(phoneticSimilarity('Smith', 'Schmidt')).toBe(0.75);
+      expect(phoneticSimilarity('Bates', 'Gates')).toBe(0);
+      expect(phoneticSimilarity('', 'Smith')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const { parseOrganicResult } = require('../providers/organicResult');
+const { extractDodDetail } = require('../normalize/dod');
+const { fieldProvenance, getConfidence } = require('../normalize/provenance');
+const { NativeProvider } = require('../providers/native/NativeProvider');
+const { formatCandidate } = require('../scoring/explain');
+const config = require('../config');
+
+describe('parseOrganicResult provenance', () => {
+  const query = { nameFirst: 'Mary', nameLast: 'Jones' };
+  const result = {
+    title: 'Mary Ann Jones Obituary (1940 - 2024) - Dayton, OH',
+    snippet: 'Mary Ann Jones, age 84, passed away on March 3, 2024. Born in Lima, Ohio. Visitation will be held March 8, 2024.',
+    link: 'https://www.legacy.com/us/obituaries/name/mary-jones-obituary?id=1'
+  };
+
+  it('records source, pattern, span and confidence for each extracted field', () => {
+    const { provenance } = parseOrganicResult(result, query, { source: 'Test', typeProvider: 'test' });
+
+    expect(provenance.dod).toEqual({
+      confidence: 0.95,
+      source: 'snippet',
+      pattern: 'death-phrase',
+      span: [39, 52],
+      text: 'March 3, 2024',
+      inferred: false,
+      anchor: null
+    });
+    expect(provenance.ageYears).toMatchObject({ source: 'snippet', pattern: 'age-word', text: 'age 84' });
+    expect(provenance.dateVisitation).toMatchObject({ pattern: 'visitation', text: 'March 8, 2024' });
+    expect(provenance.pobCity).toMatchObject({ pattern: 'born-in', text: 'Born in Lima, Ohio' });
+    expect(provenance.nameLast).toMatchObject({ source: 'title', pattern: 'name-title', span: [9, 14] });
+  });
+
+  it('resolves relative dates against the publication date and flags them inferred', () => {
+    const candidate = parseOrganicResult({
+      title: 'Robert Lee Obituary - Hamilton, OH',
+      snippet: 'Robert Lee, 71, of Hamilton passed away Tuesday. Visitation will be Friday from 4-7 pm.',
+      link: 'https://example.com/robert-lee',
+      date: 'Jan 8, 2026'
+    }, query, { source: 'Test', typeProvider: 'test' });
+
+    expect(candidate.datePublished).toBe('2026-01-08');
+    expect(candidate.dod).toBe('2026-01-06');
+    expect(candidate.dateVisitation).toBe('2026-01-09');
+    expect(candidate.provenance.dod).toMatchObject({ pattern: 'death-phrase', text: 'Tuesday', inferred: true, confidence: 0.76 });
+    expect(candidate.provenance.dateVisitation.inferred).toBe(true);
+  });
+
+  it('keeps a weekday resolved against the run date below the recent-DOD threshold', () => {
+    const candidate = parseOrganicResult({
+      title: 'Robert Lee Obituary - Hamilton, OH',
+      snippet: 'Robert Lee, 71, of Hamilton passed away Tuesday. Visitation will be Friday from 4-7 pm.',
+      link: 'https://example.com/robert-lee'
+    }, query, { source: 'Test', typeProvider: 'test' });
+
+    expect(candidate.datePublished).toBeNull();
+    expect(candidate.provenance.dod).toMatchObject({ pattern: 'death-phrase', inferred: true, anchor: 'run-date' });
+    expect(candidate.provenance.dod.confidence).toBeLessThan(config.scoring.minRecentDodConfidence);
+    expect(candidate.provenance.dateVisitation.anchor).toBe('run-date');
+  });
+
+  it('points location spans into the text they came from', () => {
+    const candidate = parseOrganicResult(result, query, { source: 'Test', typeProvider: 'test' });
+    const { source, span } = candidate.provenance.city;
+
+    expect(source).toBe('title');
+    expect(result.title.slice(span[0], span[1])).toBe('Dayton, OH');
+  });
+
+  it('marks a DOD taken from a service date', () => {
+    const candidate = parseOrganicResult({
+      title: 'Robert Lee - Hamilton, OH',
+      snippet: 'Funeral service will be held January 4, 2026.',
+      link: 'https://example.com/robert-lee'
+    }, query, { source: 'Test', typeProvider: 'test' });
+
+    expect(candidate.dod).toBe('2026-01-04');
+    expect(candidate.provenance.dod.pattern).toBe('service-date');
+    expect(candidate.provenance.dateFuneral.pattern).toBe('funeral-service');
+  });
+});
+
+describe('extractDodDetail', () => {
+  it('tells an explicit death date from a last-resort guess', () => {
+    const explicit = extractDodDetail('She passed away on March 3, 2025');
+    const guess = extractDodDetail('Jane Doe. Photos from March 3, 2025');
+
+    expect(explicit.rule).toBe('death-phrase');
+    expect(guess).toMatchObject({ date: '2025-03-03', rule: 'last-resort' });
+    expect(fieldProvenance('snippet', guess).confidence).toBeLessThan(fieldProvenance('snippet', explicit).confidence);
+  });
+});
+
+describe('getConfidence', () => {
+  it('gives fields without provenance no more confidence than a snippet read', () => {
+    expect(getConfidence({ dod: '2025-03-03' }, 'dod')).toBe(0.7);
+    expect(getConfidence({ provenance: { dod: { confidence: 0.25 } } }, 'dod')).toBe(0.25);
+  });
+});
+
+describe('provider provenance', () => {
+  it('marks death index fields as read from the record', () => {
+    const candidate = new NativeProvider({ store: {} })._toCandidate({
+      source: 'ohio-2024', recordKey: '1', nameFirst: 'Mary', nameLast: 'Jones',
+      dob: '1940-01-01', dod: '2024-03-03', city: null, state: 'OH', fingerprint: 'fp'
+    });
+
+    expect(candidate.provenance.dod).toMatchObject({ confidence: 1, source: 'record', pattern: 'death-index' });
+    expect(candidate.provenance.ageYears).toBeDefined();
+    expect(candidate.provenance.city).toBeUndefined();
+  });
+});
+
+describe('formatCandidate', () => {
+  it('shows how each field was extracted', () => {
+    const text = formatCandidate({
+      nameFull: 'Mary Jones',
+      dod: '2024-03-03',
+      source: 'Test',
+      url: 'https://example.com',
+      provenance: { dod: { confidence: 0.25, source: 'snippet', pattern: 'last-resort' } }
+    }, 0);
+
+    expect(text).toContain('Date of Death: 2024-03-03 (last-resort in snippet, 25%)');
+  });
+
+  it('says when a date was inferred', () => {
+    const text = formatCandidate({
+      nameFull: 'Robert Lee',
+      dod: '2026-01-06',
+      source: 'Test',
+      url: 'https://example.com',
+      provenance: { dod: { confidence: 0.76, source: 'snippet', pattern: 'death-phrase', text: 'Tuesday', inferred: true } }
+    }, 0);
+
+    expect(text).toContain('Date of Death: 2026-01-06 (death-phrase in snippet, inferred from "Tuesday", 76%)');
+  });
+});
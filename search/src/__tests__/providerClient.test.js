@@ -0,0 +1,124 @@
+const { ProviderClient } = require('../providers/ProviderClient');
+const { ProviderError, parseRetryAfter } = require('../providers/ProviderError');
+const { createUsage } = require('../providers/providerCall');
+const config = require('../config');
+
+describe('ProviderClient', () => {
+  // Unthrottled provider so tests never wait on the shared rate limiter
+  beforeAll(() => {
+    config.rateLimit.test = 0;
+  });
+
+  afterAll(() => {
+    delete config.rateLimit.test;
+  });
+
+  const jsonResponse = (status, body = {}, headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  });
+
+  const makeClient = (responses, options = {}) => {
+    const waits = [];
+    const fetch = jest.fn(async () => {
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    });
+    const client = new ProviderClient({
+      maxAttempts: 3,
+      baseDelayMs: 100,
+      maxDelayMs: 1000,
+      timeoutMs: 1000,
+      fetch,
+      sleep: async (ms) => { waits.push(ms); },
+      random: () => 1,
+      ...options
+    });
+    return { client, fetch, waits };
+  };
+
+  it('returns the JSON body of a successful call', async () => {
+    const { client, fetch } = makeClient([jsonResponse(200, { organic: [1] })]);
+    const data = await client.fetchJson('test', null, 'Test API', 'https://example.test');
+    expect(data).toEqual({ organic: [1] });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries 5xx responses with exponential backoff and counts each attempt', async () => {
+    const { client, waits } = makeClient([
+      jsonResponse(503),
+      jsonResponse(502),
+      jsonResponse(200, { ok: true })
+    ]);
+    const usage = createUsage();
+
+    await expect(client.fetchJson('test', usage, 'Test API', 'https://example.test')).resolves.toEqual({ ok: true });
+    expect(waits).toEqual([100, 200]);
+    expect(usage.apiCalls).toBe(3);
+    expect(usage.retries).toBe(2);
+  });
+
+  it('throws the last error once attempts are used up', async () => {
+    const { client, fetch } = makeClient([jsonResponse(500), jsonResponse(500), jsonResponse(500)]);
+    await expect(client.fetchJson('test', null, 'Test API', 'https://example.test')).rejects.toThrow('Test API error: 500');
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry client errors or exhausted accounts', async () => {
+    const { client, fetch } = makeClient([jsonResponse(429, { message: 'Not enough credits' })]);
+    const err = await client.fetchJson('test', null, 'Test API', 'https://example.test').catch(e => e);
+    expect(err.isQuota).toBe(true);
+    expect(err.isRetryable).toBe(false);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    const { client: client2, fetch: fetch2 } = makeClient([jsonResponse(400)]);
+    await expect(client2.fetchJson('test', null, 'Test API', 'https://example.test')).rejects.toThrow('400');
+    expect(fetch2).toHaveBeenCalledTimes(1);
+  });
+
+  it('waits for Retry-After instead of the backoff', async () => {
+    const { client, waits } = makeClient([
+      jsonResponse(429, {}, { 'retry-after': '0' }),
+      jsonResponse(200, {})
+    ]);
+    await client.fetchJson('test', null, 'Test API', 'https://example.test');
+    expect(waits).toEqual([0]);
+  });
+
+  it('gives up when Retry-After is longer than the max delay', async () => {
+    const { client, fetch } = makeClient([jsonResponse(503, {}, { 'retry-after': '120' })]);
+    await expect(client.fetchJson('test', null, 'Test API', 'https://example.test')).rejects.toThrow('503');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries network errors', async () => {
+    const { client } = makeClient([new TypeError('fetch failed'), jsonResponse(200, { ok: true })]);
+    await expect(client.fetchJson('test', null, 'Test API', 'https://example.test')).resolves.toEqual({ ok: true });
+  });
+
+  it('aborts a hung request after the timeout', async () => {
+    const hang = (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+    const client = new ProviderClient({ maxAttempts: 1, timeoutMs: 20, fetch: hang });
+
+    const err = await client.fetchJson('test', null, 'Test API', 'https://example.test').catch(e => e);
+    expect(err).toBeInstanceOf(ProviderError);
+    expect(err.isTimeout).toBe(true);
+    expect(err.message).toBe('Test API timed out after 20ms');
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('parses seconds and HTTP dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(parseRetryAfter('30', now)).toBe(30000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter(null, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+});
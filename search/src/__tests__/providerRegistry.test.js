@@ -0,0 +1,86 @@
+const path = require('path');
+const { ProviderRegistry, providerRegistry } = require('../providers/ProviderRegistry');
+const { getProviders } = require('../index');
+const config = require('../config');
+
+describe('ProviderRegistry', () => {
+  const makeProvider = (type, extra = {}) => ({
+    name: `Provider ${type}`,
+    type,
+    search: async () => [],
+    ...extra
+  });
+
+  it('validates the provider interface', () => {
+    const registry = new ProviderRegistry();
+    expect(() => registry.register({ name: 'No type', search: async () => [] })).toThrow(/type/);
+    expect(() => registry.register({ type: 'x', name: 'X' })).toThrow(/search/);
+    expect(() => registry.register(makeProvider('x', { healthCheck: 'yes' }))).toThrow(/healthCheck/);
+  });
+
+  it('resolves types in order, skipping unknown, unavailable and repeated providers', () => {
+    const registry = new ProviderRegistry();
+    registry.register(makeProvider('a'));
+    registry.register(makeProvider('b', { unavailableReason: () => 'B_API_KEY not set' }));
+    registry.register(makeProvider('c'));
+
+    expect(registry.resolveAll(['c', 'missing', 'b', 'a', 'c']).map(p => p.type)).toEqual(['c', 'a']);
+  });
+
+  it('takes call cost from config, then the provider, then 0', () => {
+    const registry = new ProviderRegistry();
+    registry.register(makeProvider('priced', { costPerCall: 0.01 }));
+    registry.register(makeProvider('free'));
+
+    expect(registry.getCallCost('priced')).toBe(0.01);
+    expect(registry.getCallCost('free')).toBe(0);
+    expect(registry.getCallCost('serper')).toBe(config.providerCost.serper);
+  });
+
+  it('reports health from healthCheck or availability', async () => {
+    const registry = new ProviderRegistry();
+    registry.register(makeProvider('ok', { healthCheck: async () => ({ ok: true, message: '12 records' }) }));
+    registry.register(makeProvider('down', { healthCheck: async () => { throw new Error('connection refused'); } }));
+    registry.register(makeProvider('off', { unavailableReason: () => 'not enabled' }));
+    registry.register(makeProvider('plain'));
+
+    expect(await registry.checkHealth()).toEqual([
+      { type: 'ok', name: 'Provider ok', ok: true, message: '12 records' },
+      { type: 'down', name: 'Provider down', ok: false, message: 'connection refused' },
+      { type: 'off', name: 'Provider off', ok: false, message: 'not enabled' },
+      { type: 'plain', name: 'Provider plain', ok: true, message: null }
+    ]);
+  });
+
+  it('registers the built-in providers', () => {
+    expect(providerRegistry.list().map(p => p.type)).toEqual(
+      expect.arrayContaining(['serper', 'serpapi', 'google', 'funeralhome', 'feed', 'native'])
+    );
+  });
+
+  describe('custom provider modules', () => {
+    const { searchProviders } = config;
+
+    afterEach(() => {
+      config.searchProviders = searchProviders;
+      providerRegistry.providers.delete('custom');
+    });
+
+    it('loads a module and selects it from config', () => {
+      providerRegistry.loadModule(path.join(__dirname, 'fixtures', 'customProvider.js'));
+      config.searchProviders = ['custom', 'google'];
+
+      expect(getProviders().map(p => p.type)).toEqual(['custom', 'google']);
+      expect(providerRegistry.getCallCost('custom')).toBe(0.002);
+    });
+
+    it('loads a module exporting a registration function', () => {
+      const registry = new ProviderRegistry();
+      const modulePath = path.join(__dirname, 'fixtures', 'registerProviders.js');
+      jest.doMock(modulePath, () => (reg) => reg.register(makeProvider('custom')), { virtual: true });
+
+      registry.loadModule(modulePath);
+      expect(registry.get('custom').name).toBe('Provider custom');
+    });
+  });
+});
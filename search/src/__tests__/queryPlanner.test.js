@@ -0,0 +1,131 @@
+const { planQueries, planSitePass, getVariantBudget, runQueryPlan } = require('../providers/queryPlanner');
+const config = require('../config');
+
+describe('Query Planner', () => {
+  const makeQuery = (overrides = {}) => ({
+    nameFirst: 'James',
+    nameLast: 'Smith',
+    city: 'Hamilton',
+    state: 'OH',
+    ...overrides
+  });
+
+  const ids = (variants) => variants.map(v => v.id);
+
+  describe('planQueries', () => {
+    it('builds the full query first with the state name', () => {
+      const [full] = planQueries(makeQuery());
+      expect(full).toEqual({ id: 'full', q: 'James Smith obituary Hamilton Ohio' });
+    });
+
+    it('uses OR clauses for nickname and maiden name', () => {
+      const [full] = planQueries(makeQuery({ nameNickname: 'Jim', nameMaiden: 'Jones' }));
+      expect(full.q).toBe('(James OR Jim) (Smith OR Jones) obituary Hamilton Ohio');
+    });
+
+    it('adds a variant without the city', () => {
+      const variants = planQueries(makeQuery());
+      expect(variants.find(v => v.id === 'noCity').q).toBe('James Smith obituary Ohio');
+    });
+
+    it('skips the no-city variant when there is no city', () => {
+      expect(ids(planQueries(makeQuery({ city: undefined })))).toEqual(['full', 'nicknames']);
+    });
+
+    it('adds a variant with the first name\'s nicknames', () => {
+      const variants = planQueries(makeQuery({ nameFirst: 'William' }));
+      expect(variants.find(v => v.id === 'nicknames').q).toBe('(William OR Bill OR Billy OR Will) Smith obituary Hamilton Ohio');
+
+      const withNickname = planQueries(makeQuery({ nameNickname: 'Jim' }));
+      expect(withNickname.find(v => v.id === 'nicknames').q).toBe('(James OR Jim OR Jimmy OR Jamie OR Jamey) Smith obituary Hamilton Ohio');
+    });
+
+    it('leaves out one-way and other-gender nicknames', () => {
+      expect(planQueries(makeQuery({ nameFirst: 'William' })).find(v => v.id === 'nicknames').q).not.toMatch(/Liam/);
+      expect(planQueries(makeQuery({ nameFirst: 'Liam' })).find(v => v.id === 'nicknames').q).toMatch(/^\(Liam OR William/);
+      expect(planQueries(makeQuery({ nameFirst: 'Sandy', gender: 'F' })).find(v => v.id === 'nicknames').q).not.toMatch(/Alexander/);
+    });
+
+    it('adds the locale\'s obituary keywords', () => {
+      expect(planQueries(makeQuery({ locale: 'es' }))[0].q).toBe('James Smith (obituary OR obituario OR esquela) Hamilton Ohio');
+      expect(planQueries(makeQuery({ city: 'Laval', state: 'QC' }))[0].q).toBe('James Smith (obituary OR "avis de décès") Laval Quebec');
+      expect(planQueries(makeQuery({ locale: 'en', state: 'QC', city: undefined }))[0].q).toBe('James Smith obituary Quebec');
+    });
+
+    it('adds a middle name variant', () => {
+      const variants = planQueries(makeQuery({ nameMiddle: 'Robert' }));
+      expect(variants.find(v => v.id === 'middle').q).toBe('James Robert Smith obituary Hamilton Ohio');
+    });
+
+    it('adds a surname + city variant only for unusual first names', () => {
+      expect(ids(planQueries(makeQuery()))).not.toContain('surnameCity');
+
+      const variants = planQueries(makeQuery({ nameFirst: 'Zebulon' }));
+      expect(variants.find(v => v.id === 'surnameCity').q).toBe('Smith obituary Hamilton Ohio');
+    });
+
+    it('adds a maiden-name-only variant', () => {
+      const variants = planQueries(makeQuery({ nameFirst: 'Mary', nameMaiden: 'Jones' }));
+      expect(variants.find(v => v.id === 'maiden').q).toBe('Mary Jones obituary Hamilton Ohio');
+    });
+
+    it('uses the maiden name when the last name is missing', () => {
+      const [full] = planQueries(makeQuery({ nameLast: undefined, nameMaiden: 'Jones' }));
+      expect(full.q).toBe('James Jones obituary Hamilton Ohio');
+    });
+  });
+
+  describe('planSitePass', () => {
+    it('is off unless enabled by config or query', () => {
+      expect(planSitePass(makeQuery({ sitePass: false }))).toBeNull();
+    });
+
+    it('restricts the query to trusted domains', () => {
+      const variant = planSitePass(makeQuery({ sitePass: true }));
+      expect(variant.id).toBe('trustedSites');
+      expect(variant.q).toMatch(/^James Smith obituary Ohio \(site:legacy\.com OR site:echovita\.com OR /);
+      expect(variant.q.match(/site:/g).length).toBeLessThanOrEqual(config.domains.sitePassMaxDomains);
+    });
+  });
+
+  describe('getVariantBudget', () => {
+    it('defaults to config and accepts a per-query override', () => {
+      expect(getVariantBudget(makeQuery())).toBe(config.queryPlan.maxVariants);
+      expect(getVariantBudget(makeQuery({ maxVariants: 3 }))).toBe(3);
+    });
+  });
+
+  describe('runQueryPlan', () => {
+    const weak = () => ({ nameFirst: 'James', nameLast: 'Smyth', city: 'Dayton', state: 'KY' });
+
+    it('runs variants up to the budget and tags candidates', async () => {
+      const searchVariant = jest.fn(async () => [weak()]);
+      const candidates = await runQueryPlan(makeQuery({ nameMiddle: 'Robert', maxVariants: 2 }), 'Test', searchVariant);
+
+      expect(searchVariant).toHaveBeenCalledTimes(2);
+      expect(candidates.map(c => c.queryVariant)).toEqual(['full', 'noCity']);
+    });
+
+    it('runs the site pass after the budgeted variants', async () => {
+      const searchVariant = jest.fn(async () => [weak()]);
+      const candidates = await runQueryPlan(makeQuery({ maxVariants: 1, sitePass: true }), 'Test', searchVariant);
+      expect(candidates.map(c => c.queryVariant)).toEqual(['full', 'trustedSites']);
+    });
+
+    it('runs the site pass after stopping early', async () => {
+      const strong = () => ({ nameFirst: 'James', nameLast: 'Smith', city: 'Dayton', state: 'OH', ageYears: 71 });
+      const searchVariant = jest.fn(async () => Array.from({ length: config.paging.earlyStop.minCandidates }, strong));
+      const candidates = await runQueryPlan(makeQuery({ maxVariants: 3, sitePass: true }), 'Test', searchVariant);
+      expect([...new Set(candidates.map(c => c.queryVariant))]).toEqual(['full', 'trustedSites']);
+    });
+
+    it('keeps earlier candidates when a later variant fails', async () => {
+      const searchVariant = jest.fn(async (variant) => {
+        if (variant.id === 'noCity') throw new Error('timeout');
+        return [weak()];
+      });
+      const candidates = await runQueryPlan(makeQuery({ maxVariants: 3 }), 'Test', searchVariant);
+      expect(candidates).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { RateLimiter } = require('../providers/RateLimiter');
+const { CallBudget } = require('../providers/CallBudget');
+const { billedCall, createUsage, recordPage, recordRetry } = require('../providers/providerCall');
+const { callBudget } = require('../providers/CallBudget');
+const { searchMetrics } = require('../index');
+const config = require('../config');
+
+describe('RateLimiter', () => {
+  const makeLimiter = (rates) => {
+    const clock = { now: 0, waits: [] };
+    const limiter = new RateLimiter({
+      rates,
+      now: () => clock.now,
+      sleep: async (ms) => {
+        clock.waits.push(ms);
+        clock.now += ms;
+      }
+    });
+    return { limiter, clock };
+  };
+
+  it('allows a burst up to the per-second rate without waiting', async () => {
+    const { limiter, clock } = makeLimiter({ serper: 2 });
+    await limiter.acquire('serper');
+    await limiter.acquire('serper');
+    expect(clock.waits).toEqual([]);
+  });
+
+  it('waits for a token once the bucket is empty', async () => {
+    const { limiter, clock } = makeLimiter({ serper: 2 });
+    await limiter.acquire('serper');
+    await limiter.acquire('serper');
+    await limiter.acquire('serper');
+    expect(clock.waits).toEqual([500]);
+  });
+
+  it('serializes concurrent callers', async () => {
+    const { limiter, clock } = makeLimiter({ serpapi: 1 });
+    await Promise.all([
+      limiter.acquire('serpapi'),
+      limiter.acquire('serpapi'),
+      limiter.acquire('serpapi')
+    ]);
+    expect(clock.waits).toEqual([1000, 1000]);
+  });
+
+  it('keeps separate buckets per provider and treats 0 as unlimited', async () => {
+    const { limiter, clock } = makeLimiter({ serper: 1, google: 0 });
+    await limiter.acquire('serper');
+    await limiter.acquire('google');
+    await limiter.acquire('google');
+    expect(clock.waits).toEqual([]);
+  });
+});
+
+describe('CallBudget', () => {
+  it('is unlimited by default', () => {
+    const budget = new CallBudget();
+    for (let i = 0; i < 100; i++) budget.consume('serper');
+    expect(budget.isExhausted()).toBe(false);
+  });
+
+  it('throws a budget error once the limit is reached', () => {
+    const budget = new CallBudget(2);
+    budget.consume('serper');
+    budget.consume('serpapi');
+    expect(budget.isExhausted()).toBe(true);
+    expect(() => budget.consume('serper')).toThrow(expect.objectContaining({ isBudget: true }));
+  });
+
+  it('resets for a new run', () => {
+    const budget = new CallBudget(1);
+    budget.consume('serper');
+    budget.reset(1);
+    expect(budget.remaining()).toBe(1);
+  });
+});
+
+describe('billedCall', () => {
+  beforeEach(() => {
+    searchMetrics.reset();
+  });
+
+  afterEach(() => {
+    callBudget.reset();
+    delete config.providerCost.stub;
+  });
+
+  it('counts calls per provider in the search usage', async () => {
+    const usage = createUsage();
+    await billedCall('stub', usage, async () => ({}));
+    await billedCall('stub', usage, async () => ({}));
+    expect(usage.apiCalls).toBe(2);
+    expect(usage.byProvider.stub.apiCalls).toBe(2);
+  });
+
+  it('prices each call with the configured per-call cost', async () => {
+    config.providerCost.stub = 0.001;
+    const usage = createUsage();
+    for (let i = 0; i < 3; i++) {
+      await billedCall('stub', usage, async () => ({}));
+    }
+    recordPage('stub', usage);
+    recordRetry('stub', usage);
+
+    expect(usage.cost).toBe(0.003);
+    expect(usage.byProvider.stub).toEqual({ apiCalls: 3, pagesFetched: 1, retries: 1, cost: 0.003 });
+  });
+
+  it('adds the usage to the global search metrics', async () => {
+    config.providerCost.stub = 0.5;
+    await billedCall('stub', createUsage(), async () => ({}));
+    await billedCall('stub', null, async () => ({}));
+
+    expect(searchMetrics.apiCalls).toBe(2);
+    expect(searchMetrics.cost).toBe(1);
+    expect(searchMetrics.byProvider.stub.apiCalls).toBe(2);
+  });
+
+  it('flags the usage and skips the call when the budget is spent', async () => {
+    callBudget.reset(1);
+    const usage = createUsage();
+    const fn = jest.fn(async () => ({}));
+    await billedCall('stub', usage, fn);
+    await expect(billedCall('stub', usage, fn)).rejects.toThrow('budget');
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(usage.budgetExhausted).toBe(true);
+  });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withRecording, getRecordingKey } = require('../providers/recorder');
+const { ProviderError } = require('../providers/ProviderError');
+const config = require('../config');
+
+describe('Provider recorder', () => {
+  const original = { ...config.recording };
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    config.recording.dir = dir;
+  });
+
+  afterEach(() => {
+    config.recording.mode = original.mode;
+    config.recording.dir = original.dir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const request = { q: 'James Smith obituary Hamilton Ohio', num: 10 };
+
+  it('passes through when recording is off', async () => {
+    config.recording.mode = 'off';
+    const fetchRaw = jest.fn(async () => ({ organic: [] }));
+    await withRecording('serper', request, fetchRaw);
+
+    expect(fetchRaw).toHaveBeenCalledTimes(1);
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+  });
+
+  it('records responses and replays them without calling out', async () => {
+    config.recording.mode = 'record';
+    const response = { organic: [{ title: 'James Smith Obituary', link: 'https://example.com' }] };
+    await withRecording('serper', request, async () => response);
+
+    config.recording.mode = 'replay';
+    const fetchRaw = jest.fn();
+    const replayed = await withRecording('serper', request, fetchRaw);
+
+    expect(fetchRaw).not.toHaveBeenCalled();
+    expect(replayed).toEqual(response);
+  });
+
+  it('fails with a provider error when a recording is missing in replay mode', async () => {
+    config.recording.mode = 'replay';
+    await expect(withRecording('serper', request, jest.fn())).rejects.toBeInstanceOf(ProviderError);
+  });
+
+  it('keys recordings by provider and full request', () => {
+    const key = getRecordingKey('serper', request);
+    expect(key).toMatch(/^recording_serper_james-smith-obituary-hamilton-ohio_/);
+    expect(getRecordingKey('serpapi', request)).not.toBe(key);
+    expect(getRecordingKey('serper', { ...request, page: 2 })).not.toBe(key);
+    expect(getRecordingKey('serper', { num: 10, q: request.q })).toBe(key);
+  });
+});
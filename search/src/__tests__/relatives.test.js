@@ -0,0 +1,73 @@
+const { extractRelativesDetail, extractRelativesFromText, relativeNames } = require('../normalize/relatives');
+
+describe('extractRelativesFromText', () => {
+  it('reads spouse, children and siblings from a survivors list', () => {
+    const text = 'He is survived by his wife of 52 years, Mary; sons John and Paul; three grandchildren; ' +
+      'and a sister, Ann (Bob) Jones of Lima, OH.';
+    expect(extractRelativesFromText(text)).toEqual({
+      spouse: ['Mary'],
+      children: ['John', 'Paul'],
+      parents: [],
+      siblings: ['Ann Jones'],
+      predeceased: []
+    });
+  });
+
+  it('lists "preceded in death by" names under their relation and as predeceased', () => {
+    const text = 'Preceded in death by her husband of 60 years, Harold, her parents, John and Ruth Smith, and her sister Ruth. ' +
+      'Survived by children Carol (Jim) Lee, Dennis and Gary; 7 grandchildren.';
+    expect(extractRelativesFromText(text)).toEqual({
+      spouse: ['Harold'],
+      children: ['Carol Lee', 'Dennis', 'Gary'],
+      parents: ['John', 'Ruth Smith'],
+      siblings: ['Ruth'],
+      predeceased: ['Harold', 'John', 'Ruth Smith', 'Ruth']
+    });
+  });
+
+  it('drops nicknames and places and stops at a truncated snippet', () => {
+    const text = 'She leaves behind her husband, Robert "Bob" Miller, daughters Jane Doe of Columbus, Ohio and Kate Miller, and many...';
+    expect(extractRelativesFromText(text)).toMatchObject({
+      spouse: ['Robert Miller'],
+      children: ['Jane Doe', 'Kate Miller']
+    });
+  });
+
+  it('keeps initials and suffixes and skips in-laws', () => {
+    const text = 'Survivors include daughter Lisa, son-in-law Mark and brothers J.R. Smith and Ed Smith Jr. Services are Friday.';
+    expect(extractRelativesFromText(text)).toMatchObject({
+      children: ['Lisa'],
+      siblings: ['J.R. Smith', 'Ed Smith Jr.']
+    });
+  });
+
+  it('reads the first name after a colon and drops titles', () => {
+    expect(extractRelativesFromText('She is survived by her husband, Robert Jones, and children: Amy, Beth and Carl.'))
+      .toMatchObject({ spouse: ['Robert Jones'], children: ['Amy', 'Beth', 'Carl'] });
+    expect(extractRelativesFromText('He is survived by his daughter, Mrs. Ann Lee, and his brother, Rev. Tom Smith.'))
+      .toMatchObject({ children: ['Ann Lee'], siblings: ['Tom Smith'] });
+  });
+
+  it('returns null without a survivors section', () => {
+    expect(extractRelativesFromText('Beloved father and grandfather, passed away peacefully.')).toBeNull();
+    expect(extractRelativesFromText('Survived by many friends.')).toBeNull();
+    expect(extractRelativesFromText(null)).toBeNull();
+  });
+});
+
+describe('extractRelativesDetail', () => {
+  it('gives the rule and span of the sections read', () => {
+    const text = 'John Smith died Jan 3. He is survived by his wife Mary. Services Friday.';
+    const detail = extractRelativesDetail(text);
+    expect(detail).toMatchObject({ rule: 'survived-by', text: 'survived by his wife Mary' });
+    expect(text.slice(detail.start, detail.end)).toBe(detail.text);
+  });
+});
+
+describe('relativeNames', () => {
+  it('lists every name once', () => {
+    expect(relativeNames({ spouse: ['Harold'], children: ['Carol'], parents: [], siblings: [], predeceased: ['Harold'] }))
+      .toEqual(['Harold', 'Carol']);
+    expect(relativeNames(null)).toEqual([]);
+  });
+});
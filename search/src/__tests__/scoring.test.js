@@ -1,5 +1,12 @@
 const { calculateScore, scoreCandidate } = require('../scoring/score');
-const { isRecentDod, scoreAndRankCandidates, calculateKeyWordsScore } = require('../scoring/criteriaScore');
+const {
+  isRecentDod,
+  scoreAndRankCandidates,
+  calculateKeyWordsScore,
+  calculateRelativesScore,
+  calculateNameLastScore,
+  calculateNameFirstScore
+} = require('../scoring/criteriaScore');
 const config = require('../config');
 
 describe('Scoring Engine', () => {
@@ -212,6 +219,120 @@ describe('Scoring Engine', () => {
       expect(ranked[0].id).toBe('recent-good');
       expect(ranked[1].id).toBe('recent-bad');
     });
+
+    it('should break equal scores by domain weight', () => {
+      const query = makeQueryForCriteria();
+      const candidates = [
+        makeCandidateForCriteria({ id: 'people-search', url: 'https://www.whitepages.com/name/John-Smith' }),
+        makeCandidateForCriteria({ id: 'aggregator', url: 'https://www.legacy.com/us/obituaries/name/john-smith-obituary' })
+      ];
+
+      const ranked = scoreAndRankCandidates(candidates, query);
+
+      expect(ranked[0].id).toBe('aggregator');
+      expect(ranked[0].domainCategory).toBe('aggregator');
+      expect(ranked[1].scoreFinal).toBe(ranked[0].scoreFinal);
+      expect(ranked[1].scoreWeighted).toBeLessThan(ranked[0].scoreWeighted);
+      expect(ranked[1].rank).toBe(2);
+    });
+
+    it('should not group a low-confidence recent DOD first', () => {
+      const today = new Date();
+      const fiveDaysAgo = new Date(today - 5 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const oneYearAgo = new Date(today - 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+      const query = makeQueryForCriteria();
+      const candidates = [
+        makeCandidateForCriteria({ id: 'guessed', dod: fiveDaysAgo, nameFirst: 'Jon', nameLast: 'Smyth',
+          provenance: { dod: { confidence: 0.25, source: 'snippet', pattern: 'last-resort', span: null, text: null } } }),
+        makeCandidateForCriteria({ id: 'old', dod: oneYearAgo })
+      ];
+
+      const ranked = scoreAndRankCandidates(candidates, query);
+
+      expect(ranked[0].id).toBe('old');
+      expect(ranked[1].id).toBe('guessed');
+    });
+
+    it('should scale the ranking score by field confidence', () => {
+      const query = makeQueryForCriteria();
+      const candidates = [
+        makeCandidateForCriteria({ id: 'url-name',
+          provenance: { nameFirst: { confidence: 0.5 }, nameLast: { confidence: 0.5 } } }),
+        makeCandidateForCriteria({ id: 'title-name' })
+      ];
+
+      const ranked = scoreAndRankCandidates(candidates, query);
+
+      expect(ranked[0].id).toBe('title-name');
+      expect(ranked[1].scoreFinal).toBe(ranked[0].scoreFinal);
+      expect(ranked[1].criteriaConfidence.nameFirst).toBe(0.5);
+      expect(ranked[1].scoreWeighted).toBeLessThan(ranked[0].scoreWeighted);
+    });
+
+    it('should not rank a candidate higher for having no provenance', () => {
+      const query = makeQueryForCriteria();
+      const candidates = [
+        makeCandidateForCriteria({ id: 'custom-provider' }),
+        makeCandidateForCriteria({ id: 'web',
+          provenance: {
+            nameFirst: { confidence: 0.85 }, nameLast: { confidence: 0.85 },
+            city: { confidence: 0.7 }, state: { confidence: 0.7 }, ageYears: { confidence: 0.9 }
+          } })
+      ];
+
+      const ranked = scoreAndRankCandidates(candidates, query);
+
+      expect(ranked[0].id).toBe('web');
+      expect(ranked[1].scoreWeighted).toBeLessThan(ranked[0].scoreWeighted);
+    });
+  });
+
+  describe('phonetic last names', () => {
+    it('should raise surnames that sound alike', () => {
+      expect(calculateNameLastScore('Schmidt', 'Smith')).toBeGreaterThanOrEqual(65);
+      expect(calculateNameLastScore('Maier', 'Meyer')).toBeGreaterThanOrEqual(80);
+      expect(calculateNameLastScore('Smyth', 'Smith')).toBeGreaterThan(85);
+      expect(calculateNameLastScore('Smith', 'Smith')).toBe(100);
+    });
+
+    it('should lower close spellings that sound different', () => {
+      expect(calculateNameLastScore('Bates', 'Gates')).toBeLessThan(80);
+      expect(calculateNameLastScore('Kent', 'Kemp')).toBeLessThan(50);
+    });
+  });
+
+  describe('compound names', () => {
+    it('should match compound surnames on spacing and on one surname', () => {
+      expect(calculateNameLastScore('De La Cruz', 'Delacruz')).toBe(100);
+      expect(calculateNameLastScore('García López', 'Garcia')).toBe(90);
+      expect(calculateNameLastScore('Smith-Jones', 'Jones')).toBe(90);
+      expect(calculateNameLastScore('Smith', 'Jones')).toBeLessThan(50);
+    });
+
+    it('should match a double first name on its first word', () => {
+      expect(calculateNameFirstScore('Mary Ann', 'Mary')).toBe(100);
+      expect(calculateNameFirstScore('Mary Ann', 'Mary Ann')).toBe(100);
+      expect(calculateNameFirstScore('Jose Luis', 'Jose')).toBe(100);
+      expect(calculateNameFirstScore('Mary Ann', 'Susan')).toBe(0);
+    });
+  });
+
+  describe('first name nicknames', () => {
+    it('should score a candidate nickname of the query name', () => {
+      expect(calculateNameFirstScore('Bill', 'William')).toBe(85);
+      expect(calculateNameFirstScore('William', 'Bill')).toBe(85);
+    });
+
+    it('should follow one-way nicknames only from the nickname', () => {
+      expect(calculateNameFirstScore('William', 'Liam')).toBe(85);
+      expect(calculateNameFirstScore('Liam', 'William')).toBe(0);
+    });
+
+    it('should skip nicknames of the other gender', () => {
+      expect(calculateNameFirstScore('Alexander', 'Sandy')).toBe(85);
+      expect(calculateNameFirstScore('Alexander', 'Sandy', 'F')).toBe(0);
+    });
   });
 
   describe('calculateKeyWordsScore', () => {
@@ -246,6 +367,11 @@ describe('Scoring Engine', () => {
       expect(calculateKeyWordsScore(candidate, ['army', 'middletown'])).toBe(100);
     });
 
+    it('should fold accents in keywords and text', () => {
+      expect(calculateKeyWordsScore({ snippet: 'Parroquia de Nuestra Señora', title: '' }, ['senora'])).toBe(100);
+      expect(calculateKeyWordsScore({ snippet: 'Moved to Montreal', title: '' }, ['montréal'])).toBe(100);
+    });
+
     it('should handle apostrophes in keywords', () => {
       const candidate = { snippet: "Attended St. Mary's School", title: '' };
       expect(calculateKeyWordsScore(candidate, ["st. mary's"])).toBe(100);
@@ -261,4 +387,26 @@ describe('Scoring Engine', () => {
       expect(calculateKeyWordsScore(candidate, ['army'])).toBe(0);
     });
   });
+
+  describe('calculateRelativesScore', () => {
+    const relatives = {
+      spouse: ['Mary'], children: ['William Smith', 'Paul'], parents: [], siblings: ['Ann Jones'], predeceased: []
+    };
+
+    it('should return null without query relatives or extracted ones', () => {
+      expect(calculateRelativesScore(relatives, null)).toBeNull();
+      expect(calculateRelativesScore(null, ['Mary'])).toBeNull();
+    });
+
+    it('should return 100 when a known relative is named', () => {
+      expect(calculateRelativesScore(relatives, ['Mary Smith'])).toBe(100);
+      expect(calculateRelativesScore(relatives, ['Robert', 'Bill'])).toBe(100);
+      expect(calculateRelativesScore(relatives, ['Ann Jones'])).toBe(100);
+    });
+
+    it('should return 0 when none of them are', () => {
+      expect(calculateRelativesScore(relatives, ['Susan'])).toBe(0);
+      expect(calculateRelativesScore(relatives, ['Ann Miller'])).toBe(0);
+    });
+  });
 });
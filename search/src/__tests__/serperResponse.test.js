@@ -0,0 +1,84 @@
+const { serperProvider } = require('../providers/serper/SerperProvider');
+const { parsePublishedDate } = require('../normalize/publishedDate');
+const response = require('./fixtures/serper-response.json');
+
+describe('parsePublishedDate', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  it('reads absolute dates', () => {
+    expect(parsePublishedDate('Mar 5, 2024', now)).toBe('2024-03-05');
+    expect(parsePublishedDate('September 12, 2025', now)).toBe('2025-09-12');
+    expect(parsePublishedDate('5 Mar 2024', now)).toBe('2024-03-05');
+    expect(parsePublishedDate('2024-03-05', now)).toBe('2024-03-05');
+  });
+
+  it('reads relative dates from the reference date', () => {
+    expect(parsePublishedDate('3 days ago', now)).toBe('2026-03-07');
+    expect(parsePublishedDate('1 hour ago', now)).toBe('2026-03-10');
+    expect(parsePublishedDate('2 weeks ago', now)).toBe('2026-02-24');
+    expect(parsePublishedDate('a month ago', now)).toBe('2026-02-10');
+  });
+
+  it('rejects missing, invalid and future dates', () => {
+    expect(parsePublishedDate(undefined, now)).toBeNull();
+    expect(parsePublishedDate('yesterday-ish', now)).toBeNull();
+    expect(parsePublishedDate('Feb 30, 2024', now)).toBeNull();
+    expect(parsePublishedDate('Mar 5, 2027', now)).toBeNull();
+  });
+});
+
+describe('SerperProvider._parseResponse', () => {
+  const query = { nameFirst: 'Robert', nameLast: 'Nelson', state: 'MN' };
+
+  it('keeps organic date and thumbnail as datePublished and urlImage', () => {
+    const candidates = serperProvider._parseResponse(response, query, 1);
+    const legacy = candidates.find(c => c.url.includes('legacy.com/us/obituaries'));
+
+    expect(legacy.datePublished).toBe('2024-03-05');
+    expect(legacy.urlImage).toBe('https://cdn.legacy.com/images/robert-nelson.jpg');
+    expect(legacy.dod).toBe('2024-03-03');
+  });
+
+  it('adds sitelinks and top stories that name the surname', () => {
+    const urls = serperProvider._parseResponse(response, query, 1).map(c => c.url);
+
+    expect(urls).toContain('https://www.legacy.com/guestbooks/robert-nelson');
+    expect(urls).toContain('https://www.duluthnewstribune.com/news/robert-nelson-dies');
+    expect(urls).not.toContain('https://www.legacy.com/flowers');
+    expect(urls).not.toContain('https://www.startribune.com/sports/vikings');
+
+    const story = serperProvider._parseResponse(response, query, 1)
+      .find(c => c.url.includes('duluthnewstribune'));
+    expect(story.urlImage).toBe('https://www.duluthnewstribune.com/img/nelson.jpg');
+    expect(story.datePublished).toBeTruthy();
+  });
+
+  it('turns the knowledge graph into a candidate with dob, dod and place of death', () => {
+    const candidate = serperProvider._parseResponse(response, query, 1)
+      .find(c => c.url === 'https://en.wikipedia.org/wiki/Robert_Nelson_(author)');
+
+    expect(candidate.nameFirst).toBe('Robert');
+    expect(candidate.nameLast).toBe('Nelson');
+    expect(candidate.dob).toBe('1938-06-07');
+    expect(candidate.dod).toBe('2016-04-21');
+    expect(candidate.city).toBe('Chanhassen');
+    expect(candidate.state).toBe('MN');
+    expect(candidate.urlImage).toBe('https://encrypted-tbn0.gstatic.com/images?q=tbn:robert-nelson');
+    expect(candidate.typeProvider).toBe('serper');
+  });
+
+  it('skips knowledge graphs of living people or other names', () => {
+    const living = { knowledgeGraph: { title: 'Robert Nelson', attributes: { Born: 'June 7, 1958' } } };
+    const other = { knowledgeGraph: { title: 'Prince', attributes: { Died: 'April 21, 2016, Chanhassen, MN' } } };
+
+    expect(serperProvider._parseResponse(living, query, 1)).toEqual([]);
+    expect(serperProvider._parseResponse(other, query, 1)).toEqual([]);
+  });
+
+  it('only reads top stories and the knowledge graph on the first page', () => {
+    const candidates = serperProvider._parseResponse(response, query, 2);
+
+    expect(candidates).toHaveLength(3);
+    expect(candidates.every(c => !c.url.includes('wikipedia') && !c.url.includes('duluthnewstribune'))).toBe(true);
+  });
+});
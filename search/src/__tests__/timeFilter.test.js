@@ -0,0 +1,75 @@
+const { normalizeSince, buildTbs, buildDateRestrict, planMonitoringRun } = require('../providers/timeFilter');
+const { normalizeQuery } = require('../index');
+const { googleProvider } = require('../providers/google/GoogleProvider');
+const { providerClient } = require('../providers/ProviderClient');
+const config = require('../config');
+
+describe('Since date filters', () => {
+  const now = new Date('2026-03-10T06:00:00Z');
+
+  it('normalizes dates and rejects junk', () => {
+    expect(normalizeSince('2026-03-01')).toBe('2026-03-01');
+    expect(normalizeSince(new Date('2026-03-01T12:00:00Z'))).toBe('2026-03-01');
+    expect(normalizeSince('yesterday-ish')).toBeNull();
+    expect(normalizeSince(null)).toBeNull();
+  });
+
+  it('builds a tbs custom date range for Serper/SerpAPI', () => {
+    expect(buildTbs('2026-03-01')).toBe('cdr:1,cd_min:3/1/2026');
+    expect(buildTbs(null)).toBeNull();
+  });
+
+  it('builds a CSE dateRestrict in days', () => {
+    expect(buildDateRestrict('2026-03-01', now)).toBe('d10');
+    expect(buildDateRestrict('2026-03-10', now)).toBe('d1');
+    expect(buildDateRestrict('2026-03-01', '2026-03-11')).toBe('d10');
+  });
+
+  it('counts the CSE dateRestrict back from the run date, so replays make the same request', async () => {
+    const fetchJson = jest.spyOn(providerClient, 'fetchJson').mockResolvedValue({ items: [] });
+    try {
+      await googleProvider._fetchPage('"James Smith" obituary', 1, null, '2026-03-01', '2026-03-11');
+      expect(new URL(fetchJson.mock.calls[0][3]).searchParams.get('dateRestrict')).toBe('d10');
+    } finally {
+      fetchJson.mockRestore();
+    }
+  });
+
+  it('carries since through normalizeQuery', () => {
+    expect(normalizeQuery({ firstName: 'James', lastName: 'Smith', since: '2026-03-01' }).since).toBe('2026-03-01');
+    expect(normalizeQuery({ firstName: 'James', lastName: 'Smith' }).since).toBeNull();
+  });
+
+  describe('planMonitoringRun', () => {
+    const { fullSweepDays, overlapDays } = config.monitoring;
+
+    afterEach(() => {
+      config.monitoring.fullSweepDays = fullSweepDays;
+      config.monitoring.overlapDays = overlapDays;
+    });
+
+    beforeEach(() => {
+      config.monitoring.fullSweepDays = 7;
+      config.monitoring.overlapDays = 2;
+    });
+
+    it('does a full sweep for a query never searched or never swept', () => {
+      expect(planMonitoringRun(null, null, now)).toEqual({ fullSweep: true, since: null });
+      expect(planMonitoringRun('2026-03-09T06:00:00Z', null, now)).toEqual({ fullSweep: true, since: null });
+    });
+
+    it('searches since the last run, with overlap, between sweeps', () => {
+      expect(planMonitoringRun('2026-03-09T06:00:00Z', '2026-03-05T06:00:00Z', now))
+        .toEqual({ fullSweep: false, since: '2026-03-07' });
+    });
+
+    it('does a full sweep once the last one is older than the schedule', () => {
+      expect(planMonitoringRun('2026-03-09T06:00:00Z', '2026-03-03T06:00:00Z', now).fullSweep).toBe(true);
+    });
+
+    it('always sweeps when the schedule is 0', () => {
+      config.monitoring.fullSweepDays = 0;
+      expect(planMonitoringRun('2026-03-09T06:00:00Z', '2026-03-09T06:00:00Z', now).fullSweep).toBe(true);
+    });
+  });
+});
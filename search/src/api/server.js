@@ -3,6 +3,9 @@ const express = require('express');
 const { searchObits, normalizeQuery } = require('../index');
 const { exclusionStore } = require('../data/ExclusionStore');
 const { batchStore } = require('../db/BatchStore');
+const { normalizeSince, planMonitoringRun } = require('../providers/timeFilter');
+const { providerRegistry } = require('../providers/ProviderRegistry');
+const { nicknameService, DIRECTIONS, GENDERS } = require('../normalize/nicknames');
 const config = require('../config');
 const { logger } = require('../utils/logger');
 
@@ -24,19 +27,44 @@ app.get('/search', async (req, res, next) => {
       middleName: req.query.middleName,
       maidenName: req.query.maidenName,
       nickname: req.query.nickname,
+      gender: req.query.gender,
       city: req.query.city,
       state: req.query.state,
       age: req.query.age ? parseInt(req.query.age, 10) : undefined,
-      keyWords: req.query.keyWords
+      keyWords: req.query.keyWords,
+      relatives: req.query.relatives,
+      locale: req.query.locale,
+      maxPages: req.query.pages ? parseInt(req.query.pages, 10) : undefined,
+      maxVariants: req.query.variants ? parseInt(req.query.variants, 10) : undefined,
+      since: req.query.since,
+      sitePass: req.query.sites !== undefined ? ['1', 'true'].includes(req.query.sites) : undefined
     };
 
+    if (query.since && !normalizeSince(query.since)) {
+      res.status(400).json({ error: 'since must be a date (YYYY-MM-DD)' });
+      return;
+    }
+
     if ((!query.firstName && !query.nickname) || (!query.lastName && !query.maidenName)) {
       res.status(400).json({ error: '(firstName or nickname) and (lastName or maidenName) are required' });
       return;
     }
 
+    // Monitoring runs (monitor=1) pass when the query was last searched and fully swept;
+    // the since date is planned here, so callers share config.monitoring
+    let monitoring = null;
+    if (['1', 'true'].includes(req.query.monitor)) {
+      const { lastSearchedAt, lastFullSweepAt } = req.query;
+      if ((lastSearchedAt && !normalizeSince(lastSearchedAt)) || (lastFullSweepAt && !normalizeSince(lastFullSweepAt))) {
+        res.status(400).json({ error: 'lastSearchedAt and lastFullSweepAt must be dates' });
+        return;
+      }
+      monitoring = planMonitoringRun(lastSearchedAt || null, lastFullSweepAt || null);
+      query.since = monitoring.since || undefined;
+    }
+
     const result = await searchObits(query);
-    res.json(result);
+    res.json(monitoring ? { ...result, monitoring } : result);
   } catch (err) {
     next(err);
   }
@@ -132,25 +160,106 @@ app.get('/batches/:id', async (req, res, next) => {
   }
 });
 
+// Nickname dictionary: variants of a name and the entries behind them
+app.get('/admin/nicknames', async (req, res, next) => {
+  try {
+    const { name, gender } = req.query;
+
+    if (!name) {
+      res.status(400).json({ error: 'name query parameter is required' });
+      return;
+    }
+
+    await nicknameService.load();
+    res.json({
+      name,
+      variants: nicknameService.getVariants(name, { gender }),
+      entries: nicknameService.getEntries(name)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Add or change a nickname entry
+app.put('/admin/nicknames', async (req, res, next) => {
+  try {
+    const { direction = 'both', gender = null } = req.body;
+    const formal = typeof req.body.formal === 'string' ? req.body.formal.trim() : '';
+    const nickname = typeof req.body.nickname === 'string' ? req.body.nickname.trim() : '';
+
+    if (!formal || !nickname || formal.toLowerCase() === nickname.toLowerCase()) {
+      res.status(400).json({ error: 'formal and nickname are required and must differ' });
+      return;
+    }
+    if (!DIRECTIONS.includes(direction)) {
+      res.status(400).json({ error: `direction must be one of: ${DIRECTIONS.join(', ')}` });
+      return;
+    }
+    if (gender && !GENDERS.includes(gender)) {
+      res.status(400).json({ error: `gender must be one of: ${GENDERS.join(', ')}` });
+      return;
+    }
+
+    await nicknameService.load();
+    const entry = await nicknameService.save({ formal, nickname, direction, gender });
+    res.json({ entry });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remove a nickname entry (built-in ones included)
+app.delete('/admin/nicknames', async (req, res, next) => {
+  try {
+    const { formal, nickname } = req.query;
+
+    if (!formal || !nickname) {
+      res.status(400).json({ error: 'formal and nickname query parameters are required' });
+      return;
+    }
+
+    await nicknameService.load();
+    const success = await nicknameService.remove(formal, nickname);
+    res.json({ success });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+app.get('/health/providers', async (req, res, next) => {
+  try {
+    const providers = await providerRegistry.checkHealth();
+    res.status(providers.some(p => p.ok) ? 200 : 503).json({ providers });
+  } catch (err) {
+    next(err);
+  }
+});
+
 app.use(errorHandler);
 
 // Start server
 const PORT = config.port;
 
 function startServer() {
+  nicknameService.load();
   return app.listen(PORT, () => {
     logger.info(`DeathWatch API server running on http://localhost:${PORT}`);
     logger.info('Endpoints:');
-    logger.info('  GET  /search?firstName=&lastName=&city=&state=&age=');
+    logger.info('  GET  /search?firstName=&lastName=&city=&state=&age=&gender=&relatives=&pages=&variants=');
     logger.info('  POST /exclude { searchKey, fingerprint, url?, name?, reason? }');
     logger.info('  GET  /exclusions?searchKey=');
     logger.info('  DELETE /exclude/:id');
+    logger.info('  GET  /admin/nicknames?name=&gender=');
+    logger.info('  PUT  /admin/nicknames { formal, nickname, direction?, gender? }');
+    logger.info('  DELETE /admin/nicknames?formal=&nickname=');
     logger.info('  GET  /health');
+    logger.info('  GET  /health/providers');
   });
 }
 
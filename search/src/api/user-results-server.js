@@ -72,7 +72,8 @@ app.get('/api/results', async (req, res) => {
           scoreMax: r.score_max,
           criteriaCnt: r.criteria_cnt,
           rank: r.rank,
-          urlImage: r.url_image
+          urlImage: r.url_image,
+          provenance: r.field_provenance
         }))
       });
     }
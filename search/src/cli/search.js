@@ -2,12 +2,17 @@
 require('dotenv').config();
 const fs = require('fs');
 const { Command } = require('commander');
-const { searchObits, normalizeQuery } = require('../index');
+const { searchObits, normalizeQuery, searchMetrics, getProviders } = require('../index');
 const { exclusionStore } = require('../data/ExclusionStore');
 const { batchStore } = require('../db/BatchStore');
-const { formatCandidate } = require('../scoring/explain');
+const { formatCandidate, describeProvenance } = require('../scoring/explain');
 const { logger, LogLevel } = require('../utils/logger');
 const { close: closePool } = require('../db/pool');
+const { callBudget } = require('../providers/CallBudget');
+const { providerRegistry } = require('../providers/ProviderRegistry');
+const { loadFeeds, pollFeeds } = require('../providers/feed/feedPoller');
+const { importDeathIndex } = require('../providers/native/deathIndexImport');
+const config = require('../config');
 
 const program = new Command();
 
@@ -24,15 +29,26 @@ program
   .option('--nickname <name>', 'Nickname (used in OR clause with first name)')
   .requiredOption('--last <name>', 'Last name')
   .option('--middle <name>', 'Middle name')
+  .option('--gender <m|f>', 'Gender, to skip the other gender\'s nicknames')
   .option('--city <city>', 'City')
   .option('--state <state>', 'State (2-letter code or full name)')
   .option('--age <age>', 'Approximate age', parseInt)
   .option('--keywords <words>', 'Comma-separated keywords to match in results')
+  .option('--relatives <names>', 'Comma-separated names of known relatives (spouse, children, ...)')
+  .option('--locale <code>', 'Obituary language: en, es or fr (default: fr for Quebec, else en)')
+  .option('--pages <n>', 'Result pages to fetch per provider', parseInt)
+  .option('--variants <n>', 'Query variants to run per provider', parseInt)
+  .option('--since <date>', 'Only results published since this date (YYYY-MM-DD)')
+  .option('--site-pass', 'Also run a site:-restricted query over trusted obituary domains')
+  .option('--recording <mode>', 'Provider response recording: off, record, or replay')
   .option('-v, --verbose', 'Verbose output')
   .action(async (options) => {
     if (options.verbose) {
       logger.setLevel(LogLevel.DEBUG);
     }
+    if (options.recording) {
+      config.recording.mode = options.recording;
+    }
 
     if (!options.first && !options.nickname) {
       console.error('Error: Must provide --first or --nickname (or both)');
@@ -44,10 +60,17 @@ program
       lastName: options.last,
       middleName: options.middle,
       nickname: options.nickname,
+      gender: options.gender,
       city: options.city,
       state: options.state,
       age: options.age,
-      keyWords: options.keywords
+      keyWords: options.keywords,
+      relatives: options.relatives,
+      locale: options.locale,
+      maxPages: options.pages,
+      maxVariants: options.variants,
+      since: options.since,
+      sitePass: options.sitePass
     };
 
     console.log('\nSearching for obituaries...\n');
@@ -332,8 +355,9 @@ program
         console.log(`\n--- Result ${ri + 1} (Rank #${result.rank}) ---`);
         console.log(`  Name: ${result.nameFull}`);
         console.log(`  Score: ${result.scoreFinal}/${result.scoreMax}`);
-        if (result.ageYears) console.log(`  Age: ${result.ageYears}`);
-        if (result.city || result.state) console.log(`  Location: ${result.city || '?'}, ${result.state || '?'}`);
+        if (result.ageYears) console.log(`  Age: ${result.ageYears}${describeProvenance(result, 'ageYears')}`);
+        if (result.city || result.state) console.log(`  Location: ${result.city || '?'}, ${result.state || '?'}${describeProvenance(result, 'city')}`);
+        if (result.dod) console.log(`  Date of Death: ${result.dod}${describeProvenance(result, 'dod')}`);
         console.log(`  URL: ${result.url}`);
         if (result.snippet) {
           const snip = result.snippet.length > 100 ? result.snippet.slice(0, 97) + '...' : result.snippet;
@@ -390,6 +414,7 @@ program
   .command('batch')
   .description('Search for multiple people from a JSON file')
   .requiredOption('--file <path>', 'Input JSON file with array of people to search')
+  .option('--since <date>', 'Only results published since this date (YYYY-MM-DD); a person\'s own "since" wins')
   .option('-v, --verbose', 'Verbose output')
   .action(async (options) => {
     if (options.verbose) {
@@ -416,8 +441,17 @@ program
     const batch = await batchStore.createBatch(options.file);
     let processed = 0;
     let found = 0;
+    const deferred = [];
+
+    searchMetrics.reset();
+    callBudget.reset(config.budget.maxCallsPerRun);
 
     for (const person of people) {
+      if (callBudget.isExhausted()) {
+        deferred.push(person);
+        continue;
+      }
+
       // Validate required fields
       if ((!person.firstName && !person.nickname) || !person.lastName) {
         console.error(`Skipping invalid entry (missing firstName/nickname or lastName): ${JSON.stringify(person)}`);
@@ -432,19 +466,32 @@ program
         city: person.city,
         state: person.state,
         age: person.apxAge,  // Map apxAge to age
-        keyWords: person.keyWords
+        keyWords: person.keyWords,
+        relatives: person.relatives,
+        maxPages: person.maxPages,
+        maxVariants: person.maxVariants,
+        since: person.since || options.since
       };
 
       try {
-        const { results, keySearch } = await searchObits(query);
+        const { results, keySearch, degraded, providersUnavailable, usage } = await searchObits(query);
+
+        // Budget ran out mid-search: results are partial, defer the whole query
+        if (usage.budgetExhausted) {
+          deferred.push(person);
+          continue;
+        }
 
-        await batchStore.addQuery(batch.id, person, keySearch, results, null);
+        // Record provider outages so "0 results" is not mistaken for "no obituary"
+        const error = providersUnavailable ? 'search providers unavailable' : null;
+        await batchStore.addQuery(batch.id, person, keySearch, results, error, usage);
 
         processed++;
         if (results.length > 0) found++;
 
         const displayFirst = person.firstName || person.nickname;
-        console.error(`  [${processed}/${people.length}] ${displayFirst} ${person.lastName}: ${results.length} results`);
+        const status = providersUnavailable ? ' (providers unavailable)' : degraded ? ' (degraded)' : '';
+        console.error(`  [${processed}/${people.length}] ${displayFirst} ${person.lastName}: ${results.length} results${status}`);
       } catch (err) {
         const displayFirst = person.firstName || person.nickname;
         console.error(`  Error searching for ${displayFirst} ${person.lastName}: ${err.message}`);
@@ -456,8 +503,165 @@ program
     await batchStore.finalizeBatch(batch.id);
 
     console.error(`\nCompleted: ${processed} searched, ${found} with results`);
+    console.error(`Provider calls: ${searchMetrics.apiCalls} ($${searchMetrics.cost.toFixed(4)})`);
     console.error(`Batch ID: ${batch.id}`);
 
+    if (deferred.length > 0) {
+      const deferredFile = options.file.replace(/\.json$/i, '') + '.deferred.json';
+      fs.writeFileSync(deferredFile, JSON.stringify(deferred, null, 2));
+      console.error(`Call budget of ${callBudget.limit} reached: ${deferred.length} deferred, saved to ${deferredFile} for the next run`);
+    }
+
+    await closePool();
+  });
+
+// Providers command
+program
+  .command('providers')
+  .description('List registered search providers, which are selected, and their health')
+  .option('--check', 'Run each provider\'s health check')
+  .action(async (options) => {
+    const selected = getProviders().map(p => p.type);
+    const health = options.check ? await providerRegistry.checkHealth() : [];
+
+    for (const provider of providerRegistry.list()) {
+      const reason = providerRegistry.getUnavailableReason(provider);
+      const cost = providerRegistry.getCallCost(provider.type);
+      const flags = [
+        selected.includes(provider.type) ? 'selected' : null,
+        reason ? `unavailable: ${reason}` : null
+      ].filter(Boolean).join(', ');
+      console.log(`${provider.type.padEnd(12)} ${provider.name.padEnd(16)} $${cost.toFixed(4)}/call${flags ? `  (${flags})` : ''}`);
+
+      const status = health.find(h => h.type === provider.type);
+      if (status && !reason) {
+        console.log(`${''.padEnd(12)} health: ${status.ok ? 'ok' : 'FAIL'}${status.message ? ` - ${status.message}` : ''}`);
+      }
+    }
+
+    await closePool();
+  });
+
+// Feed poll command
+program
+  .command('poll-feeds')
+  .description('Poll the configured obituary RSS/Atom feeds into the local feed store')
+  .option('--file <path>', 'Feeds JSON file (array of {name, url, city, state}), default FEEDS_FILE')
+  .option('-v, --verbose', 'Verbose output')
+  .action(async (options) => {
+    if (options.verbose) {
+      logger.setLevel(LogLevel.DEBUG);
+    }
+
+    let feeds;
+    try {
+      feeds = loadFeeds(options.file || config.feeds.file);
+    } catch (err) {
+      console.error(`Error reading feeds file: ${err.message}`);
+      process.exit(1);
+    }
+    if (feeds.length === 0) {
+      console.error('No feeds configured (set FEEDS_FILE or pass --file)');
+      process.exit(1);
+    }
+
+    const summary = await pollFeeds(feeds);
+    console.log(`Polled ${summary.feeds} feeds: ${summary.entries} entries stored, ${summary.failed.length} failed`);
+    for (const url of summary.failed) {
+      console.log(`  Failed: ${url}`);
+    }
+
+    await closePool();
+  });
+
+// Death index import command
+program
+  .command('import-deaths')
+  .description('Import official death records from a CSV file into the death index (native provider)')
+  .requiredOption('--file <path>', 'CSV file with a header row (first/last name, date of death; optional middle, dob, city, state, id)')
+  .requiredOption('--source <name>', 'Name of the record set, shown as the result source (e.g. "Ohio Death Index")')
+  .option('--state <code>', 'State for files without a state column')
+  .option('-v, --verbose', 'Verbose output')
+  .action(async (options) => {
+    if (options.verbose) {
+      logger.setLevel(LogLevel.DEBUG);
+    }
+
+    try {
+      const summary = await importDeathIndex(options.file, {
+        source: options.source,
+        state: options.state ? options.state.toUpperCase() : null
+      });
+      console.log(`Read ${summary.read} rows: ${summary.imported} records imported, ${summary.skipped} skipped (no name or full date of death)`);
+    } catch (err) {
+      console.error(`Import failed: ${err.message}`);
+      process.exitCode = 1;
+    }
+
+    await closePool();
+  });
+
+// Replay command
+program
+  .command('replay')
+  .description('Rerun searches from a JSON file against recorded provider responses (offline) and save the output for comparison')
+  .requiredOption('--file <path>', 'Input JSON file with array of people to search (same format as batch)')
+  .requiredOption('--out <path>', 'Output JSON file for results')
+  .option('-v, --verbose', 'Verbose output')
+  .action(async (options) => {
+    if (options.verbose) {
+      logger.setLevel(LogLevel.DEBUG);
+    }
+    config.recording.mode = 'replay';
+
+    let people;
+    try {
+      people = JSON.parse(fs.readFileSync(options.file, 'utf-8'));
+      if (!Array.isArray(people)) {
+        console.error('Error: Input file must contain a JSON array');
+        process.exit(1);
+      }
+    } catch (err) {
+      console.error(`Error reading input file: ${err.message}`);
+      process.exit(1);
+    }
+
+    const output = [];
+    for (const person of people) {
+      const query = {
+        firstName: person.firstName,
+        lastName: person.lastName,
+        middleName: person.middleName,
+        nickname: person.nickname,
+        city: person.city,
+        state: person.state,
+        age: person.apxAge,
+        keyWords: person.keyWords,
+        relatives: person.relatives,
+        maxPages: person.maxPages,
+        maxVariants: person.maxVariants,
+        // Input can pin inputDate so age scoring does not drift with the day the replay runs
+        inputDate: person.inputDate
+      };
+
+      const { results, keySearch, degraded, providerFailures } = await searchObits(query);
+
+      // Drop per-run random ids so two replays diff cleanly
+      output.push({
+        query: person,
+        keySearch,
+        degraded,
+        providerFailures,
+        results: results.map(({ id, ...rest }) => rest)
+      });
+
+      const displayFirst = person.firstName || person.nickname;
+      console.error(`  ${displayFirst} ${person.lastName}: ${results.length} results${degraded ? ' (degraded)' : ''}`);
+    }
+
+    fs.writeFileSync(options.out, JSON.stringify(output, null, 2));
+    console.error(`\nReplayed ${people.length} searches, output saved to ${options.out}`);
+
     await closePool();
   });
 
@@ -5,9 +5,47 @@ const config = {
   dataDir: 'data',
   port: 3000,
 
-  // Search provider: 'serper', 'serpapi', or 'google'
+  // Search provider type: 'serper', 'serpapi', 'google', 'funeralhome', 'feed', 'native',
+  // or a custom provider from providerModules
   searchProvider: process.env.SEARCH_PROVIDER || 'serper',
 
+  // Multi-provider mode: comma-separated list of providers run in parallel, e.g. 'serper,serpapi,google'
+  // Candidates from all of them are deduplicated together. Empty = single provider from searchProvider.
+  searchProviders: (process.env.SEARCH_PROVIDERS || '')
+    .split(',')
+    .map(p => p.trim().toLowerCase())
+    .filter(p => p.length > 0),
+
+  // Custom provider modules (comma-separated paths), registered alongside the built-in
+  // providers and selectable by type in SEARCH_PROVIDERS / SEARCH_FALLBACK
+  // (interface: src/providers/ProviderRegistry.js)
+  providerModules: (process.env.PROVIDER_MODULES || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(p => p.length > 0),
+
+  // Fallback chain: tried in order when a provider fails (HTTP error, timeout, out of quota)
+  // e.g. 'serper,serpapi,google'. Empty = no fallback.
+  providerFallback: (process.env.SEARCH_FALLBACK || '')
+    .split(',')
+    .map(p => p.trim().toLowerCase())
+    .filter(p => p.length > 0),
+
+  // Per-attempt timeout for provider HTTP calls, and retries with jittered exponential
+  // backoff (or the provider's Retry-After) for timeouts, 408/429/5xx and network errors
+  retry: {
+    timeoutMs: parseInt(process.env.PROVIDER_TIMEOUT_MS || '15000', 10),
+    maxAttempts: parseInt(process.env.PROVIDER_MAX_ATTEMPTS || '3', 10),
+    baseDelayMs: 500,
+    maxDelayMs: parseInt(process.env.PROVIDER_MAX_RETRY_DELAY_MS || '30000', 10)
+  },
+
+  // Stop calling a failing provider for a cool-down period
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '3', 10),
+    coolDownMs: parseInt(process.env.CIRCUIT_COOL_DOWN_MS || '300000', 10)
+  },
+
   google: {
     apiKey: process.env.GOOGLE_CSE_API_KEY || '',
     cseId: process.env.GOOGLE_CSE_ID || '',
@@ -30,6 +68,90 @@ const config = {
     }
   },
 
+  // Result paging for Serper/SerpAPI/Google CSE: common surnames often push the obituary to page 2-3.
+  // maxPages is the default depth; a query can override it (query.maxPages) up to maxPagesLimit.
+  // Paging stops early once minCandidates candidates score at least minScorePct of their max.
+  paging: {
+    maxPages: parseInt(process.env.SEARCH_MAX_PAGES || '1', 10),
+    maxPagesLimit: 5,
+    resultsPerPage: 10,
+    earlyStop: {
+      minCandidates: 1,
+      minScorePct: 80
+    }
+  },
+
+  // Query planner: how many ranked query variants run per person (full, noCity, middle,
+  // surnameCity, maiden). A query can override it (query.maxVariants). Each variant is billed.
+  queryPlan: {
+    maxVariants: parseInt(process.env.SEARCH_MAX_VARIANTS || '1', 10),
+    maxNicknames: 3  // first-name variants OR'd into the nicknames variant
+  },
+
+  // Shared token-bucket rate limit, requests per second per provider (0 = unlimited)
+  rateLimit: {
+    serper: parseFloat(process.env.RATE_LIMIT_SERPER_RPS || '5'),
+    serpapi: parseFloat(process.env.RATE_LIMIT_SERPAPI_RPS || '1'),
+    google: parseFloat(process.env.RATE_LIMIT_GOOGLE_RPS || '1'),
+    funeralhome: parseFloat(process.env.RATE_LIMIT_FUNERAL_HOME_RPS || '0.5'),
+    feed: 2,
+    default: 2
+  },
+
+  // Cost in USD of one billed call per provider, for usage reporting (0 = free/unknown)
+  providerCost: {
+    serper: parseFloat(process.env.COST_SERPER_PER_CALL || '0.001'),
+    serpapi: parseFloat(process.env.COST_SERPAPI_PER_CALL || '0.015'),
+    google: parseFloat(process.env.COST_GOOGLE_PER_CALL || '0.005')
+  },
+
+  // Monitoring runs: incremental passes only ask providers for results since the last
+  // search (minus overlapDays, for late indexing); every fullSweepDays a query gets an
+  // all-time search instead (0 = always full sweep)
+  monitoring: {
+    fullSweepDays: parseInt(process.env.SEARCH_FULL_SWEEP_DAYS || '7', 10),
+    overlapDays: 2
+  },
+
+  // Hard cap on billed provider calls per batch run (0 = unlimited).
+  // Once reached, remaining queries are deferred to the next run.
+  budget: {
+    maxCallsPerRun: parseInt(process.env.SEARCH_CALL_BUDGET || '0', 10)
+  },
+
+  // Record/replay raw provider responses: 'off', 'record' (save every response to dir),
+  // or 'replay' (serve saved responses, never call out — for offline reruns)
+  recording: {
+    mode: process.env.PROVIDER_RECORDING || 'off',
+    dir: 'data/cache'
+  },
+
+  // Funeral home listing provider ('funeralhome' in SEARCH_PROVIDERS): crawls the obituary
+  // listing pages of funeral homes in the query's state with headless Chrome (CHROME_PATH).
+  // Off unless enabled; only listing pages are loaded, never obituary pages.
+  funeralHomes: {
+    enabled: process.env.FUNERAL_HOMES_ENABLED === 'true',
+    chromePath: process.env.CHROME_PATH || null,
+    sourcesFile: process.env.FUNERAL_HOME_SOURCES_FILE || null,  // extra/override sources, JSON array
+    maxSources: parseInt(process.env.FUNERAL_HOME_MAX_SOURCES || '3', 10),
+    cacheTtlMs: 60 * 60 * 1000,
+    navTimeoutMs: 20000
+  },
+
+  // Obituary feed provider ('feed' in SEARCH_PROVIDERS): matches queries against RSS/Atom
+  // feed entries polled into Postgres (npm run feeds:poll). Feeds file: JSON array of
+  // {name, url, city, state}; url may be a local file.
+  feeds: {
+    file: process.env.FEEDS_FILE || null,
+    maxResults: 50
+  },
+
+  // Death index provider ('native' in SEARCH_PROVIDERS): official death records bulk-imported
+  // from CSV (npm run deaths:import -- --file x.csv --source "Ohio Death Index")
+  deathIndex: {
+    maxResults: 25
+  },
+
   // Page enrichment: disabled — legal compliance, do not fetch source pages
   enrichment: {
     enabled: false,
@@ -38,6 +160,22 @@ const config = {
     timeoutMs: 8000
   },
 
+  // Domain registry (src/domains): ranking weight per domain category, and an optional
+  // site:-restricted query pass over the trusted domains (per query: query.sitePass)
+  domains: {
+    registryFile: process.env.DOMAIN_REGISTRY_FILE || null,  // extra/override entries, JSON array
+    sitePass: process.env.SEARCH_SITE_PASS === 'true',
+    sitePassMaxDomains: 6,
+    categoryWeights: {
+      funeral_home: 1.1,
+      aggregator: 1.05,
+      newspaper: 1,
+      social: 0.8,
+      genealogy: 0.7,
+      people_search: 0.5
+    }
+  },
+
   // Domains that never contain obituaries — results from these are dropped before scoring
   domainsBlocked: [
     '.gov',
@@ -63,7 +201,9 @@ const config = {
     cityMismatchSameState: -10,
     ageOutsideRange: -15,
     lastNameMismatch: -35,
-    firstNameMismatch: -10
+    firstNameMismatch: -10,
+    // DODs extracted with lower confidence (see normalize/provenance.js) don't rank as recent
+    minRecentDodConfidence: 0.5
   }
 };
 
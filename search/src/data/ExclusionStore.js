@@ -45,13 +45,14 @@ class ExclusionStore {
 
   /**
    * Get all excluded fingerprints for a search (per-query + global)
+   * @param {string|string[]} keySearch - one search key, or its current and legacy keys
    */
   async getFingerprintsExcluded(keySearch) {
     const { rows } = await pool.query(
       `SELECT fingerprint_excluded FROM exclusions
-       WHERE (search_key = $1 OR scope = 'global')
+       WHERE (search_key = ANY($1) OR scope = 'global')
          AND fingerprint_excluded IS NOT NULL`,
-      [keySearch]
+      [[].concat(keySearch)]
     );
     return new Set(rows.map(r => r.fingerprint_excluded));
   }
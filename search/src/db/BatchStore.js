@@ -17,11 +17,13 @@ class BatchStore {
 
   /**
    * Add a query and its results to a batch
+   * @param {object|null} usage - provider usage of the search (apiCalls, cost, byProvider)
    */
-  async addQuery(batchId, person, keySearch, results, error) {
+  async addQuery(batchId, person, keySearch, results, error, usage = null) {
     const { rows: queryRows } = await pool.query(
-      `INSERT INTO queries (batch_id, name_first, name_middle, name_last, age_apx, city, state, search_key, result_cnt, error, key_words, name_nickname)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      `INSERT INTO queries (batch_id, name_first, name_middle, name_last, age_apx, city, state, search_key, result_cnt, error, key_words, name_nickname,
+         api_calls, api_cost, usage_by_provider)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
        RETURNING *`,
       [
         batchId,
@@ -35,7 +37,10 @@ class BatchStore {
         results ? results.length : 0,
         error || null,
         person.keyWords || null,
-        person.nickname || null
+        person.nickname || null,
+        usage ? usage.apiCalls : 0,
+        usage ? usage.cost : 0,
+        usage ? JSON.stringify(usage.byProvider) : null
       ]
     );
 
@@ -84,13 +89,15 @@ class BatchStore {
   }
 
   /**
-   * Finalize batch with total counts
+   * Finalize batch with total counts and provider usage
    */
   async finalizeBatch(batchId) {
     await pool.query(
       `UPDATE batches SET
          total_queries = (SELECT COUNT(*) FROM queries WHERE batch_id = $1),
-         total_results = (SELECT COALESCE(SUM(result_cnt), 0) FROM queries WHERE batch_id = $1)
+         total_results = (SELECT COALESCE(SUM(result_cnt), 0) FROM queries WHERE batch_id = $1),
+         api_calls = (SELECT COALESCE(SUM(api_calls), 0) FROM queries WHERE batch_id = $1),
+         api_cost = (SELECT COALESCE(SUM(api_cost), 0) FROM queries WHERE batch_id = $1)
        WHERE id = $1`,
       [batchId]
     );
@@ -135,6 +142,11 @@ class BatchStore {
         keySearch: qr.search_key,
         resultCnt: qr.result_cnt,
         error: qr.error,
+        usage: {
+          apiCalls: qr.api_calls || 0,
+          cost: parseFloat(qr.api_cost || 0),
+          byProvider: qr.usage_by_provider || {}
+        },
         results: resultRows.map(r => this._rowToResult(r))
       });
     }
@@ -169,7 +181,9 @@ class BatchStore {
       inputFile: row.input_file,
       createdAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at,
       totalQueries: row.total_queries,
-      totalResults: row.total_results
+      totalResults: row.total_results,
+      apiCalls: row.api_calls || 0,
+      apiCost: parseFloat(row.api_cost || 0)
     };
   }
 
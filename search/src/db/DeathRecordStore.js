@@ -0,0 +1,97 @@
+const { pool } = require('./pool');
+const { normalizeName } = require('../normalize/name');
+const { surnameKeys } = require('../normalize/nameParser');
+const { phoneticKeys } = require('../normalize/phonetic');
+const { logger } = require('../utils/logger');
+
+const COLUMNS = [
+  'source', 'record_key', 'name_first', 'name_middle', 'name_last',
+  'name_first_norm', 'name_last_norm', 'name_last_phonetic', 'dob', 'dod', 'city', 'state', 'fingerprint'
+];
+
+function toDate(value) {
+  return value ? value.toISOString().split('T')[0] : null;
+}
+
+/**
+ * Bulk-imported official death records (table death_records) behind the 'native' provider
+ */
+class DeathRecordStore {
+  /**
+   * Insert or refresh a batch of records in one statement (keyed by source + record key)
+   * @returns {Promise<number>} records written
+   */
+  async upsertRecords(records) {
+    if (records.length === 0) return 0;
+
+    const values = [];
+    const rows = records.map((r, i) => {
+      values.push(
+        r.source, r.recordKey, r.nameFirst, r.nameMiddle || null, r.nameLast,
+        normalizeName(r.nameFirst), normalizeName(r.nameLast), phoneticKeys(r.nameLast),
+        r.dob || null, r.dod, r.city || null, r.state || null, r.fingerprint || null
+      );
+      const base = i * COLUMNS.length;
+      return `(${COLUMNS.map((_, j) => `$${base + j + 1}`).join(', ')})`;
+    });
+
+    const updates = COLUMNS.slice(2).map(c => `${c} = EXCLUDED.${c}`).join(', ');
+    await pool.query(
+      `INSERT INTO death_records (${COLUMNS.join(', ')})
+       VALUES ${rows.join(', ')}
+       ON CONFLICT (source, record_key) DO UPDATE SET ${updates}, imported_at = NOW()`,
+      values
+    );
+    logger.debug(`Stored ${records.length} death records`);
+    return records.length;
+  }
+
+  /**
+   * Records for any of the last names with any of the first-name variants, newest death first
+   * Compound last names match on any of their surnames ("garcia lopez" for "Garcia"),
+   * and names that sound alike on their Double Metaphone codes ("Schmidt" for "Smith")
+   * @param {string[]} lastNames
+   * @param {string[]} firstNames - first name plus nickname variants
+   * @param {{since?: string, limit?: number}} filters - since keeps deaths on/after that date
+   */
+  async findByName(lastNames, firstNames, { since = null, limit = 25 } = {}) {
+    const { rows } = await pool.query(
+      `SELECT * FROM death_records
+       WHERE (name_last_norm = ANY($1) OR regexp_split_to_array(name_last_norm, '[ -]') && $1
+              OR name_last_phonetic && $5)
+         AND name_first_norm = ANY($2)
+         AND ($3::date IS NULL OR dod >= $3)
+       ORDER BY dod DESC
+       LIMIT $4`,
+      [
+        surnameKeys(lastNames), firstNames.map(n => normalizeName(n)), since, limit,
+        lastNames.flatMap(n => phoneticKeys(n))
+      ]
+    );
+    return rows.map(r => this._rowToRecord(r));
+  }
+
+  async count() {
+    const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM death_records');
+    return rows[0].count;
+  }
+
+  _rowToRecord(row) {
+    return {
+      source: row.source,
+      recordKey: row.record_key,
+      nameFirst: row.name_first,
+      nameMiddle: row.name_middle,
+      nameLast: row.name_last,
+      dob: toDate(row.dob),
+      dod: toDate(row.dod),
+      city: row.city,
+      state: row.state,
+      fingerprint: row.fingerprint
+    };
+  }
+}
+
+const deathRecordStore = new DeathRecordStore();
+
+module.exports = { DeathRecordStore, deathRecordStore };
@@ -0,0 +1,113 @@
+const { pool } = require('./pool');
+const { normalizeName } = require('../normalize/name');
+const { surnameKeys } = require('../normalize/nameParser');
+const { phoneticKeys } = require('../normalize/phonetic');
+const { logger } = require('../utils/logger');
+
+function toDate(value) {
+  return value ? value.toISOString().split('T')[0] : null;
+}
+
+/**
+ * Local index of obituary feed entries (table feed_entries)
+ */
+class FeedStore {
+  /**
+   * Insert or refresh entries (keyed by feed url + guid)
+   * @returns {Promise<number>} entries written
+   */
+  async upsertEntries(entries) {
+    for (const e of entries) {
+      await pool.query(
+        `INSERT INTO feed_entries (
+           feed_url, feed_name, guid, title, url, snippet, published_at,
+           name_full, name_first, name_middle, name_last, name_last_norm, name_last_phonetic,
+           age_years, dob, dod, date_visitation, date_funeral, city, state, fingerprint, field_provenance
+         ) VALUES (
+           $1, $2, $3, $4, $5, $6, $7,
+           $8, $9, $10, $11, $12, $13,
+           $14, $15, $16, $17, $18, $19, $20, $21, $22
+         )
+         ON CONFLICT (feed_url, guid) DO UPDATE SET
+           feed_name = EXCLUDED.feed_name, title = EXCLUDED.title, url = EXCLUDED.url,
+           snippet = EXCLUDED.snippet, published_at = EXCLUDED.published_at,
+           name_full = EXCLUDED.name_full, name_first = EXCLUDED.name_first,
+           name_middle = EXCLUDED.name_middle, name_last = EXCLUDED.name_last,
+           name_last_norm = EXCLUDED.name_last_norm, name_last_phonetic = EXCLUDED.name_last_phonetic,
+           age_years = EXCLUDED.age_years,
+           dob = EXCLUDED.dob, dod = EXCLUDED.dod, date_visitation = EXCLUDED.date_visitation,
+           date_funeral = EXCLUDED.date_funeral, city = EXCLUDED.city, state = EXCLUDED.state,
+           fingerprint = EXCLUDED.fingerprint, field_provenance = EXCLUDED.field_provenance,
+           fetched_at = NOW()`,
+        [
+          e.feedUrl, e.feedName || null, e.guid, e.title || null, e.url || null, e.snippet || null,
+          e.publishedAt || null,
+          e.nameFull || null, e.nameFirst || null, e.nameMiddle || null, e.nameLast || null,
+          e.nameLast ? normalizeName(e.nameLast) : null,
+          e.nameLast ? phoneticKeys(e.nameLast) : null,
+          e.ageYears || null, e.dob || null, e.dod || null, e.dateVisitation || null, e.dateFuneral || null,
+          e.city || null, e.state || null, e.fingerprint || null,
+          e.provenance ? JSON.stringify(e.provenance) : null
+        ]
+      );
+    }
+    logger.debug(`Stored ${entries.length} feed entries`);
+    return entries.length;
+  }
+
+  /**
+   * Entries whose last name is one of the given surnames, newest first
+   * Compound last names match on any of their surnames ("garcia lopez" for "Garcia"),
+   * and names that sound alike on their Double Metaphone codes ("Schmidt" for "Smith")
+   * @param {string[]} surnames - last (and maiden) names, any case
+   * @param {{state?: string, since?: string, limit?: number}} filters - state keeps entries
+   *   in that state or with no state; since keeps deaths (or posts) on/after that date
+   */
+  async findBySurnames(surnames, { state = null, since = null, limit = 50 } = {}) {
+    const { rows } = await pool.query(
+      `SELECT * FROM feed_entries
+       WHERE (name_last_norm = ANY($1) OR regexp_split_to_array(name_last_norm, '[ -]') && $1
+              OR name_last_phonetic && $5)
+         AND ($2::text IS NULL OR state IS NULL OR state = $2)
+         AND ($3::date IS NULL OR COALESCE(dod, published_at::date) >= $3)
+       ORDER BY COALESCE(dod, published_at::date) DESC NULLS LAST
+       LIMIT $4`,
+      [surnameKeys(surnames), state, since, limit, surnames.flatMap(s => phoneticKeys(s))]
+    );
+    return rows.map(r => this._rowToEntry(r));
+  }
+
+  async count() {
+    const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM feed_entries');
+    return rows[0].count;
+  }
+
+  _rowToEntry(row) {
+    return {
+      feedUrl: row.feed_url,
+      feedName: row.feed_name,
+      guid: row.guid,
+      title: row.title,
+      url: row.url,
+      snippet: row.snippet,
+      publishedAt: row.published_at instanceof Date ? row.published_at.toISOString() : row.published_at,
+      nameFull: row.name_full,
+      nameFirst: row.name_first,
+      nameMiddle: row.name_middle,
+      nameLast: row.name_last,
+      ageYears: row.age_years,
+      dob: toDate(row.dob),
+      dod: toDate(row.dod),
+      dateVisitation: toDate(row.date_visitation),
+      dateFuneral: toDate(row.date_funeral),
+      city: row.city,
+      state: row.state,
+      fingerprint: row.fingerprint,
+      provenance: row.field_provenance || null
+    };
+  }
+}
+
+const feedStore = new FeedStore();
+
+module.exports = { FeedStore, feedStore };
@@ -0,0 +1,51 @@
+const { pool } = require('./pool');
+
+/**
+ * Admin edits to the nickname dictionary (table name_first_variant, migration 010)
+ * One row per formal name / nickname pair; removed rows take a built-in pair out.
+ * Rows with source 'dataset' are old copies of the CSV dataset and are not edits.
+ */
+class NicknameStore {
+  /**
+   * All edits, oldest first so later ones win when applied in order
+   */
+  async list() {
+    const { rows } = await pool.query(
+      `SELECT name_formal, name_variant, direction, gender, removed, updated_at
+       FROM name_first_variant WHERE source = 'admin' ORDER BY updated_at, id`
+    );
+    return rows.map(r => this._rowToEdit(r));
+  }
+
+  /**
+   * Insert or replace the edit for a pair
+   * @param {{formal: string, nickname: string, direction?: string, gender?: string|null, removed?: boolean}} edit
+   */
+  async save({ formal, nickname, direction = 'both', gender = null, removed = false }) {
+    const { rows } = await pool.query(
+      `INSERT INTO name_first_variant (name_formal, name_variant, direction, gender, removed, source, updated_at)
+       VALUES ($1, $2, $3, $4, $5, 'admin', NOW())
+       ON CONFLICT (name_formal, name_variant) DO UPDATE SET
+         direction = EXCLUDED.direction, gender = EXCLUDED.gender,
+         removed = EXCLUDED.removed, source = 'admin', updated_at = NOW()
+       RETURNING *`,
+      [formal, nickname, direction, gender, removed]
+    );
+    return this._rowToEdit(rows[0]);
+  }
+
+  _rowToEdit(row) {
+    return {
+      formal: row.name_formal,
+      nickname: row.name_variant,
+      direction: row.direction,
+      gender: row.gender,
+      removed: row.removed,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+const nicknameStore = new NicknameStore();
+
+module.exports = { NicknameStore, nicknameStore };
@@ -4,6 +4,9 @@ const fs = require('fs');
 const path = require('path');
 const { pool, close } = require('./pool');
 const { searchObits, searchMetrics } = require('../index');
+const { callBudget } = require('../providers/CallBudget');
+const { planMonitoringRun } = require('../providers/timeFilter');
+const config = require('../config');
 const { v4: uuidv4 } = require('uuid');
 
 // Local metrics object (extends searchMetrics from index.js)
@@ -11,6 +14,7 @@ const metrics = {
   ranDt: null,
   totalQueries: 0,
   totalResults: 0,
+  fullSweeps: 0,
   timings: {
     totalRunMs: 0,
     dbLoadQueriesMs: 0,
@@ -19,6 +23,7 @@ const metrics = {
     searchTotalMs: 0
   },
   perQueryTimings: [],
+  deferred: [],
   errors: []
 };
 
@@ -72,16 +77,24 @@ function saveMetrics(ranDt) {
     summary: {
       totalQueries: metrics.totalQueries,
       totalResults: metrics.totalResults,
-      serperApiCalls: searchMetrics.serperApiCalls,
+      fullSweeps: metrics.fullSweeps,
+      apiCalls: searchMetrics.apiCalls,
+      pagesFetched: searchMetrics.pagesFetched,
+      retries: searchMetrics.retries,
+      cost: searchMetrics.cost,
+      queryVariantsRun: searchMetrics.queryVariantsRun,
       enrichmentPageFetches: searchMetrics.enrichmentPageFetches,
+      deferredCount: metrics.deferred.length,
       errorCount: metrics.errors.length,
       totalRunMs: metrics.timings.totalRunMs,
       avgQueryTimeMs: Math.round(avgQueryTimeMs),
       avgSearchMs: Math.round(avgSearchMs),
       avgDbInsertMs: Math.round(avgDbInsertMs)
     },
+    usageByProvider: searchMetrics.byProvider,
     timings: metrics.timings,
     perQueryTimings: metrics.perQueryTimings,
+    deferred: metrics.deferred,
     errors: metrics.errors
   };
 
@@ -95,13 +108,17 @@ async function run() {
   metrics.ranDt = ranDt.toISOString();
   console.log(`Run timestamp: ${ranDt.toISOString()}`);
 
-  // Reset search metrics counters
+  // Reset search metrics counters and the per-run call budget
   searchMetrics.reset();
+  callBudget.reset(config.budget.maxCallsPerRun);
 
   // Load all user queries
   const dbLoadStart = Date.now();
   const { rows: queries } = await pool.query(
-    'SELECT id, name_first, name_middle, name_last, age_apx, city, state, key_words FROM user_query WHERE disabled = false ORDER BY name_last, name_first'
+    // Least recently searched first, so queries deferred by the call budget run first next time
+    `SELECT id, name_first, name_middle, name_last, age_apx, city, state, key_words, last_searched_at, last_full_sweep_at
+     FROM user_query WHERE disabled = false
+     ORDER BY last_searched_at ASC NULLS FIRST, name_last, name_first`
   );
   metrics.timings.dbLoadQueriesMs = Date.now() - dbLoadStart;
   metrics.totalQueries = queries.length;
@@ -117,6 +134,14 @@ async function run() {
     const q = queries[i];
     const label = `${q.name_first} ${q.name_last}`;
 
+    if (callBudget.isExhausted()) {
+      for (const dq of queries.slice(i)) {
+        metrics.deferred.push({ id: dq.id, name: `${dq.name_first} ${dq.name_last}` });
+      }
+      console.log(`\nCall budget of ${callBudget.limit} reached, deferring ${queries.length - i} queries to the next run`);
+      break;
+    }
+
     const query = {
       firstName: q.name_first,
       lastName: q.name_last,
@@ -127,9 +152,14 @@ async function run() {
       keyWords: q.key_words || undefined
     };
 
+    // Incremental pass (results since the last search) unless a full sweep is due
+    const { fullSweep, since } = planMonitoringRun(q.last_searched_at, q.last_full_sweep_at, ranDt);
+    if (since) query.since = since;
+
     const queryMetrics = {
       index: i + 1,
       name: label,
+      since,
       searchMs: 0,
       dbInsertMs: 0,
       totalMs: 0,
@@ -140,9 +170,31 @@ async function run() {
       // Track search time (includes provider API call + enrichment)
       const searchStart = Date.now();
 
-      const { results } = await searchObits(query);
+      const { results, degraded, providersUnavailable, usage } = await searchObits(query);
 
       queryMetrics.searchMs = Date.now() - searchStart;
+      queryMetrics.apiCalls = usage.apiCalls;
+      queryMetrics.cost = usage.cost;
+      if (degraded) queryMetrics.degraded = true;
+
+      // Record billed provider usage even when the search is deferred or failed — the calls were still paid for
+      if (usage.apiCalls > 0) {
+        await pool.query(
+          `INSERT INTO search_usage (user_query_id, ran_dt, api_calls, pages_fetched, retries, cost, by_provider)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [q.id, ranDt, usage.apiCalls, usage.pagesFetched, usage.retries, usage.cost, JSON.stringify(usage.byProvider)]
+        );
+      }
+
+      // Budget ran out mid-search: results are partial, defer the whole query
+      if (usage.budgetExhausted) {
+        metrics.deferred.push({ id: q.id, name: label });
+        console.log(`  [${i + 1}/${queries.length}] ${label}: call budget reached, deferred`);
+        continue;
+      }
+      if (providersUnavailable) {
+        throw new Error('search providers unavailable');
+      }
 
       // Track DB insert time
       const dbInsertStart = Date.now();
@@ -152,9 +204,9 @@ async function run() {
             id, user_query_id, ran_dt, name_full, name_first, name_last, age_years,
             dod, date_visitation, date_funeral, city, state, source, url, snippet,
             score, reasons, fingerprint, type_provider, also_found_at,
-            scores_criteria, score_final, score_max, criteria_cnt, rank, url_image
+            scores_criteria, score_final, score_max, criteria_cnt, rank, url_image, field_provenance
           ) VALUES (
-            $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26
+            $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27
           )`,
           [
             uuidv4(), q.id, ranDt,
@@ -166,10 +218,21 @@ async function run() {
             r.alsoFoundAt ? JSON.stringify(r.alsoFoundAt) : null,
             r.scoresCriteria ? JSON.stringify(r.scoresCriteria) : null,
             r.scoreFinal || null, r.scoreMax || null, r.criteriaCnt || null, r.rank || null,
-            r.urlImage || null
+            r.urlImage || null,
+            r.provenance ? JSON.stringify(r.provenance) : null
           ]
         );
       }
+      // Degraded: the failed providers' window is searched again next run
+      if (!degraded) {
+        await pool.query(
+          `UPDATE user_query SET last_searched_at = $1,
+             last_full_sweep_at = CASE WHEN $3 THEN $1 ELSE last_full_sweep_at END
+           WHERE id = $2`,
+          [ranDt, q.id, fullSweep]
+        );
+        if (fullSweep) metrics.fullSweeps++;
+      }
       queryMetrics.dbInsertMs = Date.now() - dbInsertStart;
 
       queryMetrics.resultCount = results.length;
@@ -196,7 +259,12 @@ async function run() {
   metrics.timings.dbInsertResultsMs = totalDbInsertMs;
 
   console.log(`\nDone. ${totalResults} results inserted with ran_dt = ${ranDt.toISOString()}`);
-  console.log(`Serper API calls: ${searchMetrics.serperApiCalls}`);
+  console.log(`Full sweeps: ${metrics.fullSweeps} (other queries searched since their last run)`);
+  for (const [provider, usage] of Object.entries(searchMetrics.byProvider)) {
+    console.log(`${provider}: ${usage.apiCalls} calls, ${usage.pagesFetched} pages, ${usage.retries} retries, $${usage.cost.toFixed(4)}`);
+  }
+  console.log(`Provider API calls: ${searchMetrics.apiCalls} ($${searchMetrics.cost.toFixed(4)})`);
+  console.log(`Result pages fetched: ${searchMetrics.pagesFetched}`);
   console.log(`Page fetches (enrichment): ${searchMetrics.enrichmentPageFetches}`);
 
   // Clean up old image URLs to save storage
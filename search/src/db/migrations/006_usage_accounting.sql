@@ -0,0 +1,6 @@
+-- Billed provider usage per query and per batch (cost in USD, see config.providerCost)
+ALTER TABLE queries ADD COLUMN IF NOT EXISTS api_calls INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE queries ADD COLUMN IF NOT EXISTS api_cost NUMERIC(12,6) NOT NULL DEFAULT 0;
+ALTER TABLE queries ADD COLUMN IF NOT EXISTS usage_by_provider JSONB;
+ALTER TABLE batches ADD COLUMN IF NOT EXISTS api_calls INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE batches ADD COLUMN IF NOT EXISTS api_cost NUMERIC(12,6) NOT NULL DEFAULT 0;
@@ -0,0 +1,29 @@
+-- Obituary RSS/Atom feed entries, polled from the configured feeds (src/providers/feed)
+-- and matched against queries by the 'feed' provider
+CREATE TABLE IF NOT EXISTS feed_entries (
+  id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  feed_url        TEXT NOT NULL,
+  feed_name       VARCHAR(255),
+  guid            TEXT NOT NULL,
+  title           TEXT,
+  url             TEXT,
+  snippet         TEXT,
+  published_at    TIMESTAMPTZ,
+  name_full       VARCHAR(255),
+  name_first      VARCHAR(100),
+  name_middle     VARCHAR(100),
+  name_last       VARCHAR(100),
+  name_last_norm  VARCHAR(100),
+  age_years       INTEGER,
+  dob             DATE,
+  dod             DATE,
+  date_visitation DATE,
+  date_funeral    DATE,
+  city            VARCHAR(100),
+  state           VARCHAR(50),
+  fingerprint     VARCHAR(255),
+  fetched_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (feed_url, guid)
+);
+CREATE INDEX IF NOT EXISTS idx_feed_entries_name_last_norm ON feed_entries(name_last_norm);
+CREATE INDEX IF NOT EXISTS idx_feed_entries_published_at ON feed_entries(published_at DESC);
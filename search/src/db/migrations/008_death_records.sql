@@ -0,0 +1,20 @@
+-- Bulk-imported official death records (state vital-records extracts, SSDI-style files)
+-- for the 'native' provider; record_key is the file's record id, or a hash of name and dates
+CREATE TABLE IF NOT EXISTS death_records (
+  id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  source          VARCHAR(100) NOT NULL,
+  record_key      VARCHAR(100) NOT NULL,
+  name_first      VARCHAR(100) NOT NULL,
+  name_middle     VARCHAR(100),
+  name_last       VARCHAR(100) NOT NULL,
+  name_first_norm VARCHAR(100) NOT NULL,
+  name_last_norm  VARCHAR(100) NOT NULL,
+  dob             DATE,
+  dod             DATE NOT NULL,
+  city            VARCHAR(100),
+  state           VARCHAR(50),
+  fingerprint     VARCHAR(255),
+  imported_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (source, record_key)
+);
+CREATE INDEX IF NOT EXISTS idx_death_records_name ON death_records(name_last_norm, name_first_norm);
@@ -0,0 +1,7 @@
+-- Double Metaphone codes of each surname in name_last (normalize/phonetic.js), so the
+-- feed and death index lookups also find spellings that sound alike ("Schmidt" for "Smith").
+-- Rows stored before this migration are filled in by src/db/refold-names.js.
+ALTER TABLE feed_entries ADD COLUMN IF NOT EXISTS name_last_phonetic TEXT[];
+ALTER TABLE death_records ADD COLUMN IF NOT EXISTS name_last_phonetic TEXT[];
+CREATE INDEX IF NOT EXISTS idx_feed_entries_name_phonetic ON feed_entries USING GIN (name_last_phonetic);
+CREATE INDEX IF NOT EXISTS idx_death_records_name_phonetic ON death_records USING GIN (name_last_phonetic);
@@ -0,0 +1,13 @@
+-- name_first_variant now holds admin edits to the nickname dictionary (normalize/nicknames.js,
+-- db/NicknameStore.js); data/nicknames-dataset.csv is read from the file at startup instead.
+ALTER TABLE name_first_variant ADD COLUMN IF NOT EXISTS direction VARCHAR(10);
+ALTER TABLE name_first_variant ADD COLUMN IF NOT EXISTS gender CHAR(1);
+ALTER TABLE name_first_variant ADD COLUMN IF NOT EXISTS removed BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE name_first_variant ADD COLUMN IF NOT EXISTS source VARCHAR(10) NOT NULL DEFAULT 'admin';
+ALTER TABLE name_first_variant ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Rows copied from the CSV by the old load-name-variants.js have no direction. They duplicate
+-- the dataset file, so mark them as dataset rows (which NicknameStore does not load as edits)
+-- rather than letting them override the file and the curated groups. Edits always have a
+-- direction, so re-running this migration changes nothing.
+UPDATE name_first_variant SET direction = 'to-formal', source = 'dataset' WHERE direction IS NULL;
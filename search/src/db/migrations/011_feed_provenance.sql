@@ -0,0 +1,4 @@
+-- Per-field provenance of a feed entry (normalize/provenance.js), as computed when it was
+-- polled, so the 'feed' provider scores its dates with the confidence they were read with.
+-- Entries stored before this migration have none (getConfidence's default) until re-polled.
+ALTER TABLE feed_entries ADD COLUMN IF NOT EXISTS field_provenance JSONB;
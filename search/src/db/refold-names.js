@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * Recompute stored name keys after accent folding (normalize/fold.js) and fill in
+ * phonetic codes (normalize/phonetic.js, migration 009)
+ * Run once after upgrading: node src/db/refold-names.js (npm run db:refold)
+ *
+ * Before folding, letters outside ASCII were dropped ("Peña" → "pea"), so rows with such
+ * names or cities hold stale normalized names, fingerprints and search keys:
+ *   feed_entries, death_records  name_*_norm and fingerprint, from their name/place columns
+ *   results                      fingerprint; exclusions of the old fingerprint follow it
+ *   user_result                  fingerprint, so the API's batch runs still recognize results
+ *                                users already saw and don't alert on them again
+ *   queries                      search_key; exclusions of the old key follow it
+ * Plain-ASCII rows are unchanged and skipped. Exclusions the script can't trace back still
+ * match at search time through the legacy key and fingerprint (index.js).
+ * feed_entries and death_records rows without name_last_phonetic get their codes.
+ */
+require('dotenv').config();
+const { pool, close } = require('./pool');
+const { normalizeName } = require('../normalize/name');
+const { phoneticKeys } = require('../normalize/phonetic');
+const { generateFingerprint } = require('../dedupe/fingerprint');
+const { normalizeQuery } = require('../index');
+
+const NON_ASCII = "~ '[^[:ascii:]]'";
+
+function toDate(value) {
+  return value ? value.toISOString().split('T')[0] : null;
+}
+
+function fingerprintOf(row) {
+  return generateFingerprint({
+    nameLast: row.name_last,
+    nameFirst: row.name_first,
+    city: row.city,
+    state: row.state,
+    dod: toDate(row.dod)
+  });
+}
+
+async function refoldFeedEntries() {
+  const { rows } = await pool.query(
+    `SELECT id, name_first, name_last, city, state, dod FROM feed_entries
+     WHERE concat_ws(' ', name_first, name_last, city) ${NON_ASCII}`
+  );
+  for (const row of rows) {
+    await pool.query(
+      'UPDATE feed_entries SET name_last_norm = $1, fingerprint = $2 WHERE id = $3',
+      [row.name_last ? normalizeName(row.name_last) : null, fingerprintOf(row), row.id]
+    );
+  }
+  return rows.length;
+}
+
+async function refoldDeathRecords() {
+  const { rows } = await pool.query(
+    `SELECT id, name_first, name_last, city, state, dod FROM death_records
+     WHERE concat_ws(' ', name_first, name_last, city) ${NON_ASCII}`
+  );
+  for (const row of rows) {
+    await pool.query(
+      'UPDATE death_records SET name_first_norm = $1, name_last_norm = $2, fingerprint = $3 WHERE id = $4',
+      [normalizeName(row.name_first), normalizeName(row.name_last), fingerprintOf(row), row.id]
+    );
+  }
+  return rows.length;
+}
+
+async function refoldResults() {
+  const { rows } = await pool.query(
+    `SELECT id, name_first, name_last, city, state, dod, fingerprint FROM results
+     WHERE fingerprint IS NOT NULL AND concat_ws(' ', name_first, name_last, city) ${NON_ASCII}`
+  );
+  for (const row of rows) {
+    const fingerprint = fingerprintOf(row);
+    if (fingerprint === row.fingerprint) continue;
+    await pool.query('UPDATE results SET fingerprint = $1 WHERE id = $2', [fingerprint, row.id]);
+    await pool.query(
+      'UPDATE exclusions SET fingerprint_excluded = $1 WHERE fingerprint_excluded = $2',
+      [fingerprint, row.fingerprint]
+    );
+  }
+  return rows.length;
+}
+
+async function refoldUserResults() {
+  const { rows } = await pool.query(
+    `SELECT id, name_first, name_last, city, state, dod, fingerprint FROM user_result
+     WHERE fingerprint IS NOT NULL AND concat_ws(' ', name_first, name_last, city) ${NON_ASCII}`
+  );
+  for (const row of rows) {
+    const fingerprint = fingerprintOf(row);
+    if (fingerprint === row.fingerprint) continue;
+    await pool.query('UPDATE user_result SET fingerprint = $1 WHERE id = $2', [fingerprint, row.id]);
+  }
+  return rows.length;
+}
+
+async function refoldQueries() {
+  const { rows } = await pool.query(
+    `SELECT id, name_first, name_last, city, state, age_apx, search_key FROM queries
+     WHERE concat_ws(' ', name_first, name_last, city) ${NON_ASCII}`
+  );
+  for (const row of rows) {
+    const { keySearch } = normalizeQuery({
+      nameFirst: row.name_first,
+      nameLast: row.name_last,
+      city: row.city || undefined,
+      state: row.state || undefined,
+      age: row.age_apx || undefined
+    });
+    if (keySearch === row.search_key) continue;
+    await pool.query('UPDATE queries SET search_key = $1 WHERE id = $2', [keySearch, row.id]);
+    await pool.query('UPDATE exclusions SET search_key = $1 WHERE search_key = $2', [keySearch, row.search_key]);
+  }
+  return rows.length;
+}
+
+/**
+ * Phonetic codes for rows stored before migration 009
+ * @param {'feed_entries'|'death_records'} table
+ */
+async function fillPhonetic(table) {
+  const { rows } = await pool.query(
+    `SELECT id, name_last FROM ${table} WHERE name_last IS NOT NULL AND name_last_phonetic IS NULL`
+  );
+  for (const row of rows) {
+    await pool.query(
+      `UPDATE ${table} SET name_last_phonetic = $1 WHERE id = $2`,
+      [phoneticKeys(row.name_last), row.id]
+    );
+  }
+  return rows.length;
+}
+
+async function run() {
+  console.log(`feed_entries:  ${await refoldFeedEntries()} rows refolded`);
+  console.log(`death_records: ${await refoldDeathRecords()} rows refolded`);
+  console.log(`results:       ${await refoldResults()} rows refolded`);
+  console.log(`user_result:   ${await refoldUserResults()} rows refolded`);
+  console.log(`queries:       ${await refoldQueries()} rows refolded`);
+  console.log(`feed_entries:  ${await fillPhonetic('feed_entries')} phonetic codes filled`);
+  console.log(`death_records: ${await fillPhonetic('death_records')} phonetic codes filled`);
+}
+
+run()
+  .catch(err => {
+    console.error('Refold failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => close());
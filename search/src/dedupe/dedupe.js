@@ -1,8 +1,16 @@
+const { normalizeName, getFirstInitial } = require('../normalize/name');
+const { doubleMetaphone } = require('../normalize/phonetic');
+
+// What a death index record attached to a web result by name and date of death contributes
+const NATIVE_DATE_FIELDS = ['dob', 'dod'];
+
 /**
  * Deduplicate candidates by fingerprint
  * - Groups candidates by fingerprint
+ * - Attaches death index records (native) to the web results they corroborate
  * - Keeps the highest scoring record
  * - Merges URLs into alsoFoundAt array
+ * - Records every provider that returned the person in providers array
  */
 function deduplicateCandidates(candidates) {
   // Group by fingerprint
@@ -17,12 +25,17 @@ function deduplicateCandidates(candidates) {
     }
   }
 
+  attachNativeRecords(groups);
+
   // Merge each group
   const deduplicated = [];
 
   for (const [fingerprint, group] of groups) {
     if (group.length === 1) {
-      deduplicated.push(group[0]);
+      deduplicated.push({
+        ...group[0],
+        providers: collectProviders(group)
+      });
     } else {
       deduplicated.push(mergeGroup(group));
     }
@@ -32,55 +45,127 @@ function deduplicateCandidates(candidates) {
 }
 
 /**
- * Merge a group of candidates with the same fingerprint
- * Keep the highest scoring one, merge URLs
+ * Key matching a death index record to a web result: how the last name sounds (records and
+ * obituaries spell "Schmitt" / "Schmidt" differently), first initial and date of death
  */
-function mergeGroup(group) {
-  // Sort by score descending
-  const sorted = [...group].sort((a, b) => b.score - a.score);
-  const best = sorted[0];
+function corroborationKey(candidate) {
+  if (!candidate.nameLast || !candidate.nameFirst || !candidate.dod) return null;
+  const [surnameCode] = doubleMetaphone(candidate.nameLast);
+  return `${surnameCode || normalizeName(candidate.nameLast)}|${getFirstInitial(candidate.nameFirst)}|${candidate.dod}`;
+}
 
-  // Collect all unique URLs from other candidates
-  const alsoFoundAt = [];
-  const seenUrls = new Set([best.url]);
+/**
+ * Death index records rarely share a web obituary's fingerprint (the record's residence
+ * city often differs from the obituary's), so move each native-only group into the
+ * group of web results with the same name and date of death
+ */
+function attachNativeRecords(groups) {
+  const isNativeOnly = group => group.every(c => c.typeProvider === 'native');
+
+  const webGroups = new Map();
+  for (const [fingerprint, group] of groups) {
+    const key = corroborationKey(group[0]);
+    if (key && !isNativeOnly(group) && !webGroups.has(key)) {
+      webGroups.set(key, fingerprint);
+    }
+  }
 
-  for (const candidate of sorted.slice(1)) {
-    if (!seenUrls.has(candidate.url)) {
-      alsoFoundAt.push(candidate.url);
-      seenUrls.add(candidate.url);
+  for (const [fingerprint, group] of [...groups]) {
+    if (!isNativeOnly(group)) continue;
+    const target = webGroups.get(corroborationKey(group[0]));
+    if (target) {
+      groups.get(target).push(...group);
+      groups.delete(fingerprint);
     }
   }
+}
+
+/**
+ * Collect the unique provider types that returned any candidate in a group
+ * Includes providers already recorded on previously merged candidates
+ */
+function collectProviders(group) {
+  const providers = [];
 
-  // Merge any existing alsoFoundAt arrays
   for (const candidate of group) {
-    if (candidate.alsoFoundAt) {
-      for (const url of candidate.alsoFoundAt) {
-        if (!seenUrls.has(url)) {
-          alsoFoundAt.push(url);
-          seenUrls.add(url);
-        }
+    const types = candidate.providers || [candidate.typeProvider];
+    for (const type of types) {
+      if (type && !providers.includes(type)) {
+        providers.push(type);
       }
     }
   }
 
-  // Prefer native provider data when available (usually more complete)
+  return providers;
+}
+
+/**
+ * Merge a group of candidates with the same fingerprint
+ * Keep the highest scoring one, merge URLs
+ */
+function mergeGroup(group) {
+  // Sort by score descending
+  const sorted = [...group].sort((a, b) => b.score - a.score);
+  const best = sorted[0];
+
+  // Prefer native provider data when available (usually more complete), on top of the
+  // best web result: the web result's id, fingerprint and provider stay, so exclusions and
+  // already-seen results still match it
   let merged = best;
   const nativeRecord = group.find(c => c.typeProvider === 'native');
-  if (nativeRecord && nativeRecord !== best) {
-    // Use native data but keep best score
+  const web = sorted.find(c => c.typeProvider !== 'native');
+  if (nativeRecord && web) {
+    // A record attached by name and date of death only (attachNativeRecords) may list
+    // another residence: take just its dates
+    const sameFingerprint = nativeRecord.fingerprint === web.fingerprint;
+    const recordFields = sameFingerprint ? definedFields(nativeRecord) : pickFields(nativeRecord, NATIVE_DATE_FIELDS);
+    const recordProvenance = sameFingerprint
+      ? nativeRecord.provenance
+      : pickFields(nativeRecord.provenance || {}, Object.keys(recordFields));
+    // Fields the record lacks come from the web result, and a record without a link
+    // keeps the web result's link, source and snippet
     merged = {
-      ...nativeRecord,
+      ...web,
+      ...recordFields,
+      ...(sameFingerprint && nativeRecord.url ? {} : { url: web.url, source: web.source, snippet: web.snippet }),
+      id: web.id,
+      fingerprint: web.fingerprint,
+      typeProvider: web.typeProvider,
+      provenance: { ...web.provenance, ...recordProvenance },
       score: best.score,
       reasons: best.reasons
     };
   }
 
+  // Collect all unique URLs from the other candidates and their alsoFoundAt arrays
+  const alsoFoundAt = [];
+  const seenUrls = new Set([merged.url]);
+  const urls = [
+    ...sorted.map(c => c.url),
+    ...group.flatMap(c => c.alsoFoundAt || [])
+  ];
+  for (const url of urls) {
+    if (url && !seenUrls.has(url)) {
+      alsoFoundAt.push(url);
+      seenUrls.add(url);
+    }
+  }
+
   return {
     ...merged,
-    alsoFoundAt: alsoFoundAt.length > 0 ? alsoFoundAt : undefined
+    alsoFoundAt: alsoFoundAt.length > 0 ? alsoFoundAt : undefined,
+    providers: collectProviders(group)
   };
 }
 
+function definedFields(record) {
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value != null));
+}
+
+function pickFields(record, fields) {
+  return definedFields(Object.fromEntries(fields.map(field => [field, record[field]])));
+}
+
 module.exports = {
   deduplicateCandidates
 };
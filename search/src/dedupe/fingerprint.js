@@ -10,10 +10,10 @@ function generateFingerprint(input) {
   const parts = [];
 
   // Normalized last name
-  parts.push(normalizeName(input.nameLast).replace(/\s+/g, '-'));
+  parts.push(normalizeName(input.nameLast || '').replace(/\s+/g, '-'));
 
   // First initial
-  parts.push(getFirstInitial(input.nameFirst));
+  parts.push(getFirstInitial(input.nameFirst || ''));
 
   // City (normalized)
   if (input.city) {
@@ -45,6 +45,24 @@ function generateFingerprint(input) {
   return parts.join('-');
 }
 
+/**
+ * Fingerprint as generated before accent folding, when letters outside ASCII were dropped
+ * ("Peña" → "pea"); exclusions saved before then hold these. Same as the current fingerprint
+ * for plain-ASCII names and cities.
+ */
+function generateLegacyFingerprint(input) {
+  return generateFingerprint({
+    ...input,
+    nameLast: stripNonAscii(input.nameLast),
+    nameFirst: stripNonAscii(input.nameFirst),
+    city: stripNonAscii(input.city)
+  });
+}
+
+function stripNonAscii(text) {
+  return typeof text === 'string' ? text.replace(/[^\x00-\x7F]/g, '') : text;
+}
+
 /**
  * Check if two fingerprints likely represent the same person
  */
@@ -92,6 +110,7 @@ function parseFingerprint(fingerprint) {
 
 module.exports = {
   generateFingerprint,
+  generateLegacyFingerprint,
   fingerprintsMatch,
   parseFingerprint
 };
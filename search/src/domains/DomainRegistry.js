@@ -0,0 +1,110 @@
+const fs = require('fs');
+const domainList = require('./domainList');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+const CATEGORIES = ['funeral_home', 'aggregator', 'newspaper', 'social', 'people_search', 'genealogy'];
+
+/**
+ * Registry of known obituary-related domains
+ * Classifies result URLs by category, gives each a ranking weight,
+ * and lists the trusted domains for the site:-restricted query pass.
+ */
+class DomainRegistry {
+  constructor(entries = domainList, options = {}) {
+    this.categoryWeights = options.categoryWeights || config.domains.categoryWeights;
+    this.entries = new Map();
+    for (const entry of entries) {
+      this.add(entry);
+    }
+    if (options.registryFile) {
+      this.loadFile(options.registryFile);
+    }
+  }
+
+  /**
+   * Add entries from a JSON file (array of entries); later entries replace earlier ones
+   */
+  loadFile(filePath) {
+    try {
+      const entries = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      for (const entry of entries) {
+        this.add(entry);
+      }
+      logger.debug(`Loaded ${entries.length} domain registry entries from ${filePath}`);
+    } catch (err) {
+      logger.error(`Could not load domain registry file ${filePath}:`, err.message);
+    }
+  }
+
+  /**
+   * Add or replace a domain entry
+   */
+  add({ domain, category, trusted = false, weight = null }) {
+    if (!CATEGORIES.includes(category)) {
+      throw new Error(`Unknown domain category "${category}" for ${domain}`);
+    }
+    const key = domain.toLowerCase().replace(/^www\./, '');
+    this.entries.set(key, { domain: key, category, trusted, weight });
+  }
+
+  /**
+   * Look up the entry for a URL or hostname (subdomains match their parent), or null
+   */
+  lookup(urlOrHost) {
+    const host = toHostname(urlOrHost);
+    if (!host) return null;
+
+    const labels = host.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      const entry = this.entries.get(labels.slice(i).join('.'));
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Category of a URL, or null for unknown domains
+   */
+  getCategory(urlOrHost) {
+    return this.lookup(urlOrHost)?.category || null;
+  }
+
+  /**
+   * Ranking weight of a URL: entry weight, else category weight, else 1
+   */
+  getWeight(urlOrHost) {
+    const entry = this.lookup(urlOrHost);
+    if (!entry) return 1;
+    return entry.weight ?? this.categoryWeights[entry.category] ?? 1;
+  }
+
+  /**
+   * Check whether a URL belongs to one of the given categories
+   */
+  isCategory(urlOrHost, categories) {
+    const category = this.getCategory(urlOrHost);
+    return category !== null && categories.includes(category);
+  }
+
+  /**
+   * Domains for the site:-restricted query pass
+   */
+  getTrustedDomains() {
+    return [...this.entries.values()].filter(e => e.trusted).map(e => e.domain);
+  }
+}
+
+function toHostname(urlOrHost) {
+  if (!urlOrHost) return null;
+  try {
+    const host = urlOrHost.includes('/') ? new URL(urlOrHost).hostname : urlOrHost;
+    return host.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+const domainRegistry = new DomainRegistry(domainList, { registryFile: config.domains.registryFile });
+
+module.exports = { DomainRegistry, domainRegistry, CATEGORIES };
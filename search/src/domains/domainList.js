@@ -0,0 +1,56 @@
+/**
+ * Known obituary-related domains
+ *
+ * category: funeral_home | aggregator | newspaper | social | people_search | genealogy
+ * trusted:  included in the site:-restricted query pass
+ * weight:   optional ranking weight overriding the category default (config.domains.categoryWeights)
+ *
+ * Subdomains match their parent (obits.example.com matches example.com).
+ */
+module.exports = [
+  // Obituary aggregators
+  { domain: 'legacy.com', category: 'aggregator', trusted: true },
+  { domain: 'echovita.com', category: 'aggregator', trusted: true },
+  { domain: 'tributes.com', category: 'aggregator', trusted: true },
+  { domain: 'obituaries.com', category: 'aggregator' },
+  { domain: 'everhere.com', category: 'aggregator' },
+  { domain: 'tributearchive.com', category: 'aggregator', trusted: true },
+  { domain: 'obittree.com', category: 'aggregator' },
+  { domain: 'remembering.ca', category: 'aggregator' },
+  { domain: 'dignitymemorial.com', category: 'aggregator', trusted: true },
+
+  // Funeral home networks and website platforms
+  { domain: 'tukios.com', category: 'funeral_home' },
+  { domain: 'frazerconsultants.com', category: 'funeral_home' },
+  { domain: 'funeralinnovations.com', category: 'funeral_home' },
+  { domain: 'batesvillecms.com', category: 'funeral_home' },
+
+  // Newspapers
+  { domain: 'newspapers.com', category: 'newspaper', weight: 0.9 },
+  { domain: 'nytimes.com', category: 'newspaper' },
+  { domain: 'dispatch.com', category: 'newspaper' },
+  { domain: 'cincinnati.com', category: 'newspaper' },
+  { domain: 'journal-news.com', category: 'newspaper' },
+  { domain: 'daytondailynews.com', category: 'newspaper' },
+
+  // Social media
+  { domain: 'facebook.com', category: 'social' },
+  { domain: 'instagram.com', category: 'social' },
+  { domain: 'x.com', category: 'social' },
+  { domain: 'twitter.com', category: 'social' },
+  { domain: 'linkedin.com', category: 'social' },
+
+  // People-search sites (mostly living people, rarely an obituary)
+  { domain: 'whitepages.com', category: 'people_search' },
+  { domain: 'spokeo.com', category: 'people_search' },
+  { domain: 'truepeoplesearch.com', category: 'people_search' },
+  { domain: 'fastpeoplesearch.com', category: 'people_search' },
+  { domain: 'beenverified.com', category: 'people_search' },
+
+  // Genealogy (historic records, rarely a recent death)
+  { domain: 'findagrave.com', category: 'genealogy', weight: 0.9 },
+  { domain: 'ancestry.com', category: 'genealogy' },
+  { domain: 'familysearch.org', category: 'genealogy' },
+  { domain: 'myheritage.com', category: 'genealogy' },
+  { domain: 'billiongraves.com', category: 'genealogy' }
+];
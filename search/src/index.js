@@ -1,26 +1,31 @@
 const crypto = require('crypto');
-const { googleProvider } = require('./providers/google/GoogleProvider');
-const { serpApiProvider } = require('./providers/serpapi/SerpApiProvider');
-const { serperProvider } = require('./providers/serper/SerperProvider');
+require('./providers/builtin');
+const { providerRegistry } = require('./providers/ProviderRegistry');
 const { scoreAndRankCandidates } = require('./scoring/criteriaScore');
 const { deduplicateCandidates } = require('./dedupe/dedupe');
+const { generateLegacyFingerprint } = require('./dedupe/fingerprint');
 const { exclusionStore } = require('./data/ExclusionStore');
+const { circuitBreaker } = require('./providers/CircuitBreaker');
+const { isReplayMode } = require('./providers/recorder');
+const { createUsage } = require('./providers/providerCall');
+const { searchMetrics } = require('./providers/searchMetrics');
+const { normalizeSince } = require('./providers/timeFilter');
 const { normalizeName } = require('./normalize/name');
-const { getNicknameVariants } = require('./normalize/nicknames');
+const { nicknameService, normalizeGender } = require('./normalize/nicknames');
 const { normalizeCity, normalizeState } = require('./normalize/location');
+const { resolveLocale } = require('./normalize/locales');
 const config = require('./config');
 const { enrichResults } = require('./normalize/enrichPage');
 const { logger } = require('./utils/logger');
 
-// Global metrics tracking (can be accessed by run scripts)
-const searchMetrics = {
-  serperApiCalls: 0,
-  enrichmentPageFetches: 0,
-  reset() {
-    this.serperApiCalls = 0;
-    this.enrichmentPageFetches = 0;
+// Custom providers (PROVIDER_MODULES); a broken module is logged and skipped
+for (const modulePath of config.providerModules) {
+  try {
+    providerRegistry.loadModule(modulePath);
+  } catch (err) {
+    logger.error(`Could not load provider module ${modulePath}:`, err.message);
   }
-};
+}
 
 /**
  * Generate a search key for exclusion matching
@@ -39,6 +44,21 @@ function generateKeySearch(query) {
   return crypto.createHash('sha256').update(input).digest('hex').slice(0, 16);
 }
 
+/**
+ * Search key as generated before accent folding ("Peña" normalized to "pea"), or null when
+ * it is the current key. Exclusions saved before then are still looked up by it.
+ */
+function generateLegacyKeySearch(query) {
+  const ascii = (text) => (text ? text.replace(/[^\x00-\x7F]/g, '') : text);
+  const legacy = generateKeySearch({
+    ...query,
+    nameLastNorm: normalizeName(ascii(query.nameLast)),
+    nameFirstNorm: normalizeName(ascii(query.nameFirst)),
+    cityNorm: query.city ? normalizeCity(ascii(query.city)) : undefined
+  });
+  return legacy === query.keySearch ? null : legacy;
+}
+
 /**
  * Normalize a search query
  * Accepts user-facing input (firstName, lastName) and outputs internal format (nameFirst, nameLast)
@@ -66,7 +86,8 @@ function normalizeQuery(query) {
   const cityNorm = query.city ? normalizeCity(query.city) : undefined;
   const stateNorm = query.state ? normalizeState(query.state) : undefined;
 
-  const nameFirstVariants = getNicknameVariants(nameFirstNorm);
+  const gender = normalizeGender(query.gender);
+  const nameFirstVariants = nicknameService.getVariants(nameFirstNorm, { gender });
 
   // Use inputDate if provided, otherwise default to today
   const inputDate = query.inputDate || new Date().toISOString().split('T')[0];
@@ -79,6 +100,11 @@ function normalizeQuery(query) {
     if (parsed.length > 0) keyWords = parsed;
   }
 
+  // Known relatives (matched against the obituary's survivors): array or comma-separated string
+  const rawRelatives = Array.isArray(query.relatives) ? query.relatives.join(',') : query.relatives || '';
+  const parsedRelatives = rawRelatives.split(',').map(r => r.trim()).filter(r => r.length > 0);
+  const relatives = parsedRelatives.length > 0 ? parsedRelatives : null;
+
   const normalized = {
     ...query,
     nameFirst,
@@ -91,46 +117,102 @@ function normalizeQuery(query) {
     cityNorm,
     stateNorm,
     nameFirstVariants,
+    gender,
     keyWords,
+    relatives,
     inputDate,
+    locale: resolveLocale(query),
+    since: normalizeSince(query.since),
     keySearch: ''  // Will be set after full object is created
   };
 
   normalized.keySearch = generateKeySearch(normalized);
+  normalized.keySearchLegacy = generateLegacyKeySearch(normalized);
 
   return normalized;
 }
 
 /**
  * Get all providers based on config
+ * Multi-provider mode (SEARCH_PROVIDERS) returns every configured provider;
+ * otherwise a single provider from SEARCH_PROVIDER. Falls back to Google if none resolve.
  */
 function getProviders() {
-  const provider = config.searchProvider.toLowerCase();
+  const names = config.searchProviders.length > 0
+    ? config.searchProviders
+    : [config.searchProvider.toLowerCase()];
 
-  switch (provider) {
-    case 'serper':
-      if (!config.serper.isEnabled) {
-        logger.error('Serper selected but SERPER_API_KEY not set');
-        return [googleProvider]; // fallback
-      }
-      logger.debug('Using Serper provider');
-      return [serperProvider];
+  const providers = providerRegistry.resolveAll(names);
+
+  if (providers.length === 0) {
+    logger.warn('No configured provider available, falling back to Google');
+    return [providerRegistry.get('google')];
+  }
+
+  logger.debug(`Using provider(s): ${providers.map(p => p.name).join(', ')}`);
+  return providers;
+}
+
+/**
+ * Get the fallback chain (in order) from config, skipping unavailable providers
+ */
+function getFallbackProviders() {
+  return providerRegistry.resolveAll(config.providerFallback);
+}
+
+/**
+ * Run one provider, walking the fallback chain when it fails or its circuit is open.
+ * Fallbacks that are already primary providers are skipped (they run anyway).
+ * A spent call budget stops the chain: every provider draws from the same budget.
+ * Returns { results, provider, failures } — provider is null when every option failed.
+ */
+async function runProviderWithFallback(primary, query, primaries, usage) {
+  const chain = [primary, ...getFallbackProviders().filter(p => !primaries.includes(p))];
+  const failures = [];
+
+  for (const provider of chain) {
+    if (!circuitBreaker.canRequest(provider.type)) {
+      logger.warn(`Provider ${provider.name} skipped: circuit open`);
+      failures.push({ provider: provider.type, error: 'circuit open', isQuota: false });
+      continue;
+    }
 
-    case 'serpapi':
-      if (!config.serpapi.isEnabled) {
-        logger.error('SerpAPI selected but SERPAPI_KEY not set');
-        return [googleProvider]; // fallback
+    try {
+      logger.debug(`Running provider: ${provider.name}`);
+      const results = await provider.search(query, usage);
+      circuitBreaker.recordSuccess(provider.type);
+      logger.debug(`Provider ${provider.name} returned ${results.length} results`);
+      if (provider !== primary) {
+        logger.warn(`Used fallback provider ${provider.name} in place of ${primary.name}`);
       }
-      logger.debug('Using SerpAPI provider');
-      return [serpApiProvider];
+      return { results, provider, failures };
+    } catch (err) {
+      if (err.isBudget) {
+        circuitBreaker.releaseTrial(provider.type);
+        logger.warn(`Provider ${provider.name} skipped: ${err.message}`);
+        failures.push({ provider: provider.type, error: err.message, isQuota: false });
+        break;
+      }
+      circuitBreaker.recordFailure(provider.type, err);
+      logger.error(`Provider ${provider.name} failed:`, err.message);
+      failures.push({ provider: provider.type, error: err.message, isQuota: !!err.isQuota });
+    }
+  }
 
-    case 'google':
-      logger.debug('Using Google provider');
-      return [googleProvider];
+  return { results: [], provider: null, failures };
+}
 
-    default:
-      logger.warn(`Unknown provider "${provider}", falling back to Google`);
-      return [googleProvider];
+/**
+ * Load excluded fingerprints for a search
+ * Replay mode runs offline, so a missing database only skips exclusion filtering
+ */
+async function getFingerprintsExcluded(keySearch) {
+  try {
+    return await exclusionStore.getFingerprintsExcluded(keySearch);
+  } catch (err) {
+    if (!isReplayMode()) throw err;
+    logger.warn('Exclusions unavailable in replay mode, skipping exclusion filter:', err.message);
+    return new Set();
   }
 }
 
@@ -140,29 +222,32 @@ function getProviders() {
 async function searchObits(query) {
   logger.info('Starting obituary search:', query);
 
-  // 1. Normalize query
+  // 1. Normalize query (nickname edits from the database apply from the first search on)
+  await nicknameService.load();
   const normalizedQuery = normalizeQuery(query);
   logger.debug('Normalized query:', normalizedQuery);
 
-  // 2. Run all providers in parallel
+  // 2. Run all providers in parallel (each with its own fallback chain)
   const providers = getProviders();
-  const providerPromises = providers.map(async (provider) => {
-    try {
-      logger.debug(`Running provider: ${provider.name}`);
-      const results = await provider.search(normalizedQuery);
-      logger.debug(`Provider ${provider.name} returned ${results.length} results`);
-      return results;
-    } catch (err) {
-      logger.error(`Provider ${provider.name} failed:`, err);
-      return [];
-    }
-  });
-
-  const providerResults = await Promise.all(providerPromises);
-  const allCandidates = providerResults.flat();
+  const usage = createUsage();
+  const providerRuns = await Promise.all(
+    providers.map(provider => runProviderWithFallback(provider, normalizedQuery, providers, usage))
+  );
+
+  const allCandidates = providerRuns.flatMap(run => run.results);
+  const providersUsed = providerRuns.filter(run => run.provider).map(run => run.provider.type);
+  const providerFailures = providerRuns.flatMap(run => run.failures);
+
+  // Degraded: at least one provider failed, so missing results may not mean "no obituary".
+  // Complete outage (no provider answered) is reported separately.
+  const degraded = providerFailures.length > 0;
+  const providersUnavailable = providersUsed.length === 0;
+  if (degraded) {
+    logger.warn(`Search degraded: ${providerFailures.map(f => `${f.provider} (${f.error})`).join(', ')}`);
+  }
   logger.info(`Total candidates from all providers: ${allCandidates.length}`);
 
-  // 3. Deduplicate first (before scoring)
+  // 3. Deduplicate first (before scoring) — merges the same person found by several providers
   const deduplicated = deduplicateCandidates(allCandidates);
   logger.info(`After deduplication: ${deduplicated.length} candidates`);
 
@@ -183,10 +268,14 @@ async function searchObits(query) {
   }
 
   // 4. Filter out excluded candidates (fingerprint-only matching)
-  // Full URLs are no longer stored — fingerprint match alone excludes
-  const fingerprintsExcluded = await exclusionStore.getFingerprintsExcluded(normalizedQuery.keySearch);
+  // Full URLs are no longer stored — fingerprint match alone excludes.
+  // Exclusions saved before accent folding hold legacy keys and fingerprints.
+  const fingerprintsExcluded = await getFingerprintsExcluded(
+    [normalizedQuery.keySearch, normalizedQuery.keySearchLegacy].filter(Boolean)
+  );
   const filtered = domainFiltered.filter(c => {
     if (c.fingerprint && fingerprintsExcluded.has(c.fingerprint)) return false;
+    if (c.fingerprint && fingerprintsExcluded.has(generateLegacyFingerprint(c))) return false;
     return true;
   });
 
@@ -195,7 +284,7 @@ async function searchObits(query) {
     logger.info(`Filtered out ${excludedCnt} excluded results`);
   }
 
-  // 5. Score and rank all candidates (sorts by scoreFinal, assigns rank)
+  // 5. Score and rank all candidates (sorts by domain-weighted score, assigns rank)
   const rankedCandidates = scoreAndRankCandidates(filtered, normalizedQuery);
 
   // 6. Enrich top results by fetching obituary pages (for funeral dates, etc.)
@@ -214,7 +303,13 @@ async function searchObits(query) {
 
   return {
     results: limited,
-    keySearch: normalizedQuery.keySearch
+    keySearch: normalizedQuery.keySearch,
+    providers: providersUsed,
+    degraded,
+    providersUnavailable,
+    providerFailures,
+    since: normalizedQuery.since,
+    usage
   };
 }
 
@@ -222,5 +317,8 @@ module.exports = {
   searchObits,
   normalizeQuery,
   generateKeySearch,
+  generateLegacyKeySearch,
+  getProviders,
+  runProviderWithFallback,
   searchMetrics
 };
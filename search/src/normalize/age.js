@@ -53,29 +53,40 @@ function calculateAge(dob, dod) {
   }
 }
 
+// Age patterns in order of precedence, with the rule id used for provenance
+const AGE_PATTERNS = [
+  { rule: 'age-word', pattern: /\bage[d]?\s+(\d{1,3})\b/i },
+  { rule: 'years-old', pattern: /\b(\d{1,3})\s+years?\s+old\b/i },
+  { rule: 'comma-age', pattern: /,\s*(\d{2,3})\s*,/ },
+  { rule: 'age-before-place', pattern: /\b(\d{2,3})\s*,?\s*(?:of|from)\s+\w+/i }
+];
+
 /**
- * Extract age from text using regex patterns
+ * Extract age from text with the matching rule and span
+ * @returns {{age: number, rule: string, start: number, end: number, text: string}|null}
  */
-function extractAgeFromText(text) {
-  // Common patterns: "age 71", "aged 71", ", 71,", "71 years old"
-  const patterns = [
-    /\bage[d]?\s+(\d{1,3})\b/i,
-    /\b(\d{1,3})\s+years?\s+old\b/i,
-    /,\s*(\d{2,3})\s*,/,
-    /\b(\d{2,3})\s*,?\s*(?:of|from)\s+\w+/i
-  ];
+function extractAgeDetail(text) {
+  if (!text) return null;
 
-  for (const pattern of patterns) {
+  // Common patterns: "age 71", "aged 71", ", 71,", "71 years old"
+  for (const { rule, pattern } of AGE_PATTERNS) {
     const match = text.match(pattern);
     if (match) {
       const age = parseInt(match[1], 10);
       if (age > 0 && age < 150) {
-        return age;
+        return { age, rule, start: match.index, end: match.index + match[0].length, text: match[0] };
       }
     }
   }
 
-  return undefined;
+  return null;
+}
+
+/**
+ * Extract age from text using regex patterns
+ */
+function extractAgeFromText(text) {
+  return extractAgeDetail(text)?.age;
 }
 
 module.exports = {
@@ -83,5 +94,6 @@ module.exports = {
   isAgeInRange,
   isAgeInExplicitRange,
   calculateAge,
+  extractAgeDetail,
   extractAgeFromText
 };
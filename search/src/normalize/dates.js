@@ -0,0 +1,483 @@
+/**
+ * Date extraction engine
+ * Finds every date mention in a text (snippet, title, page) and classifies it by role.
+ * dod.js, dob.js and serviceDates.js are built on top of it.
+ *
+ * Mentions are found in two steps:
+ *   1. tokenize: every "Month DD[, YYYY]", "DD [de] Month [de YYYY]", "MM/DD/YY[YY]", bare year,
+ *      relative day ("yesterday", "3 days ago") and weekday ("Tuesday", "last Friday")
+ *   2. assign roles, each rule claiming its tokens so later rules can't reuse them:
+ *      ranges ("1940 - 2025") → phrases ("born", "passed away") → keywords in the same
+ *      sentence ("Visitation ... Jan 3") → everything left is 'unknown'.
+ *      So a birth date in a range is never read as a service date.
+ *
+ * A mention is {role, date, text, start, end, rule, inferred}: date is YYYY-MM-DD, or YYYY for
+ * year-only ranges and phrases ("died in 2019"); start/end are offsets into the input.
+ * Bare years, relative days and weekdays without a role are not mentions.
+ *
+ * Months, weekdays and phrases of every locale are read (locales.js); options.locale only
+ * sets the numeric order, day first for es/fr.
+ *
+ * Dates the text doesn't spell out in full are resolved against an anchor and flagged
+ * inferred: year-less and weekday service dates against the death date ("Visitation
+ * Friday"), death dates against the reference date, the result's publication date or
+ * the search run date ("passed away Tuesday" → the last Tuesday on or before it).
+ */
+
+const { LOCALES, VOCABULARY, DAY_FIRST_LOCALES, allLocales } = require('./locales');
+
+const MONTHS = Object.fromEntries(allLocales('months'));
+
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+
+const DATE_ROLES = ['birth', 'death', 'visitation', 'funeral', 'burial', 'publication', 'unknown'];
+
+// Death-related phrases that indicate a DOD follows ("passed away", "falleció", "décédé")
+const DEATH_PHRASES = allLocales('deathPhrases');
+
+const DEATH_PHRASE_PATTERN = DEATH_PHRASES.join('|');
+const BIRTH_PHRASE_PATTERN = allLocales('birthPhrases').join('|');
+const ARTICLE_PATTERN = allLocales('dateArticles').join('|');
+const YEAR_PREPOSITION_PATTERN = allLocales('yearPrepositions').join('|');
+
+// Weekday name (any locale) → day of week, Sunday 0
+const WEEKDAYS = Object.fromEntries(
+  LOCALES.flatMap(locale => VOCABULARY[locale].weekdays.map((name, i) => [name, i]))
+);
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).join('|');
+
+// Relative day phrase (regex source, any locale) → offset in days
+const RELATIVE_DAYS = allLocales('relativeDays').map(([phrase, offset]) => [phrase.replace(/ /g, '\\s+'), offset]);
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+
+// Start of a word: \b treats accented letters as non-word ("aîné" would match "\bné")
+const WORD_START = '(?<![\\wÀ-ÿ])';
+const WORD_END = '(?![\\wÀ-ÿ])';
+
+/**
+ * Day offset from the reference date of a relative day ("yesterday" → -1)
+ */
+function relativeOffset(expression) {
+  const ago = expression.toLowerCase().match(/^(\w+)\s+days?\s+ago$/);
+  if (ago) return -(NUMBER_WORDS[ago[1]] ?? parseInt(ago[1], 10));
+  const day = RELATIVE_DAYS.find(([phrase]) => new RegExp(`^(?:${phrase})$`, 'i').test(expression));
+  return day ? day[1] : 0;
+}
+
+// Date formats, in tokenizing order (a later format can't overlap an earlier one)
+const TOKEN_FORMATS = [
+  {
+    format: 'month-day',
+    pattern: new RegExp(`\\b(${MONTH_PATTERN})\\b\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, 'gi'),
+    parts: m => ({ month: m[1], day: m[2], year: m[3] })
+  },
+  {
+    // "5 March 2026", "5th of March", "5 de enero de 2026", "1er janvier 2026"
+    format: 'day-month',
+    pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|er|ro|º)?\\s+(?:of\\s+|de\\s+)?(${MONTH_PATTERN})\\b(?:\\.?,?\\s+(?:del?\\s+)?(\\d{4})\\b)?`, 'gi'),
+    parts: m => ({ month: m[2], day: m[1], year: m[3] })
+  },
+  {
+    format: 'numeric',
+    pattern: /\b(\d{1,2})[/-](\d{1,2})[/-](\d{4}|\d{2})\b/g,
+    parts: m => ({ month: m[1], day: m[2], year: m[3] })
+  },
+  {
+    format: 'year',
+    pattern: /\b(19\d{2}|20\d{2})\b/g,
+    parts: m => ({ year: m[1] })
+  },
+  {
+    format: 'relative',
+    pattern: new RegExp(`${WORD_START}(?:${RELATIVE_DAYS.map(([phrase]) => phrase).join('|')}|(?:\\d{1,2}|one|two|three|four|five|six|seven)\\s+days?\\s+ago)${WORD_END}`, 'gi'),
+    parts: m => ({ offset: relativeOffset(m[0]) })
+  },
+  {
+    format: 'weekday',
+    pattern: new RegExp(`${WORD_START}(?:(last|this|next|past)\\s+)?(${WEEKDAY_PATTERN})${WORD_END}`, 'gi'),
+    parts: m => ({ modifier: m[1]?.toLowerCase().replace('past', 'last'), weekday: WEEKDAYS[m[2].toLowerCase()] })
+  }
+];
+
+
+// Between a phrase and its date: "on Monday, the", "el lunes", "le"
+const PHRASE_GAP = `\\s+(?:(?:${ARTICLE_PATTERN})\\s+){0,2}(?:(?:${WEEKDAY_PATTERN}),?\\s+|\\w+,\\s+)?(?:(?:${ARTICLE_PATTERN})\\s+){0,2}`;
+
+// Phrases right before a date (or, for death-phrase-after, right after it:
+// "Le 5 janvier 2026, à l'âge de 84 ans, est décédée");
+// precision 'day' takes full dates, 'year' bare years
+const PHRASE_RULES = [
+  {
+    role: 'birth',
+    rule: 'birth-phrase',
+    precision: 'day',
+    before: new RegExp(`(?:${WORD_START}(?:${BIRTH_PHRASE_PATTERN})${PHRASE_GAP}|\\bb\\.\\s*)$`, 'i')
+  },
+  {
+    role: 'death',
+    rule: 'death-phrase',
+    precision: 'day',
+    before: new RegExp(`${WORD_START}(?:${DEATH_PHRASE_PATTERN})${PHRASE_GAP}$`, 'i')
+  },
+  {
+    role: 'death',
+    rule: 'death-phrase-year',
+    precision: 'year',
+    before: new RegExp(`${WORD_START}(?:${DEATH_PHRASE_PATTERN})\\s+(?:${YEAR_PREPOSITION_PATTERN})\\s+$`, 'i')
+  },
+  {
+    role: 'birth',
+    rule: 'birth-phrase-year',
+    precision: 'year',
+    before: new RegExp(`${WORD_START}(?:${BIRTH_PHRASE_PATTERN})\\s+(?:${YEAR_PREPOSITION_PATTERN})\\s+$`, 'i')
+  },
+  {
+    role: 'death',
+    rule: 'death-phrase-after',
+    precision: 'day',
+    after: new RegExp(`^,?\\s*(?:[^.;,]{1,60},\\s*)?(?:(?:est|a|ha)\\s+)?(?:${DEATH_PHRASE_PATTERN})${WORD_END}`, 'i')
+  }
+];
+
+// Keywords whose first date later in the same sentence takes their role;
+// each rule's keyword covers every locale (locales.js), e.g. funeral-service: "funeral services|funérailles"
+const KEYWORD_RULES = [
+  { role: 'visitation', rule: 'visitation' },
+  { role: 'visitation', rule: 'viewing' },
+  { role: 'visitation', rule: 'calling-hours' },
+  { role: 'visitation', rule: 'friends-received' },
+  { role: 'funeral', rule: 'funeral-service' },
+  { role: 'funeral', rule: 'memorial-service' },
+  { role: 'funeral', rule: 'celebration-of-life' },
+  { role: 'funeral', rule: 'services-held' },
+  { role: 'funeral', rule: 'graveside' },
+  { role: 'burial', rule: 'burial' },
+  { role: 'burial', rule: 'interment' },
+  { role: 'publication', rule: 'published' }
+].map(r => ({
+  ...r,
+  keyword: LOCALES.map(locale => VOCABULARY[locale].keywords[r.rule]).filter(Boolean).join('|')
+}));
+
+// Roles whose dates can be in the future (services are announced ahead)
+const FUTURE_ROLES = new Set(['visitation', 'funeral', 'burial', 'unknown']);
+
+// Roles resolved backward from the reference date when the text gives no full date
+const PAST_ROLES = new Set(['death', 'publication']);
+
+// Rule precedence when one date per role is wanted (see pickMention)
+const RULE_ORDER = [
+  'birth-phrase', 'death-phrase', 'death-phrase-year', 'range', 'death-phrase-after', 'birth-phrase-year', 'year-range',
+  ...KEYWORD_RULES.map(r => r.rule),
+  'standalone-month-day', 'standalone-day-month', 'standalone-numeric'
+];
+
+/**
+ * Parse a text or numeric month into two-digit number
+ */
+function parseMonth(month) {
+  if (!month) return null;
+  const m = MONTHS[month.toLowerCase()];
+  if (m) return m;
+  const num = parseInt(month, 10);
+  if (num >= 1 && num <= 12) {
+    return num.toString().padStart(2, '0');
+  }
+  return null;
+}
+
+/**
+ * Convert 2-digit year to 4-digit
+ */
+function expandYear(year) {
+  if (year.length === 4) return year;
+  if (year.length === 2) {
+    const num = parseInt(year, 10);
+    return num > 50 ? '19' + year : '20' + year;
+  }
+  return null;
+}
+
+/**
+ * Is an ISO date (or year) after tomorrow (one day of slack for timezones)
+ */
+function isFutureDate(date) {
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  if (date.length === 4) return parseInt(date, 10) > tomorrow.getFullYear();
+  return new Date(`${date}T00:00:00`) > tomorrow;
+}
+
+/**
+ * Validate and format a date to ISO, or null for impossible dates (Feb 30)
+ */
+function formatDate(year, month, day) {
+  const y = expandYear(year);
+  const m = parseMonth(month);
+  if (!y || !m) return null;
+
+  const d = parseInt(day, 10);
+  const date = new Date(Date.UTC(parseInt(y, 10), parseInt(m, 10) - 1, d));
+  if (isNaN(date.getTime()) || date.getUTCDate() !== d) return null;
+
+  return `${y}-${m}-${d.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Given a month and day with no year, infer the year from DOD.
+ * The service date must be on or after the DOD.
+ */
+function inferYearFromDod(month, day, dod) {
+  if (!dod) return null;
+
+  const m = parseMonth(month);
+  if (!m) return null;
+
+  const d = day.toString().replace(/(?:st|nd|rd|th)$/i, '').padStart(2, '0');
+  const dodParts = dod.split('-');
+  if (dodParts.length !== 3) return null;
+
+  const dodYear = parseInt(dodParts[0]);
+  const dodMonthDay = `${dodParts[1]}${dodParts[2]}`;
+
+  // Service month/day before DOD month/day is next year (DOD Dec 29, funeral Jan 3)
+  const year = `${m}${d}` >= dodMonthDay ? dodYear : dodYear + 1;
+  return formatDate(year.toString(), m, d);
+}
+
+/**
+ * ISO date a number of days from another
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+/**
+ * Given a month and day with no year, the latest such date on or before an ISO date
+ */
+function inferYearBefore(month, day, reference) {
+  const m = parseMonth(month);
+  if (!m) return null;
+  const d = day.toString().padStart(2, '0');
+  const [year, refMonth, refDay] = reference.split('-');
+  const sameYear = `${m}${d}` <= `${refMonth}${refDay}`;
+  return formatDate((parseInt(year, 10) - (sameYear ? 0 : 1)).toString(), m, d);
+}
+
+/**
+ * The weekday nearest an ISO date, on or after it (forward) or on or before it.
+ * "last Tuesday" and "next Tuesday" never mean the anchor day itself.
+ */
+function resolveWeekday(token, anchor, forward) {
+  if (token.modifier === 'last') forward = false;
+  if (token.modifier === 'next') forward = true;
+
+  const day = new Date(`${anchor}T00:00:00Z`).getUTCDay();
+  let days = forward ? (token.weekday - day + 7) % 7 : (day - token.weekday + 7) % 7;
+  if (days === 0 && (token.modifier === 'last' || token.modifier === 'next')) days = 7;
+  return addDays(anchor, forward ? days : -days);
+}
+
+/**
+ * All date tokens in the text, in order of position.
+ * A weekday leading a date ("Friday, January 3") is part of that date, not a token.
+ * @param {string} locale - numeric dates are day first in es/fr
+ */
+function tokenize(text, locale = 'en') {
+  const tokens = [];
+  for (const { format, pattern, parts } of TOKEN_FORMATS) {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (tokens.some(t => start < t.end && end > t.start)) continue;
+      if (format === 'weekday') {
+        const gap = text.slice(end).match(/^,?\s*(?:(?:the|el|le)\s+)?/i)[0].length;
+        if (tokens.some(t => t.start === end + gap)) continue;
+      }
+      const token = { format, start, end, text: match[0], ...parts(match) };
+      if (format === 'numeric' && DAY_FIRST_LOCALES.has(locale)) {
+        [token.month, token.day] = [token.day, token.month];
+      }
+      tokens.push(token);
+    }
+  }
+  return tokens.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Does a token's date come from an anchor rather than the text (no year, relative, weekday)
+ */
+function isInferred(token) {
+  return token.format !== 'year' && !token.year;
+}
+
+/**
+ * ISO date of a token for a role, or null when it has none (no year, invalid, future)
+ * @param {string|null} dod - anchors year-less and weekday service dates
+ * @param {string|null} reference - anchors relative dates, and service dates without dod
+ */
+function tokenDate(token, role, dod = null, reference = null) {
+  const forward = FUTURE_ROLES.has(role) && role !== 'unknown';
+  const anchor = forward ? dod || reference : reference;
+
+  let date;
+  if (token.format === 'year') {
+    date = token.year;
+  } else if (token.year) {
+    date = formatDate(token.year, token.month, token.day);
+  } else if (!anchor || (!forward && !PAST_ROLES.has(role))) {
+    return null;
+  } else if (token.format === 'relative') {
+    // "today", "yesterday" are relative to when the text was written, whatever the role
+    if (!reference) return null;
+    date = addDays(reference, token.offset);
+  } else if (token.format === 'weekday') {
+    date = resolveWeekday(token, anchor, forward);
+  } else {
+    date = forward
+      ? inferYearFromDod(token.month, token.day, anchor)
+      : inferYearBefore(token.month, token.day, anchor);
+  }
+  if (!date) return null;
+  if (!FUTURE_ROLES.has(role) && isFutureDate(date)) return null;
+  return date;
+}
+
+/**
+ * Is there a sentence break between two offsets, ignoring dots inside date tokens ("Jan.")
+ */
+function crossesSentence(text, from, to, tokens) {
+  let between = text.slice(from, to);
+  for (const t of tokens) {
+    if (t.start >= from && t.end <= to) {
+      between = between.slice(0, t.start - from) + ' '.repeat(t.end - t.start) + between.slice(t.end - from);
+    }
+  }
+  return between.includes('.');
+}
+
+/**
+ * Every date mention in the text with its role, in order of position.
+ * A date can have several keyword roles ("Visitation and funeral services ... Jan 4").
+ * @param {string} text
+ * @param {{dod?: string|null, referenceDate?: string|null, locale?: string}} options
+ *   dod anchors year-less and weekday service dates; defaults to the death date found in the text.
+ *   referenceDate (YYYY-MM-DD, publication or run date) anchors relative and weekday death dates;
+ *   without it they are not read.
+ *   locale ('en', 'es', 'fr') reads numeric dates day first for es/fr.
+ * @returns {Array<{role: string, date: string, text: string, start: number, end: number, rule: string, inferred: boolean}>}
+ */
+function extractDates(text, options = {}) {
+  if (!text) return [];
+
+  const tokens = tokenize(text, options.locale);
+  const reference = options.referenceDate || null;
+  const claimed = new Set();
+  const mentions = [];
+
+  const mention = (token, role, rule, date) =>
+    ({ role, date, text: token.text, start: token.start, end: token.end, rule, inferred: isInferred(token) });
+  const claim = (token, role, rule, date) => {
+    claimed.add(token);
+    mentions.push(mention(token, role, rule, date));
+  };
+
+  // Ranges: "April 24, 1935 - January 2, 2026", "(1939 - 2025)"
+  for (let i = 0; i + 1 < tokens.length; i++) {
+    const [first, second] = [tokens[i], tokens[i + 1]];
+    if (!/^\s*[-–—]\s*$/.test(text.slice(first.end, second.start))) continue;
+    const isYearRange = first.format === 'year' && second.format === 'year';
+    if (!isYearRange && (first.format === 'year' || second.format === 'year')) continue;
+    if (isInferred(first) || isInferred(second)) continue;
+
+    const birth = tokenDate(first, 'birth');
+    const death = tokenDate(second, 'death');
+    if (!birth || !death || birth > death) continue;
+
+    const rule = isYearRange ? 'year-range' : 'range';
+    claim(first, 'birth', rule, birth);
+    claim(second, 'death', rule, death);
+    i++;
+  }
+
+  // Phrases directly before a date: "born June 2, 1958", "passed away on Monday, December 29, 2025",
+  // "died Tuesday"
+  for (const token of tokens) {
+    if (claimed.has(token)) continue;
+    const before = text.slice(Math.max(0, token.start - 120), token.start);
+    const after = text.slice(token.end, token.end + 120);
+    for (const phrase of PHRASE_RULES) {
+      const { role, rule, precision } = phrase;
+      if ((precision === 'year') !== (token.format === 'year')) continue;
+      if (phrase.before ? !phrase.before.test(before) : !phrase.after.test(after)) continue;
+      const date = tokenDate(token, role, null, reference);
+      if (date) {
+        claim(token, role, rule, date);
+        break;
+      }
+    }
+  }
+
+  // Keywords: the first date after the keyword in the same sentence
+  const dod = options.dod !== undefined
+    ? options.dod
+    : pickMention(mentions.filter(m => m.date.length === 10), 'death')?.date || null;
+  const keywordRoles = new Map();
+  for (const { role, rule, keyword } of KEYWORD_RULES) {
+    for (const match of text.matchAll(new RegExp(`${WORD_START}(?:${keyword})${WORD_END}`, 'gi'))) {
+      const from = match.index + match[0].length;
+      for (const token of tokens) {
+        if (token.start < from || token.format === 'year' || claimed.has(token)) continue;
+        if (crossesSentence(text, from, token.start, tokens)) break;
+        const date = tokenDate(token, role, dod, reference);
+        if (!date) continue;
+
+        const roles = keywordRoles.get(token) || new Set();
+        if (!roles.has(role)) {
+          roles.add(role);
+          keywordRoles.set(token, roles);
+          mentions.push(mention(token, role, rule, date));
+        }
+        break;
+      }
+    }
+  }
+
+  // Everything else with a full date
+  for (const token of tokens) {
+    if (claimed.has(token) || keywordRoles.has(token) || token.format === 'year' || isInferred(token)) continue;
+    const date = tokenDate(token, 'unknown');
+    if (date) claim(token, 'unknown', `standalone-${token.format}`, date);
+  }
+
+  return mentions.sort((a, b) => a.start - b.start || RULE_ORDER.indexOf(a.rule) - RULE_ORDER.indexOf(b.rule));
+}
+
+/**
+ * The mention for a role from the most specific rule (see RULE_ORDER), first in the text on ties
+ */
+function pickMention(mentions, role) {
+  let best = null;
+  for (const mention of mentions) {
+    if (mention.role !== role) continue;
+    if (!best || RULE_ORDER.indexOf(mention.rule) < RULE_ORDER.indexOf(best.rule)) {
+      best = mention;
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  MONTHS,
+  MONTH_PATTERN,
+  DATE_ROLES,
+  extractDates,
+  pickMention,
+  inferYearFromDod,
+  isFutureDate,
+  formatDate,
+  parseMonth
+};
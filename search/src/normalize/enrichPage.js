@@ -1,21 +1,15 @@
 /**
  * Fetch obituary pages and extract service dates from full HTML text.
- * Used when search engine snippets are too truncated to contain funeral/visitation dates.
+ * Used when search engine snippets are too truncated to contain funeral/visitation dates
+ * (or the survivors paragraph, read for relatives while the page is here).
  */
 
 const { extractServiceDates } = require('./serviceDates');
 const { extractDodFromText } = require('./dod');
+const { extractRelativesFromText } = require('./relatives');
+const { searchMetrics } = require('../providers/searchMetrics');
 const { logger } = require('../utils/logger');
 
-// Lazy load to avoid circular dependency
-let searchMetrics = null;
-function getSearchMetrics() {
-  if (!searchMetrics) {
-    searchMetrics = require('../index').searchMetrics;
-  }
-  return searchMetrics;
-}
-
 /**
  * Strip HTML tags and decode entities to get plain text
  */
@@ -136,8 +130,7 @@ function resolveUrl(url, baseUrl) {
  */
 async function fetchPage(url, timeoutMs = 8000) {
   // Track page fetch
-  const metrics = getSearchMetrics();
-  if (metrics) metrics.enrichmentPageFetches++;
+  searchMetrics.enrichmentPageFetches++;
 
   try {
     const controller = new AbortController();
@@ -198,11 +191,12 @@ async function enrichResult(result) {
   if (!page) return false;
 
   const { html, text } = page;
+  const referenceDate = result.datePublished || new Date().toISOString().split('T')[0];
   let updated = false;
 
   // Try to extract DOD from full page if we don't have it
   if (!result.dod) {
-    const dod = extractDodFromText(text);
+    const dod = extractDodFromText(text, { referenceDate });
     if (dod) {
       result.dod = dod;
       updated = true;
@@ -211,7 +205,7 @@ async function enrichResult(result) {
   }
 
   // Extract service dates from full page text
-  const serviceDates = extractServiceDates(text, result.dod);
+  const serviceDates = extractServiceDates(text, result.dod, { referenceDate });
 
   if (!result.dateFuneral && serviceDates.funeral) {
     result.dateFuneral = serviceDates.funeral;
@@ -225,6 +219,16 @@ async function enrichResult(result) {
     logger.debug(`Enriched visitation date for ${result.nameFull}: ${serviceDates.visitation}`);
   }
 
+  // Relatives from the full obituary text
+  if (!result.relatives) {
+    const relatives = extractRelativesFromText(text);
+    if (relatives) {
+      result.relatives = relatives;
+      updated = true;
+      logger.debug(`Enriched relatives for ${result.nameFull}`);
+    }
+  }
+
   // Extract image URL from HTML
   if (!result.urlImage) {
     const urlImage = extractUrlImage(html, result.url);
@@ -0,0 +1,34 @@
+/**
+ * Unicode folding for name and place comparison
+ * "José Peña" → "Jose Pena", "O’Brien" → "O'Brien", "Cœur" → "Coeur", "Straße" → "Strasse"
+ *
+ * NFKD splits accented letters into letter + combining mark (the marks are dropped) and
+ * compatibility forms into plain ones (ligatures "ﬁ" → "fi", fullwidth letters). Letters
+ * with no decomposition (ø, ł, æ, ß, ...) are transliterated from LETTERS.
+ */
+
+const LETTERS = {
+  'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ß': 'ss', 'ẞ': 'SS',
+  'ø': 'o', 'Ø': 'O', 'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D',
+  'þ': 'th', 'Þ': 'TH', 'ħ': 'h', 'Ħ': 'H', 'ı': 'i', 'ŀ': 'l', 'Ŀ': 'L', 'ŋ': 'ng', 'Ŋ': 'NG'
+};
+
+const LETTER_PATTERN = new RegExp(`[${Object.keys(LETTERS).join('')}]`, 'g');
+
+/**
+ * Fold text to plain Latin letters; case is kept
+ * @param {string} text
+ * @returns {string}
+ */
+function foldText(text) {
+  if (!text) return text;
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(LETTER_PATTERN, ch => LETTERS[ch])
+    .replace(/[‘’ʼ`]/g, "'")
+    .replace(/[“”„]/g, '"')
+    .replace(/[‐‑‒–—]/g, '-');
+}
+
+module.exports = { foldText };
@@ -0,0 +1,220 @@
+/**
+ * Obituary vocabulary by locale: English, Spanish (Hispanic communities in TX, FL, CA)
+ * and French (Quebec, New Brunswick)
+ *
+ * dates.js reads every locale at once (snippets mix languages: an English page quoting
+ * "Q.E.P.D."); the query locale only decides the numeric date order (05/01/2026 is
+ * 5 January in es/fr) and the search keywords (queryPlanner.js).
+ *
+ * Phrases and keywords are regex sources matched case-insensitively.
+ */
+
+const { normalizeState } = require('./location');
+
+const LOCALES = ['en', 'es', 'fr'];
+
+// States/provinces whose obituaries are mostly French
+const FRENCH_STATES = new Set(['QC']);
+
+const VOCABULARY = {
+  en: {
+    months: {
+      'january': '01', 'jan': '01',
+      'february': '02', 'feb': '02',
+      'march': '03', 'mar': '03',
+      'april': '04', 'apr': '04',
+      'may': '05',
+      'june': '06', 'jun': '06',
+      'july': '07', 'jul': '07',
+      'august': '08', 'aug': '08',
+      'september': '09', 'sep': '09', 'sept': '09',
+      'october': '10', 'oct': '10',
+      'november': '11', 'nov': '11',
+      'december': '12', 'dec': '12'
+    },
+    weekdays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+    relativeDays: {
+      'today': 0, 'tonight': 0, 'this morning': 0, 'this afternoon': 0, 'this evening': 0,
+      'earlier today': 0, 'yesterday': -1, 'last night': -1
+    },
+    deathPhrases: [
+      'passed\\s+away',
+      'passed\\s+peacefully',
+      'passed\\s+unexpectedly',
+      'passed\\s+suddenly',
+      'passed\\s+on',
+      'passed',
+      'died',
+      'departed\\s+this\\s+life',
+      'departed',
+      'went\\s+to\\s+be\\s+with\\s+(?:the\\s+)?(?:lord|god|jesus|his\\s+maker|her\\s+maker)',
+      'went\\s+home\\s+to\\s+(?:be\\s+with\\s+)?(?:the\\s+)?(?:lord|god|jesus)',
+      'called\\s+home',
+      'entered\\s+into\\s+(?:eternal\\s+)?rest',
+      'entered\\s+eternal\\s+life',
+      'entered\\s+heaven',
+      'left\\s+this\\s+(?:world|earth|life)',
+      'went\\s+to\\s+heaven',
+      'went\\s+to\\s+(?:his|her)\\s+eternal\\s+(?:rest|reward|home)',
+      'gained\\s+(?:his|her)\\s+wings',
+      'received\\s+(?:his|her)\\s+wings',
+      'transitioned',
+      'was\\s+called\\s+(?:home|to\\s+heaven)',
+      'taken\\s+from\\s+us',
+      'lost\\s+(?:his|her)\\s+battle',
+      'succumbed'
+    ],
+    birthPhrases: ['born'],
+    // Words before a date in a phrase ("died on the 5th"), and before a bare year ("born in")
+    dateArticles: ['on', 'the'],
+    yearPrepositions: ['in', 'during'],
+    keywords: {
+      'visitation': 'visitation',
+      'viewing': 'viewing',
+      'calling-hours': 'calling\\s+hours',
+      'friends-received': 'friends\\s+(?:may|will)\\s+(?:be\\s+received|call)',
+      'funeral-service': 'funeral\\s+services?',
+      'memorial-service': 'memorial\\s+(?:services?|gathering)',
+      'celebration-of-life': 'celebration\\s+of\\s+life',
+      'services-held': 'services?\\s+will\\s+be\\s+(?:held|at)',
+      'graveside': 'graveside\\s+services?',
+      'burial': 'burial',
+      'interment': 'interment',
+      'published': 'published|posted'
+    },
+    obituaryWords: [
+      'obituary', 'death', 'died', 'passed', 'memorial', 'funeral', 'visitation', 'viewing',
+      'service', 'survived\\s+by', 'preceded\\s+in\\s+death', 'loving\\s+memory'
+    ],
+    queryKeywords: ['obituary']
+  },
+
+  es: {
+    months: {
+      'enero': '01', 'ene': '01',
+      'febrero': '02',
+      'marzo': '03',
+      'abril': '04', 'abr': '04',
+      'mayo': '05',
+      'junio': '06',
+      'julio': '07',
+      // no "ago": it would read "3 days ago 5" as a date
+      'agosto': '08',
+      'septiembre': '09', 'setiembre': '09',
+      'octubre': '10',
+      'noviembre': '11',
+      'diciembre': '12', 'dic': '12'
+    },
+    weekdays: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'],
+    relativeDays: { 'hoy': 0, 'ayer': -1, 'anoche': -1, 'anteayer': -2 },
+    deathPhrases: [
+      'falleci[óo]',
+      'falleci(?:do|da)',
+      'muri[óo]',
+      'parti[óo]\\s+(?:con\\s+el\\s+señor|a\\s+la\\s+casa\\s+del\\s+padre)',
+      'descans[óo]\\s+en\\s+(?:la\\s+)?paz(?:\\s+del\\s+señor)?',
+      'pas[óo]\\s+a\\s+mejor\\s+vida',
+      'nos\\s+dej[óo]',
+      'q\\.?\\s*e\\.?\\s*p\\.?\\s*d\\.?',
+      'fecha\\s+de\\s+(?:defunci[óo]n|fallecimiento):?'
+    ],
+    birthPhrases: ['naci[óo]', 'nacid[oa]', 'fecha\\s+de\\s+nacimiento:?'],
+    dateArticles: ['el', 'd[íi]a', 'del'],
+    yearPrepositions: ['en', 'durante'],
+    keywords: {
+      'visitation': 'velorio|velatorio|velaci[óo]n',
+      'funeral-service': 'misa\\s+(?:de\\s+cuerpo\\s+presente|funeral|exequial)|servicios?\\s+f[úu]nebres?|exequias',
+      'memorial-service': 'misa\\s+(?:de\\s+)?(?:recuerdo|conmemorativa)',
+      'burial': 'sepelio|entierro|sepultura',
+      'interment': 'inhumaci[óo]n',
+      'published': 'publicad[oa]'
+    },
+    obituaryWords: ['obituario', 'esquela', 'q\\.?e\\.?p\\.?d', 'falleci', 'defunci[óo]n', 'velorio', 'sepelio'],
+    queryKeywords: ['obituario', 'esquela']
+  },
+
+  fr: {
+    months: {
+      'janvier': '01', 'janv': '01',
+      'février': '02', 'fevrier': '02', 'févr': '02', 'fevr': '02',
+      'mars': '03',
+      'avril': '04', 'avr': '04',
+      'mai': '05',
+      'juin': '06',
+      'juillet': '07', 'juil': '07',
+      'août': '08', 'aout': '08',
+      'septembre': '09',
+      'octobre': '10',
+      'novembre': '11',
+      'décembre': '12', 'decembre': '12', 'déc': '12'
+    },
+    weekdays: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+    relativeDays: { "aujourd['’]hui": 0, 'hier': -1, 'avant-hier': -2 },
+    deathPhrases: [
+      'd[ée]c[ée]d[ée](?:e|\\(e\\))?',
+      's[\'’]est\\s+[ée]teinte?',
+      'nous\\s+a\\s+quitt[ée](?:e|s|es)?',
+      'est\\s+partie?\\s+(?:rejoindre|paisiblement)',
+      'est\\s+retourn[ée]e?\\s+(?:vers|à)\\s+(?:la\\s+maison\\s+du\\s+)?p[èe]re',
+      'd[ée]c[èe]s\\s+survenu',
+      'date\\s+du\\s+d[ée]c[èe]s:?'
+    ],
+    birthPhrases: ['n[ée]e?(?:\\(e\\))?'],
+    dateArticles: ['le'],
+    yearPrepositions: ['en'],
+    keywords: {
+      'visitation': 'exposition|sera\\s+expos[ée]e?',
+      'friends-received': '(?:la\\s+famille\\s+)?(?:recevra|accueillera)\\s+(?:les\\s+)?(?:parents\\s+et\\s+amis|condol[ée]ances)',
+      'funeral-service': 'fun[ée]railles|messe\\s+(?:fun[ée]raire|de\\s+fun[ée]railles)|c[ée]r[ée]monie\\s+fun[ée]raire',
+      'memorial-service': '(?:messe|c[ée]r[ée]monie)\\s+comm[ée]morative',
+      'interment': 'inhumation|mise\\s+en\\s+terre',
+      'published': 'publi[ée]e?'
+    },
+    obituaryWords: ['avis\\s+de\\s+d[ée]c[èe]s', 'n[ée]crologie', 'd[ée]c[ée]d', 'fun[ée]railles', 'd[ée]funte?'],
+    queryKeywords: ['"avis de décès"']
+  }
+};
+
+// Spanish and French write numeric dates day first (05/01/2026 is 5 January)
+const DAY_FIRST_LOCALES = new Set(['es', 'fr']);
+
+/**
+ * Every locale's entries of a vocabulary list, English first
+ */
+function allLocales(key) {
+  return LOCALES.flatMap(locale => {
+    const entry = VOCABULARY[locale][key];
+    return Array.isArray(entry) ? entry : Object.entries(entry || {});
+  });
+}
+
+/**
+ * Locale of a query: its own locale ('es', 'fr-CA'), else French for Quebec, else English
+ * @param {{locale?: string, state?: string}} query
+ * @returns {'en'|'es'|'fr'}
+ */
+function resolveLocale(query = {}) {
+  const language = typeof query.locale === 'string' ? query.locale.toLowerCase().split(/[-_]/)[0] : null;
+  if (LOCALES.includes(language)) return language;
+  return query.state && FRENCH_STATES.has(normalizeState(query.state)) ? 'fr' : 'en';
+}
+
+/**
+ * Search keywords for a locale; other locales also search the English word
+ * (US Spanish-speaking families often publish in English)
+ */
+function getQueryKeywords(locale) {
+  const keywords = VOCABULARY.en.queryKeywords;
+  return locale && locale !== 'en' && VOCABULARY[locale]
+    ? [...keywords, ...VOCABULARY[locale].queryKeywords]
+    : keywords;
+}
+
+module.exports = {
+  LOCALES,
+  VOCABULARY,
+  DAY_FIRST_LOCALES,
+  allLocales,
+  resolveLocale,
+  getQueryKeywords
+};
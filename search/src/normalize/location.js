@@ -2,6 +2,8 @@
  * Location normalization utilities
  */
 
+const { foldText } = require('./fold');
+
 const stateAbbreviations = {
   'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR',
   'california': 'CA', 'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE',
@@ -37,7 +39,7 @@ for (const [name, code] of Object.entries(stateAbbreviations)) {
  * Normalize state to USPS code
  */
 function normalizeState(state) {
-  const trimmed = state.trim();
+  const trimmed = foldText(state).trim();
   const upper = trimmed.toUpperCase();
 
   // Already a valid code
@@ -54,7 +56,7 @@ function normalizeState(state) {
  * Normalize city name - handles St/Saint variations
  */
 function normalizeCity(city) {
-  let normalized = city
+  let normalized = foldText(city)
     .toLowerCase()
     .trim()
     .replace(/[^\w\s-]/g, '')
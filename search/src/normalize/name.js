@@ -2,8 +2,13 @@
  * Name normalization utilities
  */
 
+const { foldText } = require('./fold');
+
+/**
+ * Lowercase, accents folded ("Peña" → "pena"), punctuation other than hyphens removed
+ */
 function normalizeName(name) {
-  return name
+  return foldText(name)
     .toLowerCase()
     .trim()
     .replace(/[^\w\s-]/g, '')  // Remove punctuation except hyphens
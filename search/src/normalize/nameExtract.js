@@ -1,21 +1,25 @@
 /**
  * Name extraction from search result titles, snippets, and URLs.
  * Shared by SerperProvider and SerpApiProvider.
+ * Titles are cleaned down to the name here; nameParser.js splits it into parts.
  */
 
+const { parseFullName } = require('./nameParser');
+
 const MONTH_PATTERN = '(?:January|February|March|April|May|June|July|August|September|October|November|December)';
 
 const INVALID_LAST_NAMES = new Set([
   'videos', 'website', 'memorial', 'obituary', 'obituaries',
   'will', 'service', 'services', 'information', 'photos',
   'instagram', 'facebook', 'twitter', 'wall', 'tribute',
-  'page', 'home', 'funeral', 'published', 'soon', 'images'
+  'page', 'home', 'funeral', 'published', 'soon', 'images',
+  // Spanish and French
+  'obituario', 'obituarios', 'esquela', 'esquelas', 'funeraria', 'q.e.p.d.', 'qepd',
+  'nécrologie', 'necrologie', 'décès', 'deces', 'funérailles', 'funerailles'
 ]);
 
-const NAME_SUFFIXES = new Set([
-  'jr', 'jr.', 'sr', 'sr.', 'ii', 'iii', 'iv', 'v',
-  'esq', 'esq.', 'md', 'm.d.', 'phd', 'ph.d.'
-]);
+// Capitalized name word, accented letters included ("José", "Hélène")
+const NAME_WORD = '[A-ZÀ-ÖØ-Þ][a-zà-öø-ÿ]+';
 
 /**
  * Extract a person's name from a search result title.
@@ -59,6 +63,7 @@ function extractNameFromTitle(title) {
   // Strip sentence continuations (Facebook-style long titles)
   cleanTitle = cleanTitle
     .replace(/\s+[Pp]assed\s+away.*$/i, '')              // "Passed away on..."
+    .replace(/\s+(?:falleci[óo]|est\s+d[ée]c[ée]d[ée]e?)\s.*$/i, '') // "falleció el...", "est décédé le..."
     .replace(/\s+[Aa]n?\s+obituary.*$/i, '')             // "An obituary..."
     .replace(/\s+[Ss]ervice\s+information.*$/i, '')      // "Service information will be..."
     .replace(/\s+[Aa]nd\s+service\s+information.*$/i, '') // "and service information..."
@@ -76,19 +81,22 @@ function extractNameFromTitle(title) {
   // Remove common prefixes
   cleanTitle = cleanTitle
     .replace(/^(information\s+for|obituary\s+for|obituary\s+of|in\s+memory\s+of|in\s+loving\s+memory\s+of|remembering)\s+/gi, '')
-    .replace(/^(mr\.?|mrs\.?|ms\.?|dr\.?|miss)\s+/gi, '')
+    .replace(/^(obituario\s+de|esquela\s+de|en\s+memoria\s+de|avis\s+de\s+d[ée]c[èe]s\s*(?:de|:)?|n[ée]crologie\s*(?:de|:)?|in\s+memoriam)\s+/gi, '')
+    .replace(/^(mr\.?|mrs\.?|ms\.?|dr\.?|miss|sr\.?|sra\.?|srta\.?|don|doña|m\.|mme\.?|mlle\.?)\s+/gi, '')
     .trim();
 
   // Remove pipe delimiter (always a section separator)
   cleanTitle = cleanTitle.replace(/\s*[|]\s*.*$/g, '').trim();
 
   // Remove dash/en-dash/em-dash delimiters — but ONLY when surrounded by spaces
+  // (or trailing, left over from a stripped location: "Mary Jones Obituary -")
   // This preserves hyphenated names like "Gonzalez-Irizarry"
-  cleanTitle = cleanTitle.replace(/\s+[-–—]\s+.*$/g, '').trim();
+  cleanTitle = cleanTitle.replace(/\s+[-–—](?:\s+.*)?$/g, '').trim();
 
   // Remove common suffix words
   cleanTitle = cleanTitle
-    .replace(/\s*Obituary\s*/gi, '')
+    .replace(/\s*(?:Obituary|Obituario|Esquela|Avis\s+de\s+d[ée]c[èe]s|N[ée]crologie)\s*/gi, '')
+    .replace(/\s*\(?Q\.?\s*E\.?\s*P\.?\s*D\.?\)?\s*$/gi, '')     // "(Q.E.P.D.)"
     .replace(/\s*\(\d{1,2}\/\d{1,2}\/\d{2,4}.*$/g, '')     // "(02/16/1943..." or "(2/16/43..."
     .replace(/\s*\(\d{4}.*$/g, '')                         // "(1939..." or "(2026)"
     .replace(/\s*\d{4}\s*-\s*\d{4}.*$/g, '')              // "1939-2026" ranges
@@ -101,53 +109,19 @@ function extractNameFromTitle(title) {
   // Strip trailing possessive 's from the full name (but not internal like O'Reilly)
   cleanTitle = cleanTitle.replace(/'s\s*$/i, '').trim();
 
-  // Strip quoted nicknames for cleaner part splitting, but keep them in nameFull
-  const nameFullWithNicknames = cleanTitle;
-  const forParsing = cleanTitle.replace(/\s*"[^"]*"\s*/g, ' ').replace(/\s+/g, ' ').trim();
-
-  // === Phase 3: Split and extract first/last ===
-
-  let parts = forParsing.split(/\s+/);
+  // === Phase 3: Split into first/middle/last, maiden, nickname, suffix ===
 
-  // Remove name suffixes from the end
-  while (parts.length > 2 && NAME_SUFFIXES.has(parts[parts.length - 1].toLowerCase())) {
-    parts.pop();
+  const parsed = parseFullName(cleanTitle);
+  if (!parsed.nameFirst) {
+    return { nameFull: cleanTitle };
   }
 
-  if (parts.length >= 2) {
-    const nameFirst = parts[0];
-    let nameLast = parts[parts.length - 1];
-    let lastIdx = parts.length - 1;
-
-    // If last part is a single letter (middle initial), use second-to-last
-    if (nameLast.length === 1 && parts.length > 2) {
-      nameLast = parts[parts.length - 2];
-      lastIdx = parts.length - 2;
-    }
-
-    // Clean up trailing punctuation and possessive 's
-    nameLast = nameLast.replace(/'s$/i, '').replace(/[.,;:!?]+$/, '');
-
-    // Extract middle name/initial (parts between first and last)
-    let nameMiddle = null;
-    if (lastIdx > 1) {
-      nameMiddle = parts.slice(1, lastIdx).join(' ');
-    }
-
-    // Validate the parsed name
-    if (!isValidParsedName(nameFirst, nameLast)) {
-      return { nameFull: nameFullWithNicknames };
-    }
-
-    return {
-      nameFull: nameFullWithNicknames,
-      nameFirst,
-      nameMiddle,
-      nameLast
-    };
+  // Validate the parsed name
+  if (!isValidParsedName(parsed.nameFirst, parsed.nameLast)) {
+    return { nameFull: parsed.nameFull };
   }
 
-  return { nameFull: cleanTitle };
+  return parsed;
 }
 
 /**
@@ -174,15 +148,18 @@ function extractNameFromSnippet(snippet, query) {
     }
   }
 
-  // Pattern 2: "FirstName [MiddleName] LastName passed away" or "died"
-  const passedAwayPattern = /([A-Z][a-z]+(?:\s+[A-Z]\.?)?(?:\s+[A-Z][a-z]+)+)\s+(?:passed\s+away|died|departed)/i;
+  // Pattern 2: "FirstName [MiddleName] LastName passed away" or "died" ("falleció", "est décédé")
+  const passedAwayPattern = new RegExp(
+    `(${NAME_WORD}(?:\\s+[A-Z]\\.?)?(?:\\s+(?!est\\s)${NAME_WORD})+)\\s+(?:passed\\s+away|died|departed|falleci[óo]|muri[óo]|(?:est\\s+)?d[ée]c[ée]d[ée]e?|s['’]est\\s+[ée]teinte?)`,
+    'i'
+  );
   const match1 = snippet.match(passedAwayPattern);
   if (match1) {
     return extractNameFromTitle(match1[1]);
   }
 
   // Pattern 3: "FirstName LastName, 83," or "FirstName LastName, age 83"
-  const nameAgePattern = /([A-Z][a-z]+(?:\s+[A-Z]\.?)?(?:\s+[A-Z][a-z]+)+),\s*(?:age\s*)?\d{1,3},/i;
+  const nameAgePattern = new RegExp(`(${NAME_WORD}(?:\\s+[A-Z]\\.?)?(?:\\s+${NAME_WORD})+),\\s*(?:age\\s*)?\\d{1,3},`, 'i');
   const match2 = snippet.match(nameAgePattern);
   if (match2) {
     return extractNameFromTitle(match2[1]);
@@ -217,8 +194,8 @@ function extractNameFromUrl(url) {
     const path = urlObj.pathname;
 
     // Match common funeral home URL patterns
-    // /obituaries/antonio-avila, /obituary/john-smith, /obits/jane-doe
-    const obituaryPathRe = /\/(?:obituaries|obituary|obits|tribute)\/([a-z]+-[a-z]+(?:-[a-z]+)*)/i;
+    // /obituaries/antonio-avila, /obituary/john-smith, /obits/jane-doe, /esquelas/juan-perez, /avis-de-deces/marie-roy
+    const obituaryPathRe = /\/(?:obituaries|obituary|obits|tribute|obituarios|esquelas?|avis-de-deces|necrologie)\/([a-z]+-[a-z]+(?:-[a-z]+)*)/i;
     const match = path.match(obituaryPathRe);
 
     if (match) {
@@ -229,15 +206,10 @@ function extractNameFromUrl(url) {
       const nameParts = slugParts.filter(p => !nonNameSlugs.has(p.toLowerCase()));
 
       if (nameParts.length >= 2) {
-        const nameFirst = nameParts[0].charAt(0).toUpperCase() + nameParts[0].slice(1);
-        const nameLast = nameParts[nameParts.length - 1].charAt(0).toUpperCase() + nameParts[nameParts.length - 1].slice(1);
-
-        if (isValidParsedName(nameFirst, nameLast)) {
-          return {
-            nameFull: nameParts.map(p => p.charAt(0).toUpperCase() + p.slice(1)).join(' '),
-            nameFirst,
-            nameLast
-          };
+        const parsed = parseFullName(nameParts.map(p => p.charAt(0).toUpperCase() + p.slice(1)).join(' '));
+
+        if (isValidParsedName(parsed.nameFirst, parsed.nameLast)) {
+          return parsed;
         }
       }
     }
@@ -285,6 +257,10 @@ function isGenericTitle(title) {
     /^current\s+services?/i,
     /^funeral\s+services?/i,
     /^death\s+notices?/i,
+    /^(?:obituarios|esquelas)\b/i,
+    /^avis\s+de\s+d[ée]c[èe]s\s*$/i,
+    /^(?:derniers\s+)?avis\s+de\s+d[ée]c[èe]s\s+(?:à|au|en|r[ée]cents)/i,
+    /^n[ée]crologies?\s*(?:$|à|au|en)/i,
     /^browse\s+/i,
     /^view\s+all/i,
     /^all\s+obituaries?/i,
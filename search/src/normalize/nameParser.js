@@ -0,0 +1,206 @@
+/**
+ * Structured full-name parser
+ * Splits a person's name ("Mary Ellen "Molly" (O'Brien) de la Cruz Jr.") into
+ * first/middle/last/maiden/nickname/suffix. Used wherever a provider only has a
+ * full name: result titles and snippets (nameExtract.js), URL slugs, death index rows.
+ *
+ *   nickname   "Molly" / 'Molly' / “Molly”, or (Molly) when it is a known nickname
+ *   maiden     (O'Brien) otherwise, or "née O'Brien"
+ *   suffix     Jr., Sr., II-IV, Esq., M.D., Ph.D.
+ *   first      one given name, two for common double first names ("Mary Ellen", "José Luis")
+ *   last       the final word plus the particles before it ("de la Cruz", "Van Der Berg"),
+ *              both Hispanic surnames ("García López", "García y López"), or everything
+ *              before the comma in "Last, First Middle"
+ *   middle     whatever is between
+ */
+
+const { areNicknameVariants, getNicknameVariants } = require('./nicknames');
+const { normalizeName } = require('./name');
+const { foldText } = require('./fold');
+
+const NAME_SUFFIXES = new Set([
+  'jr', 'jr.', 'sr', 'sr.', 'ii', 'iii', 'iv', 'v',
+  'esq', 'esq.', 'md', 'm.d.', 'phd', 'ph.d.'
+]);
+
+const HONORIFICS = /^(?:(?:mr|mrs|ms|dr|rev|sra|srta|mme|mlle)\.?|miss|don|doña|sr\.|m\.)\s+/i;
+
+// Lowercase words that start a surname when they come right before it
+const SURNAME_PARTICLES = new Set([
+  'de', 'del', 'della', 'der', 'den', 'di', 'da', 'das', 'do', 'dos', 'du', 'des',
+  'la', 'las', 'le', 'les', 'lo', 'los', 'van', 'von', 'ter', 'ten', 'st', 'st.',
+  'saint', 'ste', 'ste.', 'al', 'el', 'bin', 'ibn', 'mac'
+]);
+
+// Accents folded ("José Luis" is looked up as "jose luis")
+const DOUBLE_FIRST_NAMES = new Set([
+  'mary ann', 'mary anne', 'mary ellen', 'mary jo', 'mary lou', 'mary beth', 'mary kay',
+  'mary jane', 'mary sue', 'mary alice', 'anna mae', 'anna marie', 'ella mae', 'lula mae',
+  'betty jo', 'betty lou', 'billie jo', 'billy joe', 'billy ray', 'bobby joe', 'jo ann',
+  'jo anne', 'peggy sue', 'sue ellen', 'john paul', 'anne marie',
+  'jean paul', 'jean marc', 'jean luc', 'jean claude', 'jean pierre', 'jean guy',
+  'marie claire', 'marie josee', 'marie france', 'marie eve',
+  'jose luis', 'juan carlos', 'juan pablo', 'juan manuel', 'jose antonio',
+  'miguel angel', 'luis miguel', 'maria jose', 'maria elena', 'ana maria', 'maria luisa'
+]);
+
+// Common Hispanic surnames without a telltale accent or -ez ending, accents folded
+const HISPANIC_SURNAMES = new Set([
+  'garcia', 'cruz', 'torres', 'flores', 'rivera', 'morales', 'reyes', 'ortiz', 'ramos',
+  'castillo', 'romero', 'vargas', 'mendoza', 'herrera', 'medina', 'aguilar', 'moreno',
+  'castro', 'silva', 'soto', 'delgado', 'vega', 'rojas', 'salazar', 'guerrero', 'cortes',
+  'campos', 'contreras', 'luna', 'estrada', 'navarro', 'molina', 'espinoza', 'cabrera',
+  'mejia', 'ochoa', 'acosta', 'rosario', 'santiago', 'villanueva', 'pacheco', 'ponce'
+]);
+
+function looksHispanicSurname(word) {
+  return /ez$/i.test(word) || /[áéíóúñ]/i.test(word) || HISPANIC_SURNAMES.has(foldText(word).toLowerCase());
+}
+
+function isInitial(word) {
+  return /^[A-Za-zÀ-ÿ]\.?$/.test(word);
+}
+
+function clean(word) {
+  return word.replace(/'s$/i, '').replace(/[.,;:!?]+$/, '');
+}
+
+/**
+ * Index where the surname starts in name words (after the first name), the surname
+ * being the last word
+ */
+function surnameStart(words, firstCount) {
+  const last = words.length - 1;
+  let start = last;
+
+  // Particles right before it: "de la Cruz", "Van Der Berg"
+  while (start - 1 >= firstCount && SURNAME_PARTICLES.has(words[start - 1].toLowerCase())) {
+    start--;
+  }
+  if (start < last) return start;
+
+  // Both Hispanic surnames: "García y López", "García López"
+  if (start - 2 >= firstCount && words[start - 1].toLowerCase() === 'y') return start - 2;
+  if (start - 1 >= firstCount && !isInitial(words[start - 1]) &&
+      looksHispanicSurname(words[start - 1]) && looksHispanicSurname(words[start])) {
+    return start - 1;
+  }
+  return start;
+}
+
+/**
+ * Parse a full name
+ * @param {string} text - a name, already cut from its title/snippet
+ * @returns {{nameFull: string|null, nameFirst: string|null, nameMiddle: string|null,
+ *   nameLast: string|null, nameMaiden: string|null, nameNickname: string|null, nameSuffix: string|null}}
+ *   parts are null when the text has fewer than two name words
+ */
+function parseFullName(text) {
+  const nameFull = text ? text.replace(/\s+/g, ' ').trim() : '';
+  const parsed = {
+    nameFull: nameFull || null,
+    nameFirst: null,
+    nameMiddle: null,
+    nameLast: null,
+    nameMaiden: null,
+    nameNickname: null,
+    nameSuffix: null
+  };
+  if (!nameFull) return parsed;
+
+  let rest = nameFull.replace(HONORIFICS, '');
+
+  // Quoted nickname: "Molly", “Molly”, 'Molly' (apostrophes inside O'Brien are not quotes)
+  const quoted = rest.match(/["“]([^"“”]+)["”]|(?:^|\s)['‘]([^'‘’]+)['’](?=\s|$)/);
+  if (quoted) {
+    parsed.nameNickname = (quoted[1] || quoted[2]).trim();
+    rest = rest.replace(quoted[0], ' ');
+  }
+
+  // "née Smith"
+  const nee = rest.match(/(?:^|\s)n[ée]e\s+([^\s,()]+)/i);
+  if (nee) {
+    parsed.nameMaiden = clean(nee[1]);
+    rest = rest.replace(nee[0], ' ');
+  }
+
+  // (Smith) is a maiden name, (Bud) a nickname: of the first name, or any known nickname
+  const paren = rest.match(/\(([^()]+)\)/);
+  if (paren) {
+    const inner = paren[1].replace(/^n[ée]e\s+/i, '').trim();
+    rest = rest.replace(paren[0], ' ');
+    if (/^[A-Za-zÀ-ÿ'’.\- ]+$/.test(inner)) {
+      const first = rest.trim().split(/\s+/)[0] || '';
+      const isNickname = areNicknameVariants(first, inner) || getNicknameVariants(inner).length > 1;
+      if (!parsed.nameNickname && isNickname) {
+        parsed.nameNickname = inner;
+      } else if (!parsed.nameMaiden) {
+        parsed.nameMaiden = inner;
+      }
+    }
+  }
+
+  rest = rest.replace(/\s+/g, ' ').trim();
+
+  // Suffix, also as ", Jr."
+  const suffix = rest.match(/,?\s+([A-Za-z.]+)$/);
+  if (suffix && NAME_SUFFIXES.has(suffix[1].toLowerCase()) && rest.split(' ').length > 2) {
+    parsed.nameSuffix = suffix[1];
+    rest = rest.slice(0, suffix.index).trim();
+  }
+
+  // "Last, First Middle" (one surname before the comma, so "John Smith, Beloved Father" isn't)
+  const inverted = rest.match(/^([^,]+),\s*([^,]+)$/);
+  if (inverted && surnameParts(inverted[1]).length === 1) {
+    const given = inverted[2].split(' ');
+    parsed.nameLast = clean(inverted[1]);
+    parsed.nameFirst = clean(given[0]);
+    parsed.nameMiddle = given.slice(1).join(' ') || null;
+    return parsed;
+  }
+
+  const words = rest.replace(/,/g, ' ').split(/\s+/).filter(Boolean);
+  if (words.length < 2) return parsed;
+
+  const firstCount = words.length >= 3 && DOUBLE_FIRST_NAMES.has(foldText(`${words[0]} ${words[1]}`).toLowerCase()) ? 2 : 1;
+
+  // A trailing middle initial ("John Smith A") is not the surname
+  const end = words.length > firstCount + 1 && isInitial(words[words.length - 1]) ? words.length - 1 : words.length;
+  const start = surnameStart(words.slice(0, end), firstCount);
+
+  const middle = [...words.slice(firstCount, start), ...words.slice(end)];
+  parsed.nameFirst = words.slice(0, firstCount).join(' ');
+  parsed.nameMiddle = middle.join(' ') || null;
+  parsed.nameLast = clean(words.slice(start, end).join(' '));
+  return parsed;
+}
+
+/**
+ * The single surnames in a last name, particles dropped: "García-López" → [García, López],
+ * "de la Cruz" → [Cruz]
+ */
+function surnameParts(nameLast) {
+  if (!nameLast) return [];
+  return nameLast.split(/[\s-]+/).filter(w => w && w.toLowerCase() !== 'y' && !SURNAME_PARTICLES.has(w.toLowerCase()));
+}
+
+/**
+ * Normalized surnames to look last names up by: each name whole and each of its parts,
+ * so "García López" finds "Garcia" and "de la Cruz" finds "Cruz"
+ * @param {string[]} lastNames - last (and maiden) names, any case
+ * @returns {string[]}
+ */
+function surnameKeys(lastNames) {
+  const keys = lastNames
+    .filter(Boolean)
+    .flatMap(n => [n, ...surnameParts(n)])
+    .map(n => normalizeName(n));
+  return [...new Set(keys)].filter(Boolean);
+}
+
+module.exports = {
+  NAME_SUFFIXES,
+  parseFullName,
+  surnameParts,
+  surnameKeys
+};
@@ -1,114 +1,336 @@
 /**
- * Bidirectional nickname mapping
+ * Nickname service: one first-name dictionary for query building, scoring and the local lookups
+ *
+ * Each entry links a formal name and a nickname, with a direction and an optional gender:
+ *   both       either name stands for the other ("William" ↔ "Bill")
+ *   to-formal  only the nickname stands for the formal name ("Liam" → "William": a search for
+ *              Liam may find William, but not every Liam for a search for William)
+ * Gendered entries ("Sandy" → Sandra F, Alexander M) are skipped for a query of the other gender.
+ *
+ * Sources, later ones replacing earlier entries for the same pair:
+ *   1. data/nicknames-dataset.csv (github.com/carltonnorthern/nicknames), to-formal;
+ *      optional direction and gender columns
+ *   2. nicknameGroups / oneWayNicknames below, reviewed by hand; group members are all
+ *      variants of each other
+ *   3. Admin edits in name_first_variant (NicknameStore), applied by load()
  */
 
-const nicknameGroups = [
-  ['james', 'jim', 'jimmy', 'jamie'],
-  ['robert', 'bob', 'bobby', 'rob', 'robbie'],
-  ['william', 'bill', 'billy', 'will', 'willy', 'liam'],
-  ['richard', 'rick', 'ricky', 'dick', 'rich'],
-  ['elizabeth', 'liz', 'lizzy', 'beth', 'betty', 'eliza'],
-  ['michael', 'mike', 'mikey', 'mick'],
-  ['david', 'dave', 'davey'],
-  ['joseph', 'joe', 'joey'],
-  ['thomas', 'tom', 'tommy'],
-  ['charles', 'charlie', 'chuck', 'chas'],
-  ['christopher', 'chris', 'kit'],
-  ['daniel', 'dan', 'danny'],
-  ['matthew', 'matt', 'matty'],
-  ['anthony', 'tony'],
-  ['douglas', 'doug', 'dougie'],
-  ['donald', 'don', 'donnie'],
-  ['steven', 'steve', 'stephen'],
-  ['edward', 'ed', 'eddie', 'ted', 'teddy'],
-  ['kenneth', 'ken', 'kenny'],
-  ['ronald', 'ron', 'ronnie'],
-  ['margaret', 'peggy', 'maggie', 'meg', 'marge'],
-  ['patricia', 'pat', 'patty', 'trish'],
-  ['jennifer', 'jen', 'jenny'],
-  ['catherine', 'kate', 'kathy', 'cathy', 'katherine', 'kathryn'],
-  ['susan', 'sue', 'susie', 'suzy'],
-  ['nancy', 'nan'],
-  ['barbara', 'barb', 'barbie'],
-  ['dorothy', 'dot', 'dottie'],
-  ['deborah', 'deb', 'debbie', 'debra'],
-  ['sandra', 'sandy'],
-  ['linda', 'lindy'],
-  ['theodore', 'theo', 'ted', 'teddy'],
-  ['alexander', 'alex', 'sandy'],
-  ['benjamin', 'ben', 'benny'],
-  ['samuel', 'sam', 'sammy'],
-  ['frederick', 'fred', 'freddy', 'fritz'],
-  ['gerald', 'jerry', 'gerry'],
-  ['harold', 'harry', 'hal'],
-  ['lawrence', 'larry'],
-  ['nicholas', 'nick', 'nicky'],
-  ['raymond', 'ray'],
-  ['walter', 'walt', 'wally'],
-  ['virginia', 'ginny', 'ginger'],
-  ['rebecca', 'becky', 'becca'],
-  ['victoria', 'vicky', 'tori'],
-  ['jacqueline', 'jackie'],
-  ['judith', 'judy', 'judi'],
-  ['joanne', 'jo', 'joann'],
-  ['helen', 'ellie', 'ella'],
-  ['ruth', 'ruthie'],
+const fs = require('fs');
+const path = require('path');
+const { parseCsvLine } = require('../utils/csv');
+const { foldText } = require('./fold');
+const { nicknameStore } = require('../db/NicknameStore');
+const { logger } = require('../utils/logger');
+
+const DIRECTIONS = ['both', 'to-formal'];
+const GENDERS = ['M', 'F'];
+const SOURCE_ORDER = ['admin', 'curated', 'dataset'];
+
+const DATASET_FILE = path.join(__dirname, '..', '..', 'data', 'nicknames-dataset.csv');
+
+const nicknameGroups = {
+  M: [
+    ['james', 'jim', 'jimmy', 'jamie'],
+    ['robert', 'bob', 'bobby', 'rob', 'robbie'],
+    ['william', 'bill', 'billy', 'will', 'willy'],
+    ['richard', 'rick', 'ricky', 'dick', 'rich'],
+    ['michael', 'mike', 'mikey', 'mick'],
+    ['david', 'dave', 'davey'],
+    ['joseph', 'joe', 'joey'],
+    ['thomas', 'tom', 'tommy'],
+    ['charles', 'charlie', 'chuck', 'chas'],
+    ['christopher', 'chris', 'kit'],
+    ['daniel', 'dan', 'danny'],
+    ['matthew', 'matt', 'matty'],
+    ['anthony', 'tony'],
+    ['douglas', 'doug', 'dougie'],
+    ['donald', 'don', 'donnie'],
+    ['steven', 'steve', 'stephen'],
+    ['edward', 'ed', 'eddie', 'ted', 'teddy'],
+    ['kenneth', 'ken', 'kenny'],
+    ['ronald', 'ron', 'ronnie'],
+    ['theodore', 'theo', 'ted', 'teddy'],
+    ['alexander', 'alex', 'sandy'],
+    ['benjamin', 'ben', 'benny'],
+    ['samuel', 'sam', 'sammy'],
+    ['frederick', 'fred', 'freddy', 'fritz'],
+    ['gerald', 'jerry', 'gerry'],
+    ['harold', 'harry', 'hal'],
+    ['lawrence', 'larry'],
+    ['nicholas', 'nick', 'nicky'],
+    ['raymond', 'ray'],
+    ['walter', 'walt', 'wally'],
+  ],
+  F: [
+    ['elizabeth', 'liz', 'lizzy', 'beth', 'betty', 'eliza'],
+    ['margaret', 'peggy', 'maggie', 'meg', 'marge'],
+    ['patricia', 'pat', 'patty', 'trish'],
+    ['jennifer', 'jen', 'jenny'],
+    ['catherine', 'kate', 'kathy', 'cathy', 'katherine', 'kathryn'],
+    ['susan', 'sue', 'susie', 'suzy'],
+    ['nancy', 'nan'],
+    ['barbara', 'barb', 'barbie'],
+    ['dorothy', 'dot', 'dottie'],
+    ['deborah', 'deb', 'debbie', 'debra'],
+    ['sandra', 'sandy'],
+    ['linda', 'lindy'],
+    ['virginia', 'ginny', 'ginger'],
+    ['rebecca', 'becky', 'becca'],
+    ['victoria', 'vicky', 'tori'],
+    ['jacqueline', 'jackie'],
+    ['judith', 'judy', 'judi'],
+    ['joanne', 'jo', 'joann'],
+    ['helen', 'ellie', 'ella'],
+    ['ruth', 'ruthie'],
+  ]
+};
+
+// [formal, nickname, gender]: names given in their own right that also shorten a formal name
+const oneWayNicknames = [
+  ['william', 'liam', 'M'],
 ];
 
-// Build lookup map
-const nicknameMap = new Map();
-
-for (const group of nicknameGroups) {
-  const groupSet = new Set(group);
-  for (const name of group) {
-    const existing = nicknameMap.get(name);
-    if (existing) {
-      for (const n of group) existing.add(n);
-    } else {
-      nicknameMap.set(name, new Set(groupSet));
+/**
+ * Dictionary key form of a first name: folded, lowercase, trimmed
+ */
+function nameKey(name) {
+  return foldText(String(name || '')).toLowerCase().trim();
+}
+
+/**
+ * 'M' or 'F' from "male", "f", ...; null for anything else
+ */
+function normalizeGender(gender) {
+  const g = String(gender || '').trim().charAt(0).toUpperCase();
+  return GENDERS.includes(g) ? g : null;
+}
+
+/**
+ * Entry in dictionary form; throws unless formal and nickname are two different names
+ */
+function toEntry({ formal, nickname, direction = 'both', gender = null, source = 'admin' }) {
+  const entry = {
+    formal: nameKey(formal),
+    nickname: nameKey(nickname),
+    direction: DIRECTIONS.includes(direction) ? direction : 'both',
+    gender: normalizeGender(gender),
+    source
+  };
+  if (!entry.formal || !entry.nickname || entry.formal === entry.nickname) {
+    throw new Error('formal and nickname must be two different names');
+  }
+  return entry;
+}
+
+class NicknameService {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.datasetFile] - CSV of formal/nickname pairs, null for none
+   * @param {object} [options.store] - admin edits (NicknameStore), used by load/save/remove
+   */
+  constructor({ datasetFile = DATASET_FILE, store = null } = {}) {
+    this.store = store;
+    this.entries = new Map();
+    this.links = null;
+    this._loading = null;
+
+    if (datasetFile) this.loadFile(datasetFile);
+    for (const gender of GENDERS) {
+      for (const group of nicknameGroups[gender]) this._addGroup(group, gender);
+    }
+    for (const [formal, nickname, gender] of oneWayNicknames) {
+      this.set({ formal, nickname, direction: 'to-formal', gender, source: 'curated' });
     }
   }
+
+  /**
+   * Add entries from a CSV file (name1,relationship,name2[,direction,gender])
+   */
+  loadFile(filePath) {
+    try {
+      const lines = fs.readFileSync(filePath, 'utf-8').split(/\r?\n/).filter(l => l.trim());
+      const header = parseCsvLine(lines.shift().replace(/^﻿/, ''));
+      let count = 0;
+      for (const line of lines) {
+        const row = {};
+        parseCsvLine(line).forEach((field, i) => { row[header[i]] = field; });
+        if (!row.name1 || !row.name2 || nameKey(row.name1) === nameKey(row.name2)) continue;
+        this.set({
+          formal: row.name1,
+          nickname: row.name2,
+          direction: DIRECTIONS.includes(row.direction) ? row.direction : 'to-formal',
+          gender: row.gender,
+          source: 'dataset'
+        });
+        count++;
+      }
+      logger.debug(`Loaded ${count} nickname entries from ${filePath}`);
+    } catch (err) {
+      logger.error(`Could not load nickname file ${filePath}:`, err.message);
+    }
+  }
+
+  /**
+   * Apply the admin edits from the store; runs once, later calls wait on the same load.
+   * Without a database the file and in-code dictionary is kept.
+   */
+  load() {
+    if (!this._loading) {
+      this._loading = (async () => {
+        if (!this.store) return;
+        try {
+          const edits = await this.store.list();
+          for (const edit of edits) {
+            if (edit.removed) this.unset(edit.formal, edit.nickname);
+            else this.set({ ...edit, source: 'admin' });
+          }
+          logger.debug(`Applied ${edits.length} nickname edits`);
+        } catch (err) {
+          logger.warn('Could not load nickname edits:', err.message);
+        }
+      })();
+    }
+    return this._loading;
+  }
+
+  /**
+   * Add or replace the entry for a formal name / nickname pair (in memory only)
+   * @returns {object} the stored entry
+   */
+  set(edit) {
+    const entry = toEntry(edit);
+    const key = `${entry.formal}|${entry.nickname}`;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.links = null;
+    return entry;
+  }
+
+  /**
+   * Drop the entry for a pair (in memory only)
+   * @returns {boolean} whether there was one
+   */
+  unset(formal, nickname) {
+    const key = `${nameKey(formal)}|${nameKey(nickname)}`;
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.links = null;
+    return true;
+  }
+
+  /**
+   * Add or replace an entry and record it in the store
+   */
+  async save(edit) {
+    const entry = toEntry({ ...edit, source: 'admin' });
+    await this.store.save({ ...entry, removed: false });
+    return this.set(entry);
+  }
+
+  /**
+   * Remove an entry and record the removal, so it stays removed after a restart
+   */
+  async remove(formal, nickname) {
+    await this.store.save({ formal: nameKey(formal), nickname: nameKey(nickname), removed: true });
+    return this.unset(formal, nickname);
+  }
+
+  /**
+   * Names a first name may appear as, itself first
+   * "jim" → ["jim", "james", "jimmy", "jamie"]; "william" does not list "liam"
+   * @param {string} name
+   * @param {{gender?: string|null}} [options] - skip entries for the other gender
+   * @returns {string[]}
+   */
+  getVariants(name, { gender = null } = {}) {
+    const key = nameKey(name);
+    if (!key) return [];
+    const g = normalizeGender(gender);
+    const variants = [key];
+    for (const [other, otherGender] of this._getLinks().get(key) || []) {
+      if (g && otherGender && otherGender !== g) continue;
+      variants.push(other);
+    }
+    return variants;
+  }
+
+  /**
+   * Whether a candidate's first name is a variant of the query's (not the same name)
+   */
+  isVariant(queryName, candidateName, options = {}) {
+    const candKey = nameKey(candidateName);
+    return candKey !== nameKey(queryName) && this.getVariants(queryName, options).includes(candKey);
+  }
+
+  /**
+   * Entries that mention a name, for the admin endpoint
+   */
+  getEntries(name) {
+    const key = nameKey(name);
+    return [...this.entries.values()].filter(e => e.formal === key || e.nickname === key);
+  }
+
+  _addGroup(group, gender) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        this.set({ formal: group[i], nickname: group[j], direction: 'both', gender, source: 'curated' });
+      }
+    }
+  }
+
+  /**
+   * name → Map(variant → gender), rebuilt from the entries after a change
+   */
+  _getLinks() {
+    if (this.links) return this.links;
+    const links = new Map();
+    const link = (from, to, gender) => {
+      if (!links.has(from)) links.set(from, new Map());
+      links.get(from).set(to, gender);
+    };
+    // Reviewed entries first, so they lead the variant lists (and the query OR clauses)
+    const entries = [...this.entries.values()]
+      .sort((a, b) => SOURCE_ORDER.indexOf(a.source) - SOURCE_ORDER.indexOf(b.source));
+    for (const entry of entries) {
+      link(entry.nickname, entry.formal, entry.gender);
+      if (entry.direction === 'both') link(entry.formal, entry.nickname, entry.gender);
+    }
+    this.links = links;
+    return links;
+  }
 }
 
+const nicknameService = new NicknameService({ store: nicknameStore });
+
 /**
  * Get all nickname variants for a given name
  */
-function getNicknameVariants(name) {
-  const normalized = name.toLowerCase().trim();
-  const variants = nicknameMap.get(normalized);
-  if (variants) {
-    return Array.from(variants);
-  }
-  return [normalized];
+function getNicknameVariants(name, options) {
+  return nicknameService.getVariants(name, options);
 }
 
 /**
- * Check if two names are nickname variants of each other
+ * Check if two names are nickname variants of each other, in either direction
  */
 function areNicknameVariants(name1, name2) {
-  const n1 = name1.toLowerCase().trim();
-  const n2 = name2.toLowerCase().trim();
-
-  if (n1 === n2) return true;
-
-  const variants = nicknameMap.get(n1);
-  return variants ? variants.has(n2) : false;
+  return nameKey(name1) === nameKey(name2) ||
+    nicknameService.isVariant(name1, name2) || nicknameService.isVariant(name2, name1);
 }
 
 /**
  * Check if name2 is a nickname variant of name1 (but not an exact match)
  */
-function isNicknameMatch(name1, name2) {
-  const n1 = name1.toLowerCase().trim();
-  const n2 = name2.toLowerCase().trim();
-
-  if (n1 === n2) return false;  // Exact match, not nickname match
-
-  const variants = nicknameMap.get(n1);
-  return variants ? variants.has(n2) : false;
+function isNicknameMatch(name1, name2, options) {
+  return nicknameService.isVariant(name1, name2, options);
 }
 
 module.exports = {
+  NicknameService,
+  nicknameService,
+  DIRECTIONS,
+  GENDERS,
+  normalizeGender,
   getNicknameVariants,
   areNicknameVariants,
   isNicknameMatch
@@ -0,0 +1,532 @@
+/**
+ * Phonetic encoding of surnames (Double Metaphone, Lawrence Philips 2000)
+ * Each name gets a primary and an alternate code, so spellings of the same sound agree:
+ * "Smith" SM0/XMT and "Schmidt" XMT/SMT share XMT, "Meyer" and "Maier" are both MR.
+ *
+ * Names are accent-folded first (fold.js); codes are cut to MAX_LENGTH as in the original.
+ */
+
+const { foldText } = require('./fold');
+const { surnameParts } = require('./nameParser');
+
+const MAX_LENGTH = 4;
+
+const VOWELS = /[AEIOUY]/;
+const SLAVO_GERMANIC = /W|K|CZ|WITZ/;
+const GERMANIC = /^(?:VAN |VON |SCH)/;
+const INITIAL_SILENT = /^(?:GN|KN|PN|WR|PS)$/;
+const INITIAL_GREEK_CH = /^CH(?:IA|EM|OR[^E]|YM|ARAC)/;
+const GREEK_CH = /ORCHES|ARCHIT|ORCHID/;
+const CH_FOR_KH = /[ BFHLMNRVW]/;
+const G_FOR_F = /[CGLRT]/;
+const INITIAL_G_FOR_KJ = /Y[\s\S]|E[BILPRSY]|I[BELN]/;
+const INITIAL_ANGER_EXCEPTION = /^[DMR]ANGER/;
+const G_FOR_KJ = /[EGIR]/;
+const J_FOR_J_EXCEPTION = /[LTKSNMBZ]/;
+const ALLE = /AS|OS/;
+const H_FOR_S = /EIM|OEK|OLM|OLZ/;
+const DUTCH_SCH = /E[DMNR]|UY|OO/;
+
+/**
+ * Double Metaphone codes of a word
+ * @param {string} word
+ * @returns {[string, string]} [primary, alternate]; empty strings for a word without letters
+ */
+function doubleMetaphone(word) {
+  const letters = foldText(word || '').toUpperCase().replace(/[^A-Z ]/g, '').trim();
+  const length = letters.length;
+  const last = length - 1;
+  // Padded so lookahead past the end reads spaces
+  const value = `${letters}     `;
+  const chars = value.split('');
+  const isSlavoGermanic = SLAVO_GERMANIC.test(value);
+  const isGermanic = GERMANIC.test(value);
+
+  let primary = '';
+  let secondary = '';
+  let index = 0;
+  const add = (main, alternate = main) => {
+    primary += main;
+    secondary += alternate;
+  };
+
+  if (INITIAL_SILENT.test(value.slice(0, 2))) index++;
+
+  // Initial X sounds like Z ("Xavier")
+  if (chars[0] === 'X') {
+    add('S');
+    index++;
+  }
+
+  while (index < length) {
+    const prev = chars[index - 1];
+    const next = chars[index + 1];
+    const nextnext = chars[index + 2];
+    let sub;
+
+    switch (chars[index]) {
+      case 'A':
+      case 'E':
+      case 'I':
+      case 'O':
+      case 'U':
+      case 'Y':
+        if (index === 0) add('A');
+        index++;
+        break;
+
+      case 'B':
+        add('P');
+        index += next === 'B' ? 2 : 1;
+        break;
+
+      case 'C':
+        // Germanic "-ach-" ("Bacher", "Macher")
+        if (prev === 'A' && next === 'H' && nextnext !== 'I' && !VOWELS.test(chars[index - 2] || '') &&
+            (nextnext !== 'E' || ['BACHER', 'MACHER'].includes(value.slice(index - 2, index + 4)))) {
+          add('K');
+          index += 2;
+          break;
+        }
+        if (index === 0 && value.slice(1, 6) === 'AESAR') {
+          add('S');
+          index += 2;
+          break;
+        }
+        // Italian "Chianti"
+        if (value.slice(index + 1, index + 4) === 'HIA') {
+          add('K');
+          index += 2;
+          break;
+        }
+        if (next === 'H') {
+          if (index > 0 && nextnext === 'A' && chars[index + 3] === 'E') {
+            add('K', 'X');
+          } else if (index === 0 && INITIAL_GREEK_CH.test(value)) {
+            add('K');
+          } else if (isGermanic || GREEK_CH.test(value.slice(Math.max(index - 2, 0), index + 4)) ||
+              nextnext === 'T' || nextnext === 'S' ||
+              ((index === 0 || /[AEOU]/.test(prev)) && CH_FOR_KH.test(nextnext))) {
+            add('K');
+          } else if (index === 0) {
+            add('X');
+          } else if (value.slice(0, 2) === 'MC') {
+            add('K');
+          } else {
+            add('X', 'K');
+          }
+          index += 2;
+          break;
+        }
+        // "Czerny"
+        if (next === 'Z' && value.slice(index - 2, index) !== 'WI') {
+          add('S', 'X');
+          index += 2;
+          break;
+        }
+        if (value.slice(index + 1, index + 4) === 'CIA') {
+          add('X');
+          index += 3;
+          break;
+        }
+        // Double C, but not "McClellan"
+        if (next === 'C' && !(index === 1 && chars[0] === 'M')) {
+          if (/[IEH]/.test(nextnext) && value.slice(index + 2, index + 4) !== 'HU') {
+            sub = value.slice(index - 1, index + 4);
+            if ((index === 1 && prev === 'A') || sub === 'UCCEE' || sub === 'UCCES') {
+              add('KS');
+            } else {
+              add('X');
+            }
+            index += 3;
+          } else {
+            add('K');
+            index += 2;
+          }
+          break;
+        }
+        if (next === 'G' || next === 'K' || next === 'Q') {
+          add('K');
+          index += 2;
+          break;
+        }
+        if (next === 'I' && (nextnext === 'A' || nextnext === 'E' || nextnext === 'O')) {
+          add('S', 'X');
+          index += 2;
+          break;
+        }
+        if (next === 'I' || next === 'E' || next === 'Y') {
+          add('S');
+          index += 2;
+          break;
+        }
+        add('K');
+        // "Mac Caffrey", "Mac Gregor"
+        if (next === ' ' && (nextnext === 'C' || nextnext === 'G' || nextnext === 'Q')) {
+          index += 3;
+          break;
+        }
+        if (next === 'K' || next === 'Q' || (next === 'C' && nextnext !== 'E' && nextnext !== 'I')) {
+          index++;
+        }
+        index++;
+        break;
+
+      case 'D':
+        if (next === 'G') {
+          if (nextnext === 'E' || nextnext === 'I' || nextnext === 'Y') {
+            add('J');
+            index += 3;
+          } else {
+            add('TK');
+            index += 2;
+          }
+          break;
+        }
+        add('T');
+        index += next === 'T' || next === 'D' ? 2 : 1;
+        break;
+
+      case 'F':
+        add('F');
+        index += next === 'F' ? 2 : 1;
+        break;
+
+      case 'G':
+        if (next === 'H') {
+          if (index > 0 && !VOWELS.test(prev)) {
+            add('K');
+          } else if (index === 0) {
+            add(nextnext === 'I' ? 'J' : 'K');
+          } else if (/[BHD]/.test(chars[index - 2] || '') || /[BHD]/.test(chars[index - 3] || '') ||
+              /[BH]/.test(chars[index - 4] || '')) {
+            // Silent: "Hugh", "bough", "Broughton"
+          } else if (index > 2 && prev === 'U' && G_FOR_F.test(chars[index - 3])) {
+            add('F');
+          } else if (index > 0 && prev !== 'I') {
+            add('K');
+          }
+          index += 2;
+          break;
+        }
+        if (next === 'N') {
+          if (index === 1 && VOWELS.test(chars[0]) && !isSlavoGermanic) {
+            add('KN', 'N');
+          } else if (value.slice(index + 2, index + 4) !== 'EY' && next !== 'Y' && !isSlavoGermanic) {
+            add('N', 'KN');
+          } else {
+            add('KN');
+          }
+          index += 2;
+          break;
+        }
+        // "Tagliaro"
+        if (value.slice(index + 1, index + 3) === 'LI' && !isSlavoGermanic) {
+          add('KL', 'L');
+          index += 2;
+          break;
+        }
+        if (index === 0 && INITIAL_G_FOR_KJ.test(value.slice(1, 3))) {
+          add('K', 'J');
+          index += 2;
+          break;
+        }
+        if ((value.slice(index + 1, index + 3) === 'ER' && prev !== 'I' && prev !== 'E' &&
+             !INITIAL_ANGER_EXCEPTION.test(value.slice(0, 6))) ||
+            (next === 'Y' && !G_FOR_KJ.test(prev || ''))) {
+          add('K', 'J');
+          index += 2;
+          break;
+        }
+        // Italian "Biaggi"
+        if (next === 'E' || next === 'I' || next === 'Y' ||
+            ((prev === 'A' || prev === 'O') && next === 'G' && nextnext === 'I')) {
+          if (value.slice(index + 1, index + 3) === 'ET' || isGermanic) {
+            add('K');
+          } else {
+            add('J', value.slice(index + 1, index + 5) === 'IER ' ? 'J' : 'K');
+          }
+          index += 2;
+          break;
+        }
+        add('K');
+        index += next === 'G' ? 2 : 1;
+        break;
+
+      case 'H':
+        // Kept first or between vowels, before a vowel
+        if (VOWELS.test(next) && (index === 0 || VOWELS.test(prev))) {
+          add('H');
+          index++;
+        }
+        index++;
+        break;
+
+      case 'J':
+        // Spanish "Jose", "San Jacinto"
+        if (value.slice(index, index + 4) === 'JOSE' || value.slice(0, 4) === 'SAN ') {
+          if (value.slice(0, 4) === 'SAN ' || (index === 0 && chars[index + 4] === ' ')) {
+            add('H');
+          } else {
+            add('J', 'H');
+          }
+          index++;
+          break;
+        }
+        if (index === 0) {
+          add('J', 'A');
+        } else if (!isSlavoGermanic && (next === 'A' || next === 'O') && VOWELS.test(prev)) {
+          add('J', 'H');
+        } else if (index === last) {
+          add('J', '');
+        } else if (!/[SKL]/.test(prev) && !J_FOR_J_EXCEPTION.test(next)) {
+          add('J');
+        }
+        index += next === 'J' ? 2 : 1;
+        break;
+
+      case 'K':
+        add('K');
+        index += next === 'K' ? 2 : 1;
+        break;
+
+      case 'L':
+        if (next === 'L') {
+          // Spanish "Cabrillo", "Gallegos"
+          if ((index === length - 3 && ((prev === 'A' && nextnext === 'E') ||
+               (prev === 'I' && (nextnext === 'O' || nextnext === 'A')))) ||
+              (prev === 'A' && nextnext === 'E' &&
+               (ALLE.test(value.slice(last - 1, length)) || /[AO]/.test(chars[last])))) {
+            add('L', '');
+            index += 2;
+            break;
+          }
+          index++;
+        }
+        add('L');
+        index++;
+        break;
+
+      case 'M':
+        // "Dumb", "thumb"
+        if (next === 'M' ||
+            (prev === 'U' && next === 'B' && (index + 1 === last || value.slice(index + 2, index + 4) === 'ER'))) {
+          index++;
+        }
+        add('M');
+        index++;
+        break;
+
+      case 'N':
+        add('N');
+        index += next === 'N' ? 2 : 1;
+        break;
+
+      case 'P':
+        if (next === 'H') {
+          add('F');
+          index += 2;
+          break;
+        }
+        // "Campbell", "raspberry"
+        add('P');
+        index += next === 'P' || next === 'B' ? 2 : 1;
+        break;
+
+      case 'Q':
+        add('K');
+        index += next === 'Q' ? 2 : 1;
+        break;
+
+      case 'R':
+        // French "Rogier", but not "Hochmeier"
+        if (index === last && !isSlavoGermanic && prev === 'E' && chars[index - 2] === 'I' &&
+            chars[index - 4] !== 'M' && chars[index - 3] !== 'E' && chars[index - 3] !== 'A') {
+          add('', 'R');
+        } else {
+          add('R');
+        }
+        index += next === 'R' ? 2 : 1;
+        break;
+
+      case 'S':
+        // "Island", "Carlisle"
+        if (next === 'L' && (prev === 'I' || prev === 'Y')) {
+          index++;
+          break;
+        }
+        if (index === 0 && value.slice(1, 5) === 'UGAR') {
+          add('X', 'S');
+          index++;
+          break;
+        }
+        if (next === 'H') {
+          add(H_FOR_S.test(value.slice(index + 1, index + 5)) ? 'S' : 'X');
+          index += 2;
+          break;
+        }
+        if (next === 'I' && (nextnext === 'O' || nextnext === 'A')) {
+          add('S', isSlavoGermanic ? 'S' : 'X');
+          index += 3;
+          break;
+        }
+        // German and anglicized: "Smith" / "Schmidt", "Snider" / "Schneider"
+        if (next === 'Z' || (index === 0 && /[LMNW]/.test(next))) {
+          add('S', 'X');
+          index += next === 'Z' ? 2 : 1;
+          break;
+        }
+        if (next === 'C') {
+          if (nextnext === 'H') {
+            sub = value.slice(index + 3, index + 5);
+            // Dutch "school", "Schermerhorn"
+            if (DUTCH_SCH.test(sub)) {
+              if (sub === 'ER' || sub === 'EN') {
+                add('X', 'SK');
+              } else {
+                add('SK');
+              }
+            } else if (index === 0 && !VOWELS.test(chars[3]) && chars[3] !== 'W') {
+              add('X', 'S');
+            } else {
+              add('X');
+            }
+            index += 3;
+            break;
+          }
+          add(nextnext === 'I' || nextnext === 'E' || nextnext === 'Y' ? 'S' : 'SK');
+          index += 3;
+          break;
+        }
+        // French "Resnais", "Artois"
+        sub = value.slice(index - 2, index);
+        if (index === last && (sub === 'AI' || sub === 'OI')) {
+          add('', 'S');
+        } else {
+          add('S');
+        }
+        index += next === 'S' || next === 'Z' ? 2 : 1;
+        break;
+
+      case 'T':
+        if (next === 'I' && nextnext === 'O' && chars[index + 3] === 'N') {
+          add('X');
+          index += 3;
+          break;
+        }
+        if ((next === 'I' && nextnext === 'A') || (next === 'C' && nextnext === 'H')) {
+          add('X');
+          index += 3;
+          break;
+        }
+        if (next === 'H' || (next === 'T' && nextnext === 'H')) {
+          // "Thomas", "Thames", Germanic
+          if (isGermanic || ((nextnext === 'O' || nextnext === 'A') && chars[index + 3] === 'M')) {
+            add('T');
+          } else {
+            add('0', 'T');
+          }
+          index += 2;
+          break;
+        }
+        add('T');
+        index += next === 'T' || next === 'D' ? 2 : 1;
+        break;
+
+      case 'V':
+        add('F');
+        index += next === 'V' ? 2 : 1;
+        break;
+
+      case 'W':
+        if (next === 'R') {
+          add('R');
+          index += 2;
+          break;
+        }
+        if (index === 0) {
+          // "Wasserman" / "Vasserman", "Womo" / "Uomo"
+          if (VOWELS.test(next)) {
+            add('A', 'F');
+          } else if (next === 'H') {
+            add('A');
+          }
+        }
+        // "Arnow" / "Arnoff"
+        if (((prev === 'E' || prev === 'O') && next === 'S' && nextnext === 'K' &&
+             (chars[index + 3] === 'I' || chars[index + 3] === 'Y')) ||
+            value.slice(0, 3) === 'SCH' || (index === last && VOWELS.test(prev))) {
+          add('', 'F');
+          index++;
+          break;
+        }
+        // Polish "Filipowicz"
+        if (next === 'I' && (nextnext === 'C' || nextnext === 'T') && chars[index + 3] === 'Z') {
+          add('TS', 'FX');
+          index += 4;
+          break;
+        }
+        index++;
+        break;
+
+      case 'X':
+        // French "Breaux"
+        sub = value.slice(index - 2, index);
+        if (!(index === last && (/IAU|EAU/.test(value.slice(index - 3, index)) || sub === 'AU' || sub === 'OU'))) {
+          add('KS');
+        }
+        index += next === 'C' || next === 'X' ? 2 : 1;
+        break;
+
+      case 'Z':
+        // Pinyin "Zhao"
+        if (next === 'H') {
+          add('J');
+          index += 2;
+          break;
+        }
+        if ((next === 'Z' && /[AIO]/.test(nextnext)) || (isSlavoGermanic && index > 0 && prev !== 'T')) {
+          add('S', 'TS');
+        } else {
+          add('S');
+        }
+        index += next === 'Z' ? 2 : 1;
+        break;
+
+      default:
+        index++;
+    }
+  }
+
+  return [primary.slice(0, MAX_LENGTH), secondary.slice(0, MAX_LENGTH)];
+}
+
+/**
+ * Phonetic keys of a last name: both codes of each of its surnames, particles dropped
+ * ("García-López" → the codes of García and of López), for lookups and dedupe
+ * @param {string} nameLast
+ * @returns {string[]}
+ */
+function phoneticKeys(nameLast) {
+  const keys = surnameParts(nameLast).flatMap(part => doubleMetaphone(part));
+  return [...new Set(keys)].filter(Boolean);
+}
+
+/**
+ * How well two names agree phonetically: 1 same primary code, 0.75 when only an
+ * alternate code agrees ("Smith" / "Schmidt"), 0 otherwise (or when either has no code)
+ */
+function phoneticSimilarity(name1, name2) {
+  const [primary1, alternate1] = doubleMetaphone(name1);
+  const [primary2, alternate2] = doubleMetaphone(name2);
+  if (!primary1 || !primary2) return 0;
+  if (primary1 === primary2) return 1;
+  const codes2 = [primary2, alternate2].filter(Boolean);
+  return [primary1, alternate1].some(code => code && codes2.includes(code)) ? 0.75 : 0;
+}
+
+module.exports = {
+  doubleMetaphone,
+  phoneticKeys,
+  phoneticSimilarity
+};
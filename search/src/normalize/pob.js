@@ -29,57 +29,61 @@ const STATE_NAMES = {
 
 const STATE_NAMES_PATTERN = Object.keys(STATE_NAMES).join('|');
 
+const CITY = '((?:(?:St|Ft|Mt|Pt)\\.\\s+)?[A-Z][a-z]+(?:\\s+[A-Z][a-z]+)*)';
+
+// Place of birth patterns in order of precedence, with the rule id used for provenance
+const POB_PATTERNS = [
+  // "born [date] in City, ST"
+  { rule: 'born-in', pattern: new RegExp(`born\\s+(?:.*?\\s+)?in\\s+${CITY},\\s*([A-Z]{2})\\b`) },
+  // "born in City, State Name"
+  { rule: 'born-in', pattern: new RegExp(`born\\s+(?:.*?\\s+)?in\\s+${CITY},\\s*(${STATE_NAMES_PATTERN})`, 'i') },
+  // "native of City, ST"
+  { rule: 'native-of', pattern: new RegExp(`native\\s+of\\s+${CITY},\\s*([A-Z]{2})\\b`) },
+  // "native of City, State Name"
+  { rule: 'native-of', pattern: new RegExp(`native\\s+of\\s+${CITY},\\s*(${STATE_NAMES_PATTERN})`, 'i') }
+];
+
 /**
- * Extract place of birth from text
+ * Extract place of birth from text with the matching rule and span
+ * @returns {{city: string, state: string, rule: string, start: number, end: number, text: string}|null}
  */
-function extractPobFromText(text) {
+function extractPobDetail(text) {
   if (!text) return null;
 
-  const t = text.replace(/\s+/g, ' ').trim();
-
-  // Pattern 1: "born [date] in City, ST"
-  const bornInCityStateCode = /born\s+(?:.*?\s+)?in\s+((?:(?:St|Ft|Mt|Pt)\.\s+)?[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),\s*([A-Z]{2})\b/;
-  let match = t.match(bornInCityStateCode);
-  if (match && VALID_STATE_CODES.has(match[2])) {
-    return { city: match[1], state: match[2] };
-  }
-
-  // Pattern 2: "born in City, State Name"
-  const bornInCityStateName = new RegExp(
-    `born\\s+(?:.*?\\s+)?in\\s+((?:(?:St|Ft|Mt|Pt)\\.\\s+)?[A-Z][a-z]+(?:\\s+[A-Z][a-z]+)*),\\s*(${STATE_NAMES_PATTERN})`,
-    'i'
-  );
-  match = t.match(bornInCityStateName);
-  if (match) {
-    const stateCode = STATE_NAMES[match[2].toLowerCase()];
-    if (stateCode) {
-      return { city: match[1], state: stateCode };
-    }
-  }
+  // One space per whitespace character, so offsets still point into the original text
+  const t = text.replace(/\s/g, ' ');
 
-  // Pattern 3: "native of City, ST"
-  const nativeOfCityState = /native\s+of\s+((?:(?:St|Ft|Mt|Pt)\.\s+)?[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),\s*([A-Z]{2})\b/;
-  match = t.match(nativeOfCityState);
-  if (match && VALID_STATE_CODES.has(match[2])) {
-    return { city: match[1], state: match[2] };
-  }
+  for (const { rule, pattern } of POB_PATTERNS) {
+    const match = t.match(pattern);
+    if (!match) continue;
 
-  // Pattern 4: "native of City, State Name"
-  const nativeOfCityStateName = new RegExp(
-    `native\\s+of\\s+((?:(?:St|Ft|Mt|Pt)\\.\\s+)?[A-Z][a-z]+(?:\\s+[A-Z][a-z]+)*),\\s*(${STATE_NAMES_PATTERN})`,
-    'i'
-  );
-  match = t.match(nativeOfCityStateName);
-  if (match) {
-    const stateCode = STATE_NAMES[match[2].toLowerCase()];
-    if (stateCode) {
-      return { city: match[1], state: stateCode };
+    const state = match[2].length === 2 && VALID_STATE_CODES.has(match[2])
+      ? match[2]
+      : STATE_NAMES[match[2].toLowerCase()];
+    if (state) {
+      return {
+        city: match[1],
+        state,
+        rule,
+        start: match.index,
+        end: match.index + match[0].length,
+        text: text.slice(match.index, match.index + match[0].length)
+      };
     }
   }
 
   return null;
 }
 
+/**
+ * Extract place of birth from text
+ */
+function extractPobFromText(text) {
+  const pob = extractPobDetail(text);
+  return pob ? { city: pob.city, state: pob.state } : null;
+}
+
 module.exports = {
+  extractPobDetail,
   extractPobFromText
 };
@@ -0,0 +1,150 @@
+/**
+ * Field provenance: where each extracted candidate field came from and how far to trust it
+ *
+ * candidate.provenance maps a field (nameFirst, nameMiddle, nameLast, nameMaiden, nameNickname,
+ * ageYears, dob, dod, pobCity, pobState, relatives, dateVisitation, dateFuneral, city, state) to
+ *   {confidence, source, pattern, span, text, inferred, anchor}
+ *   source      text the value was read from: 'title', 'snippet', 'url', or where a provider
+ *               got it ('record' for death index rows, 'provider' for provider defaults)
+ *   pattern     id of the rule that matched (dates.js rule names, age/location/pob/relatives rules)
+ *   span        [start, end] of the match in the source text, or null
+ *   text        the matched text, or null
+ *   inferred    the date was resolved against an anchor rather than read in full
+ *               ("died Tuesday" → publication date; "Visitation Jan 3" → year of death)
+ *   anchor      what an inferred date was resolved against: 'published' (publication date),
+ *               'run-date' (no publication date, so today) or 'dod'; null when not inferred
+ *   confidence  0-1, from PATTERN_CONFIDENCE, lowered by INFERRED_FACTOR for inferred dates
+ *               and by RUN_DATE_FACTOR for dates inferred from the run date
+ *
+ * Fields without a provenance record (custom providers, feed entries stored before they kept
+ * one, older results) get UNKNOWN_CONFIDENCE.
+ */
+
+const PATTERN_CONFIDENCE = {
+  // Dates (dates.js rules)
+  'birth-phrase': 0.95,
+  'death-phrase': 0.95,
+  'range': 0.9,
+  'death-phrase-year': 0.6,
+  'death-phrase-after': 0.85,
+  'birth-phrase-year': 0.6,
+  'year-range': 0.5,
+  'visitation': 0.85,
+  'viewing': 0.85,
+  'calling-hours': 0.85,
+  'friends-received': 0.8,
+  'funeral-service': 0.85,
+  'memorial-service': 0.8,
+  'celebration-of-life': 0.75,
+  'services-held': 0.75,
+  'graveside': 0.8,
+  'burial': 0.75,
+  'interment': 0.75,
+  'standalone-month-day': 0.5,
+  'standalone-day-month': 0.5,
+  'standalone-numeric': 0.45,
+  'last-resort': 0.25,
+  // DOD taken from a funeral/visitation date (an upper bound, days off at most)
+  'service-date': 0.5,
+
+  // Age (age.js)
+  'age-word': 0.9,
+  'years-old': 0.9,
+  'comma-age': 0.7,
+  'age-before-place': 0.5,
+
+  // Residence and place of birth (organicResult.js, pob.js)
+  'city-state-code': 0.7,
+  'city-state-name': 0.65,
+  'born-in': 0.85,
+  'native-of': 0.8,
+
+  // Relatives (relatives.js)
+  'survived-by': 0.8,
+  'preceded-by': 0.8,
+
+  // Names, by the text they were parsed from (nameExtract.js)
+  'name-title': 0.85,
+  'name-snippet': 0.7,
+  'name-url': 0.5,
+
+  // Provider data
+  'death-index': 1,
+  'knowledge-graph': 0.9,
+  'provider-location': 0.6
+};
+
+const DEFAULT_CONFIDENCE = 0.5;
+
+// A field nobody recorded the extraction of: about what a snippet read is worth, so a
+// candidate never outranks an equally matched web result for lacking provenance
+const UNKNOWN_CONFIDENCE = 0.7;
+
+// An inferred date is only as good as its anchor (a publication date can lag the death by days)
+const INFERRED_FACTOR = 0.8;
+
+// "Died Tuesday" in an undated result may be from any year: keep such dates below
+// scoring.minRecentDodConfidence, so an old obituary is never ranked as a recent death
+const RUN_DATE_FACTOR = 0.4;
+
+/**
+ * Provenance record for a value matched by a rule
+ * @param {string} source - 'title', 'snippet', 'url', 'record', 'provider', ...
+ * @param {{rule: string, start?: number, end?: number, text?: string, inferred?: boolean,
+ *   anchor?: string}} match
+ */
+function fieldProvenance(source, match) {
+  let confidence = PATTERN_CONFIDENCE[match.rule] ?? DEFAULT_CONFIDENCE;
+  if (match.inferred) {
+    confidence *= match.anchor === 'run-date' ? RUN_DATE_FACTOR : INFERRED_FACTOR;
+    confidence = Math.round(confidence * 100) / 100;
+  }
+  return {
+    confidence,
+    source,
+    pattern: match.rule,
+    span: match.start != null ? [match.start, match.end] : null,
+    text: match.text ?? null,
+    inferred: Boolean(match.inferred),
+    anchor: match.inferred ? match.anchor || null : null
+  };
+}
+
+/**
+ * Provenance record for a value found verbatim in a text (name parts)
+ */
+function valueProvenance(source, text, value, rule) {
+  const start = text && value ? text.toLowerCase().indexOf(value.toLowerCase()) : -1;
+  return fieldProvenance(source, start >= 0
+    ? { rule, start, end: start + value.length, text: text.slice(start, start + value.length) }
+    : { rule });
+}
+
+/**
+ * First match of an extractor over texts in order of preference
+ * @param {Object<string, string>} texts - source name → text, e.g. {snippet, title}
+ * @param {function(string): object|null} extract - a *Detail extractor
+ * @returns {{source: string, match: object}|null}
+ */
+function firstMatch(texts, extract) {
+  for (const [source, text] of Object.entries(texts)) {
+    const match = text ? extract(text) : null;
+    if (match) return { source, match };
+  }
+  return null;
+}
+
+/**
+ * Confidence of a candidate field: its provenance record's, or UNKNOWN_CONFIDENCE without one
+ */
+function getConfidence(candidate, field) {
+  return candidate.provenance?.[field]?.confidence ?? UNKNOWN_CONFIDENCE;
+}
+
+module.exports = {
+  PATTERN_CONFIDENCE,
+  fieldProvenance,
+  valueProvenance,
+  firstMatch,
+  getConfidence
+};
@@ -0,0 +1,75 @@
+/**
+ * Parse the publication date search APIs attach to a result ("Mar 5, 2024", "3 days ago")
+ * Returns ISO date string (YYYY-MM-DD) or null
+ */
+
+const { MONTH_PATTERN, formatDate } = require('./dates');
+
+function toIsoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * @param {string} text - the result's date field
+ * @param {Date} now - reference for relative dates
+ */
+function parsePublishedDate(text, now = new Date()) {
+  if (!text || typeof text !== 'string') return null;
+  const value = text.trim().toLowerCase();
+
+  // "3 days ago", "1 hour ago", "2 weeks ago"
+  const relative = value.match(/^(\d+|an?)\s+(minute|hour|day|week|month|year)s?\s+ago$/);
+  if (relative) {
+    const count = /^\d+$/.test(relative[1]) ? parseInt(relative[1], 10) : 1;
+    const date = new Date(now.getTime());
+    switch (relative[2]) {
+      case 'minute':
+      case 'hour':
+        date.setTime(date.getTime() - count * (relative[2] === 'hour' ? 3600000 : 60000));
+        break;
+      case 'day':
+        date.setUTCDate(date.getUTCDate() - count);
+        break;
+      case 'week':
+        date.setUTCDate(date.getUTCDate() - count * 7);
+        break;
+      case 'month':
+        date.setUTCMonth(date.getUTCMonth() - count);
+        break;
+      case 'year':
+        date.setUTCFullYear(date.getUTCFullYear() - count);
+        break;
+    }
+    return toIsoDate(date);
+  }
+
+  // "Mar 5, 2024", "March 5, 2024"
+  const monthFirst = value.match(new RegExp(`^(${MONTH_PATTERN})\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})$`));
+  if (monthFirst) {
+    return notAfter(formatDate(monthFirst[3], monthFirst[1], monthFirst[2]), now);
+  }
+
+  // "5 Mar 2024"
+  const dayFirst = value.match(new RegExp(`^(\\d{1,2})\\s+(${MONTH_PATTERN})\\.?,?\\s+(\\d{4})$`));
+  if (dayFirst) {
+    return notAfter(formatDate(dayFirst[3], dayFirst[2], dayFirst[1]), now);
+  }
+
+  // "2024-03-05"
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return notAfter(formatDate(iso[1], iso[2], iso[3]), now);
+  }
+
+  return null;
+}
+
+/**
+ * Publication dates can't be in the future (one day of slack for timezones)
+ */
+function notAfter(date, now) {
+  if (!date) return null;
+  return new Date(`${date}T00:00:00Z`).getTime() > now.getTime() + 86400000 ? null : date;
+}
+
+module.exports = { parsePublishedDate };
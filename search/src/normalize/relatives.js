@@ -0,0 +1,175 @@
+/**
+ * Extract relatives from obituary text (snippets, titles, fetched pages)
+ * "survived by his wife of 52 years, Mary; sons John and Paul; sister Ann (Bob) Jones of Lima, OH"
+ *   → spouse ['Mary'], children ['John', 'Paul'], siblings ['Ann Jones']
+ * "preceded in death by his parents and brother Tom" → siblings ['Tom'], predeceased ['Tom']
+ *
+ * Names are read from "survived by" and "preceded in death by" sections only, up to the end
+ * of the sentence. Each name goes under its relation; names from a "preceded in death by"
+ * section are also listed in predeceased. Grandchildren, in-laws, nieces, nephews and the
+ * like end the names of the relation before them but are not kept.
+ */
+
+const { normalizeState } = require('./location');
+const { foldText } = require('./fold');
+
+const RELATIONS = {
+  spouse: ['wife', 'husband', 'spouse', 'partner'],
+  children: ['(?:step-?)?sons?', '(?:step-?)?daughters?', '(?:step-?)?child(?:ren)?'],
+  parents: ['parents', '(?:step-?)?father', '(?:step-?)?mother'],
+  siblings: ['(?:step-?|half-)?brothers?', '(?:step-?|half-)?sisters?', 'siblings?']
+};
+
+// Relations that are not kept; they only end the list before them
+const OTHER_RELATIONS = [
+  '(?:great-)*grand(?:children|child|sons?|daughters?|parents|father|mother)',
+  '(?:sons?|daughters?|brothers?|sisters?|fathers?|mothers?)[-\\s]in[-\\s]laws?', 'in-laws',
+  'nieces?', 'nephews?', 'cousins?', 'aunts?', 'uncles?', 'friends?'
+];
+
+const IN_LAW = '(?![-\\s]in[-\\s]laws?)';
+
+const RELATION_PATTERN = new RegExp(
+  `(?<![\\w-])(?:${[...Object.values(RELATIONS).flat(), ...OTHER_RELATIONS].map(r => `(${r})${IN_LAW}`).join('|')})\\b`,
+  'gi'
+);
+const RELATION_OF_GROUP = Object.entries(RELATIONS)
+  .flatMap(([relation, words]) => words.map(() => relation));
+
+// Section openers, with the rule id used for provenance
+const SECTION_PATTERN = new RegExp([
+  '(survived\\s+by|survivors\\s+include|left\\s+to\\s+cherish\\s+(?:his|her|their)\\s+memor(?:y|ies)(?:\\s+(?:are|is))?|leaves\\s+behind)',
+  '(preceded\\s+in\\s+death\\s+by|predeceased\\s+by|was\\s+preceded\\s+by)'
+].join('|'), 'gi');
+
+// A period that ends a sentence (not an initial or "Jr."), or a snippet's "..."
+const SENTENCE_END = /(?<!\b(?:[A-Z]|Jr|Sr|Dr|St|Mr|Mrs|Ms|Rev))\.(?=\s|$)|\.\.\.|…/g;
+
+// Capitalized words and initials ("J.R."), ending at a "Jr."/"Sr." suffix
+const NAME_WORD = "(?:(?!(?:Jr|Sr)\\b)[A-Z][A-Za-z'-]+|[A-Z]\\.(?:[A-Z]\\.)*)";
+const NAME = new RegExp(`^${NAME_WORD}(?:\\s+${NAME_WORD})*(?:\\s+(?:Jr|Sr)\\.?)?`);
+
+// Titles before a relative's name ("daughter, Mrs. Ann Lee"); nameParser.js HONORIFICS also
+// strips "Don", which in a survivors list is as likely a brother's first name
+const HONORIFIC = /^(?:Mr|Mrs|Ms|Dr|Rev)\.?\s+/;
+
+const NOT_NAMES = new Set(['he', 'she', 'they', 'his', 'her', 'their', 'the', 'god', 'lord', 'jesus', 'funeral', 'services', 'jr', 'sr']);
+
+function isState(word) {
+  return /^[A-Z]{2}$/.test(word) || normalizeState(word) !== foldText(word).trim().toUpperCase();
+}
+
+/**
+ * Drop what isn't a name from a list: "(Bob)" spouses and "Bob" nicknames, "of 52 years", "of Dayton, OH"
+ */
+function cleanList(text) {
+  return text
+    .replace(/\([^)]*\)|"[^"]*"|“[^”]*”/g, ' ')
+    .replace(/\bof\s+(?:\d+|[a-z-]+)\s+years\b/g, ' ')
+    .replace(/\b(?:both\s+|all\s+)?of\s+((?:[A-Z][\w.'-]*\s*)+)(?:,\s*([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?|[A-Z]{2})\b)?/g,
+      (match, city, state) => (state && !isState(state) ? `, ${state}` : ' '))
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Names in a relation's list: "John and Paul", "Mary Smith, Ann Jones & Tom"
+ */
+function parseNames(text) {
+  const names = [];
+  for (const piece of cleanList(text).split(/,|;|&|\band\b|\bas well as\b/)) {
+    // Lowercase words and punctuation before the name ("his loving", "two", "the late", ": "),
+    // then a title
+    const match = piece.trim().replace(/^(?:[a-z]+\s+|[^\w\s]+\s*)+/, '').replace(HONORIFIC, '').match(NAME);
+    if (!match) continue;
+    // A trailing period belongs to an initial or "Jr.", else it ends the sentence
+    const name = /(?:\b[A-Z]|\bJr|\bSr)\.$/.test(match[0]) ? match[0] : match[0].replace(/\.$/, '');
+    const firstWord = name.split(' ')[0].replace(/\.$/, '').toLowerCase();
+    if (name.length < 2 || NOT_NAMES.has(firstWord) || isState(name)) continue;
+    names.push(name);
+  }
+  return names;
+}
+
+/**
+ * End of the section starting at `from`: the sentence end or the next section, whichever comes first
+ */
+function sectionEnd(text, from, nextSection) {
+  SENTENCE_END.lastIndex = from;
+  const end = SENTENCE_END.exec(text);
+  return Math.min(end ? end.index : text.length, nextSection);
+}
+
+/**
+ * Relatives named in one section, by relation
+ */
+function parseSection(section, relatives, deceased) {
+  const matches = [...section.matchAll(RELATION_PATTERN)];
+  matches.forEach((match, i) => {
+    const group = match.slice(1).findIndex(g => g !== undefined);
+    const relation = RELATION_OF_GROUP[group];
+    if (!relation) return;
+    const list = section.slice(match.index + match[0].length, matches[i + 1]?.index ?? section.length);
+    for (const name of parseNames(list)) {
+      if (!relatives[relation].includes(name)) relatives[relation].push(name);
+      if (deceased && !relatives.predeceased.includes(name)) relatives.predeceased.push(name);
+    }
+  });
+}
+
+/**
+ * Extract relatives from text with the rule and span of the sections they came from
+ * @returns {{relatives: {spouse: string[], children: string[], parents: string[], siblings: string[],
+ *   predeceased: string[]}, rule: string, start: number, end: number, text: string}|null}
+ */
+function extractRelativesDetail(text) {
+  if (!text) return null;
+
+  // One space per whitespace character, so offsets still point into the original text
+  const t = text.replace(/\s/g, ' ');
+  const sections = [...t.matchAll(SECTION_PATTERN)];
+  const relatives = { spouse: [], children: [], parents: [], siblings: [], predeceased: [] };
+  let first = null;
+  let end = 0;
+
+  sections.forEach((match, i) => {
+    const from = match.index + match[0].length;
+    const to = sectionEnd(t, from, sections[i + 1]?.index ?? t.length);
+    const before = Object.values(relatives).flat().length;
+    parseSection(t.slice(from, to), relatives, match[2] !== undefined);
+    if (Object.values(relatives).flat().length > before) {
+      first = first || { rule: match[2] !== undefined ? 'preceded-by' : 'survived-by', start: match.index };
+      end = to;
+    }
+  });
+
+  if (!first) return null;
+  return {
+    relatives,
+    rule: first.rule,
+    start: first.start,
+    end,
+    text: text.slice(first.start, end)
+  };
+}
+
+/**
+ * Extract relatives from text, or null when none are named
+ * @returns {{spouse: string[], children: string[], parents: string[], siblings: string[], predeceased: string[]}|null}
+ */
+function extractRelativesFromText(text) {
+  return extractRelativesDetail(text)?.relatives || null;
+}
+
+/**
+ * Every relative's name, for scoring and display
+ */
+function relativeNames(relatives) {
+  if (!relatives) return [];
+  return [...new Set([...relatives.spouse, ...relatives.children, ...relatives.parents, ...relatives.siblings, ...relatives.predeceased])];
+}
+
+module.exports = {
+  extractRelativesDetail,
+  extractRelativesFromText,
+  relativeNames
+};
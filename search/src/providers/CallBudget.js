@@ -0,0 +1,44 @@
+const { ProviderError } = require('./ProviderError');
+const { logger } = require('../utils/logger');
+
+/**
+ * Hard cap on billed provider calls per batch run
+ * Batch runners reset it with the configured limit at the start of a run and
+ * defer the remaining queries once it is exhausted. A limit of 0 means unlimited
+ * (the default, so the long-running API server is never capped).
+ */
+class CallBudget {
+  constructor(limit = 0) {
+    this.reset(limit);
+  }
+
+  reset(limit = 0) {
+    this.limit = limit;
+    this.used = 0;
+  }
+
+  isExhausted() {
+    return this.limit > 0 && this.used >= this.limit;
+  }
+
+  remaining() {
+    return this.limit > 0 ? Math.max(0, this.limit - this.used) : Infinity;
+  }
+
+  /**
+   * Reserve one call, or throw a budget ProviderError if the budget is spent
+   */
+  consume(provider) {
+    if (this.isExhausted()) {
+      throw new ProviderError(`Call budget of ${this.limit} exhausted`, { provider, isBudget: true });
+    }
+    this.used++;
+    if (this.isExhausted()) {
+      logger.warn(`Call budget of ${this.limit} reached`);
+    }
+  }
+}
+
+const callBudget = new CallBudget();
+
+module.exports = { CallBudget, callBudget };
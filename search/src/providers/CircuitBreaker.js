@@ -0,0 +1,99 @@
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Per-provider circuit breaker
+ * - closed: calls go through; consecutive failures are counted
+ * - open: after failureThreshold consecutive failures (or one quota error),
+ *   calls are skipped until coolDownMs has passed
+ * - half-open: after the cool-down one trial call is allowed;
+ *   success closes the circuit, failure re-opens it
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold ?? config.circuitBreaker.failureThreshold;
+    this.coolDownMs = options.coolDownMs ?? config.circuitBreaker.coolDownMs;
+    this.now = options.now || (() => Date.now());
+    this.states = new Map();
+  }
+
+  _getState(provider) {
+    let state = this.states.get(provider);
+    if (!state) {
+      state = { failures: 0, openedAt: null, halfOpen: false };
+      this.states.set(provider, state);
+    }
+    return state;
+  }
+
+  /**
+   * Check whether a call to this provider should be attempted
+   */
+  canRequest(provider) {
+    const state = this._getState(provider);
+    if (state.openedAt === null) return true;
+
+    // Cool-down elapsed: allow a single trial call
+    if (this.now() - state.openedAt >= this.coolDownMs && !state.halfOpen) {
+      state.halfOpen = true;
+      logger.info(`Circuit half-open for ${provider}, trying one call`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Hand back a half-open trial that was never made (the call was skipped, e.g. by the
+   * call budget), so the next call can try instead of waiting on a result that won't come
+   */
+  releaseTrial(provider) {
+    this._getState(provider).halfOpen = false;
+  }
+
+  recordSuccess(provider) {
+    const state = this._getState(provider);
+    if (state.openedAt !== null) {
+      logger.info(`Circuit closed for ${provider}`);
+    }
+    state.failures = 0;
+    state.openedAt = null;
+    state.halfOpen = false;
+  }
+
+  /**
+   * Record a failed call. Quota errors open the circuit immediately —
+   * retrying an exhausted account only burns time.
+   */
+  recordFailure(provider, err) {
+    const state = this._getState(provider);
+    state.failures++;
+
+    const shouldOpen = state.halfOpen ||
+      state.failures >= this.failureThreshold ||
+      (err && err.isQuota);
+
+    if (shouldOpen) {
+      state.openedAt = this.now();
+      state.halfOpen = false;
+      logger.warn(`Circuit open for ${provider} (${state.failures} failure(s)), skipping for ${Math.round(this.coolDownMs / 1000)}s`);
+    }
+  }
+
+  /**
+   * Current state name for a provider: 'closed', 'open', or 'half-open'
+   */
+  getState(provider) {
+    const state = this._getState(provider);
+    if (state.openedAt === null) return 'closed';
+    return state.halfOpen ? 'half-open' : 'open';
+  }
+
+  reset() {
+    this.states.clear();
+  }
+}
+
+const circuitBreaker = new CircuitBreaker();
+
+module.exports = { CircuitBreaker, circuitBreaker };
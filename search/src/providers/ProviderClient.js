@@ -0,0 +1,104 @@
+const { ProviderError } = require('./ProviderError');
+const { billedCall, recordRetry } = require('./providerCall');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+/**
+ * HTTP client shared by all providers
+ * - each attempt is a billed call (budget, rate limit, usage) with its own timeout
+ * - timeouts, network errors and 408/429/5xx responses are retried with jittered
+ *   exponential backoff, or after the provider's Retry-After if it sends one
+ * - a Retry-After longer than maxDelayMs is not waited out; the error is thrown
+ */
+class ProviderClient {
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs ?? config.retry.timeoutMs;
+    this.maxAttempts = Math.max(1, options.maxAttempts ?? config.retry.maxAttempts);
+    this.baseDelayMs = options.baseDelayMs ?? config.retry.baseDelayMs;
+    this.maxDelayMs = options.maxDelayMs ?? config.retry.maxDelayMs;
+    this.fetch = options.fetch || ((url, init) => fetch(url, init));
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Backoff before retrying after the given (1-based) attempt: full jitter,
+   * random between 0 and baseDelayMs * 2^(attempt-1), capped at maxDelayMs
+   */
+  backoffMs(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(this.random() * ceiling);
+  }
+
+  /**
+   * Delay before the next attempt, or null when the error should be thrown
+   */
+  _retryDelay(err, attempt) {
+    if (!err.isRetryable || attempt >= this.maxAttempts) return null;
+    if (err.retryAfterMs !== null && err.retryAfterMs !== undefined) {
+      return err.retryAfterMs <= this.maxDelayMs ? err.retryAfterMs : null;
+    }
+    return this.backoffMs(attempt);
+  }
+
+  /**
+   * One request with a timeout covering the response body as well as the headers
+   */
+  async _attempt(provider, label, url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await this.fetch(url, { ...init, signal: controller.signal });
+      if (!response.ok) {
+        throw await ProviderError.fromResponse(provider, label, response);
+      }
+      return await response.json();
+    } catch (err) {
+      if (err instanceof ProviderError) throw err;
+      if (controller.signal.aborted) {
+        throw new ProviderError(`${label} timed out after ${this.timeoutMs}ms`, {
+          provider,
+          isTimeout: true,
+          isRetryable: true
+        });
+      }
+      throw new ProviderError(`${label} request failed: ${err.message}`, { provider, isRetryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Request a provider URL and return the parsed JSON body, retrying as configured
+   * @param {string} provider - provider type (e.g. 'serper')
+   * @param {object|null} usage - per-search usage from createUsage()
+   * @param {string} label - for logs and error messages (e.g. 'Serper API')
+   * @param {string} url
+   * @param {object} [init] - fetch options (method, headers, body)
+   * @returns {Promise<object>}
+   */
+  async fetchJson(provider, usage, label, url, init = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const start = Date.now();
+      try {
+        const data = await billedCall(provider, usage, () => this._attempt(provider, label, url, init));
+        logger.debug(`${label} attempt ${attempt}/${this.maxAttempts} succeeded in ${Date.now() - start}ms`);
+        return data;
+      } catch (err) {
+        logger.debug(`${label} attempt ${attempt}/${this.maxAttempts} failed in ${Date.now() - start}ms: ${err.message}`);
+
+        const delayMs = this._retryDelay(err, attempt);
+        if (delayMs === null) throw err;
+
+        logger.debug(`${label} retrying in ${delayMs}ms`);
+        recordRetry(provider, usage);
+        await this.sleep(delayMs);
+      }
+    }
+  }
+}
+
+const providerClient = new ProviderClient();
+
+module.exports = { ProviderClient, providerClient };
@@ -0,0 +1,83 @@
+/**
+ * Error thrown by a provider when a search call fails
+ * (HTTP error, timeout, quota exhaustion, call budget spent, missing configuration).
+ * Lets searchObits tell a failed provider apart from a search with no results.
+ */
+
+// HTTP statuses that mean the account is out of credits or rate limited
+const QUOTA_STATUSES = new Set([402, 429]);
+
+// Response body messages that mean the account is out of credits
+const QUOTA_MESSAGE_PATTERN = /credits|run out of searches|quota|limit exceeded/i;
+
+// HTTP statuses worth retrying (timeouts, rate limiting, server errors)
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds, or null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {string} details.provider - provider type (e.g. 'serper')
+   * @param {number} [details.status] - HTTP status, if the provider responded
+   * @param {boolean} [details.isQuota] - account is out of credits / rate limited
+   * @param {boolean} [details.isBudget] - our own per-run call budget is spent (not a provider fault)
+   * @param {boolean} [details.isTimeout] - no response within the request timeout
+   * @param {boolean} [details.isRetryable] - the same request may succeed if retried
+   * @param {number} [details.retryAfterMs] - provider asked us to wait this long (Retry-After)
+   */
+  constructor(message, {
+    provider,
+    status = null,
+    isQuota = false,
+    isBudget = false,
+    isTimeout = false,
+    isRetryable = false,
+    retryAfterMs = null
+  } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.isQuota = isQuota;
+    this.isBudget = isBudget;
+    this.isTimeout = isTimeout;
+    this.isRetryable = isRetryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Build a ProviderError from a non-OK fetch response
+   */
+  static async fromResponse(provider, label, response) {
+    let body = '';
+    try {
+      body = await response.text();
+    } catch {
+      // Body unreadable, status is enough
+    }
+
+    // An exhausted account stays exhausted, whatever the status says
+    const outOfCredits = QUOTA_MESSAGE_PATTERN.test(body);
+    return new ProviderError(`${label} error: ${response.status}`, {
+      provider,
+      status: response.status,
+      isQuota: QUOTA_STATUSES.has(response.status) || outOfCredits,
+      isRetryable: RETRYABLE_STATUSES.has(response.status) && !outOfCredits,
+      retryAfterMs: parseRetryAfter(response.headers?.get('retry-after'))
+    });
+  }
+}
+
+module.exports = { ProviderError, parseRetryAfter };
@@ -0,0 +1,156 @@
+/**
+ * Provider registry
+ *
+ * A provider is an object with:
+ *   name                  display name (logs, explain output)
+ *   type                  unique id: used in SEARCH_PROVIDERS / SEARCH_FALLBACK, metrics and results
+ *   search(query, usage)  -> Promise<candidate[]>; throw ProviderError on failure
+ *   healthCheck()         optional -> Promise<{ok: boolean, message?: string}>
+ *   unavailableReason()   optional -> string|null, why the provider can't be used right now
+ *                         (e.g. missing API key); unavailable providers are skipped
+ *   costPerCall           optional USD per billed call; config.providerCost[type] overrides it
+ *
+ * Built-in providers register themselves when their module loads (see providers/builtin.js).
+ * Custom providers are loaded from module paths (config.providerModules / PROVIDER_MODULES);
+ * a module exports a provider, an array of providers, or a function called with the registry.
+ */
+
+const path = require('path');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider; a later provider with the same type replaces the earlier one
+   */
+  register(provider) {
+    if (!provider || typeof provider.type !== 'string' || !provider.type) {
+      throw new Error('Provider must have a type');
+    }
+    if (typeof provider.name !== 'string' || !provider.name) {
+      throw new Error(`Provider "${provider.type}" must have a name`);
+    }
+    if (typeof provider.search !== 'function') {
+      throw new Error(`Provider "${provider.type}" must implement search(query)`);
+    }
+    for (const method of ['healthCheck', 'unavailableReason']) {
+      if (provider[method] !== undefined && typeof provider[method] !== 'function') {
+        throw new Error(`Provider "${provider.type}" ${method} must be a function`);
+      }
+    }
+
+    const type = provider.type.toLowerCase();
+    if (this.providers.has(type) && this.providers.get(type) !== provider) {
+      logger.warn(`Provider "${type}" registered again, replacing ${this.providers.get(type).name}`);
+    }
+    this.providers.set(type, provider);
+    return provider;
+  }
+
+  /**
+   * Load custom providers from a module path (relative paths resolve from the working directory)
+   */
+  loadModule(modulePath) {
+    const exported = require(path.resolve(modulePath));
+
+    if (typeof exported === 'function') {
+      exported(this);
+    } else {
+      for (const provider of [].concat(exported)) {
+        this.register(provider);
+      }
+    }
+    logger.debug(`Loaded provider module ${modulePath}`);
+  }
+
+  /**
+   * Registered provider by type, or null
+   */
+  get(type) {
+    return this.providers.get((type || '').toLowerCase()) || null;
+  }
+
+  /**
+   * All registered providers, in registration order
+   */
+  list() {
+    return [...this.providers.values()];
+  }
+
+  /**
+   * Why a provider can't be used right now, or null when it can
+   */
+  getUnavailableReason(provider) {
+    return provider.unavailableReason ? provider.unavailableReason() : null;
+  }
+
+  /**
+   * Provider for a type, or null (with a log line) when it is unknown or unavailable
+   */
+  resolve(type) {
+    const provider = this.get(type);
+    if (!provider) {
+      logger.warn(`Unknown provider "${type}"`);
+      return null;
+    }
+
+    const reason = this.getUnavailableReason(provider);
+    if (reason) {
+      logger.error(`${provider.name} selected but ${reason}`);
+      return null;
+    }
+    return provider;
+  }
+
+  /**
+   * Available providers for a list of types, in the given order, without duplicates
+   */
+  resolveAll(types) {
+    const providers = [];
+    for (const type of types) {
+      const provider = this.resolve(type);
+      if (provider && !providers.includes(provider)) {
+        providers.push(provider);
+      }
+    }
+    return providers;
+  }
+
+  /**
+   * Cost in USD of one billed call: config.providerCost, else the provider's costPerCall, else 0
+   */
+  getCallCost(type) {
+    return config.providerCost[type] ?? this.get(type)?.costPerCall ?? 0;
+  }
+
+  /**
+   * Health of each registered provider: its healthCheck(), or just its availability
+   * @returns {Promise<Array<{type: string, name: string, ok: boolean, message: string|null}>>}
+   */
+  async checkHealth() {
+    return Promise.all(this.list().map(async (provider) => {
+      const status = { type: provider.type, name: provider.name };
+      const reason = this.getUnavailableReason(provider);
+      if (reason) {
+        return { ...status, ok: false, message: reason };
+      }
+      if (!provider.healthCheck) {
+        return { ...status, ok: true, message: null };
+      }
+      try {
+        const result = await provider.healthCheck();
+        return { ...status, ok: !!result.ok, message: result.message || null };
+      } catch (err) {
+        return { ...status, ok: false, message: err.message };
+      }
+    }));
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+
+module.exports = { ProviderRegistry, providerRegistry };
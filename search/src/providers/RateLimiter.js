@@ -0,0 +1,66 @@
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Token-bucket rate limiter shared by all providers
+ * Each provider has its own bucket refilled at its requests-per-second rate
+ * (config.rateLimit). Callers wait their turn in order; a rate of 0 means unlimited.
+ */
+class RateLimiter {
+  constructor(options = {}) {
+    this.rates = options.rates || config.rateLimit;
+    this.now = options.now || (() => Date.now());
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.buckets = new Map();
+  }
+
+  _getBucket(provider) {
+    let bucket = this.buckets.get(provider);
+    if (!bucket) {
+      const rate = this.rates[provider] ?? this.rates.default ?? 0;
+      bucket = {
+        rate,
+        capacity: Math.max(1, rate),
+        tokens: Math.max(1, rate),
+        updatedAt: this.now(),
+        queue: Promise.resolve()
+      };
+      this.buckets.set(provider, bucket);
+    }
+    return bucket;
+  }
+
+  _refill(bucket) {
+    const now = this.now();
+    const elapsedSec = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsedSec * bucket.rate);
+    bucket.updatedAt = now;
+  }
+
+  async _take(provider, bucket) {
+    this._refill(bucket);
+    if (bucket.tokens < 1) {
+      const waitMs = Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000);
+      logger.debug(`Rate limit: waiting ${waitMs}ms for ${provider}`);
+      await this.sleep(waitMs);
+      this._refill(bucket);
+    }
+    bucket.tokens -= 1;
+  }
+
+  /**
+   * Wait until a request to this provider is allowed
+   */
+  async acquire(provider) {
+    const bucket = this._getBucket(provider);
+    if (!bucket.rate) return;
+
+    const turn = bucket.queue.then(() => this._take(provider, bucket));
+    bucket.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+const rateLimiter = new RateLimiter();
+
+module.exports = { RateLimiter, rateLimiter };
@@ -0,0 +1,10 @@
+/**
+ * Built-in providers: each module registers its provider with the provider registry
+ * when it loads. Requiring this file makes them all available by type.
+ */
+require('./serper/SerperProvider');
+require('./serpapi/SerpApiProvider');
+require('./google/GoogleProvider');
+require('./funeralHome/FuneralHomeProvider');
+require('./feed/FeedProvider');
+require('./native/NativeProvider');
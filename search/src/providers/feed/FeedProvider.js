@@ -0,0 +1,78 @@
+const { v4: uuidv4 } = require('uuid');
+const { ProviderError } = require('../ProviderError');
+const { providerRegistry } = require('../ProviderRegistry');
+const { feedStore } = require('../../db/FeedStore');
+const { normalizeState } = require('../../normalize/location');
+const config = require('../../config');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Obituary feed provider
+ * Matches the query against our own index of polled RSS/Atom feed entries
+ * (see feedPoller.js) instead of calling a search API: no per-call cost.
+ */
+class FeedProvider {
+  constructor(options = {}) {
+    this.name = 'Obituary Feeds';
+    this.type = 'feed';
+    this.store = options.store || feedStore;
+  }
+
+  async healthCheck() {
+    const count = await this.store.count();
+    return { ok: count > 0, message: `${count} feed entries stored` };
+  }
+
+  async search(query, usage = null) {
+    const surnames = [query.nameLast, query.nameMaiden].filter(Boolean);
+    if (surnames.length === 0) return [];
+
+    let entries;
+    try {
+      entries = await this.store.findBySurnames(surnames, {
+        state: query.state ? normalizeState(query.state) : null,
+        since: query.since || null,
+        limit: config.feeds.maxResults
+      });
+    } catch (err) {
+      logger.error('Feed store lookup failed:', err.message);
+      throw new ProviderError(`Feed store lookup failed: ${err.message}`, { provider: this.type });
+    }
+
+    logger.debug(`Feeds: ${entries.length} stored entries for ${surnames.join('/')}`);
+    return entries.map(entry => this._toCandidate(entry));
+  }
+
+  _toCandidate(entry) {
+    return {
+      id: uuidv4(),
+      nameFull: entry.nameFull,
+      nameFirst: entry.nameFirst,
+      nameMiddle: entry.nameMiddle || null,
+      nameLast: entry.nameLast,
+      ageYears: entry.ageYears,
+      dob: entry.dob || null,
+      dod: entry.dod,
+      pobCity: null,
+      pobState: null,
+      relatives: null,
+      dateVisitation: entry.dateVisitation,
+      dateFuneral: entry.dateFuneral,
+      city: entry.city,
+      state: entry.state,
+      source: entry.feedName || 'Obituary Feed',
+      url: entry.url,
+      snippet: entry.snippet,
+      score: 0,
+      reasons: [],
+      fingerprint: entry.fingerprint,
+      // Entries stored before provenance was kept have none (see getConfidence)
+      provenance: entry.provenance || {},
+      typeProvider: this.type
+    };
+  }
+}
+
+const feedProvider = providerRegistry.register(new FeedProvider());
+
+module.exports = { FeedProvider, feedProvider };
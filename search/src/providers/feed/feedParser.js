@@ -0,0 +1,128 @@
+/**
+ * Minimal RSS 2.0 / Atom parser for obituary feeds
+ * Reads only what the feed provider needs (guid, title, link, summary, published date);
+ * HTML in descriptions is reduced to plain text.
+ */
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const num = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(num) ? String.fromCodePoint(num) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+// An HTML tag; TAGS (global) for stripping, TAG for testing
+const TAG = /<\/?[a-z][^>]*>/i;
+const TAGS = new RegExp(TAG.source, 'gi');
+
+function collapse(text) {
+  const result = text.replace(/\s+/g, ' ').trim();
+  return result || null;
+}
+
+/**
+ * Element content as plain text: CDATA unwrapped, tags stripped, entities decoded once per layer
+ * (the XML escaping, then the HTML's own), so "&amp;lt;" in plain text stays "&lt;"
+ */
+function toText(raw) {
+  if (raw == null) return null;
+  const cdata = raw.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  let markup = cdata ? cdata[1] : raw;
+  if (!cdata && !TAG.test(raw)) {
+    // Escaped HTML (&lt;p&gt;) becomes markup here; anything else is plain text once decoded
+    markup = decodeEntities(raw);
+    if (!TAG.test(markup)) return collapse(markup);
+  }
+  return collapse(decodeEntities(markup.replace(TAGS, ' ')));
+}
+
+function escapeTag(name) {
+  return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Raw inner content of the first <name> element in a block, or null
+ */
+function getElement(block, name) {
+  const match = block.match(new RegExp(`<${escapeTag(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeTag(name)}>`, 'i'));
+  return match ? match[1] : null;
+}
+
+function getText(block, ...names) {
+  for (const name of names) {
+    const text = toText(getElement(block, name));
+    if (text) return text;
+  }
+  return null;
+}
+
+function getBlocks(xml, name) {
+  return xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>[\\s\\S]*?</${name}>`, 'gi')) || [];
+}
+
+function toIsoDate(text) {
+  if (!text) return null;
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Atom link: rel="alternate" (or no rel) href
+ */
+function getAtomLink(block) {
+  const links = block.match(/<link\b[^>]*>/gi) || [];
+  for (const link of links) {
+    const rel = link.match(/\brel=["']([^"']+)["']/i);
+    const href = link.match(/\bhref=["']([^"']+)["']/i);
+    if (href && (!rel || rel[1] === 'alternate')) {
+      return decodeEntities(href[1]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse an RSS or Atom document
+ * @param {string} xml
+ * @returns {Array<{guid: string, title: string|null, link: string|null, summary: string|null, publishedAt: string|null}>}
+ */
+function parseFeed(xml) {
+  const isAtom = !/<rss[\s>]/i.test(xml) && /<feed[\s>]/i.test(xml);
+
+  const items = isAtom
+    ? getBlocks(xml, 'entry').map(block => ({
+        guid: getText(block, 'id'),
+        title: getText(block, 'title'),
+        link: getAtomLink(block),
+        summary: getText(block, 'summary', 'content'),
+        publishedAt: toIsoDate(getText(block, 'published', 'updated'))
+      }))
+    : getBlocks(xml, 'item').map(block => ({
+        guid: getText(block, 'guid'),
+        title: getText(block, 'title'),
+        link: getText(block, 'link'),
+        summary: getText(block, 'description', 'content:encoded'),
+        publishedAt: toIsoDate(getText(block, 'pubDate', 'dc:date'))
+      }));
+
+  return items
+    .map(item => ({ ...item, guid: item.guid || item.link || item.title }))
+    .filter(item => item.guid);
+}
+
+module.exports = {
+  parseFeed,
+  toText
+};
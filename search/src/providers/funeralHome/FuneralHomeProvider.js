@@ -0,0 +1,219 @@
+const fs = require('fs');
+const { ProviderError } = require('../ProviderError');
+const { parseOrganicResult } = require('../organicResult');
+const { recordPage } = require('../providerCall');
+const { rateLimiter } = require('../RateLimiter');
+const { withRecording } = require('../recorder');
+const { providerRegistry } = require('../ProviderRegistry');
+const { extractListingEntries } = require('./listingExtractors');
+const defaultSources = require('./sources');
+const { generateFingerprint } = require('../../dedupe/fingerprint');
+const { normalizeName } = require('../../normalize/name');
+const { surnameKeys } = require('../../normalize/nameParser');
+const { normalizeCity, normalizeState } = require('../../normalize/location');
+const { fieldProvenance } = require('../../normalize/provenance');
+const config = require('../../config');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Funeral home listing provider
+ * Crawls the obituary listing pages of configured funeral homes near the query
+ * (same state, same city first) with headless Chrome, and returns the listed
+ * obituaries matching the query's last name as candidates.
+ *
+ * Only listing pages are loaded, never the obituary pages themselves.
+ * Listings are cached per page for cacheTtlMs, so a batch run loads each page once.
+ */
+class FuneralHomeProvider {
+  constructor(options = {}) {
+    this.name = 'Funeral Homes';
+    this.type = 'funeralhome';
+    this.sources = options.sources || loadSources(config.funeralHomes.sourcesFile);
+    this.listingCache = new Map();
+    // Injectable for tests: (source) => Promise<entries[]>
+    this.fetchListing = options.fetchListing || null;
+  }
+
+  unavailableReason() {
+    return config.funeralHomes.enabled ? null : 'FUNERAL_HOMES_ENABLED not set';
+  }
+
+  async healthCheck() {
+    const { chromePath } = config.funeralHomes;
+    if (!chromePath || !fs.existsSync(chromePath)) {
+      return { ok: false, message: `Chrome not found (CHROME_PATH=${chromePath || ''})` };
+    }
+    return { ok: true, message: `${this.sources.length} sources` };
+  }
+
+  async search(query, usage = null) {
+    const sources = this.selectSources(query);
+    if (sources.length === 0) {
+      logger.debug(`No funeral home sources in ${query.state || 'unknown state'}`);
+      return [];
+    }
+
+    let browser = null;
+    const getBrowser = async () => {
+      if (!browser) browser = await launchBrowser();
+      return browser;
+    };
+
+    const candidates = [];
+    let failures = 0;
+    try {
+      for (const source of sources) {
+        try {
+          const entries = await this._getListing(source, usage, getBrowser);
+          candidates.push(...this._parseEntries(entries, source, query));
+        } catch (err) {
+          failures++;
+          logger.warn(`[${source.name}] Listing failed: ${err.message}`);
+        }
+      }
+    } finally {
+      if (browser) {
+        await browser.close().catch(() => {});
+      }
+    }
+
+    if (failures === sources.length) {
+      throw new ProviderError(`All ${failures} funeral home listings failed`, { provider: this.type });
+    }
+
+    logger.debug(`Funeral homes: ${candidates.length} candidates from ${sources.length - failures}/${sources.length} listings`);
+    return candidates;
+  }
+
+  /**
+   * Sources in the query's state, same city first, up to config.funeralHomes.maxSources
+   */
+  selectSources(query) {
+    if (!query.state) return [];
+    const state = normalizeState(query.state);
+    const city = query.city ? normalizeCity(query.city) : null;
+
+    const inState = this.sources.filter(s => s.state === state);
+    const sameCity = inState.filter(s => city && normalizeCity(s.city) === city);
+    const others = inState.filter(s => !sameCity.includes(s));
+
+    return [...sameCity, ...others].slice(0, config.funeralHomes.maxSources);
+  }
+
+  /**
+   * Listing entries for a source, from the cache or a fresh crawl
+   */
+  async _getListing(source, usage, getBrowser) {
+    const cached = this.listingCache.get(source.url);
+    if (cached && Date.now() - cached.fetchedAt < config.funeralHomes.cacheTtlMs) {
+      return cached.entries;
+    }
+
+    const data = await withRecording(this.type, { q: source.name, url: source.url }, async () => {
+      await rateLimiter.acquire(this.type);
+      const entries = this.fetchListing
+        ? await this.fetchListing(source)
+        : await this._crawlListing(source, await getBrowser());
+      return { entries };
+    });
+    recordPage(this.type, usage);
+
+    this.listingCache.set(source.url, { fetchedAt: Date.now(), entries: data.entries });
+    return data.entries;
+  }
+
+  async _crawlListing(source, browser) {
+    const page = await browser.newPage();
+    try {
+      await page.setViewport({ width: 1280, height: 800 });
+      await page.goto(source.url, { waitUntil: 'networkidle2', timeout: config.funeralHomes.navTimeoutMs });
+      const { entries, method } = await extractListingEntries(page);
+      logger.debug(`[${source.name}] ${entries.length} listing entries (${method})`);
+      return entries;
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Entries whose name contains the query's last (or maiden) name, or one of its surnames, as candidates.
+   * Location falls back to the funeral home's city/state.
+   */
+  _parseEntries(entries, source, query) {
+    const surnames = surnameKeys([query.nameLast, query.nameMaiden]);
+    if (surnames.length === 0) return [];
+
+    const candidates = [];
+    for (const entry of entries) {
+      if (!entry.nameRaw) continue;
+      const words = normalizeName(entry.nameRaw).split(/[\s-]+/);
+      if (!surnames.some(s => words.includes(s))) continue;
+
+      const candidate = parseOrganicResult({
+        title: entry.nameRaw,
+        snippet: [entry.dateText, entry.snippetText].filter(Boolean).join(' '),
+        link: entry.detailUrl || source.url
+      }, query, { source: source.name, typeProvider: this.type });
+
+      // Skip deaths before the query's since date (monitoring passes)
+      if (query.since && candidate.dod && candidate.dod < query.since) continue;
+
+      if (!candidate.city && !candidate.state) {
+        candidate.city = source.city;
+        candidate.state = source.state;
+        candidate.provenance.city = candidate.provenance.state =
+          fieldProvenance('provider', { rule: 'provider-location' });
+        candidate.fingerprint = generateFingerprint({
+          nameLast: candidate.nameLast || query.nameLast,
+          nameFirst: candidate.nameFirst || query.nameFirst,
+          city: candidate.city,
+          state: candidate.state,
+          dod: candidate.dod
+        });
+      }
+      candidates.push(candidate);
+    }
+    return candidates;
+  }
+}
+
+/**
+ * Built-in sources plus extra/override sources (by url) from a JSON file
+ */
+function loadSources(filePath) {
+  if (!filePath) return defaultSources;
+  try {
+    const extra = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    const byUrl = new Map(defaultSources.map(s => [s.url, s]));
+    for (const source of extra) {
+      byUrl.set(source.url, source);
+    }
+    logger.debug(`Loaded ${extra.length} funeral home sources from ${filePath}`);
+    return [...byUrl.values()];
+  } catch (err) {
+    logger.error(`Could not load funeral home sources file ${filePath}:`, err.message);
+    return defaultSources;
+  }
+}
+
+async function launchBrowser() {
+  if (!config.funeralHomes.chromePath) {
+    throw new ProviderError('Funeral home provider needs CHROME_PATH', { provider: 'funeralhome' });
+  }
+  // Lazy load: puppeteer is only needed when the provider is enabled
+  const puppeteer = require('puppeteer-core');
+  return puppeteer.launch({
+    executablePath: config.funeralHomes.chromePath,
+    headless: 'new',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu'
+    ]
+  });
+}
+
+const funeralHomeProvider = providerRegistry.register(new FuneralHomeProvider());
+
+module.exports = { FuneralHomeProvider, funeralHomeProvider, loadSources };
@@ -0,0 +1,189 @@
+/**
+ * Obituary listing extraction from rendered funeral home pages (puppeteer),
+ * shared by the funeral home provider and search_test_data/scrape.js.
+ *
+ * Each extractor returns [{nameRaw, dateText, snippetText, detailUrl}].
+ */
+
+const SELECTOR_TIMEOUT_MS = 5000;
+
+// ============================================================
+// Tukios DOM Extraction (runs inside page.evaluate)
+// ============================================================
+
+async function extractTukiosEntries(page) {
+  return page.evaluate(() => {
+    const entries = [];
+
+    // Tukios listing cards
+    const nameEls = document.querySelectorAll('.tukios--obituary-listing-name');
+
+    if (nameEls.length === 0) return entries;
+
+    // Each listing card is typically a parent container with name, dates, snippet, link
+    const cards = document.querySelectorAll(
+      '.tukios--obituary-listing-card, ' +
+      '.tukios--obituary-listing-container, ' +
+      '[class*="obituary-listing"]'
+    );
+
+    if (cards.length > 0) {
+      // Extract from card containers
+      for (const card of cards) {
+        const nameEl = card.querySelector('.tukios--obituary-listing-name, [class*="listing-name"]');
+        const dateEl = card.querySelector('.tukios--obituary-listing-date, [class*="listing-date"]');
+        const snippetEl = card.querySelector('.tukios--obituary-listing-snippet, [class*="listing-snippet"]');
+        const linkEl = card.querySelector('a[href*="obituar"]') || card.querySelector('a');
+
+        entries.push({
+          nameRaw: nameEl ? nameEl.textContent.trim() : null,
+          dateText: dateEl ? dateEl.textContent.trim() : null,
+          snippetText: snippetEl ? snippetEl.textContent.trim() : null,
+          detailUrl: linkEl ? linkEl.href : null,
+        });
+      }
+    } else {
+      // Fallback: just grab the name elements and look for siblings
+      for (const nameEl of nameEls) {
+        const parent = nameEl.closest('div') || nameEl.parentElement;
+        const dateEl = parent ? parent.querySelector('.tukios--obituary-listing-date, [class*="listing-date"]') : null;
+        const snippetEl = parent ? parent.querySelector('.tukios--obituary-listing-snippet, [class*="listing-snippet"]') : null;
+        const linkEl = parent ? (parent.querySelector('a[href*="obituar"]') || parent.querySelector('a')) : null;
+
+        entries.push({
+          nameRaw: nameEl.textContent.trim(),
+          dateText: dateEl ? dateEl.textContent.trim() : null,
+          snippetText: snippetEl ? snippetEl.textContent.trim() : null,
+          detailUrl: linkEl ? linkEl.href : null,
+        });
+      }
+    }
+
+    return entries;
+  });
+}
+
+// ============================================================
+// Generic (non-Tukios) DOM Extraction
+// ============================================================
+
+async function extractGenericEntries(page) {
+  return page.evaluate(() => {
+    const entries = [];
+
+    // Common obituary listing selectors across various providers
+    const selectors = [
+      // Tribute-based sites
+      '.obituary-listing .obit-name',
+      '.obituary-entry .name',
+      // Generic patterns
+      '[class*="obituary"] [class*="name"]',
+      '[class*="obit"] [class*="name"]',
+      '.obit-list .name a',
+      // JSON-LD fallback — not accessible in evaluate, handled separately
+    ];
+
+    for (const selector of selectors) {
+      const nameEls = document.querySelectorAll(selector);
+      if (nameEls.length > 0) {
+        for (const nameEl of nameEls) {
+          const card = nameEl.closest('[class*="obituary"], [class*="obit"], .listing-item, article');
+          const dateEl = card ? card.querySelector('[class*="date"]') : null;
+          const snippetEl = card ? card.querySelector('[class*="snippet"], [class*="excerpt"], p') : null;
+          const linkEl = nameEl.tagName === 'A' ? nameEl : (card ? card.querySelector('a') : null);
+
+          entries.push({
+            nameRaw: nameEl.textContent.trim(),
+            dateText: dateEl ? dateEl.textContent.trim() : null,
+            snippetText: snippetEl ? snippetEl.textContent.trim() : null,
+            detailUrl: linkEl ? linkEl.href : null,
+          });
+        }
+        break; // Use first matching selector set
+      }
+    }
+
+    return entries;
+  });
+}
+
+// ============================================================
+// JSON-LD Extraction (works for sites that embed structured data)
+// ============================================================
+
+async function extractJsonLdEntries(page) {
+  return page.evaluate(() => {
+    const entries = [];
+    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+
+    for (const script of scripts) {
+      try {
+        const data = JSON.parse(script.textContent);
+
+        // ItemList
+        if (data.mainEntity && data.mainEntity.itemListElement) {
+          for (const item of data.mainEntity.itemListElement) {
+            if (item.name && item.url) {
+              entries.push({
+                nameRaw: item.name,
+                dateText: null,
+                snippetText: null,
+                detailUrl: item.url,
+              });
+            }
+          }
+        }
+
+        if (data['@type'] === 'ItemList' && data.itemListElement) {
+          for (const item of data.itemListElement) {
+            const thing = item.item || item;
+            if (thing.name && thing.url) {
+              entries.push({
+                nameRaw: thing.name,
+                dateText: null,
+                snippetText: null,
+                detailUrl: thing.url,
+              });
+            }
+          }
+        }
+      } catch {}
+    }
+
+    return entries;
+  });
+}
+
+/**
+ * Extract listing entries from a loaded page: Tukios widget first, then generic
+ * obituary selectors, then JSON-LD
+ * @returns {Promise<{entries: object[], method: string}>} method: tukios | generic | json-ld | none
+ */
+async function extractListingEntries(page, { selectorTimeoutMs = SELECTOR_TIMEOUT_MS } = {}) {
+  try {
+    await page.waitForSelector('.tukios--obituary-listing-name', { timeout: selectorTimeoutMs });
+    return { entries: await extractTukiosEntries(page), method: 'tukios' };
+  } catch {
+    // Not Tukios — try generic, then JSON-LD
+  }
+
+  const generic = await extractGenericEntries(page);
+  if (generic.length > 0) {
+    return { entries: generic, method: 'generic' };
+  }
+
+  const jsonLd = await extractJsonLdEntries(page);
+  if (jsonLd.length > 0) {
+    return { entries: jsonLd, method: 'json-ld' };
+  }
+
+  return { entries: [], method: 'none' };
+}
+
+module.exports = {
+  extractTukiosEntries,
+  extractGenericEntries,
+  extractJsonLdEntries,
+  extractListingEntries,
+  SELECTOR_TIMEOUT_MS
+};
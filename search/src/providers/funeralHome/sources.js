@@ -0,0 +1,206 @@
+/**
+ * Funeral home obituary listing pages (mostly Tukios-powered), crawled by the
+ * funeral home provider and by search_test_data/scrape.js.
+ *
+ * { name, city, state, url } — state is a 2-letter code; the provider picks the
+ * homes in the query's state (same city first). Extra/override sources can be
+ * loaded from FUNERAL_HOME_SOURCES_FILE (JSON array, same shape).
+ */
+module.exports = [
+  // Ohio — confirmed Tukios
+  {
+    name: 'Newcomer Funeral Homes',
+    city: 'Dayton', state: 'OH',
+    url: 'https://www.newcomerdayton.com/obituaries',
+  },
+  {
+    name: 'Newcomer Albany',
+    city: 'Albany', state: 'NY',
+    url: 'https://www.newcomeralbany.com/obituaries',
+  },
+  {
+    name: 'Hodapp Funeral Homes',
+    city: 'Cincinnati', state: 'OH',
+    url: 'https://www.hodappfuneralhome.com/obituaries',
+  },
+  {
+    name: 'Routsong Funeral Home',
+    city: 'Kettering', state: 'OH',
+    url: 'https://www.routsong.com/obituaries',
+  },
+
+  // Ohio — more Newcomer locations
+  {
+    name: 'Newcomer Columbus',
+    city: 'Columbus', state: 'OH',
+    url: 'https://www.newcomercolumbus.com/obituaries',
+  },
+  {
+    name: 'Newcomer Toledo',
+    city: 'Toledo', state: 'OH',
+    url: 'https://www.newcomertoledo.com/obituaries',
+  },
+
+  // Kentucky
+  {
+    name: 'Newcomer Louisville',
+    city: 'Louisville', state: 'KY',
+    url: 'https://www.newcomerkentuckiana.com/obituaries',
+  },
+
+  // Florida
+  {
+    name: 'Newcomer Orlando',
+    city: 'Orlando', state: 'FL',
+    url: 'https://www.newcomerorlando.com/obituaries',
+  },
+  // Georgia
+  {
+    name: 'Wages & Sons Funeral Home',
+    city: 'Lawrenceville', state: 'GA',
+    url: 'https://www.wagesandsons.com/obituaries',
+  },
+  // Texas
+  {
+    name: 'Lucas Funeral Home',
+    city: 'Hurst', state: 'TX',
+    url: 'https://www.lucasfuneralhomes.com/obituaries',
+  },
+
+  // New York — Rochester
+  {
+    name: 'Newcomer Rochester',
+    city: 'Rochester', state: 'NY',
+    url: 'https://www.newcomerrochester.com/obituaries',
+  },
+
+  // Colorado
+  {
+    name: 'Newcomer Denver',
+    city: 'Denver', state: 'CO',
+    url: 'https://www.newcomerdenver.com/obituaries',
+  },
+
+  // Ohio — Akron area
+  {
+    name: 'Newcomer Akron',
+    city: 'Akron', state: 'OH',
+    url: 'https://www.newcomerakron.com/obituaries',
+  },
+
+  // === New diverse sources (all verified Tukios) ===
+
+  // West Coast
+  {
+    name: 'Forest Lawn Funeral Homes',
+    city: 'Covina', state: 'CA',
+    url: 'https://obituaries.forestlawn.com/obituaries',
+  },
+  {
+    name: 'Riplinger Funeral Home',
+    city: 'Spokane', state: 'WA',
+    url: 'https://www.riplingerfuneralhome.com/obituaries',
+  },
+
+  // Midwest
+  {
+    name: 'McGuire & Davies Funeral Home',
+    city: 'Monmouth', state: 'IL',
+    url: 'https://www.mcguireanddaviesfuneralhome.com/obituaries',
+  },
+  {
+    name: 'Stateline Cremations',
+    city: 'Loves Park', state: 'IL',
+    url: 'https://www.statelinecremations.com/obituaries',
+  },
+  {
+    name: 'Michigan Cremation & Funeral Care',
+    city: 'Grand Rapids', state: 'MI',
+    url: 'https://www.michigancremation.com/obituaries',
+  },
+  {
+    name: 'Mahn Family Funeral Chapel',
+    city: 'Red Wing', state: 'MN',
+    url: 'https://www.mahnfamilyfuneralhome.com/obituaries',
+  },
+
+  // Northeast
+  {
+    name: 'Cusick Funeral Home',
+    city: 'Somerville', state: 'NJ',
+    url: 'https://www.cusickfuneralhome.com/obituaries',
+  },
+  {
+    name: 'Delaney & Son Funeral Home',
+    city: 'Walpole', state: 'MA',
+    url: 'https://www.delaneyfuneral.com/obituaries',
+  },
+  {
+    name: 'Cognetta Funeral Home',
+    city: 'Stamford', state: 'CT',
+    url: 'https://www.cognetta.com/obituaries',
+  },
+  {
+    name: 'Newcomer Syracuse',
+    city: 'Syracuse', state: 'NY',
+    url: 'https://www.newcomersyracuse.com/obituaries',
+  },
+
+  // Southeast
+  {
+    name: 'McClure Funeral Service',
+    city: 'Graham', state: 'NC',
+    url: 'https://www.mcclurefuneralservice.net/obituaries',
+  },
+  {
+    name: "Murray's Mortuary",
+    city: 'Charleston', state: 'SC',
+    url: 'https://www.murraysmortuary.com/obituaries',
+  },
+  {
+    name: 'Community Funeral Home',
+    city: 'Norfolk', state: 'VA',
+    url: 'https://www.communityfh.com/obituaries',
+  },
+  {
+    name: 'Shackelford Funeral Directors',
+    city: 'Waynesboro', state: 'TN',
+    url: 'https://www.shackelfordfuneraldirectors.com/obituaries',
+  },
+  {
+    name: 'Terrell Broady Funeral Home',
+    city: 'Nashville', state: 'TN',
+    url: 'https://www.terrellbroadyfuneralhome.com/obituaries',
+  },
+  {
+    name: 'Cherokee Memorial Funeral Home',
+    city: 'Centre', state: 'AL',
+    url: 'https://www.cherokeememorialfuneralhome.com/obituaries',
+  },
+
+  // Southwest
+  {
+    name: 'Martinez Funeral Chapels',
+    city: 'Tucson', state: 'AZ',
+    url: 'https://www.martinezfuneralchapels.com/obituaries',
+  },
+
+  // Deep South
+  {
+    name: 'Seale Funeral Service',
+    city: 'Denham Springs', state: 'LA',
+    url: 'https://www.sealefuneral.com/obituaries',
+  },
+  {
+    name: 'Rose-Neath Funeral Homes',
+    city: 'Shreveport', state: 'LA',
+    url: 'https://www.rose-neath.com/obituaries',
+  },
+
+  // Mountain West
+  {
+    name: 'Newcomer Casper',
+    city: 'Casper', state: 'WY',
+    url: 'https://www.newcomercasper.com/obituaries',
+  },
+];
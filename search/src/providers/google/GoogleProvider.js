@@ -1,10 +1,14 @@
 const fs = require('fs');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-const { buildGoogleQuery, buildGoogleApiUrl } = require('./googleQuery');
-const { generateFingerprint } = require('../../dedupe/fingerprint');
-const { extractAgeFromText } = require('../../normalize/age');
-const { normalizeState } = require('../../normalize/location');
+const { buildGoogleApiUrl } = require('./googleQuery');
+const { ProviderError } = require('../ProviderError');
+const { collectPages } = require('../pagination');
+const { runQueryPlan } = require('../queryPlanner');
+const { parseOrganicResults } = require('../organicResult');
+const { buildDateRestrict } = require('../timeFilter');
+const { withRecording, isReplayMode } = require('../recorder');
+const { providerClient } = require('../ProviderClient');
+const { providerRegistry } = require('../ProviderRegistry');
 const config = require('../../config');
 const { logger } = require('../../utils/logger');
 
@@ -14,182 +18,70 @@ class GoogleProvider {
     this.type = 'google';
   }
 
-  async search(query) {
-    const searchQuery = buildGoogleQuery(query);
-    logger.debug('GoogleProvider searching:', searchQuery);
-
-    let results;
-
-    if (config.google.isStubMode) {
+  async search(query, usage = null) {
+    if (config.google.isStubMode && !isReplayMode()) {
       logger.info('Google CSE in stub mode - using sample data');
-      results = this._loadStubData();
-    } else {
-      results = await this._callGoogleApi(searchQuery);
+      return this._parseResults(this._loadStubData(), query);
     }
 
-    return this._parseResults(results, query);
-  }
-
-  _loadStubData() {
     try {
-      const stubPath = path.join(config.cacheDir, 'google-sample.json');
-      if (fs.existsSync(stubPath)) {
-        const data = fs.readFileSync(stubPath, 'utf-8');
-        const stub = JSON.parse(data);
-        return stub.results || [];
-      }
+      return await runQueryPlan(query, this.name, (variant) =>
+        collectPages(query, this, async (page) => {
+          const items = await this._fetchPage(variant.q, page, usage, query.since, query.inputDate);
+          return {
+            candidates: this._parseResults(items, query),
+            resultCnt: items.length
+          };
+        }, usage)
+      );
     } catch (err) {
-      logger.error('Error loading stub data:', err);
+      logger.error('Google API call failed:', err.message);
+      if (err instanceof ProviderError) throw err;
+      throw new ProviderError(`Google API call failed: ${err.message}`, { provider: this.type });
     }
-    return [];
   }
 
-  async _callGoogleApi(query) {
-    const url = buildGoogleApiUrl(query, config.google.apiKey, config.google.cseId);
-
+  /**
+   * Sample results for stub mode (no API keys); without a sample file the provider fails,
+   * so a search that never ran is not mistaken for one that found nobody
+   */
+  _loadStubData() {
+    const stubPath = path.join(config.cacheDir, 'google-sample.json');
+    if (!fs.existsSync(stubPath)) {
+      throw new ProviderError(`Google CSE is not configured and there is no sample data at ${stubPath}`, { provider: this.type });
+    }
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`Google API error: ${response.status}`);
-      }
-      const data = await response.json();
-      return data.items || [];
+      return JSON.parse(fs.readFileSync(stubPath, 'utf-8')).results || [];
     } catch (err) {
-      logger.error('Google API call failed:', err);
-      return [];
+      throw new ProviderError(`Could not load Google CSE sample data: ${err.message}`, { provider: this.type });
     }
   }
 
-  _parseResults(results, query) {
-    const candidates = [];
-
-    for (const result of results) {
-      const parsed = this._parseResult(result, query);
-      if (parsed) {
-        candidates.push(parsed);
-      }
-    }
-
-    return candidates;
-  }
-
-  _parseResult(result, query) {
-    // Extract name from title
-    const nameInfo = this._extractNameFromTitle(result.title);
-
-    // Extract age from snippet
-    const age = extractAgeFromText(result.snippet) ||
-                extractAgeFromText(result.title);
-
-    // Extract location from snippet
-    const locationInfo = this._extractLocation(result.snippet, result.title);
-
-    // Generate fingerprint with available data
-    const fingerprint = generateFingerprint({
-      nameLast: nameInfo.nameLast || query.nameLast,
-      nameFirst: nameInfo.nameFirst || query.nameFirst,
-      city: locationInfo.city,
-      state: locationInfo.state,
-      dod: undefined  // Usually not extractable from snippets
-    });
-
-    return {
-      id: uuidv4(),
-      nameFull: nameInfo.nameFull || result.title.split(' - ')[0].split('|')[0].trim(),
-      nameFirst: nameInfo.nameFirst,
-      nameLast: nameInfo.nameLast,
-      ageYears: age,
-      city: locationInfo.city,
-      state: locationInfo.state,
-      source: 'Google Search',
-      url: result.link,
-      snippet: result.snippet,
-      score: 0,
-      reasons: [],
-      fingerprint,
-      typeProvider: 'google'
+  /**
+   * Fetch one page (1-based) of results — CSE pages by 1-based result index
+   * dateRestrict counts back from runDate (the query's inputDate), not the wall clock
+   */
+  async _fetchPage(searchQuery, page, usage, since = null, runDate) {
+    const perPage = config.paging.resultsPerPage;
+    const request = {
+      q: searchQuery,
+      num: perPage.toString()
     };
-  }
-
-  _extractNameFromTitle(title) {
-    // Common patterns:
-    // "John Smith Obituary - City, ST"
-    // "Smith, John - Newspaper Name"
-    // "John Smith, 71 - Legacy.com"
+    if (page > 1) request.start = ((page - 1) * perPage + 1).toString();
+    if (since) request.dateRestrict = buildDateRestrict(since, runDate);
 
-    const cleanTitle = title.split(' - ')[0].split('|')[0].trim();
-
-    // Try "LastName, FirstName" pattern
-    const commaMatch = cleanTitle.match(/^([A-Z][a-z]+),\s+([A-Z][a-z]+)/);
-    if (commaMatch) {
-      return {
-        nameFull: `${commaMatch[2]} ${commaMatch[1]}`,
-        nameFirst: commaMatch[2],
-        nameLast: commaMatch[1]
-      };
-    }
-
-    // Try "FirstName LastName" pattern
-    const spaceMatch = cleanTitle.match(/^([A-Z][a-z]+)\s+(?:[A-Z]\.?\s+)?([A-Z][a-z]+)/);
-    if (spaceMatch) {
-      return {
-        nameFull: cleanTitle.replace(/,.*$/, '').trim(),
-        nameFirst: spaceMatch[1],
-        nameLast: spaceMatch[2]
-      };
-    }
-
-    // Try extracting from "Name Obituary" pattern
-    const obitMatch = cleanTitle.match(/^(.+?)\s+Obituary/i);
-    if (obitMatch) {
-      const namePart = obitMatch[1].trim();
-      const parts = namePart.split(/\s+/);
-      if (parts.length >= 2) {
-        return {
-          nameFull: namePart,
-          nameFirst: parts[0],
-          nameLast: parts[parts.length - 1]
-        };
-      }
-    }
+    const data = await withRecording(this.type, request, () =>
+      providerClient.fetchJson(this.type, usage, 'Google API', buildGoogleApiUrl(request, config.google.apiKey, config.google.cseId))
+    );
 
-    return { nameFull: cleanTitle };
+    return data.items || [];
   }
 
-  _extractLocation(snippet, title) {
-    const combined = `${title} ${snippet}`;
-
-    // Pattern: "City, ST" or "City, State"
-    // Handles abbreviated prefixes like "St.", "Ft.", "Mt.", "Pt." and multi-word cities
-    const statePattern = /\b((?:(?:St|Ft|Mt|Pt)\.\s+)?[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),\s*([A-Z]{2})\b/;
-    const match = combined.match(statePattern);
-
-    if (match) {
-      return {
-        city: match[1],
-        state: match[2]
-      };
-    }
-
-    // Try to find just state code - but validate it's a real state
-    const validStateCodes = new Set([
-      'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA',
-      'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
-      'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
-      'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC',
-      'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'DC'
-    ]);
-
-    // Look for state codes that appear in location context (after comma, "of", "in")
-    const stateContextMatch = combined.match(/(?:,\s*|of\s+|in\s+)([A-Z]{2})(?:\s|,|\.|$)/);
-    if (stateContextMatch && validStateCodes.has(stateContextMatch[1])) {
-      return { state: stateContextMatch[1] };
-    }
-
-    return {};
+  _parseResults(results, query) {
+    return parseOrganicResults(results, query, { source: 'Google Search', typeProvider: this.type });
   }
 }
 
-const googleProvider = new GoogleProvider();
+const googleProvider = providerRegistry.register(new GoogleProvider());
 
 module.exports = { GoogleProvider, googleProvider };
@@ -0,0 +1,96 @@
+const { v4: uuidv4 } = require('uuid');
+const { ProviderError } = require('../ProviderError');
+const { providerRegistry } = require('../ProviderRegistry');
+const { deathRecordStore } = require('../../db/DeathRecordStore');
+const { calculateAge } = require('../../normalize/age');
+const { fieldProvenance } = require('../../normalize/provenance');
+const config = require('../../config');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Death index provider ('native')
+ * Looks the query up in bulk-imported official death records (see deathIndexImport.js)
+ * by last (or maiden) name and first-name variants. Its dob/dod are authoritative:
+ * when a web obituary dedupes with a record, the record's dates win (dedupe.js).
+ */
+class NativeProvider {
+  constructor(options = {}) {
+    this.name = 'Death Index';
+    this.type = 'native';
+    this.store = options.store || deathRecordStore;
+  }
+
+  async healthCheck() {
+    const count = await this.store.count();
+    return { ok: count > 0, message: `${count} death records imported` };
+  }
+
+  async search(query, usage = null) {
+    const lastNames = [query.nameLast, query.nameMaiden].filter(Boolean);
+    const firstNames = [...new Set([
+      ...(query.nameFirstVariants || []),
+      query.nameFirst,
+      query.nameNickname
+    ].filter(Boolean).map(n => n.toLowerCase()))];
+    if (lastNames.length === 0 || firstNames.length === 0) return [];
+
+    let records;
+    try {
+      records = await this.store.findByName(lastNames, firstNames, {
+        since: query.since || null,
+        limit: config.deathIndex.maxResults
+      });
+    } catch (err) {
+      logger.error('Death index lookup failed:', err.message);
+      throw new ProviderError(`Death index lookup failed: ${err.message}`, { provider: this.type });
+    }
+
+    logger.debug(`Death index: ${records.length} records for ${firstNames.join('/')} ${lastNames.join('/')}`);
+    return records.map(record => this._toCandidate(record));
+  }
+
+  _toCandidate(record) {
+    const nameFull = [record.nameFirst, record.nameMiddle, record.nameLast].filter(Boolean).join(' ');
+    const placeText = [record.city, record.state].filter(Boolean).join(', ');
+    const ageYears = record.dob ? calculateAge(record.dob, record.dod) ?? null : null;
+
+    // Every field is read straight from the record
+    const provenance = {};
+    const fields = { ...record, ageYears };
+    for (const field of ['nameFirst', 'nameMiddle', 'nameLast', 'ageYears', 'dob', 'dod', 'city', 'state']) {
+      if (fields[field] != null) {
+        provenance[field] = fieldProvenance('record', { rule: 'death-index' });
+      }
+    }
+
+    return {
+      id: uuidv4(),
+      nameFull,
+      nameFirst: record.nameFirst,
+      nameMiddle: record.nameMiddle || null,
+      nameLast: record.nameLast,
+      ageYears,
+      dob: record.dob,
+      dod: record.dod,
+      pobCity: null,
+      pobState: null,
+      relatives: null,
+      dateVisitation: null,
+      dateFuneral: null,
+      city: record.city,
+      state: record.state,
+      source: record.source,
+      url: null,
+      snippet: `${nameFull}: died ${record.dod}${record.dob ? `, born ${record.dob}` : ''}${placeText ? ` (${placeText})` : ''}`,
+      score: 0,
+      reasons: [],
+      fingerprint: record.fingerprint,
+      provenance,
+      typeProvider: this.type
+    };
+  }
+}
+
+const nativeProvider = providerRegistry.register(new NativeProvider());
+
+module.exports = { NativeProvider, nativeProvider };
@@ -0,0 +1,179 @@
+/**
+ * Bulk import of official death records from CSV (state vital-records extracts,
+ * SSDI-style files) into death_records for the 'native' provider.
+ *
+ * Columns are matched by header name (case and punctuation ignored), see COLUMN_ALIASES.
+ * Rows need a first name, last name and a full date of death; others are skipped.
+ * Files with a single name column ("SMITH, JOHN A" or "John A Smith") are split by nameParser.js.
+ * Only name, dates and place are kept — identifiers such as SSNs are never stored.
+ */
+
+const crypto = require('crypto');
+const { readCsv } = require('../../utils/csv');
+const { generateFingerprint } = require('../../dedupe/fingerprint');
+const { normalizeState } = require('../../normalize/location');
+const { parseFullName } = require('../../normalize/nameParser');
+const { deathRecordStore } = require('../../db/DeathRecordStore');
+const { logger } = require('../../utils/logger');
+
+const COLUMN_ALIASES = {
+  recordId: ['id', 'record_id', 'certificate_number', 'certificate_no', 'cert_number'],
+  nameFirst: ['first_name', 'firstname', 'first', 'given_name'],
+  nameMiddle: ['middle_name', 'middlename', 'middle', 'middle_initial'],
+  nameLast: ['last_name', 'lastname', 'last', 'surname'],
+  nameFull: ['name', 'full_name', 'fullname', 'decedent_name', 'decedent'],
+  dob: ['dob', 'birth_date', 'date_of_birth', 'birthdate'],
+  dod: ['dod', 'death_date', 'date_of_death', 'deathdate'],
+  city: ['city', 'residence_city', 'death_city'],
+  state: ['state', 'residence_state', 'death_state']
+};
+
+function normalizeHeader(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Map each record field to the CSV header it is read from (fields with no column are left out)
+ * @param {string[]} headers
+ * @returns {object} e.g. { nameFirst: 'First Name', dod: 'DEATH_DATE' }
+ */
+function mapColumns(headers) {
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const header = headers.find(h => aliases.includes(normalizeHeader(h)));
+    if (header) columns[field] = header;
+  }
+  return columns;
+}
+
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a full record date: YYYY-MM-DD, M/D/YYYY or YYYYMMDD.
+ * Partial dates (month/year only, day 00) give null.
+ */
+function parseRecordDate(text) {
+  if (!text) return null;
+  const value = text.trim();
+  let m;
+  if ((m = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    return toIsoDate(+m[1], +m[2], +m[3]);
+  }
+  if ((m = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    return toIsoDate(+m[3], +m[1], +m[2]);
+  }
+  if ((m = value.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+    return toIsoDate(+m[1], +m[2], +m[3]);
+  }
+  return null;
+}
+
+function titleCase(name) {
+  if (!name) return null;
+  return name.toLowerCase().replace(/(^|[\s'-])([a-z])/g, (_, sep, ch) => sep + ch.toUpperCase());
+}
+
+/**
+ * First, middle and last name of a single name column. Records write "LAST, FIRST MIDDLE",
+ * so everything before a comma is the last name ("GARCIA LOPEZ, JOSE" too).
+ */
+function splitFullName(text) {
+  const name = titleCase(text);
+  if (!name) return {};
+  const inverted = name.match(/^([^,]+),\s*(\S+)\s*(.*)$/);
+  if (inverted) {
+    return { nameFirst: inverted[2], nameMiddle: inverted[3] || null, nameLast: inverted[1].trim() };
+  }
+  const { nameFirst, nameMiddle, nameLast } = parseFullName(name);
+  return { nameFirst, nameMiddle, nameLast };
+}
+
+/**
+ * Build a death record from a CSV row, or null when it lacks a name or a full date of death
+ * @param {object} row - CSV row keyed by header
+ * @param {object} columns - from mapColumns
+ * @param {{source: string, state?: string}} options - state is the default for files without one
+ */
+function toDeathRecord(row, columns, { source, state = null }) {
+  const get = (field) => (columns[field] ? (row[columns[field]] || '').trim() : '') || null;
+
+  const full = columns.nameFirst ? {} : splitFullName(get('nameFull'));
+  const nameFirst = full.nameFirst || titleCase(get('nameFirst'));
+  const nameLast = full.nameLast || titleCase(get('nameLast'));
+  const dod = parseRecordDate(get('dod'));
+  if (!nameFirst || !nameLast || !dod) return null;
+
+  const record = {
+    source,
+    nameFirst,
+    nameMiddle: full.nameMiddle || titleCase(get('nameMiddle')),
+    nameLast,
+    dob: parseRecordDate(get('dob')),
+    dod,
+    city: titleCase(get('city')),
+    state: get('state') ? normalizeState(get('state')) : state
+  };
+  record.recordKey = get('recordId') || crypto.createHash('sha1')
+    .update([nameLast, nameFirst, record.nameMiddle, record.dob, dod].join('|').toLowerCase())
+    .digest('hex');
+  record.fingerprint = generateFingerprint(record);
+
+  return record;
+}
+
+/**
+ * Import a CSV file in batches
+ * @param {string} filePath
+ * @param {{source: string, state?: string, store?: object, batchSize?: number}} options
+ * @returns {Promise<{read: number, imported: number, skipped: number}>}
+ */
+async function importDeathIndex(filePath, { source, state = null, store = deathRecordStore, batchSize = 500 }) {
+  const summary = { read: 0, imported: 0, skipped: 0 };
+  let columns = null;
+  // Keyed so a record repeated within one batch is written once
+  let batch = new Map();
+
+  const flush = async () => {
+    summary.imported += await store.upsertRecords([...batch.values()]);
+    batch = new Map();
+  };
+
+  for await (const row of readCsv(filePath)) {
+    if (!columns) {
+      columns = mapColumns(Object.keys(row));
+      const hasName = (columns.nameFirst && columns.nameLast) || columns.nameFull;
+      if (!hasName || !columns.dod) {
+        throw new Error(`${filePath}: needs first and last name (or full name) and date of death columns`);
+      }
+      logger.debug(`Death index columns: ${JSON.stringify(columns)}`);
+    }
+
+    summary.read++;
+    const record = toDeathRecord(row, columns, { source, state });
+    if (!record) {
+      summary.skipped++;
+      continue;
+    }
+
+    batch.set(record.recordKey, record);
+    if (batch.size >= batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return summary;
+}
+
+module.exports = {
+  mapColumns,
+  parseRecordDate,
+  toDeathRecord,
+  importDeathIndex
+};
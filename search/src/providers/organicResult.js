@@ -0,0 +1,244 @@
+/**
+ * Candidate extraction from a web search result (title, snippet, link),
+ * shared by the web search providers (Serper, SerpAPI, Google CSE) so every
+ * provider yields the same fields from the same input.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { generateFingerprint } = require('../dedupe/fingerprint');
+const { extractAgeDetail } = require('../normalize/age');
+const { extractDodDetail } = require('../normalize/dod');
+const { extractDobDetail } = require('../normalize/dob');
+const { extractPobDetail } = require('../normalize/pob');
+const { extractRelativesDetail } = require('../normalize/relatives');
+const { extractServiceDateDetails } = require('../normalize/serviceDates');
+const { fieldProvenance, valueProvenance, firstMatch } = require('../normalize/provenance');
+const { parsePublishedDate } = require('../normalize/publishedDate');
+const { resolveLocale } = require('../normalize/locales');
+const { extractNameFromTitle, extractNameFromSnippet, extractNameFromUrl, isValidParsedName, isGenericTitle } = require('../normalize/nameExtract');
+const { normalizeState } = require('../normalize/location');
+
+const VALID_STATE_CODES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA',
+  'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
+  'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
+  'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC',
+  'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'DC',
+  'AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'
+]);
+
+/**
+ * Extract "City, ST" / "City, State" from result text, with the matching rule and span
+ * @returns {{city: string, state: string, rule: string, start: number, end: number, text: string}|null}
+ */
+function extractLocationDetail(text) {
+  // Pattern: "City, ST" or "of City, State"
+  // Handles abbreviated prefixes like "St.", "Ft.", "Mt.", "Pt." and multi-word cities
+  const statePattern = /(?:of\s+)?((?:(?:St|Ft|Mt|Pt)\.\s+)?[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),\s*([A-Z]{2})\b/;
+  const match = text.match(statePattern);
+
+  if (match && VALID_STATE_CODES.has(match[2])) {
+    return locationDetail(match, match[2], 'city-state-code');
+  }
+
+  // Try "City, State/Province" with full name
+  const fullStatePattern = /(?:of\s+)?((?:(?:St|Ft|Mt|Pt)\.\s+)?[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),\s*([A-Z][a-z]+(?:\s+[A-Za-z][a-z]+)*)/;
+  const fullMatch = text.match(fullStatePattern);
+
+  if (fullMatch) {
+    const code = normalizeState(fullMatch[2]);
+    if (VALID_STATE_CODES.has(code)) {
+      return locationDetail(fullMatch, code, 'city-state-name');
+    }
+  }
+
+  return null;
+}
+
+function locationDetail(match, state, rule) {
+  return {
+    city: match[1],
+    state,
+    rule,
+    start: match.index,
+    end: match.index + match[0].length,
+    text: match[0]
+  };
+}
+
+/**
+ * Extract "City, ST" / "City, State" from result text
+ * @returns {{city?: string, state?: string}}
+ */
+function extractLocation(text) {
+  const location = extractLocationDetail(text);
+  return location ? { city: location.city, state: location.state } : {};
+}
+
+/**
+ * Parse one search result into a candidate
+ * @param {{title: string, snippet: string, link: string, date?: string, imageUrl?: string}} result
+ *   date and imageUrl are the publication date and thumbnail some APIs attach (Serper, feeds);
+ *   the publication date (else today) resolves relative dates like "died Tuesday"
+ * @param {object} query - normalized query (name fallbacks for fingerprint and snippet parsing)
+ * @param {{source: string, typeProvider: string}} origin
+ */
+function parseOrganicResult(result, query, { source, typeProvider }) {
+  const title = result.title || '';
+  const snippet = result.snippet || '';
+  const combined = `${title} ${snippet}`;
+
+  // Extract name: title → snippet → URL fallback
+  let nameInfo = extractNameFromTitle(title);
+  let nameSource = 'title';
+  if (isGenericTitle(nameInfo.nameFull) || !isValidParsedName(nameInfo.nameFirst, nameInfo.nameLast)) {
+    const snippetNameInfo = extractNameFromSnippet(snippet, query);
+    if (snippetNameInfo.nameFirst && snippetNameInfo.nameLast) {
+      nameInfo = snippetNameInfo;
+      nameSource = 'snippet';
+    }
+  }
+  // URL fallback if still no valid name
+  if (!isValidParsedName(nameInfo.nameFirst, nameInfo.nameLast)) {
+    const urlNameInfo = extractNameFromUrl(result.link);
+    if (urlNameInfo.nameFirst && urlNameInfo.nameLast) {
+      nameInfo = urlNameInfo;
+      nameSource = 'url';
+    }
+  }
+
+  // Each extractor reads the snippet first, then the title; the match is kept for provenance
+  const texts = { snippet, title };
+  const provenance = {};
+  const nameText = { title, snippet, url: result.link }[nameSource];
+  for (const field of ['nameFirst', 'nameMiddle', 'nameLast', 'nameMaiden', 'nameNickname']) {
+    if (nameInfo[field]) {
+      provenance[field] = valueProvenance(nameSource, nameText, nameInfo[field], `name-${nameSource}`);
+    }
+  }
+
+  // Extract age from snippet
+  const age = firstMatch(texts, extractAgeDetail);
+  if (age) provenance.ageYears = fieldProvenance(age.source, age.match);
+
+  // Relative dates ("died Tuesday") are resolved against the publication date, else today;
+  // the query locale decides whether 05/01/2026 is May 1 or 5 January
+  const datePublished = parsePublishedDate(result.date);
+  const referenceDate = datePublished || new Date().toISOString().split('T')[0];
+  const referenceAnchor = datePublished ? 'published' : 'run-date';
+  const locale = resolveLocale(query);
+
+  // Extract date of death from snippet/title
+  const dodMatch = firstMatch(texts, text => extractDodDetail(text, { referenceDate, locale }));
+  let dod = dodMatch?.match.date || null;
+  if (dodMatch) provenance.dod = fieldProvenance(dodMatch.source, { ...dodMatch.match, anchor: referenceAnchor });
+
+  // Extract service dates (visitation, funeral) - use DOD for year inference
+  const serviceDates = extractServiceDateDetails(snippet, dod, { referenceDate, locale });
+  // A DOD that was itself resolved against the run date passes that anchor on
+  const serviceAnchor = dod && provenance.dod.anchor !== 'run-date' ? 'dod' : referenceAnchor;
+  if (serviceDates.visitation) {
+    provenance.dateVisitation = fieldProvenance('snippet', { ...serviceDates.visitation, anchor: serviceAnchor });
+  }
+  if (serviceDates.funeral) {
+    provenance.dateFuneral = fieldProvenance('snippet', { ...serviceDates.funeral, anchor: serviceAnchor });
+  }
+
+  // Fallback: if DOD is missing, use funeral or visitation date
+  // (person definitely died before their funeral/visitation)
+  if (!dod) {
+    const service = serviceDates.funeral || serviceDates.visitation;
+    if (service) {
+      dod = service.date;
+      provenance.dod = fieldProvenance('snippet', { ...service, rule: 'service-date', anchor: serviceAnchor });
+    }
+  }
+
+  // Extract date of birth
+  const dob = firstMatch(texts, text => extractDobDetail(text, { locale }));
+  if (dob) provenance.dob = fieldProvenance(dob.source, dob.match);
+
+  // Extract place of birth
+  const pob = firstMatch(texts, extractPobDetail);
+  if (pob) provenance.pobCity = provenance.pobState = fieldProvenance(pob.source, pob.match);
+
+  // Extract relatives ("survived by ...", "preceded in death by ...")
+  const relatives = firstMatch(texts, extractRelativesDetail);
+  if (relatives) provenance.relatives = fieldProvenance(relatives.source, relatives.match);
+
+  // Extract location from title + snippet
+  const location = extractLocationDetail(combined);
+  if (location) {
+    // Offsets are into "title snippet"; point them into the text they came from
+    const inTitle = location.start < title.length;
+    const offset = inTitle ? 0 : title.length + 1;
+    provenance.city = provenance.state = fieldProvenance(inTitle ? 'title' : 'snippet', {
+      ...location,
+      start: location.start - offset,
+      end: location.end - offset
+    });
+  }
+
+  // Generate fingerprint
+  const fingerprint = generateFingerprint({
+    nameLast: nameInfo.nameLast || query.nameLast,
+    nameFirst: nameInfo.nameFirst || query.nameFirst,
+    city: location?.city,
+    state: location?.state,
+    dod
+  });
+
+  return {
+    id: uuidv4(),
+    nameFull: nameInfo.nameFull || title.split(' - ')[0].split('|')[0].trim(),
+    nameFirst: nameInfo.nameFirst,
+    nameMiddle: nameInfo.nameMiddle || null,
+    nameLast: nameInfo.nameLast,
+    nameMaiden: nameInfo.nameMaiden || null,
+    nameNickname: nameInfo.nameNickname || null,
+    nameSuffix: nameInfo.nameSuffix || null,
+    ageYears: age?.match.age,
+    dob: dob?.match.date || null,
+    dod,
+    pobCity: pob?.match.city || null,
+    pobState: pob?.match.state || null,
+    relatives: relatives?.match.relatives || null,
+    dateVisitation: serviceDates.visitation?.date || null,
+    dateFuneral: serviceDates.funeral?.date || null,
+    city: location?.city,
+    state: location?.state,
+    source,
+    url: result.link,
+    snippet: snippet,
+    datePublished,
+    urlImage: result.imageUrl || null,
+    score: 0,
+    reasons: [],
+    fingerprint,
+    provenance,
+    typeProvider
+  };
+}
+
+/**
+ * Parse a list of search results into candidates
+ */
+function parseOrganicResults(results, query, origin) {
+  const candidates = [];
+
+  for (const result of results) {
+    const parsed = parseOrganicResult(result, query, origin);
+    if (parsed) {
+      candidates.push(parsed);
+    }
+  }
+
+  return candidates;
+}
+
+module.exports = {
+  extractLocation,
+  extractLocationDetail,
+  parseOrganicResult,
+  parseOrganicResults
+};
@@ -0,0 +1,90 @@
+/**
+ * Multi-page result fetching shared by the web search providers (Serper, SerpAPI, Google CSE)
+ */
+
+const { scoreCandidateWithCriteria } = require('../scoring/criteriaScore');
+const { recordPage } = require('./providerCall');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Number of pages to fetch for a query: query.maxPages if set, else config default
+ */
+function getPageDepth(query) {
+  const requested = parseInt(query.maxPages, 10);
+  const depth = requested > 0 ? requested : config.paging.maxPages;
+  return Math.max(1, Math.min(depth, config.paging.maxPagesLimit));
+}
+
+/**
+ * Check if enough high-scoring candidates have been found to stop paging
+ */
+function hasEnoughCandidates(candidates, query) {
+  const { minCandidates, minScorePct } = config.paging.earlyStop;
+
+  let strong = 0;
+  for (const candidate of candidates) {
+    const scored = scoreCandidateWithCriteria(candidate, query);
+    if (scored.scoresCriteria.nameFirst === 0 || !scored.scoreMax) continue;
+    if ((scored.scoreFinal / scored.scoreMax) * 100 >= minScorePct) {
+      strong++;
+      if (strong >= minCandidates) return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Fetch result pages until the page depth is reached, a page comes back short,
+ * or enough high-scoring candidates are found.
+ *
+ * @param {object} query - normalized query
+ * @param {{name: string, type: string}} provider - provider the pages come from
+ * @param {function(number): Promise<{candidates: object[], resultCnt: number}>} fetchPage
+ *   fetches and parses one page (1-based); resultCnt is the raw organic result count
+ * @param {object|null} usage - per-search usage, pages are counted per provider
+ * @returns {Promise<object[]>} candidates from all fetched pages
+ */
+async function collectPages(query, provider, fetchPage, usage = null) {
+  const providerName = provider.name;
+  const depth = getPageDepth(query);
+  const candidates = [];
+
+  for (let page = 1; page <= depth; page++) {
+    let pageResult;
+    try {
+      pageResult = await fetchPage(page);
+    } catch (err) {
+      // First page failure is a provider failure; later pages keep what we have
+      if (page === 1) throw err;
+      logger.warn(`${providerName} page ${page} failed, keeping ${candidates.length} candidates:`, err.message);
+      break;
+    }
+
+    recordPage(provider.type, usage);
+
+    candidates.push(...pageResult.candidates);
+    logger.debug(`${providerName} page ${page}/${depth}: ${pageResult.resultCnt} results`);
+
+    if (page === depth) break;
+
+    if (pageResult.resultCnt < config.paging.resultsPerPage) {
+      logger.debug(`${providerName} page ${page} was short, no more pages`);
+      break;
+    }
+
+    if (hasEnoughCandidates(candidates, query)) {
+      logger.debug(`${providerName} found enough high-scoring candidates after page ${page}`);
+      break;
+    }
+  }
+
+  return candidates;
+}
+
+module.exports = {
+  getPageDepth,
+  hasEnoughCandidates,
+  collectPages
+};
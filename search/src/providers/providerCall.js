@@ -0,0 +1,99 @@
+/**
+ * Every billed provider API call goes through billedCall:
+ * - reserves one call from the per-run call budget
+ * - waits for the shared rate limiter
+ * - counts the call and its cost, per provider, in the per-search usage
+ *   and in the global searchMetrics
+ */
+
+const { callBudget } = require('./CallBudget');
+const { rateLimiter } = require('./RateLimiter');
+const { searchMetrics, createCounters } = require('./searchMetrics');
+const { providerRegistry } = require('./ProviderRegistry');
+
+/**
+ * Per-search usage counters, returned in the search response
+ */
+function createUsage() {
+  return {
+    ...createCounters(),
+    byProvider: {},
+    budgetExhausted: false
+  };
+}
+
+/**
+ * Cost in USD of one billed call to a provider (0 when not configured)
+ */
+function getCallCost(provider) {
+  return providerRegistry.getCallCost(provider);
+}
+
+// Costs are fractions of a cent; round sums to avoid float drift in reports
+function sum(a, b) {
+  return Math.round((a + b) * 1e6) / 1e6;
+}
+
+/**
+ * Add to a counter in the totals and in the provider's share
+ */
+function add(target, provider, field, amount) {
+  if (!target) return;
+  if (!target.byProvider[provider]) {
+    target.byProvider[provider] = createCounters();
+  }
+  target[field] = sum(target[field], amount);
+  target.byProvider[provider][field] = sum(target.byProvider[provider][field], amount);
+}
+
+/**
+ * Count a counter in the per-search usage and the global searchMetrics
+ */
+function record(provider, usage, field, amount = 1) {
+  add(usage, provider, field, amount);
+  add(searchMetrics, provider, field, amount);
+}
+
+/**
+ * Count one result page received from a provider (live or replayed)
+ */
+function recordPage(provider, usage) {
+  record(provider, usage, 'pagesFetched');
+}
+
+/**
+ * Count one retried call to a provider (the retry itself is billed through billedCall)
+ */
+function recordRetry(provider, usage) {
+  record(provider, usage, 'retries');
+}
+
+/**
+ * @param {string} provider - provider type (e.g. 'serper')
+ * @param {object|null} usage - per-search usage from createUsage()
+ * @param {function(): Promise<any>} fn - performs the HTTP call
+ */
+async function billedCall(provider, usage, fn) {
+  try {
+    callBudget.consume(provider);
+  } catch (err) {
+    if (usage) usage.budgetExhausted = true;
+    throw err;
+  }
+
+  await rateLimiter.acquire(provider);
+
+  record(provider, usage, 'apiCalls');
+  record(provider, usage, 'cost', getCallCost(provider));
+
+  return fn();
+}
+
+module.exports = {
+  createCounters,
+  createUsage,
+  getCallCost,
+  recordPage,
+  recordRetry,
+  billedCall
+};
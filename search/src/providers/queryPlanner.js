@@ -0,0 +1,242 @@
+/**
+ * Query planner: builds a ranked set of search query variants for a normalized query.
+ * Shared by all web search providers (replaces per-provider query string building).
+ *
+ * Variants, in rank order (each only when it differs from the ones before it):
+ *   full         - first (OR nickname) last (OR maiden) obituary city state
+ *   noCity       - same without the city (obituary filed under a nearby town)
+ *   middle       - first middle last obituary city state
+ *   nicknames    - (first OR its nicknames) last obituary city state, from the nickname service
+ *   surnameCity  - last obituary city state (unusual first names get misspelled/transliterated)
+ *   maiden       - first maiden obituary city state (maiden name only)
+ *
+ * Optional extra pass (config.domains.sitePass / query.sitePass), run after the ranked
+ * variants and outside their budget:
+ *   trustedSites - first last obituary state (site:a OR site:b ...) over trusted registry domains
+ *
+ * "obituary" follows the query locale (locales.js): "(obituary OR obituario OR esquela)"
+ * for Spanish, "(obituary OR "avis de décès")" for French.
+ */
+
+const { buildOrClause } = require('../normalize/nameVariants');
+const { getNicknameVariants } = require('../normalize/nicknames');
+const { stateCodeToName } = require('../normalize/location');
+const { resolveLocale, getQueryKeywords } = require('../normalize/locales');
+const { hasEnoughCandidates } = require('./pagination');
+const { domainRegistry } = require('../domains/DomainRegistry');
+const { searchMetrics } = require('./searchMetrics');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+function differs(a, b) {
+  return a && b && a.toLowerCase() !== b.toLowerCase();
+}
+
+/**
+ * First name clause: "(First OR Nickname)" when a distinct nickname is given
+ */
+function buildFirstClause(query) {
+  if (differs(query.nameNickname, query.nameFirst)) {
+    return buildOrClause([query.nameFirst, query.nameNickname]);
+  }
+  return query.nameFirst;
+}
+
+/**
+ * First name OR'd with up to config.queryPlan.maxNicknames of its variants, or null when
+ * it has none beyond the nickname already in the first name clause
+ */
+function buildNicknamesClause(query) {
+  if (!query.nameFirst) return null;
+  const given = [query.nameFirst, query.nameNickname].filter(Boolean).map(n => n.toLowerCase());
+  const variants = getNicknameVariants(query.nameFirst, { gender: query.gender })
+    .filter(v => !given.includes(v))
+    .slice(0, config.queryPlan.maxNicknames);
+  return variants.length > 0 ? buildOrClause([...given, ...variants]) : null;
+}
+
+/**
+ * Last name clause: "(Last OR Maiden)" when a distinct maiden name is given
+ */
+function buildLastClause(query) {
+  if (differs(query.nameMaiden, query.nameLast)) {
+    return buildOrClause([query.nameLast, query.nameMaiden]);
+  }
+  return query.nameLast || query.nameMaiden;
+}
+
+/**
+ * Location parts: city and full state name (search engines match "Ohio" better than "OH")
+ */
+function buildLocationParts(query, { includeCity = true } = {}) {
+  const parts = [];
+  if (includeCity && query.city) {
+    parts.push(query.city);
+  }
+  if (query.state) {
+    parts.push(stateCodeToName(query.state) || query.state);
+  }
+  return parts;
+}
+
+/**
+ * Obituary keyword clause for the query's locale
+ */
+function buildKeywordClause(query) {
+  const keywords = getQueryKeywords(resolveLocale(query));
+  return keywords.length > 1 ? `(${keywords.join(' OR ')})` : keywords[0];
+}
+
+function joinParts(parts) {
+  return parts.filter(p => p).join(' ');
+}
+
+/**
+ * A first name with no known nicknames is treated as unusual
+ */
+function isUnusualFirstName(query) {
+  if (!query.nameFirst) return false;
+  return getNicknameVariants(query.nameFirst, { gender: query.gender }).length <= 1;
+}
+
+/**
+ * Build the ranked list of query variants for a normalized query
+ * @returns {{id: string, q: string}[]}
+ */
+function planQueries(query) {
+  const keyword = buildKeywordClause(query);
+  const first = buildFirstClause(query);
+  const last = buildLastClause(query);
+
+  const candidates = [
+    { id: 'full', q: joinParts([first, last, keyword, ...buildLocationParts(query)]) }
+  ];
+
+  if (query.city) {
+    candidates.push({
+      id: 'noCity',
+      q: joinParts([first, last, keyword, ...buildLocationParts(query, { includeCity: false })])
+    });
+  }
+
+  if (query.nameMiddle) {
+    candidates.push({
+      id: 'middle',
+      q: joinParts([query.nameFirst || first, query.nameMiddle, query.nameLast || last, keyword, ...buildLocationParts(query)])
+    });
+  }
+
+  const nicknames = buildNicknamesClause(query);
+  if (nicknames) {
+    candidates.push({
+      id: 'nicknames',
+      q: joinParts([nicknames, last, keyword, ...buildLocationParts(query)])
+    });
+  }
+
+  if (isUnusualFirstName(query) && query.city) {
+    candidates.push({
+      id: 'surnameCity',
+      q: joinParts([last, keyword, ...buildLocationParts(query)])
+    });
+  }
+
+  if (differs(query.nameMaiden, query.nameLast)) {
+    candidates.push({
+      id: 'maiden',
+      q: joinParts([first, query.nameMaiden, keyword, ...buildLocationParts(query)])
+    });
+  }
+
+  // Drop duplicate query strings, keeping the higher-ranked variant
+  const seen = new Set();
+  return candidates.filter(v => {
+    if (seen.has(v.q)) return false;
+    seen.add(v.q);
+    return true;
+  });
+}
+
+/**
+ * site:-restricted variant over the trusted registry domains, or null when the pass is off
+ * @returns {{id: string, q: string}|null}
+ */
+function planSitePass(query) {
+  const enabled = query.sitePass ?? config.domains.sitePass;
+  if (!enabled) return null;
+
+  const domains = domainRegistry.getTrustedDomains().slice(0, config.domains.sitePassMaxDomains);
+  if (domains.length === 0) return null;
+
+  const sites = `(${domains.map(d => `site:${d}`).join(' OR ')})`;
+  return {
+    id: 'trustedSites',
+    q: joinParts([buildFirstClause(query), buildLastClause(query), buildKeywordClause(query), ...buildLocationParts(query, { includeCity: false }), sites])
+  };
+}
+
+/**
+ * Number of variants to run for a query: query.maxVariants if set, else config default
+ */
+function getVariantBudget(query) {
+  const requested = parseInt(query.maxVariants, 10);
+  return requested > 0 ? requested : config.queryPlan.maxVariants;
+}
+
+/**
+ * Run the planned variants (up to the budget) and merge their candidates.
+ * Stops early once enough high-scoring candidates are found; the site pass runs either way.
+ *
+ * @param {object} query - normalized query
+ * @param {string} providerName - for logging
+ * @param {function({id: string, q: string}): Promise<object[]>} searchVariant
+ * @returns {Promise<object[]>} candidates from all variants run, tagged with queryVariant
+ */
+async function runQueryPlan(query, providerName, searchVariant) {
+  const variants = planQueries(query).slice(0, getVariantBudget(query));
+  const sitePass = planSitePass(query);
+  const candidates = [];
+
+  const runVariant = async (variant) => {
+    logger.debug(`${providerName} query variant ${variant.id}: ${variant.q}`);
+    const found = await searchVariant(variant);
+    searchMetrics.queryVariantsRun++;
+    for (const candidate of found) {
+      candidate.queryVariant = variant.id;
+      candidates.push(candidate);
+    }
+  };
+
+  for (let i = 0; i < variants.length; i++) {
+    try {
+      await runVariant(variants[i]);
+    } catch (err) {
+      // First variant failure is a provider failure; later variants keep what we have
+      if (i === 0) throw err;
+      logger.warn(`${providerName} variant ${variants[i].id} failed, keeping ${candidates.length} candidates:`, err.message);
+      break;
+    }
+
+    if (i < variants.length - 1 && hasEnoughCandidates(candidates, query)) {
+      logger.debug(`${providerName} found enough high-scoring candidates after variant ${variants[i].id}`);
+      break;
+    }
+  }
+
+  if (sitePass) {
+    try {
+      await runVariant(sitePass);
+    } catch (err) {
+      logger.warn(`${providerName} variant ${sitePass.id} failed, keeping ${candidates.length} candidates:`, err.message);
+    }
+  }
+
+  return candidates;
+}
+
+module.exports = {
+  planQueries,
+  planSitePass,
+  getVariantBudget,
+  runQueryPlan
+};
@@ -0,0 +1,80 @@
+/**
+ * Record/replay of raw provider responses
+ *
+ * Modes (config.recording.mode / PROVIDER_RECORDING):
+ *   off    - call the provider API as usual
+ *   record - call the API and save every raw response to the cache directory
+ *   replay - serve saved responses and never call out; a missing recording is a provider error
+ *
+ * Recordings are keyed by provider + request (query string, page, filters), so a full
+ * search can be rerun offline and its output compared across code changes.
+ */
+
+const crypto = require('crypto');
+const { FileCache } = require('../utils/cache');
+const { ProviderError } = require('./ProviderError');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+const MODES = ['off', 'record', 'replay'];
+
+function getMode() {
+  const mode = (config.recording.mode || 'off').toLowerCase();
+  return MODES.includes(mode) ? mode : 'off';
+}
+
+function isReplayMode() {
+  return getMode() === 'replay';
+}
+
+/**
+ * Build the cache key for a request: readable prefix + hash of the full request
+ */
+function getRecordingKey(provider, request) {
+  const canonical = JSON.stringify(request, Object.keys(request).sort());
+  const hash = crypto.createHash('sha256').update(`${provider}|${canonical}`).digest('hex').slice(0, 16);
+  const label = (request.q || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 60);
+  return `recording_${provider}_${label}_${hash}`;
+}
+
+/**
+ * Run a provider request through the recorder
+ * @param {string} provider - provider type (e.g. 'serper')
+ * @param {object} request - everything that identifies the request (q, page, ...), no secrets
+ * @param {function(): Promise<object>} fetchRaw - performs the real call, returns the raw JSON body
+ * @returns {Promise<object>} raw JSON body (live or replayed)
+ */
+async function withRecording(provider, request, fetchRaw) {
+  const mode = getMode();
+  if (mode === 'off') {
+    return fetchRaw();
+  }
+
+  const cache = new FileCache(config.recording.dir);
+  const key = getRecordingKey(provider, request);
+
+  if (mode === 'replay') {
+    const recording = cache.get(key);
+    if (!recording) {
+      throw new ProviderError(`No recording for ${provider}: ${JSON.stringify(request)}`, { provider });
+    }
+    logger.debug(`Replaying ${provider} response: ${key}`);
+    return recording.response;
+  }
+
+  const response = await fetchRaw();
+  cache.set(key, {
+    provider,
+    request,
+    recordedAt: new Date().toISOString(),
+    response
+  });
+  logger.debug(`Recorded ${provider} response: ${key}`);
+  return response;
+}
+
+module.exports = {
+  withRecording,
+  getRecordingKey,
+  isReplayMode
+};
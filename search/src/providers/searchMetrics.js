@@ -0,0 +1,36 @@
+/**
+ * Process-wide search metrics (read by the batch/run scripts, reset per run).
+ * apiCalls, pagesFetched, retries and cost are also kept per provider in byProvider.
+ *
+ * Kept out of index.js so providers and helpers can require it directly.
+ */
+
+/**
+ * Empty usage counters (totals, or one provider's share)
+ */
+function createCounters() {
+  return {
+    apiCalls: 0,
+    pagesFetched: 0,
+    retries: 0,
+    cost: 0
+  };
+}
+
+const searchMetrics = {
+  ...createCounters(),
+  byProvider: {},
+  queryVariantsRun: 0,
+  enrichmentPageFetches: 0,
+  reset() {
+    Object.assign(this, createCounters());
+    this.byProvider = {};
+    this.queryVariantsRun = 0;
+    this.enrichmentPageFetches = 0;
+  }
+};
+
+module.exports = {
+  searchMetrics,
+  createCounters
+};
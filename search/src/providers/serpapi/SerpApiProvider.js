@@ -1,10 +1,11 @@
-const { v4: uuidv4 } = require('uuid');
-const { generateFingerprint } = require('../../dedupe/fingerprint');
-const { extractAgeFromText } = require('../../normalize/age');
-const { extractDodFromText } = require('../../normalize/dod');
-const { extractServiceDates } = require('../../normalize/serviceDates');
-const { extractNameFromTitle, extractNameFromSnippet, extractNameFromUrl, isValidParsedName, isGenericTitle } = require('../../normalize/nameExtract');
-const { buildOrClause } = require('../../normalize/nameVariants');
+const { ProviderError } = require('../ProviderError');
+const { collectPages } = require('../pagination');
+const { runQueryPlan } = require('../queryPlanner');
+const { parseOrganicResults } = require('../organicResult');
+const { buildTbs } = require('../timeFilter');
+const { withRecording, isReplayMode } = require('../recorder');
+const { providerClient } = require('../ProviderClient');
+const { providerRegistry } = require('../ProviderRegistry');
 const config = require('../../config');
 const { logger } = require('../../utils/logger');
 
@@ -14,176 +15,57 @@ class SerpApiProvider {
     this.type = 'serpapi';
   }
 
-  async search(query) {
-    const searchQuery = this._buildQuery(query);
-    logger.debug('SerpApiProvider searching:', searchQuery);
+  unavailableReason() {
+    return config.serpapi.isEnabled || isReplayMode() ? null : 'SERPAPI_KEY not set';
+  }
 
-    if (!config.serpapi.apiKey) {
-      logger.error('SerpAPI key not configured');
-      return [];
+  async search(query, usage = null) {
+    if (!config.serpapi.apiKey && !isReplayMode()) {
+      throw new ProviderError('SerpAPI key not configured', { provider: this.type });
     }
 
     try {
-      const params = new URLSearchParams({
-        q: searchQuery,
-        api_key: config.serpapi.apiKey,
-        num: '10'
-      });
-
-      const url = `https://serpapi.com/search.json?${params.toString()}`;
-      const response = await fetch(url);
-
-      if (!response.ok) {
-        throw new Error(`SerpAPI error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      return this._parseResults(data.organic_results || [], query);
+      return await runQueryPlan(query, this.name, (variant) =>
+        collectPages(query, this, async (page) => {
+          const organic = await this._fetchPage(variant.q, page, usage, query.since);
+          return {
+            candidates: this._parseResults(organic, query),
+            resultCnt: organic.length
+          };
+        }, usage)
+      );
     } catch (err) {
-      logger.error('SerpAPI call failed:', err);
-      return [];
-    }
-  }
-
-  _buildQuery(query) {
-    const parts = [];
-
-    // If nickname is provided and different from nameFirst, use OR clause
-    if (query.nameNickname && query.nameFirst &&
-        query.nameNickname.toLowerCase() !== query.nameFirst.toLowerCase()) {
-      parts.push(buildOrClause([query.nameFirst, query.nameNickname]));
-    } else {
-      parts.push(query.nameFirst);
-    }
-
-    parts.push(query.nameLast);
-    parts.push('obituary');
-
-    if (query.city) {
-      parts.push(query.city);
-    }
-    if (query.state) {
-      parts.push(query.state);
-    }
-
-    return parts.join(' ');
-  }
-
-  _parseResults(results, query) {
-    const candidates = [];
-
-    for (const result of results) {
-      const parsed = this._parseResult(result, query);
-      if (parsed) {
-        candidates.push(parsed);
-      }
+      logger.error('SerpAPI call failed:', err.message);
+      if (err instanceof ProviderError) throw err;
+      throw new ProviderError(`SerpAPI call failed: ${err.message}`, { provider: this.type });
     }
-
-    return candidates;
   }
 
-  _parseResult(result, query) {
-    const title = result.title || '';
-    const snippet = result.snippet || '';
-    const combined = `${title} ${snippet}`;
-
-    // Extract name: title → snippet → URL fallback
-    let nameInfo = extractNameFromTitle(title);
-    if (isGenericTitle(nameInfo.nameFull) || !isValidParsedName(nameInfo.nameFirst, nameInfo.nameLast)) {
-      const snippetNameInfo = extractNameFromSnippet(snippet, query);
-      if (snippetNameInfo.nameFirst && snippetNameInfo.nameLast) {
-        nameInfo = snippetNameInfo;
-      }
-    }
-    if (!isValidParsedName(nameInfo.nameFirst, nameInfo.nameLast)) {
-      const urlNameInfo = extractNameFromUrl(result.link);
-      if (urlNameInfo.nameFirst && urlNameInfo.nameLast) {
-        nameInfo = urlNameInfo;
-      }
-    }
-
-    // Extract age from snippet
-    const age = extractAgeFromText(snippet) || extractAgeFromText(title);
-
-    // Extract date of death from snippet/title
-    const dod = extractDodFromText(snippet) || extractDodFromText(title);
-
-    // Extract service dates (visitation, funeral) - use DOD for year inference
-    const serviceDates = extractServiceDates(snippet, dod);
-
-    // Extract location from snippet
-    const locationInfo = this._extractLocation(combined);
+  /**
+   * Fetch one page (1-based) of organic results — SerpAPI pages by result offset
+   */
+  async _fetchPage(searchQuery, page, usage, since = null) {
+    const perPage = config.paging.resultsPerPage;
+    const request = {
+      q: searchQuery,
+      num: perPage.toString()
+    };
+    if (page > 1) request.start = ((page - 1) * perPage).toString();
+    if (since) request.tbs = buildTbs(since);
 
-    // Generate fingerprint
-    const fingerprint = generateFingerprint({
-      nameLast: nameInfo.nameLast || query.nameLast,
-      nameFirst: nameInfo.nameFirst || query.nameFirst,
-      city: locationInfo.city,
-      state: locationInfo.state,
-      dod
+    const data = await withRecording(this.type, request, () => {
+      const params = new URLSearchParams({ ...request, api_key: config.serpapi.apiKey });
+      return providerClient.fetchJson(this.type, usage, 'SerpAPI', `https://serpapi.com/search.json?${params.toString()}`);
     });
 
-    return {
-      id: uuidv4(),
-      nameFull: nameInfo.nameFull || title.split(' - ')[0].split('|')[0].trim(),
-      nameFirst: nameInfo.nameFirst,
-      nameLast: nameInfo.nameLast,
-      ageYears: age,
-      dod,
-      dateVisitation: serviceDates.visitation,
-      dateFuneral: serviceDates.funeral,
-      city: locationInfo.city,
-      state: locationInfo.state,
-      source: 'SerpAPI',
-      url: result.link,
-      snippet: snippet,
-      score: 0,
-      reasons: [],
-      fingerprint,
-      typeProvider: 'serpapi'
-    };
+    return data.organic_results || [];
   }
 
-  _extractLocation(text) {
-    const validStateCodes = new Set([
-      'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA',
-      'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
-      'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
-      'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC',
-      'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'DC'
-    ]);
-
-    // Pattern: "City, ST" or "of City, State"
-    // Handles abbreviated prefixes like "St.", "Ft.", "Mt.", "Pt." and multi-word cities
-    const statePattern = /(?:of\s+)?((?:(?:St|Ft|Mt|Pt)\.\s+)?[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),\s*([A-Z]{2})\b/;
-    const match = text.match(statePattern);
-
-    if (match && validStateCodes.has(match[2])) {
-      return {
-        city: match[1],
-        state: match[2]
-      };
-    }
-
-    // Try "City, State" with full state name
-    const fullStatePattern = /(?:of\s+)?((?:(?:St|Ft|Mt|Pt)\.\s+)?[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),\s*(Ohio|California|Florida|Texas|New York)/i;
-    const fullMatch = text.match(fullStatePattern);
-
-    if (fullMatch) {
-      const stateMap = {
-        'ohio': 'OH', 'california': 'CA', 'florida': 'FL',
-        'texas': 'TX', 'new york': 'NY'
-      };
-      return {
-        city: fullMatch[1],
-        state: stateMap[fullMatch[2].toLowerCase()] || fullMatch[2]
-      };
-    }
-
-    return {};
+  _parseResults(results, query) {
+    return parseOrganicResults(results, query, { source: 'SerpAPI', typeProvider: this.type });
   }
 }
 
-const serpApiProvider = new SerpApiProvider();
+const serpApiProvider = providerRegistry.register(new SerpApiProvider());
 
 module.exports = { SerpApiProvider, serpApiProvider };
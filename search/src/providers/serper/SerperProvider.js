@@ -1,233 +1,168 @@
-const { v4: uuidv4 } = require('uuid');
+const { ProviderError } = require('../ProviderError');
+const { collectPages } = require('../pagination');
+const { runQueryPlan } = require('../queryPlanner');
+const { parseOrganicResult, parseOrganicResults, extractLocationDetail } = require('../organicResult');
+const { buildTbs } = require('../timeFilter');
+const { withRecording, isReplayMode } = require('../recorder');
+const { providerClient } = require('../ProviderClient');
+const { providerRegistry } = require('../ProviderRegistry');
 const { generateFingerprint } = require('../../dedupe/fingerprint');
-const { extractAgeFromText } = require('../../normalize/age');
-const { extractDodFromText } = require('../../normalize/dod');
-const { extractDobFromText } = require('../../normalize/dob');
-const { extractPobFromText } = require('../../normalize/pob');
-const { extractServiceDates } = require('../../normalize/serviceDates');
-const { getFirstNameVariants, buildOrClause } = require('../../normalize/nameVariants');
-const { extractNameFromTitle, extractNameFromSnippet, extractNameFromUrl, isValidParsedName, isGenericTitle } = require('../../normalize/nameExtract');
-const { stateCodeToName } = require('../../normalize/location');
+const { normalizeName } = require('../../normalize/name');
+const { surnameKeys } = require('../../normalize/nameParser');
+const { fieldProvenance } = require('../../normalize/provenance');
 const config = require('../../config');
 const { logger } = require('../../utils/logger');
 
-// Lazy load to avoid circular dependency
-let searchMetrics = null;
-function getSearchMetrics() {
-  if (!searchMetrics) {
-    searchMetrics = require('../../index').searchMetrics;
-  }
-  return searchMetrics;
-}
-
 class SerperProvider {
   constructor() {
     this.name = 'Serper';
     this.type = 'serper';
   }
 
-  async search(query) {
-    const searchQuery = this._buildQuery(query);
-    logger.debug('SerperProvider searching:', searchQuery);
+  // Replay mode serves recordings, so no API key is needed
+  unavailableReason() {
+    return config.serper.isEnabled || isReplayMode() ? null : 'SERPER_API_KEY not set';
+  }
 
-    if (!config.serper.apiKey) {
-      logger.error('Serper API key not configured');
-      return [];
+  async search(query, usage = null) {
+    if (!config.serper.apiKey && !isReplayMode()) {
+      throw new ProviderError('Serper API key not configured', { provider: this.type });
     }
 
     try {
-      // Track API call
-      const metrics = getSearchMetrics();
-      if (metrics) metrics.serperApiCalls++;
+      return await runQueryPlan(query, this.name, (variant) =>
+        collectPages(query, this, async (page) => {
+          const data = await this._fetchPage(variant.q, page, usage, query.since);
+          return {
+            candidates: this._parseResponse(data, query, page),
+            resultCnt: (data.organic || []).length
+          };
+        }, usage)
+      );
+    } catch (err) {
+      logger.error('Serper API call failed:', err.message);
+      if (err instanceof ProviderError) throw err;
+      throw new ProviderError(`Serper API call failed: ${err.message}`, { provider: this.type });
+    }
+  }
+
+  /**
+   * Fetch one page (1-based) of results, optionally only those since a date
+   * @returns {Promise<object>} the whole response (organic, topStories, knowledgeGraph, ...)
+   */
+  async _fetchPage(searchQuery, page, usage, since = null) {
+    const body = {
+      q: searchQuery,
+      num: config.paging.resultsPerPage
+    };
+    if (page > 1) body.page = page;
+    if (since) body.tbs = buildTbs(since);
 
-      const response = await fetch('https://google.serper.dev/search', {
+    const data = await withRecording(this.type, body, () =>
+      providerClient.fetchJson(this.type, usage, 'Serper API', 'https://google.serper.dev/search', {
         method: 'POST',
         headers: {
           'X-API-KEY': config.serper.apiKey,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          q: searchQuery,
-          num: 10
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Serper API error: ${response.status}`);
-      }
+        body: JSON.stringify(body)
+      })
+    );
 
-      const data = await response.json();
-      return this._parseResults(data.organic || [], query);
-    } catch (err) {
-      logger.error('Serper API call failed:', err);
-      return [];
-    }
+    return data;
   }
 
-  _buildQuery(query) {
-    const parts = [];
-
-    // If nickname is provided and different from nameFirst, use OR clause
-    if (query.nameNickname && query.nameFirst &&
-        query.nameNickname.toLowerCase() !== query.nameFirst.toLowerCase()) {
-      parts.push(buildOrClause([query.nameFirst, query.nameNickname]));
-    } else {
-      parts.push(query.nameFirst);
-    }
-
-    if (query.nameMaiden && query.nameLast &&
-        query.nameMaiden.toLowerCase() !== query.nameLast.toLowerCase()) {
-      parts.push(buildOrClause([query.nameLast, query.nameMaiden]));
-    } else if (query.nameLast) {
-      parts.push(query.nameLast);
-    } else if (query.nameMaiden) {
-      parts.push(query.nameMaiden);
+  /**
+   * Candidates from one response page: organic results and their sitelinks,
+   * plus (first page only, Serper repeats them) top stories and the knowledge graph.
+   * Sitelinks and top stories are only kept when their title names the query's surname.
+   */
+  _parseResponse(data, query, page = 1) {
+    const mentionsSurname = surnameMatcher(query);
+    const results = [];
+
+    for (const result of data.organic || []) {
+      results.push(result);
+      for (const sitelink of result.sitelinks || []) {
+        if (mentionsSurname(sitelink.title)) {
+          results.push({ title: sitelink.title, link: sitelink.link, snippet: '', date: result.date });
+        }
+      }
     }
-    parts.push('obituary');
 
-    if (query.city) {
-      parts.push(query.city);
-    }
-    if (query.state) {
-      parts.push(stateCodeToName(query.state) || query.state);
+    if (page === 1) {
+      for (const story of data.topStories || []) {
+        if (mentionsSurname(story.title)) {
+          results.push({ title: story.title, link: story.link, snippet: '', date: story.date, imageUrl: story.imageUrl });
+        }
+      }
     }
 
-    return parts.join(' ');
-  }
+    const candidates = this._parseResults(results, query);
 
-  _parseResults(results, query) {
-    const candidates = [];
-
-    for (const result of results) {
-      const parsed = this._parseResult(result, query);
-      if (parsed) {
-        candidates.push(parsed);
+    if (page === 1) {
+      const knowledgeGraph = this._parseKnowledgeGraph(data.knowledgeGraph, query);
+      if (knowledgeGraph && mentionsSurname(knowledgeGraph.nameFull)) {
+        candidates.push(knowledgeGraph);
       }
     }
 
     return candidates;
   }
 
-  _parseResult(result, query) {
-    const title = result.title || '';
-    const snippet = result.snippet || '';
-    const combined = `${title} ${snippet}`;
-
-    // Extract name: title → snippet → URL fallback
-    let nameInfo = extractNameFromTitle(title);
-    if (isGenericTitle(nameInfo.nameFull) || !isValidParsedName(nameInfo.nameFirst, nameInfo.nameLast)) {
-      const snippetNameInfo = extractNameFromSnippet(snippet, query);
-      if (snippetNameInfo.nameFirst && snippetNameInfo.nameLast) {
-        nameInfo = snippetNameInfo;
-      }
-    }
-    // URL fallback if still no valid name
-    if (!isValidParsedName(nameInfo.nameFirst, nameInfo.nameLast)) {
-      const urlNameInfo = extractNameFromUrl(result.link);
-      if (urlNameInfo.nameFirst && urlNameInfo.nameLast) {
-        nameInfo = urlNameInfo;
-      }
-    }
-
-    // Extract age from snippet
-    const age = extractAgeFromText(snippet) || extractAgeFromText(title);
-
-    // Extract date of death from snippet/title
-    let dod = extractDodFromText(snippet) || extractDodFromText(title);
-
-    // Extract service dates (visitation, funeral) - use DOD for year inference
-    const serviceDates = extractServiceDates(snippet, dod);
-
-    // Fallback: if DOD is missing, use funeral or visitation date
-    // (person definitely died before their funeral/visitation)
-    if (!dod) {
-      dod = serviceDates.funeral || serviceDates.visitation || null;
-    }
-
-    // Extract date of birth
-    const dob = extractDobFromText(snippet) || extractDobFromText(title) || null;
-
-    // Extract place of birth
-    const pobData = extractPobFromText(snippet) || extractPobFromText(title) || null;
-
-    // Extract location from snippet
-    const locationInfo = this._extractLocation(combined);
+  _parseResults(results, query) {
+    return parseOrganicResults(results, query, { source: 'Serper', typeProvider: this.type });
+  }
 
-    // Generate fingerprint
-    const fingerprint = generateFingerprint({
-      nameLast: nameInfo.nameLast || query.nameLast,
-      nameFirst: nameInfo.nameFirst || query.nameFirst,
-      city: locationInfo.city,
-      state: locationInfo.state,
-      dod
+  /**
+   * Knowledge graph panel as a candidate, for notable people only (it has a "Died" attribute).
+   * Place of death comes from the "Died" attribute, not the birthplace in "Born".
+   */
+  _parseKnowledgeGraph(knowledgeGraph, query) {
+    const attributes = knowledgeGraph?.attributes || {};
+    if (!knowledgeGraph?.title || !attributes.Died) return null;
+
+    const snippet = [
+      attributes.Born && `Born ${attributes.Born}.`,
+      `Died ${attributes.Died}.`,
+      knowledgeGraph.description
+    ].filter(Boolean).join(' ');
+
+    const candidate = parseOrganicResult({
+      title: knowledgeGraph.title,
+      snippet,
+      link: knowledgeGraph.descriptionLink || knowledgeGraph.website || null,
+      imageUrl: knowledgeGraph.imageUrl
+    }, query, { source: 'Serper', typeProvider: this.type });
+
+    const place = extractLocationDetail(attributes.Died);
+    candidate.city = place?.city;
+    candidate.state = place?.state;
+    const placeProvenance = place ? fieldProvenance('knowledge-graph', { ...place, rule: 'knowledge-graph' }) : undefined;
+    candidate.provenance.city = candidate.provenance.state = placeProvenance;
+    candidate.fingerprint = generateFingerprint({
+      nameLast: candidate.nameLast || query.nameLast,
+      nameFirst: candidate.nameFirst || query.nameFirst,
+      city: candidate.city,
+      state: candidate.state,
+      dod: candidate.dod
     });
-
-    return {
-      id: uuidv4(),
-      nameFull: nameInfo.nameFull || title.split(' - ')[0].split('|')[0].trim(),
-      nameFirst: nameInfo.nameFirst,
-      nameMiddle: nameInfo.nameMiddle || null,
-      nameLast: nameInfo.nameLast,
-      ageYears: age,
-      dob,
-      dod,
-      pobCity: pobData?.city || null,
-      pobState: pobData?.state || null,
-      dateVisitation: serviceDates.visitation,
-      dateFuneral: serviceDates.funeral,
-      city: locationInfo.city,
-      state: locationInfo.state,
-      source: 'Serper',
-      url: result.link,
-      snippet: snippet,
-      score: 0,
-      reasons: [],
-      fingerprint,
-      typeProvider: 'serper'
-    };
+    return candidate;
   }
+}
 
-  _extractLocation(text) {
-    const validStateCodes = new Set([
-      'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA',
-      'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
-      'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
-      'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC',
-      'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'DC',
-      'AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'
-    ]);
-
-    // Pattern: "City, ST" or "of City, State"
-    // Handles abbreviated prefixes like "St.", "Ft.", "Mt.", "Pt." and multi-word cities
-    const statePattern = /(?:of\s+)?((?:(?:St|Ft|Mt|Pt)\.\s+)?[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),\s*([A-Z]{2})\b/;
-    const match = text.match(statePattern);
-
-    if (match && validStateCodes.has(match[2])) {
-      return {
-        city: match[1],
-        state: match[2]
-      };
-    }
-
-    // Try "City, State/Province" with full name
-    const { normalizeState } = require('../../normalize/location');
-    const fullStatePattern = /(?:of\s+)?((?:(?:St|Ft|Mt|Pt)\.\s+)?[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),\s*([A-Z][a-z]+(?:\s+[A-Za-z][a-z]+)*)/;
-    const fullMatch = text.match(fullStatePattern);
-
-    if (fullMatch) {
-      const code = normalizeState(fullMatch[2]);
-      if (validStateCodes.has(code)) {
-        return {
-          city: fullMatch[1],
-          state: code
-        };
-      }
-    }
-
-    return {};
-  }
+/**
+ * Predicate: does a title contain the query's last (or maiden) name, or one of its surnames, as a word
+ */
+function surnameMatcher(query) {
+  const surnames = surnameKeys([query.nameLast, query.nameMaiden]);
+  return (title) => {
+    if (!title) return false;
+    const words = normalizeName(title).split(/[\s-]+/);
+    return surnames.some(s => words.includes(s));
+  };
 }
 
-const serperProvider = new SerperProvider();
+const serperProvider = providerRegistry.register(new SerperProvider());
 
 module.exports = { SerperProvider, serperProvider };
@@ -0,0 +1,75 @@
+/**
+ * "Since" date filters for monitoring searches
+ *
+ * Batch runs rerun every watched person; incremental passes only ask providers for
+ * results since the last run, and a periodic full sweep (no filter) catches pages
+ * that were indexed late.
+ */
+
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a since value (Date or date string) to YYYY-MM-DD, or null if missing/invalid
+ */
+function normalizeSince(since) {
+  if (!since) return null;
+  const date = since instanceof Date ? since : new Date(since);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Google tbs custom date range for Serper/SerpAPI: cdr:1,cd_min:M/D/YYYY
+ * (an absolute range, so the same since always makes the same request)
+ */
+function buildTbs(since) {
+  const day = normalizeSince(since);
+  if (!day) return null;
+  const [year, month, date] = day.split('-').map(n => parseInt(n, 10));
+  return `cdr:1,cd_min:${month}/${date}/${year}`;
+}
+
+/**
+ * Google CSE dateRestrict: results from the last N days (dN), counted back from the run date
+ * (pass the query's inputDate, so a recorded run makes the same request when replayed later)
+ * @param {Date|string|null} since
+ * @param {Date|string} [now] - run date, defaults to the current time
+ */
+function buildDateRestrict(since, now = new Date()) {
+  const day = normalizeSince(since);
+  if (!day) return null;
+  const end = now instanceof Date ? now : new Date(now);
+  const days = Math.max(1, Math.ceil((end.getTime() - new Date(day).getTime()) / DAY_MS));
+  return `d${days}`;
+}
+
+/**
+ * Decide how a monitored query runs this time: a full sweep (since = null) when it was never
+ * searched or its last full sweep is older than fullSweepDays, else an incremental pass
+ * since the last search minus overlapDays
+ * @param {Date|string|null} lastSearchedAt
+ * @param {Date|string|null} lastFullSweepAt
+ * @param {Date} [now]
+ * @returns {{fullSweep: boolean, since: string|null}}
+ */
+function planMonitoringRun(lastSearchedAt, lastFullSweepAt, now = new Date()) {
+  const { fullSweepDays, overlapDays } = config.monitoring;
+
+  const sweepDue = !lastSearchedAt || !lastFullSweepAt || fullSweepDays <= 0 ||
+    now.getTime() - new Date(lastFullSweepAt).getTime() >= fullSweepDays * DAY_MS;
+  if (sweepDue) {
+    return { fullSweep: true, since: null };
+  }
+
+  const since = new Date(new Date(lastSearchedAt).getTime() - overlapDays * DAY_MS);
+  return { fullSweep: false, since: normalizeSince(since) };
+}
+
+module.exports = {
+  normalizeSince,
+  buildTbs,
+  buildDateRestrict,
+  planMonitoringRun
+};
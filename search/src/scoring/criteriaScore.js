@@ -5,8 +5,25 @@
 
 const { stringSimilarity, similarityToScore } = require('./levenshtein');
 const { normalizeName } = require('../normalize/name');
-const { isNicknameMatch, getNicknameVariants } = require('../normalize/nicknames');
+const { surnameParts } = require('../normalize/nameParser');
+const { foldText } = require('../normalize/fold');
+const { phoneticSimilarity } = require('../normalize/phonetic');
+const { isNicknameMatch, areNicknameVariants } = require('../normalize/nicknames');
+const { relativeNames } = require('../normalize/relatives');
 const { normalizeCity, normalizeState } = require('../normalize/location');
+const { domainRegistry } = require('../domains/DomainRegistry');
+const { getConfidence } = require('../normalize/provenance');
+const config = require('../config');
+
+// Candidate field behind each criterion, for its extraction confidence
+const CRITERIA_FIELDS = {
+  nameLast: 'nameLast',
+  nameFirst: 'nameFirst',
+  state: 'state',
+  city: 'city',
+  age: 'ageYears',
+  relatives: 'relatives'
+};
 
 /**
  * Calculate age score based on difference and input date
@@ -74,8 +91,27 @@ function calculateCityScore(candidateCity, candidateState, queryCity, queryState
   return 0;
 }
 
+// Share of the spelling gap closed when two surnames sound alike, and widened when they
+// don't ("Bates" / "Gates" are one letter apart but different names)
+const PHONETIC_WEIGHT = 0.6;
+
+/**
+ * Similarity (0-1) of two normalized surnames: Levenshtein similarity blended with
+ * Double Metaphone agreement ("Schmidt" / "Smith", "Meyer" / "Maier")
+ */
+function surnameSimilarity(name1, name2) {
+  const edit = stringSimilarity(name1, name2);
+  if (edit === 1) return 1;
+  const phonetic = phoneticSimilarity(name1, name2);
+  return phonetic > 0
+    ? edit + (1 - edit) * phonetic * PHONETIC_WEIGHT
+    : Math.max(0, edit - (1 - edit) * PHONETIC_WEIGHT);
+}
+
 /**
- * Calculate last name score using Levenshtein similarity
+ * Calculate last name score from spelling and sound (surnameSimilarity)
+ * Compound surnames also match on spacing ("De La Cruz" / "Delacruz") and, capped at 90,
+ * on one of their surnames ("García López" / "Garcia", "Van Der Berg" / "Berg")
  */
 function calculateNameLastScore(candidateNameLast, queryNameLast) {
   if (!candidateNameLast || !queryNameLast) return null;
@@ -83,18 +119,50 @@ function calculateNameLastScore(candidateNameLast, queryNameLast) {
   const candNorm = normalizeName(candidateNameLast);
   const queryNorm = normalizeName(queryNameLast);
 
-  const similarity = stringSimilarity(candNorm, queryNorm);
-  return similarityToScore(similarity);
+  const compact = (name) => name.replace(/[\s-]+/g, '');
+  const similarity = Math.max(
+    surnameSimilarity(candNorm, queryNorm),
+    surnameSimilarity(compact(candNorm), compact(queryNorm))
+  );
+  const score = similarityToScore(similarity);
+
+  const candParts = surnameParts(candidateNameLast).map(normalizeName);
+  const queryParts = surnameParts(queryNameLast).map(normalizeName);
+  if (candParts.length < 2 && queryParts.length < 2) return score;
+
+  let partSimilarity = 0;
+  for (const c of candParts) {
+    for (const q of queryParts) {
+      partSimilarity = Math.max(partSimilarity, surnameSimilarity(c, q));
+    }
+  }
+  return Math.max(score, Math.min(similarityToScore(partSimilarity), 90));
 }
 
 /**
  * Calculate first name score using Levenshtein similarity
  * Also considers nicknames, but exact matches have priority
  * Exact match = 100, Nickname/variant match = 85, Close spelling = up to 90, Different = 0
+ * A double first name ("Mary Ann") also scores on its first word
+ * Nicknames count one way: the candidate's name must be a variant of the query's
+ * ("Liam" finds William, "William" doesn't find Liam), skipping the other gender's variants
+ * @param {string|null} [gender] - query gender, 'M' or 'F'
  */
-function calculateNameFirstScore(candidateNameFirst, queryNameFirst) {
+function calculateNameFirstScore(candidateNameFirst, queryNameFirst, gender = null) {
   if (!candidateNameFirst || !queryNameFirst) return null;
 
+  const candWords = normalizeName(candidateNameFirst).split(' ');
+  const queryWords = normalizeName(queryNameFirst).split(' ');
+  if (candWords.length > 1 || queryWords.length > 1) {
+    return Math.max(
+      scoreFirstName(candWords.join(' '), queryWords.join(' '), gender),
+      scoreFirstName(candWords[0], queryWords[0], gender)
+    );
+  }
+  return scoreFirstName(candidateNameFirst, queryNameFirst, gender);
+}
+
+function scoreFirstName(candidateNameFirst, queryNameFirst, gender) {
   const candNorm = normalizeName(candidateNameFirst);
   const queryNorm = normalizeName(queryNameFirst);
 
@@ -104,9 +172,7 @@ function calculateNameFirstScore(candidateNameFirst, queryNameFirst) {
   }
 
   // Check if it's a nickname/variant match
-  const isNickname = isNicknameMatch(queryNorm, candNorm) || isNicknameMatch(candNorm, queryNorm);
-
-  if (isNickname) {
+  if (isNicknameMatch(queryNorm, candNorm, { gender })) {
     // Nickname match caps at 85 to ensure exact matches rank higher
     return 85;
   }
@@ -128,14 +194,37 @@ function calculateNameFirstScore(candidateNameFirst, queryNameFirst) {
 /**
  * Calculate keywords score
  * Any keyword found in snippet+title = 100, none found = 0, not provided = null
+ * Accents are folded on both sides ("pena" finds "Peña")
  */
 function calculateKeyWordsScore(candidate, queryKeyWords) {
   if (!queryKeyWords || queryKeyWords.length === 0) return null;
 
-  const text = ((candidate.snippet || '') + ' ' + (candidate.title || '')).toLowerCase();
+  const text = foldText((candidate.snippet || '') + ' ' + (candidate.title || '')).toLowerCase();
 
   for (const kw of queryKeyWords) {
-    if (text.includes(kw)) return 100;
+    if (text.includes(foldText(kw))) return 100;
+  }
+
+  return 0;
+}
+
+/**
+ * Calculate relatives score: the query's known relatives against those the obituary names
+ * Any relative found = 100, none found = 0, not provided or none extracted = null
+ * First names match on nicknames too ("Bill" for "William"); last names only count when
+ * both sides give one (obituaries mostly list children by first name)
+ */
+function calculateRelativesScore(candidateRelatives, queryRelatives) {
+  const candNames = relativeNames(candidateRelatives).map(n => normalizeName(n).split(' '));
+  if (!queryRelatives || queryRelatives.length === 0 || candNames.length === 0) return null;
+
+  for (const queryName of queryRelatives) {
+    const q = normalizeName(queryName).split(' ');
+    const found = candNames.some(c =>
+      areNicknameVariants(c[0], q[0]) &&
+      (c.length < 2 || q.length < 2 || c[c.length - 1] === q[q.length - 1])
+    );
+    if (found) return 100;
   }
 
   return 0;
@@ -147,16 +236,39 @@ function calculateKeyWordsScore(candidate, queryKeyWords) {
 function calculateCriteriaScores(candidate, query) {
   const scores = {
     nameLast: calculateNameLastScore(candidate.nameLast, query.nameLast),
-    nameFirst: calculateNameFirstScore(candidate.nameFirst, query.nameFirst),
+    nameFirst: calculateNameFirstScore(candidate.nameFirst, query.nameFirst, query.gender),
     state: calculateStateScore(candidate.state, query.state),
     city: calculateCityScore(candidate.city, candidate.state, query.city, query.state),
     age: calculateAgeScore(candidate.ageYears, query.age, query.inputDate),
-    keyWords: calculateKeyWordsScore(candidate, query.keyWords)
+    keyWords: calculateKeyWordsScore(candidate, query.keyWords),
+    relatives: calculateRelativesScore(candidate.relatives, query.relatives)
   };
 
   return scores;
 }
 
+/**
+ * Extraction confidence (0-1) of the field behind each criterion (see provenance.js)
+ */
+function calculateCriteriaConfidence(candidate) {
+  return Object.fromEntries(
+    Object.entries(CRITERIA_FIELDS).map(([criterion, field]) => [criterion, getConfidence(candidate, field)])
+  );
+}
+
+/**
+ * Sum of the non-null criteria, each scaled by the confidence of the field it was computed from
+ */
+function calculateScoreConfident(scoresCriteria, criteriaConfidence) {
+  let total = 0;
+  for (const [key, value] of Object.entries(scoresCriteria)) {
+    if (value !== null) {
+      total += Math.round(value * (criteriaConfidence[key] ?? 1));
+    }
+  }
+  return total;
+}
+
 /**
  * Calculate final score (sum of all non-null criteria)
  */
@@ -179,18 +291,25 @@ function calculateScoreFinal(scoresCriteria) {
 }
 
 /**
- * Score a single candidate with criteria scores, final score
+ * Score a single candidate with criteria scores, final score, and the ranking score:
+ * criteria scaled by extraction confidence, weighted by the result's domain (see DomainRegistry)
  */
 function scoreCandidateWithCriteria(candidate, query) {
   const scoresCriteria = calculateCriteriaScores(candidate, query);
   const { scoreFinal, scoreMax, criteriaCnt } = calculateScoreFinal(scoresCriteria);
+  const criteriaConfidence = calculateCriteriaConfidence(candidate);
+  const domainWeight = domainRegistry.getWeight(candidate.url);
 
   return {
     ...candidate,
     scoresCriteria,
     scoreFinal,
     scoreMax,
-    criteriaCnt
+    criteriaCnt,
+    criteriaConfidence,
+    domainCategory: domainRegistry.getCategory(candidate.url),
+    domainWeight,
+    scoreWeighted: Math.round(calculateScoreConfident(scoresCriteria, criteriaConfidence) * domainWeight)
   };
 }
 
@@ -208,10 +327,19 @@ function isRecentDod(dod, daysWindow = 14) {
   return diffDays >= 0 && diffDays <= daysWindow;
 }
 
+/**
+ * Is the candidate's DOD recent and extracted with enough confidence to group it first
+ * (a "last resort" date anywhere in the snippet shouldn't outrank a real match)
+ */
+function hasRecentDod(candidate, daysWindow) {
+  return isRecentDod(candidate.dod, daysWindow) &&
+    getConfidence(candidate, 'dod') >= config.scoring.minRecentDodConfidence;
+}
+
 /**
  * Score all candidates and assign ranks
- * Recent DODs (within 14 days) are grouped first, then older/unknown DODs
- * Within each group, sorted by scoreFinal descending
+ * Recent DODs (within 14 days, confident enough) are grouped first, then older/unknown DODs
+ * Within each group, sorted by scoreWeighted (scoreFinal x domain weight) descending
  * Candidates with nameFirst score of 0 are excluded (different name = not a match)
  */
 function scoreAndRankCandidates(candidates, query, recentDaysWindow = 14) {
@@ -225,12 +353,12 @@ function scoreAndRankCandidates(candidates, query, recentDaysWindow = 14) {
   );
 
   // Separate into recent DOD and other
-  const recentDod = validCandidates.filter(c => isRecentDod(c.dod, recentDaysWindow));
-  const otherDod = validCandidates.filter(c => !isRecentDod(c.dod, recentDaysWindow));
+  const recentDod = validCandidates.filter(c => hasRecentDod(c, recentDaysWindow));
+  const otherDod = validCandidates.filter(c => !hasRecentDod(c, recentDaysWindow));
 
-  // Sort each group by scoreFinal descending
-  recentDod.sort((a, b) => b.scoreFinal - a.scoreFinal);
-  otherDod.sort((a, b) => b.scoreFinal - a.scoreFinal);
+  // Sort each group by domain-weighted score descending
+  recentDod.sort((a, b) => b.scoreWeighted - a.scoreWeighted);
+  otherDod.sort((a, b) => b.scoreWeighted - a.scoreWeighted);
 
   // Combine: recent first, then others
   const combined = [...recentDod, ...otherDod];
@@ -240,8 +368,8 @@ function scoreAndRankCandidates(candidates, query, recentDaysWindow = 14) {
   for (let i = 0; i < combined.length; i++) {
     if (i > 0 && (
       // New rank if score changed OR if we crossed from recent to non-recent
-      combined[i].scoreFinal < combined[i - 1].scoreFinal ||
-      (isRecentDod(combined[i - 1].dod, recentDaysWindow) && !isRecentDod(combined[i].dod, recentDaysWindow))
+      combined[i].scoreWeighted < combined[i - 1].scoreWeighted ||
+      (hasRecentDod(combined[i - 1], recentDaysWindow) && !hasRecentDod(combined[i], recentDaysWindow))
     )) {
       currentRank = i + 1;
     }
@@ -258,7 +386,9 @@ module.exports = {
   calculateNameLastScore,
   calculateNameFirstScore,
   calculateKeyWordsScore,
+  calculateRelativesScore,
   calculateCriteriaScores,
+  calculateCriteriaConfidence,
   calculateScoreFinal,
   scoreCandidateWithCriteria,
   scoreAndRankCandidates,
@@ -18,6 +18,28 @@ function explainScore(candidate) {
   return lines.join('\n');
 }
 
+/**
+ * " (pattern in source, NN%)" for a field with a provenance record, else ""
+ */
+function describeProvenance(candidate, field) {
+  const record = candidate.provenance?.[field];
+  if (!record) return '';
+  const inferred = record.inferred ? `, inferred from "${record.text}"` : '';
+  return ` (${record.pattern} in ${record.source}${inferred}, ${Math.round(record.confidence * 100)}%)`;
+}
+
+/**
+ * "spouse Mary; children John, Paul; predeceased: Tom" for a candidate's relatives, or null
+ */
+function describeRelatives(relatives) {
+  if (!relatives) return null;
+  const parts = ['spouse', 'children', 'parents', 'siblings']
+    .filter(relation => relatives[relation].length > 0)
+    .map(relation => `${relation} ${relatives[relation].join(', ')}`);
+  if (relatives.predeceased.length > 0) parts.push(`predeceased: ${relatives.predeceased.join(', ')}`);
+  return parts.length > 0 ? parts.join('; ') : null;
+}
+
 /**
  * Format candidate for display
  */
@@ -31,20 +53,40 @@ function formatCandidate(candidate, index) {
   ];
 
   if (candidate.ageYears) {
-    lines.push(`Age: ${candidate.ageYears}`);
+    lines.push(`Age: ${candidate.ageYears}${describeProvenance(candidate, 'ageYears')}`);
   }
 
   if (candidate.city || candidate.state) {
-    lines.push(`Location: ${candidate.city || '?'}, ${candidate.state || '?'}`);
+    lines.push(`Location: ${candidate.city || '?'}, ${candidate.state || '?'}${describeProvenance(candidate, 'city') || describeProvenance(candidate, 'state')}`);
   }
 
   if (candidate.dod) {
-    lines.push(`Date of Death: ${candidate.dod}`);
+    lines.push(`Date of Death: ${candidate.dod}${describeProvenance(candidate, 'dod')}`);
+  }
+
+  if (candidate.dob) {
+    lines.push(`Date of Birth: ${candidate.dob}${describeProvenance(candidate, 'dob')}`);
+  }
+
+  const relatives = describeRelatives(candidate.relatives);
+  if (relatives) {
+    lines.push(`Relatives: ${relatives}${describeProvenance(candidate, 'relatives')}`);
+  }
+
+  if (candidate.dateVisitation || candidate.dateFuneral) {
+    lines.push(`Services: ${[
+      candidate.dateVisitation && `visitation ${candidate.dateVisitation}${describeProvenance(candidate, 'dateVisitation')}`,
+      candidate.dateFuneral && `funeral ${candidate.dateFuneral}${describeProvenance(candidate, 'dateFuneral')}`
+    ].filter(Boolean).join(', ')}`);
   }
 
   lines.push(`Source: ${candidate.source}`);
   lines.push(`URL: ${candidate.url}`);
 
+  if (candidate.domainCategory) {
+    lines.push(`Domain: ${candidate.domainCategory} (ranking weight x${candidate.domainWeight})`);
+  }
+
   if (candidate.snippet) {
     const truncated = candidate.snippet.length > 150
       ? candidate.snippet.slice(0, 147) + '...'
@@ -62,6 +104,7 @@ function formatCandidate(candidate, index) {
     if (cs.city !== null) lines.push(`  City:       ${cs.city}/100`);
     if (cs.age !== null) lines.push(`  Age:        ${cs.age}/100`);
     if (cs.keyWords != null) lines.push(`  Keywords:   ${cs.keyWords}/100`);
+    if (cs.relatives != null) lines.push(`  Relatives:  ${cs.relatives}/100`);
   } else if (candidate.reasons && candidate.reasons.length > 0) {
     // Fallback to old scoring format
     lines.push('Scoring:');
@@ -81,6 +124,8 @@ function formatCandidate(candidate, index) {
 }
 
 module.exports = {
+  describeProvenance,
+  describeRelatives,
   explainScore,
   formatCandidate
 };
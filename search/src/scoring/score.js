@@ -28,8 +28,7 @@ function calculateScore(candidate, query) {
     if (candNameFirst === query.nameFirstNorm) {
       score += weights.firstNameExact;
       reasons.push(`First name exact match (+${weights.firstNameExact})`);
-    } else if (isNicknameMatch(query.nameFirstNorm, candNameFirst) ||
-               isNicknameMatch(candNameFirst, query.nameFirstNorm)) {
+    } else if (isNicknameMatch(query.nameFirstNorm, candNameFirst, { gender: query.gender })) {
       score += weights.nicknameMatch;
       reasons.push(`First name nickname match (+${weights.nicknameMatch})`);
     } else {
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Split one CSV record into fields (RFC 4180 quoting: "a, b" and "" for a quote)
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+
+  return fields.map(f => f.trim());
+}
+
+/**
+ * Stream a CSV file as objects keyed by header; quoted fields may span lines.
+ * Bulk files are read line by line, never loaded whole.
+ * @param {string} filePath
+ * @returns {AsyncGenerator<object>}
+ */
+async function* readCsv(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf-8'),
+    crlfDelay: Infinity
+  });
+
+  let header = null;
+  let pending = '';
+  for await (const line of lines) {
+    pending = pending ? `${pending}\n${line}` : line;
+    // Odd number of quotes: a quoted field continues on the next line
+    if ((pending.match(/"/g) || []).length % 2 === 1) continue;
+
+    const record = pending.replace(/^﻿/, '');
+    pending = '';
+    if (!record.trim()) continue;
+
+    const fields = parseCsvLine(record);
+    if (!header) {
+      header = fields;
+      continue;
+    }
+
+    const row = {};
+    header.forEach((name, i) => {
+      row[name] = fields[i] ?? '';
+    });
+    yield row;
+  }
+}
+
+module.exports = {
+  parseCsvLine,
+  readCsv
+};